@@ -0,0 +1,35 @@
+// Danh sách từ bị chặn trong đánh giá và phản hồi (so khớp nguyên từ,
+// không phân biệt hoa thường). Có thể bổ sung qua biến môi trường
+// REVIEW_BLOCKED_WORDS, các từ cách nhau bằng dấu phẩy
+module.exports = {
+  vi: [
+    "đm",
+    "đmm",
+    "đcm",
+    "dcm",
+    "vcl",
+    "vkl",
+    "vl",
+    "địt",
+    "đụ",
+    "đéo",
+    "cặc",
+    "lồn",
+    "buồi",
+    "óc chó",
+    "chó chết",
+    "mẹ mày",
+    "con đĩ",
+  ],
+  en: [
+    "fuck",
+    "fucking",
+    "shit",
+    "bitch",
+    "asshole",
+    "bastard",
+    "cunt",
+    "dickhead",
+    "motherfucker",
+  ],
+};
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Service = require("../models/Service");
+const Location = require("../models/Location");
+const searchIndexService = require("../services/searchIndexService");
+
+dotenv.config();
+
+// Tính lại trường tìm kiếm không dấu cho toàn bộ Service và Location,
+// chạy một lần sau khi nâng cấp hoặc khi dữ liệu bị lệch
+const backfillSearchFields = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGO_URI || "mongodb://localhost:27017/Dulich"
+    );
+
+    // Mỗi collection chỉ có một text index: bỏ index cũ chỉ gồm tên và mô tả
+    const indexes = await Service.collection.indexes();
+    if (indexes.some((index) => index.name === "service_text")) {
+      await Service.collection.dropIndex("service_text");
+      console.log("Dropped old index service_text");
+    }
+    await Service.createIndexes();
+    await Location.createIndexes();
+
+    const { locations, services } = await searchIndexService.rebuildAll();
+    console.log(
+      `Search fields updated for ${locations} locations and ${services} services`
+    );
+  } catch (error) {
+    console.error("Error backfilling search fields:", error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+backfillSearchFields();
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Location = require("../models/Location");
+const geoService = require("../services/geoService");
+
+dotenv.config();
+
+// Sinh trường geo (GeoJSON) cho các Location cũ chỉ có latitude/longitude
+// và tạo index 2dsphere
+const migrateLocationGeo = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGO_URI || "mongodb://localhost:27017/Dulich"
+    );
+
+    // Index lat/lng cũ không còn dùng sau khi chuyển sang 2dsphere
+    const indexes = await Location.collection.indexes();
+    if (indexes.some((index) => index.name === "latitude_1_longitude_1")) {
+      await Location.collection.dropIndex("latitude_1_longitude_1");
+    }
+
+    const locations = await Location.find({
+      latitude: { $type: "number" },
+      longitude: { $type: "number" },
+    }).select("latitude longitude geo");
+
+    const operations = [];
+    const invalid = [];
+    for (const location of locations) {
+      const { latitude, longitude } = location;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        invalid.push(location._id);
+        continue;
+      }
+      const [lng, lat] = location.geo?.coordinates || [];
+      if (lng === longitude && lat === latitude) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: location._id },
+          update: { $set: { geo: geoService.toGeoPoint(latitude, longitude) } },
+        },
+      });
+    }
+
+    if (operations.length) await Location.bulkWrite(operations);
+    await Location.createIndexes();
+
+    console.log(`Updated geo for ${operations.length} locations`);
+    if (invalid.length) {
+      console.log(`Skipped locations with invalid coordinates: ${invalid.join(", ")}`);
+    }
+  } catch (error) {
+    console.error("Error migrating location geo:", error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrateLocationGeo();
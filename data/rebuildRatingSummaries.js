@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Service = require("../models/Service");
+const ratingSummaryService = require("../services/ratingSummaryService");
+
+dotenv.config();
+
+// Tính lại tổng hợp đánh giá (ratingSummary) cho toàn bộ Service,
+// chạy một lần sau khi nâng cấp hoặc khi số liệu bị lệch
+const rebuildRatingSummaries = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGO_URI || "mongodb://localhost:27017/Dulich"
+    );
+    await Service.createIndexes();
+
+    const services = await ratingSummaryService.rebuildAll();
+    console.log(`Rating summaries rebuilt for ${services} services`);
+  } catch (error) {
+    console.error("Error rebuilding rating summaries:", error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+rebuildRatingSummaries();
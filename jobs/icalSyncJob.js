@@ -0,0 +1,33 @@
+const icalService = require("../services/icalService");
+
+let running = false;
+
+// Đồng bộ định kỳ các lịch ICS nhập từ nền tảng khác
+const sweep = async () => {
+  if (running) return; // Bỏ qua nếu lần quét trước chưa xong
+  running = true;
+  try {
+    const { synced, failed, conflicts } = await icalService.syncAll();
+    if (failed > 0 || conflicts > 0) {
+      console.log(
+        `Đồng bộ lịch ICS: ${synced} thành công, ${failed} lỗi, ${conflicts} đêm bị trùng`
+      );
+    }
+  } catch (err) {
+    console.error("Lỗi khi đồng bộ lịch ICS:", err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Khởi động job đồng bộ lịch ICS
+ * @returns {Object} - Timer của setInterval
+ */
+const startIcalSyncJob = () => {
+  const intervalMs =
+    Number(process.env.ICAL_SYNC_INTERVAL_MS) || 60 * 60 * 1000;
+  return setInterval(sweep, intervalMs);
+};
+
+module.exports = { sweep, startIcalSyncJob };
@@ -0,0 +1,30 @@
+const invoiceStatusService = require("../services/invoiceStatusService");
+
+let running = false;
+
+// Quét định kỳ các hóa đơn giữ phòng quá hạn và hoàn trả phòng trống
+const sweep = async () => {
+  if (running) return; // Bỏ qua nếu lần quét trước chưa xong
+  running = true;
+  try {
+    const expired = await invoiceStatusService.expireStaleInvoices();
+    if (expired > 0) {
+      console.log(`Đã hủy ${expired} hóa đơn quá hạn giữ phòng`);
+    }
+  } catch (err) {
+    console.error("Lỗi khi quét hóa đơn quá hạn:", err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Khởi động job quét hóa đơn quá hạn
+ * @returns {Object} - Timer của setInterval
+ */
+const startInvoiceExpiryJob = () => {
+  const intervalMs = Number(process.env.BOOKING_SWEEP_INTERVAL_MS) || 60 * 1000;
+  return setInterval(sweep, intervalMs);
+};
+
+module.exports = { sweep, startInvoiceExpiryJob };
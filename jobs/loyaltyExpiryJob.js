@@ -0,0 +1,31 @@
+const loyaltyService = require("../services/loyaltyService");
+
+let running = false;
+
+// Quét định kỳ các lô điểm thưởng đã hết hạn và trừ khỏi số dư
+const sweep = async () => {
+  if (running) return; // Bỏ qua nếu lần quét trước chưa xong
+  running = true;
+  try {
+    const expired = await loyaltyService.expirePoints();
+    if (expired > 0) {
+      console.log(`Đã thu hồi ${expired} lô điểm thưởng hết hạn`);
+    }
+  } catch (err) {
+    console.error("Lỗi khi quét điểm thưởng hết hạn:", err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Khởi động job thu hồi điểm hết hạn
+ * @returns {Object} - Timer của setInterval
+ */
+const startLoyaltyExpiryJob = () => {
+  const intervalMs =
+    Number(process.env.LOYALTY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+  return setInterval(sweep, intervalMs);
+};
+
+module.exports = { sweep, startLoyaltyExpiryJob };
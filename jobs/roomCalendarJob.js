@@ -0,0 +1,32 @@
+const roomCalendarService = require("../services/roomCalendarService");
+
+let running = false;
+
+// Cuộn lịch phòng trống của các Room bật tự động mở bán
+const sweep = async () => {
+  if (running) return; // Bỏ qua nếu lần quét trước chưa xong
+  running = true;
+  try {
+    const added = await roomCalendarService.rollForwardAll();
+    if (added > 0) {
+      console.log(`Đã mở bán thêm ${added} ngày trong lịch phòng`);
+    }
+  } catch (err) {
+    console.error("Lỗi khi cuộn lịch phòng:", err);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Khởi động job cuộn lịch phòng, chạy một lần ngay khi khởi động
+ * @returns {Object} - Timer của setInterval
+ */
+const startRoomCalendarJob = () => {
+  const intervalMs =
+    Number(process.env.ROOM_CALENDAR_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+  sweep();
+  return setInterval(sweep, intervalMs);
+};
+
+module.exports = { sweep, startRoomCalendarJob };
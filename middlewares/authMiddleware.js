@@ -1,38 +1,52 @@
-// const jwt = require("jsonwebtoken");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
 
-// const authMiddleware = (req, res, next) => {
-//   const token = req.headers.authorization?.split(" ")[1];
+// Xác thực JWT và nạp người dùng từ collection User vào req.user
+const authMiddleware = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
 
-//   if (!token) {
-//     return res.status(401).json({ error: "Authentication token is required" });
-//   }
-
-//   try {
-//     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-//     req.user = decoded; // Gán thông tin user vào request
-
-//     console.log("req.user:", req.user); // Log thông tin user để kiểm tra
-
-//     next();
-//   } catch (err) {
-//     res.status(403).json({ error: "Invalid token" });
-//   }
-// };
-
-// module.exports = authMiddleware;
-
-
-const authMiddleware = (req, res, next) => {
-  const token = req.headers.authorization?.split(" ")[1];
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Authentication token is required" });
+  }
 
-  // Bỏ qua kiểm tra token và luôn chấp nhận token
-  if (token) {
-    // Chỉ gán thông tin người dùng vào req.user mà không xác thực
-    req.user = { id: "exampleUserId", username: "exampleUser" };
-    console.log("req.user:", req.user); // Log thông tin user
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: "Invalid or expired token" });
   }
 
-  next();
+  // Token từ /api/auth/login chứa userId, token từ authService chứa id
+  const userId = decoded.userId || decoded.id;
+
+  try {
+    const user = userId ? await User.findById(userId).select("-password") : null;
+
+    if (!user) {
+      return res.status(401).json({ error: "User not found" });
+    }
+
+    if (user.active === false) {
+      return res.status(401).json({ error: "User account is inactive" });
+    }
+
+    req.user = {
+      id: user._id.toString(),
+      userID: user.userID,
+      fullName: user.fullName,
+      email: user.email,
+      role: user.role,
+    };
+
+    next();
+  } catch (err) {
+    // userId không phải ObjectId hợp lệ hoặc lỗi truy vấn
+    if (err.name === "CastError") {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
 };
 
 module.exports = authMiddleware;
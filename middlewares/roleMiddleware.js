@@ -1,22 +1,18 @@
-// const roleMiddleware = (requiredRoles) => {
-//   return (req, res, next) => {
-//     if (!requiredRoles.includes(req.user.role)) {
-//       return res
-//         .status(403)
-//         .json({ error: "Access denied. Insufficient permissions." });
-//     }
-//     next(); // Tiếp tục nếu role hợp lệ
-//   };
-// };
-
-// module.exports = roleMiddleware;
-
+// Kiểm tra vai trò của người dùng, phải dùng sau authMiddleware
 const roleMiddleware = (requiredRoles) => {
   return (req, res, next) => {
-    // Bỏ qua kiểm tra vai trò và luôn tiếp tục
-    next();
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication token is required" });
+    }
+
+    if (!requiredRoles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ error: "Access denied. Insufficient permissions." });
+    }
+
+    next(); // Tiếp tục nếu role hợp lệ
   };
 };
 
 module.exports = roleMiddleware;
-
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Một dòng trong giỏ hàng: phòng, bàn hoặc đơn quán cà phê
+const cartItemSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ["room", "table", "cafe"],
+    required: true,
+  }, // Loại dòng
+  roomID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Room",
+  }, // Phòng (itemType = room)
+  tableID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Table",
+  }, // Bàn (itemType = table)
+  coffeeID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coffee",
+  }, // Quán cà phê (itemType = cafe)
+  checkInDate: { type: Date }, // Ngày nhận phòng
+  checkOutDate: { type: Date }, // Ngày trả phòng
+  date: { type: Date }, // Ngày đặt bàn / ngày đến quán
+  arrivalTime: { type: String }, // Giờ đến (HH:mm)
+  quantity: { type: Number, default: 1, min: 1 }, // Số phòng / số phần
+  adults: { type: Number, default: 1, min: 1 }, // Số người lớn
+  children: { type: Number, default: 0, min: 0 }, // Số trẻ em
+  guests: [
+    {
+      fullName: { type: String }, // Họ tên
+      nationality: { type: String }, // Quốc tịch
+      documentType: { type: String }, // Loại giấy tờ tùy thân
+      _id: false,
+    },
+  ], // Danh sách khách
+  contactPhone: { type: String }, // Số điện thoại liên hệ
+  specialRequests: { type: String }, // Yêu cầu đặc biệt
+  addedAt: { type: Date, default: Date.now }, // Thời điểm thêm vào giỏ
+});
+
+const cartSchema = new mongoose.Schema({
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  }, // Chủ giỏ hàng
+  items: { type: [cartItemSchema], default: [] }, // Các dòng trong giỏ
+  updatedAt: { type: Date, default: Date.now }, // Lần thay đổi gần nhất
+});
+
+module.exports = mongoose.model("Cart", cartSchema);
@@ -17,4 +17,6 @@ const coffeeSchema = new mongoose.Schema({
   pictures: [{ type: String }], // Mảng đường dẫn ảnh
 });
 
+coffeeSchema.index({ serviceID: 1 });
+
 module.exports = mongoose.model("Coffee", coffeeSchema);
@@ -4,7 +4,13 @@ const mongoose = require("mongoose");
 const customerSchema = new mongoose.Schema({
   customerID: { type: String, required: true, unique: true },
   userID: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  loyaltyPoints: { type: Number, default: 0 },
+  loyaltyPoints: { type: Number, default: 0 }, // Số dư điểm, đồng bộ với LoyaltyTransaction
+  lifetimePoints: { type: Number, default: 0 }, // Tổng điểm đã tích, dùng để xếp hạng
+  tier: {
+    type: String,
+    enum: ["Member", "Silver", "Gold"],
+    default: "Member",
+  }, // Hạng thành viên
   active: { type: Boolean, default: true },
 });
 
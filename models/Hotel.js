@@ -15,4 +15,6 @@ const hotelSchema = new mongoose.Schema({
   }, // Loại hình khách sạn
 });
 
+hotelSchema.index({ serviceID: 1 });
+
 module.exports = mongoose.model("Hotel", hotelSchema);
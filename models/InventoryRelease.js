@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Nhật ký hoàn trả phòng trống khi hóa đơn bị hủy hoặc hết hạn giữ chỗ
+const inventoryReleaseSchema = new mongoose.Schema({
+  invoiceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    required: true,
+  }, // Hóa đơn được hoàn trả
+  roomID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Room",
+    required: true,
+  }, // Phòng được hoàn trả
+  quantity: { type: Number, required: true, min: 1 }, // Số phòng mỗi đêm
+  nights: [{ type: Date }], // Các đêm đã cộng lại availableRooms
+  reason: {
+    type: String,
+    enum: ["cancelled", "expired"],
+    required: true,
+  }, // Lý do hoàn trả
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }, // Người hủy (trống nếu do hệ thống)
+  releasedAt: { type: Date, default: Date.now }, // Thời điểm hoàn trả
+});
+
+module.exports = mongoose.model("InventoryRelease", inventoryReleaseSchema);
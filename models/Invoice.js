@@ -1,5 +1,38 @@
 const mongoose = require("mongoose");
 
+// Lịch sử thay đổi trạng thái hóa đơn
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String }, // Trạng thái trước (trống khi tạo mới)
+    to: { type: String, required: true }, // Trạng thái sau
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }, // Người thay đổi (trống nếu do hệ thống)
+    role: {
+      type: String,
+      enum: ["Admin", "Provider", "Customer", "System"],
+      required: true,
+    }, // Vai trò người thay đổi
+    note: { type: String, default: "" }, // Ghi chú
+    changedAt: { type: Date, default: Date.now }, // Thời điểm thay đổi
+  },
+  { _id: false }
+);
+
+// Thông tin khách lưu trú/dùng dịch vụ, cần cho thủ tục nhận phòng
+const guestSchema = new mongoose.Schema(
+  {
+    fullName: { type: String, required: true, trim: true, maxlength: 100 }, // Họ tên
+    nationality: { type: String, trim: true, maxlength: 60 }, // Quốc tịch
+    documentType: {
+      type: String,
+      enum: ["national_id", "passport", "driver_license", "other"],
+    }, // Loại giấy tờ tùy thân xuất trình khi nhận phòng
+  },
+  { _id: false }
+);
+
 const invoiceSchema = new mongoose.Schema({
   invoiceID: { type: String, required: true, unique: true }, // Mã hóa đơn
   userID: {
@@ -21,13 +54,37 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     required: true,
   }, // Tổng tiền
+  priceBreakdown: [
+    {
+      date: { type: Date }, // Đêm lưu trú
+      price: { type: Number }, // Giá một phòng đêm đó
+      rateName: { type: String }, // Mức giá áp dụng
+      _id: false,
+    },
+  ], // Chi tiết giá từng đêm
+  subtotalAmount: {
+    type: Number,
+  }, // Tổng tiền trước khi giảm giá
+  voucher: {
+    voucherID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Voucher",
+    }, // Mã khuyến mãi đã dùng
+    code: { type: String }, // Mã tại thời điểm dùng
+    discountAmount: { type: Number }, // Số tiền được giảm
+  }, // Khuyến mãi áp dụng cho hóa đơn
+  loyalty: {
+    pointsRedeemed: { type: Number, default: 0 }, // Số điểm đã đổi
+    discountAmount: { type: Number, default: 0 }, // Số tiền giảm nhờ đổi điểm
+    pointsEarned: { type: Number, default: 0 }, // Số điểm được cộng khi sử dụng
+  }, // Điểm thưởng của hóa đơn
   issueDate: {
     type: Date,
     required: true,
   }, // Ngày xuất hóa đơn
   paymentStatus: {
     type: String,
-    enum: ["paid", "unpaid"],
+    enum: ["paid", "unpaid", "refunded"],
     default: "unpaid",
   }, // Trạng thái thanh toán
   roomID: { 
@@ -35,6 +92,10 @@ const invoiceSchema = new mongoose.Schema({
     ref: "Room", 
    
   }, // Tham chiếu đến phòng đã đặt
+  tableID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Table",
+  }, // Tham chiếu đến bàn đã đặt
   checkInDate: {
     type: Date,
     required: true,
@@ -57,9 +118,14 @@ const invoiceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: "Review" 
   }, // Tham chiếu đến đánh giá của hóa đơn
+  reviewedAt: { type: Date }, // Lần đầu được đánh giá, giữ lại khi đánh giá bị xóa
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Refund",
+  }, // Khoản hoàn tiền khi hủy hóa đơn
   invoiceType: {
     type: String,
-    enum: ["restaurant", "hotel"],
+    enum: ["restaurant", "hotel", "cafe"],
     required: true,
   }, // Loại hóa đơn
   arrivalDate: {
@@ -80,6 +146,26 @@ const invoiceSchema = new mongoose.Schema({
     required: true,
     min: 0, // Số lượng trẻ em (có thể không có)
   }, // Số lượng trẻ em
+  inventoryHeld: {
+    type: Boolean,
+    default: false,
+  }, // Hóa đơn đang giữ phòng trong Room.roomsAvailable
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: [],
+  }, // Lịch sử trạng thái
+  orderID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  }, // Đơn hàng gộp chứa hóa đơn này (nếu đặt qua giỏ hàng)
+  guests: {
+    type: [guestSchema],
+    default: [],
+  }, // Danh sách khách, người đầu tiên là người đại diện
+  contactPhone: { type: String, trim: true }, // Số điện thoại liên hệ
+  specialRequests: { type: String, trim: true, maxlength: 1000, default: "" }, // Yêu cầu đặc biệt (đến muộn, thêm giường...)
 });
 
+invoiceSchema.index({ orderID: 1 });
+
 module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -1,11 +1,28 @@
 const mongoose = require("mongoose");
 
+// Điểm GeoJSON, tọa độ theo thứ tự [kinh độ, vĩ độ]
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], required: true },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
 const locationSchema = new mongoose.Schema({
   locationID: { type: String, required: true, unique: true },
   locationName: { type: String, required: true },
   description: { type: String, required: true },
   latitude: { type: Number, required: true },
   longitude: { type: Number, required: true },
+  geo: { type: pointSchema }, // Đồng bộ từ latitude/longitude, dùng cho truy vấn bán kính
+  // Tên đã bỏ dấu và trigram, do searchIndexService cập nhật
+  searchName: { type: String, select: false },
+  searchTrigrams: { type: [String], select: false },
 });
 
+locationSchema.index({ geo: "2dsphere" });
+locationSchema.index({ searchName: 1 });
+locationSchema.index({ searchTrigrams: 1 });
+
 module.exports = mongoose.model("Location", locationSchema);
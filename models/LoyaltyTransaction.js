@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// Sổ cái điểm thưởng: mọi thay đổi điểm của khách đều ghi một dòng
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true,
+  }, // Khách hàng
+  type: {
+    type: String,
+    enum: ["earn", "redeem", "reversal", "expire", "adjust"],
+    required: true,
+  }, // Loại giao dịch điểm
+  points: { type: Number, required: true }, // Số điểm (+ cộng, - trừ)
+  remainingPoints: { type: Number, default: 0, min: 0 }, // Điểm cộng chưa dùng/chưa hết hạn
+  expiresAt: { type: Date }, // Hạn dùng của điểm cộng
+  invoiceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+  }, // Hóa đơn liên quan
+  allocations: [
+    {
+      transactionID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LoyaltyTransaction",
+      }, // Lô điểm bị trừ
+      points: { type: Number }, // Số điểm trừ từ lô
+      _id: false,
+    },
+  ], // Các lô điểm đã trừ (cho redeem/expire/adjust âm)
+  reversed: { type: Boolean, default: false }, // Lượt đổi điểm đã được hoàn lại
+  balanceAfter: { type: Number }, // Số dư sau giao dịch
+  note: { type: String, default: "" }, // Ghi chú
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }, // Người thực hiện (trống nếu do hệ thống)
+  createdAt: { type: Date, default: Date.now }, // Thời điểm
+});
+
+loyaltyTransactionSchema.index({ customerID: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ customerID: 1, remainingPoints: 1, expiresAt: 1 });
+// Mỗi hóa đơn chỉ được cộng điểm và đổi điểm một lần
+loyaltyTransactionSchema.index(
+  { invoiceID: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      invoiceID: { $exists: true },
+      type: { $in: ["earn", "redeem"] },
+    },
+  }
+);
+
+module.exports = mongoose.model("LoyaltyTransaction", loyaltyTransactionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Phần đơn hàng của một Provider, mỗi dòng là một Invoice
+const subOrderSchema = new mongoose.Schema({
+  providerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Provider",
+    required: true,
+  }, // Nhà cung cấp
+  invoices: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+  ], // Hóa đơn của các dòng thuộc Provider này
+  subtotalAmount: { type: Number, required: true, min: 0 }, // Tổng tiền phần này
+});
+
+// Đơn hàng gộp nhiều dịch vụ, thanh toán một lần
+const orderSchema = new mongoose.Schema({
+  orderID: { type: String, required: true, unique: true }, // Mã đơn hàng
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  }, // Người đặt
+  subOrders: { type: [subOrderSchema], default: [] }, // Chia theo Provider
+  totalAmount: { type: Number, required: true, min: 0 }, // Tổng tiền
+  paymentStatus: {
+    type: String,
+    enum: ["unpaid", "paid", "refunded"],
+    default: "unpaid",
+  }, // Trạng thái thanh toán
+  createdAt: { type: Date, default: Date.now }, // Thời điểm đặt
+  paidAt: { type: Date }, // Thời điểm thanh toán
+});
+
+orderSchema.index({ userID: 1, createdAt: -1 });
+orderSchema.index({ "subOrders.providerID": 1, createdAt: -1 });
+
+module.exports = mongoose.model("Order", orderSchema);
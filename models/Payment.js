@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Sự kiện trong vòng đời giao dịch (tạo, IPN, hoàn tiền...)
+const paymentEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["created", "confirmed", "webhook", "refund"],
+      required: true,
+    }, // Loại sự kiện
+    status: { type: String }, // Kết quả của sự kiện
+    amount: { type: Number }, // Số tiền liên quan
+    raw: { type: mongoose.Schema.Types.Mixed }, // Dữ liệu gốc từ cổng thanh toán
+    at: { type: Date, default: Date.now }, // Thời điểm
+  },
+  { _id: false }
+);
+
+const paymentSchema = new mongoose.Schema({
+  paymentID: { type: String, required: true, unique: true }, // Mã giao dịch gửi sang cổng
+  invoiceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    required: function () {
+      return !this.orderID;
+    },
+  }, // Hóa đơn được thanh toán
+  orderID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  }, // Hoặc đơn hàng gộp được thanh toán
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  }, // Người thanh toán
+  provider: {
+    type: String,
+    enum: ["mock", "vnpay", "momo"],
+    required: true,
+  }, // Cổng thanh toán
+  amount: { type: Number, required: true, min: 0 }, // Số tiền thanh toán
+  currency: { type: String, default: "VND" }, // Đơn vị tiền tệ
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed", "refunded"],
+    default: "pending",
+  }, // Trạng thái giao dịch
+  refundedAmount: { type: Number, default: 0, min: 0 }, // Số tiền đã hoàn
+  providerRef: { type: String }, // Mã giao dịch phía cổng thanh toán
+  providerData: { type: mongoose.Schema.Types.Mixed }, // Dữ liệu cổng cần cho hoàn tiền
+  redirectUrl: { type: String }, // URL chuyển hướng khách sang cổng
+  events: { type: [paymentEventSchema], default: [] }, // Nhật ký sự kiện
+  createdAt: { type: Date, default: Date.now }, // Thời điểm tạo
+  paidAt: { type: Date }, // Thời điểm thanh toán thành công
+});
+
+paymentSchema.index({ invoiceID: 1, status: 1 });
+paymentSchema.index({ orderID: 1, status: 1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
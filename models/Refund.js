@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Khoản hoàn tiền khi hủy hóa đơn đã thanh toán
+const refundSchema = new mongoose.Schema({
+  invoiceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    required: true,
+    unique: true,
+  }, // Hóa đơn bị hủy
+  serviceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Service",
+    required: true,
+  }, // Dịch vụ của hóa đơn
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  }, // Khách được hoàn tiền
+  paidAmount: { type: Number, required: true, min: 0 }, // Số tiền đã thanh toán
+  penaltyPercent: { type: Number, required: true, min: 0, max: 100 }, // % bị phạt
+  penaltyAmount: { type: Number, required: true, min: 0 }, // Số tiền bị phạt
+  refundAmount: { type: Number, required: true, min: 0 }, // Số tiền được hoàn
+  daysBeforeCheckIn: { type: Number }, // Số ngày trước ngày nhận phòng khi hủy
+  reason: { type: String, default: "" }, // Lý do áp dụng mức hoàn
+  policy: { type: mongoose.Schema.Types.Mixed }, // Chính sách hủy tại thời điểm hủy
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }, // Người hủy (trống nếu do hệ thống)
+  status: {
+    type: String,
+    enum: ["pending", "processed", "failed"],
+    default: "pending",
+  }, // Trạng thái hoàn tiền qua cổng thanh toán
+  payments: [
+    {
+      paymentID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payment",
+      }, // Giao dịch được hoàn
+      amount: { type: Number }, // Số tiền hoàn trên giao dịch
+      _id: false,
+    },
+  ],
+  failureReason: { type: String }, // Lỗi khi hoàn tiền qua cổng
+  createdAt: { type: Date, default: Date.now }, // Thời điểm tạo
+  processedAt: { type: Date }, // Thời điểm hoàn tiền xong
+});
+
+module.exports = mongoose.model("Refund", refundSchema);
@@ -36,4 +36,6 @@ const restaurantSchema = new mongoose.Schema({
   }, // Loại nhà hàng
 });
 
+restaurantSchema.index({ serviceID: 1 });
+
 module.exports = mongoose.model("Restaurant", restaurantSchema);
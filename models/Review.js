@@ -1,5 +1,43 @@
 const mongoose = require("mongoose");
 
+const REVIEW_STATUSES = ["published", "pending", "hidden"];
+const FLAG_REASONS = ["spam", "offensive", "fake", "irrelevant", "other"];
+
+// Báo cáo vi phạm của khách
+const flagSchema = new mongoose.Schema(
+  {
+    userID: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // Người báo cáo
+    reason: { type: String, enum: FLAG_REASONS, required: true }, // Lý do
+    note: { type: String, default: "", maxlength: 500 }, // Ghi chú thêm
+    resolved: { type: Boolean, default: false }, // Admin đã xử lý
+    createdAt: { type: Date, default: Date.now }, // Thời điểm báo cáo
+  },
+  { _id: false }
+);
+
+// Lịch sử kiểm duyệt
+const moderationEntrySchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ["hold", "approve", "hide"], required: true }, // Hành động
+    reason: { type: String, default: "" }, // Lý do
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Người thực hiện (trống: hệ thống)
+    role: { type: String }, // Vai trò người thực hiện
+    createdAt: { type: Date, default: Date.now }, // Thời điểm
+  },
+  { _id: false }
+);
+
+// Phản hồi công khai của Provider
+const responseSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, maxlength: 2000 }, // Nội dung phản hồi
+    respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Người phản hồi
+    respondedAt: { type: Date, default: Date.now }, // Thời điểm phản hồi
+    updatedAt: { type: Date }, // Lần sửa gần nhất
+  },
+  { _id: false }
+);
+
 const reviewSchema = new mongoose.Schema({
   reviewID: { type: String, required: true, unique: true }, // ID đánh giá
   userID: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // ID user
@@ -7,12 +45,66 @@ const reviewSchema = new mongoose.Schema({
   negativeComment: { type: String, default: "" }, // Nhận xét tiêu cực
   stars: { type: Number, required: true, min: 1, max: 5 }, // Số sao (1-5)
   date: { type: Date, default: Date.now }, // Ngày đánh giá
+  updatedAt: { type: Date }, // Lần sửa gần nhất
   targetID: {
     type: mongoose.Schema.Types.ObjectId,
     refPath: "targetModel",
     required: true,
-  }, // ID Room hoặc Table
-  
+  }, // ID Room, Table hoặc Service (quán cà phê)
+  targetModel: {
+    type: String,
+    enum: ["Room", "Table", "Service"],
+  }, // Model của targetID
+  serviceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Service",
+  }, // Dịch vụ được đánh giá
+  invoiceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    unique: true,
+    sparse: true,
+  }, // Hóa đơn đã sử dụng, mỗi hóa đơn chỉ một đánh giá
+  verified: { type: Boolean, default: false }, // Đánh giá từ khách đã lưu trú/sử dụng
+  aspectScores: {
+    type: Map,
+    of: { type: Number, min: 1, max: 5 },
+    default: undefined,
+  }, // Điểm theo tiêu chí (1-5), tiêu chí tùy loại dịch vụ
+  travellerType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Suitability",
+  }, // Loại khách (gia đình, cặp đôi, bạn bè...)
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: "published",
+  }, // published: hiển thị, pending: chờ duyệt, hidden: đã ẩn
+  moderationHistory: { type: [moderationEntrySchema], default: [] }, // Lịch sử kiểm duyệt
+  flags: { type: [flagSchema], default: [] }, // Báo cáo vi phạm
+  openFlagCount: { type: Number, default: 0, min: 0 }, // Số báo cáo chưa xử lý
+  response: { type: responseSchema }, // Phản hồi của Provider
+  pictures: [
+    {
+      type: String, // Đường dẫn ảnh
+    },
+  ], // Ảnh khách đăng kèm đánh giá
 });
 
+/**
+ * Điều kiện lọc đánh giá được hiển thị công khai và tính vào điểm
+ * (đánh giá cũ chưa có status coi như đã hiển thị)
+ * @returns {Object}
+ */
+reviewSchema.statics.visibleFilter = function () {
+  return { status: { $nin: ["pending", "hidden"] } };
+};
+
+// Lọc đánh giá trên trang dịch vụ
+reviewSchema.index({ serviceID: 1, date: -1 });
+reviewSchema.index({ serviceID: 1, travellerType: 1, date: -1 });
+// Hàng đợi kiểm duyệt
+reviewSchema.index({ status: 1, date: 1 });
+reviewSchema.index({ openFlagCount: -1, date: 1 });
+
 module.exports = mongoose.model("Review", reviewSchema);
@@ -1,5 +1,35 @@
 const mongoose = require("mongoose");
 
+// Giá riêng theo khoảng ngày và/hoặc thứ trong tuần (Tết, cuối tuần, mùa cao điểm...)
+const rateOverrideSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Tên mức giá, ví dụ "Tết", "Cuối tuần"
+  startDate: { type: Date }, // Ngày bắt đầu áp dụng (trống: không giới hạn)
+  endDate: { type: Date }, // Ngày kết thúc áp dụng, tính cả ngày này
+  weekdays: [{ type: Number, min: 0, max: 6 }], // 0 = Chủ nhật; trống: mọi ngày
+  price: { type: Number, min: 0 }, // Giá cố định một đêm
+  adjustmentPercent: { type: Number, min: -100 }, // Hoặc tăng/giảm % so với giá gốc
+  priority: { type: Number, default: 0 }, // Ưu tiên cao hơn được áp dụng khi trùng
+});
+
+// Lịch ICS nhập từ nền tảng khác (Airbnb, Booking...), các ngày trong lịch bị ngừng bán
+const icalImportSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Tên nguồn, ví dụ "Airbnb"
+  url: { type: String }, // Địa chỉ lịch, trống nếu nhập từ file (không đồng bộ lại)
+  blockedDates: [{ type: Date }], // Các đêm đang bị chặn theo lịch này
+  conflicts: [
+    {
+      date: { type: Date }, // Đêm bị trùng
+      booked: { type: Number }, // Số phòng đã đặt trên hệ thống đêm đó
+      summary: { type: String }, // Tiêu đề sự kiện bên ngoài
+      _id: false,
+    },
+  ], // Đêm bên ngoài đã chặn nhưng trên hệ thống đã có người đặt
+  eventsCount: { type: Number, default: 0 }, // Số sự kiện đọc được lần gần nhất
+  lastSyncedAt: { type: Date }, // Lần đồng bộ gần nhất
+  lastStatus: { type: String, enum: ["ok", "error"] }, // Kết quả lần gần nhất
+  lastError: { type: String, default: "" }, // Lỗi lần gần nhất
+});
+
 const roomSchema = new mongoose.Schema({
   roomID: {
     type: String,
@@ -68,8 +98,49 @@ const roomSchema = new mongoose.Schema({
         required: true,
         min: 0,
       }, // Số lượng phòng trống cho ngày này
+      closed: {
+        type: Boolean,
+        default: false,
+      }, // Ngừng bán ngày này (vẫn giữ số phòng trống)
+      closedByIcal: {
+        type: Boolean,
+        default: false,
+      }, // Ngừng bán do lịch nhập (không phải Provider), đồng bộ được phép mở lại
     },
-  ], // Mảng các đối tượng {date, availableRooms}
+  ], // Mảng các đối tượng {date, availableRooms, closed, closedByIcal}
+  calendar: {
+    autoExtend: {
+      type: Boolean,
+      default: false,
+    }, // Tự động mở bán thêm ngày mới mỗi ngày
+    horizonDays: {
+      type: Number,
+      default: 365,
+      min: 1,
+      max: 730,
+    }, // Luôn giữ lịch mở bán bao nhiêu ngày tính từ hôm nay
+    defaultRooms: {
+      type: Number,
+      default: 0,
+      min: 0,
+    }, // Số phòng mở bán cho ngày được thêm tự động
+  }, // Thiết lập lịch phòng trống
+  icalExportToken: {
+    type: String,
+    select: false,
+  }, // Khóa bí mật của đường dẫn xuất lịch ICS
+  icalImports: {
+    type: [icalImportSchema],
+    default: [],
+  }, // Các lịch ICS được nhập
+  rateOverrides: {
+    type: [rateOverrideSchema],
+    default: [],
+  }, // Các mức giá riêng theo ngày
 });
 
+roomSchema.index({ hotelID: 1, active: 1 });
+roomSchema.index({ "calendar.autoExtend": 1 });
+roomSchema.index({ "icalImports.url": 1 });
+
 module.exports = mongoose.model("Room", roomSchema);
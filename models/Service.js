@@ -1,5 +1,54 @@
 const mongoose = require("mongoose");
 
+// Mức phạt khi hủy trong một khoảng thời gian trước ngày nhận phòng
+const penaltyWindowSchema = new mongoose.Schema(
+  {
+    daysBefore: { type: Number, required: true, min: 0 }, // Hủy trước ít nhất N ngày
+    penaltyPercent: { type: Number, required: true, min: 0, max: 100 }, // % tiền bị phạt
+  },
+  { _id: false }
+);
+
+// Chính sách hủy của dịch vụ
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    refundable: { type: Boolean, default: true }, // false: không hoàn tiền
+    freeCancellationDays: { type: Number, default: 0, min: 0 }, // Hủy miễn phí nếu trước ít nhất N ngày
+    penalties: { type: [penaltyWindowSchema], default: [] }, // Các mức phạt khi hủy muộn hơn
+    description: { type: String, default: "" }, // Mô tả hiển thị cho khách
+  },
+  { _id: false }
+);
+
+// Điểm trung bình của một tiêu chí đánh giá
+const aspectSummarySchema = new mongoose.Schema(
+  {
+    total: { type: Number, default: 0 }, // Tổng điểm
+    count: { type: Number, default: 0 }, // Số đánh giá có chấm tiêu chí này
+    average: { type: Number, default: 0 }, // Điểm trung bình
+  },
+  { _id: false }
+);
+
+// Tổng hợp đánh giá, do ratingSummaryService cập nhật khi đánh giá thay đổi
+const ratingSummarySchema = new mongoose.Schema(
+  {
+    average: { type: Number, default: 0 }, // Số sao trung bình (làm tròn 1 chữ số)
+    count: { type: Number, default: 0 }, // Số đánh giá
+    totalStars: { type: Number, default: 0 }, // Tổng số sao
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    }, // Số đánh giá theo từng mức sao
+    aspects: { type: Map, of: aspectSummarySchema, default: {} }, // Điểm theo tiêu chí
+    updatedAt: { type: Date }, // Lần cập nhật gần nhất
+  },
+  { _id: false }
+);
+
 const serviceSchema = new mongoose.Schema({
   serviceID: {
     type: String,
@@ -70,7 +119,37 @@ const serviceSchema = new mongoose.Schema({
       required: true,
     },
   ],
+  cancellationPolicy: {
+    type: cancellationPolicySchema,
+    default: () => ({}),
+  }, // Chính sách hủy
+  ratingSummary: {
+    type: ratingSummarySchema,
+    default: () => ({}),
+  }, // Tổng hợp đánh giá
+  // Các trường tìm kiếm đã bỏ dấu, do searchIndexService cập nhật
+  searchName: { type: String, select: false }, // Tên dịch vụ
+  searchLocation: { type: String, select: false }, // Tên địa điểm
+  searchDescription: { type: String, select: false }, // Mô tả
+  searchTrigrams: { type: [String], select: false }, // Trigram của tên và địa điểm
   createdAt: { type: Date, default: Date.now }, // Ngày tạo
 });
 
+// Index phục vụ tìm kiếm chung (GET /api/search)
+serviceSchema.index({ status: 1, type: 1, createdAt: -1 });
+serviceSchema.index({ locationID: 1 });
+serviceSchema.index({ facilities: 1 });
+serviceSchema.index({ priceCategories: 1 });
+serviceSchema.index({ suitability: 1 });
+serviceSchema.index({ searchTrigrams: 1 });
+serviceSchema.index({ "ratingSummary.average": -1, "ratingSummary.count": -1 });
+serviceSchema.index(
+  { searchName: "text", searchLocation: "text", searchDescription: "text" },
+  {
+    name: "service_search_text",
+    default_language: "none",
+    weights: { searchName: 10, searchLocation: 5, searchDescription: 1 },
+  }
+);
+
 module.exports = mongoose.model("Service", serviceSchema);
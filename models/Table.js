@@ -48,6 +48,33 @@ const tableSchema = new mongoose.Schema({
       ref: "Facility", // Tham chiếu tới bảng Facility
     },
   ], // Mảng tiện ích liên quan đến Table
+  seats: {
+    type: Number,
+    default: 4,
+    min: 1,
+  }, // Số chỗ ngồi tối đa
+  openingTime: {
+    type: String,
+    default: "10:00",
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  }, // Giờ bắt đầu nhận khách (HH:mm)
+  closingTime: {
+    type: String,
+    default: "22:00",
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  }, // Giờ kết thúc phục vụ (HH:mm)
+  slotMinutes: {
+    type: Number,
+    default: 120,
+    min: 15,
+  }, // Thời lượng một lượt đặt bàn (phút)
+  reservationSeq: {
+    type: Number,
+    default: 0,
+  }, // Tăng mỗi lần đặt bàn để tuần tự hóa các transaction đặt cùng bàn
 });
 
+tableSchema.index({ restaurantID: 1, active: 1, seats: 1 });
+tableSchema.index({ active: 1, seats: 1 });
+
 module.exports = mongoose.model("Table", tableSchema);
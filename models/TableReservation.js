@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Lượt đặt bàn theo khung giờ, dùng để chống đặt trùng
+const tableReservationSchema = new mongoose.Schema({
+  tableID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Table",
+    required: true,
+  }, // Bàn được đặt
+  restaurantID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+  }, // Nhà hàng của bàn
+  invoiceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    required: true,
+    unique: true,
+  }, // Hóa đơn của lượt đặt
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  }, // Khách đặt bàn
+  date: { type: Date, required: true }, // Ngày đặt (00:00 UTC)
+  arrivalTime: { type: String, required: true }, // Giờ đến (HH:mm)
+  start: { type: Date, required: true }, // Bắt đầu khung giờ
+  end: { type: Date, required: true }, // Kết thúc khung giờ
+  adults: { type: Number, required: true, min: 1 }, // Số người lớn
+  children: { type: Number, default: 0, min: 0 }, // Số trẻ em
+  status: {
+    type: String,
+    enum: ["booked", "cancelled"],
+    default: "booked",
+  }, // Trạng thái lượt đặt
+  createdAt: { type: Date, default: Date.now }, // Thời điểm đặt
+  cancelledAt: { type: Date }, // Thời điểm hủy
+});
+
+tableReservationSchema.index({ tableID: 1, status: 1, start: 1, end: 1 });
+tableReservationSchema.index({ restaurantID: 1, date: 1, status: 1 });
+
+module.exports = mongoose.model("TableReservation", tableReservationSchema);
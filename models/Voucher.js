@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const voucherSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  }, // Mã khuyến mãi
+  description: { type: String, default: "" }, // Mô tả
+  providerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Provider",
+  }, // Provider phát hành (trống: mã toàn hệ thống do Admin tạo)
+  discountType: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    required: true,
+  }, // Giảm theo % hoặc số tiền cố định
+  discountValue: { type: Number, required: true, min: 0 }, // Giá trị giảm
+  maxDiscount: { type: Number, min: 0 }, // Mức giảm tối đa (cho loại %)
+  minSpend: { type: Number, default: 0, min: 0 }, // Giá trị đơn tối thiểu
+  startDate: { type: Date, required: true }, // Ngày bắt đầu hiệu lực
+  endDate: { type: Date, required: true }, // Ngày hết hiệu lực
+  usageLimit: { type: Number, min: 1 }, // Tổng số lượt dùng (trống: không giới hạn)
+  perUserLimit: { type: Number, default: 1, min: 1 }, // Số lượt mỗi khách
+  usedCount: { type: Number, default: 0, min: 0 }, // Số lượt đã dùng
+  serviceTypes: [
+    {
+      type: String,
+      enum: ["hotel", "restaurant", "cafe"],
+    },
+  ], // Loại dịch vụ áp dụng (trống: tất cả)
+  active: { type: Boolean, default: true }, // Trạng thái hoạt động
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }, // Người tạo
+  createdAt: { type: Date, default: Date.now }, // Ngày tạo
+});
+
+module.exports = mongoose.model("Voucher", voucherSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Lượt sử dụng mã khuyến mãi trên một hóa đơn
+const voucherRedemptionSchema = new mongoose.Schema({
+  voucherID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Voucher",
+    required: true,
+  }, // Mã khuyến mãi
+  code: { type: String, required: true }, // Mã tại thời điểm dùng
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  }, // Khách sử dụng
+  invoiceID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    required: true,
+    unique: true,
+  }, // Hóa đơn áp dụng
+  discountAmount: { type: Number, required: true, min: 0 }, // Số tiền được giảm
+  status: {
+    type: String,
+    enum: ["applied", "released"],
+    default: "applied",
+  }, // released: hóa đơn bị hủy, trả lại lượt dùng
+  createdAt: { type: Date, default: Date.now }, // Thời điểm áp dụng
+  releasedAt: { type: Date }, // Thời điểm trả lại lượt dùng
+});
+
+voucherRedemptionSchema.index({ voucherID: 1, userID: 1, status: 1 });
+
+module.exports = mongoose.model("VoucherRedemption", voucherRedemptionSchema);
@@ -0,0 +1,41 @@
+const createHttpError = require("../utils/httpError");
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Gửi request JSON tới cổng thanh toán
+ * @param {String} url - Địa chỉ API
+ * @param {Object} body - Dữ liệu gửi đi
+ * @returns {Object} - Dữ liệu JSON trả về
+ */
+const postJson = async (url, body) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw createHttpError(502, `Không kết nối được cổng thanh toán: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    throw createHttpError(
+      502,
+      `Cổng thanh toán trả về lỗi HTTP ${response.status}`
+    );
+  }
+  return await response.json();
+};
+
+/**
+ * Địa chỉ gốc của server, dùng để dựng URL callback
+ * @returns {String}
+ */
+const getCallbackBaseUrl = () =>
+  process.env.PAYMENT_CALLBACK_BASE_URL ||
+  `http://localhost:${process.env.PORT || 5000}`;
+
+module.exports = { postJson, getCallbackBaseUrl };
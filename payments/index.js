@@ -0,0 +1,86 @@
+const createHttpError = require("../utils/httpError");
+const { isSandboxEnabled } = require("./sandboxMode");
+const mockAdapter = require("./mockAdapter");
+const vnpayAdapter = require("./vnpayAdapter");
+const momoAdapter = require("./momoAdapter");
+
+/**
+ * Danh sách cổng thanh toán. Mỗi adapter cần có:
+ * - requiredEnv: các biến môi trường cần đặt để bật cổng (mã merchant, khóa bí mật)
+ * - createPaymentIntent({ payment, returnUrl, ipAddr }) -> { redirectUrl, providerRef?, raw? }
+ * - confirmPayment({ payment, payload }) -> { paymentID, status, amount, providerRef, raw }
+ * - refund({ payment, amount, reason, createdBy }) -> { status, providerRef, raw }
+ * - verifyWebhook(payload) -> { valid, paymentID, status, amount, providerRef, raw }
+ * - acknowledge({ code, message }) -> { status, body } phản hồi cho webhook
+ */
+const gatewayAdapters = [vnpayAdapter, momoAdapter];
+
+/**
+ * Cổng thật được bật khi đã đặt đủ biến môi trường của cổng đó
+ * @param {Object} adapter - Adapter
+ * @returns {Boolean}
+ */
+const isConfigured = (adapter) =>
+  adapter.requiredEnv.every((key) => process.env[key]);
+
+/**
+ * Các adapter đang dùng được: sandbox bật thì mọi cổng chạy giả lập (kể cả mock),
+ * ngược lại chỉ các cổng thật đã cấu hình
+ * @returns {Object} - { tên cổng: adapter }
+ */
+const getAdapters = () => {
+  const adapters = isSandboxEnabled()
+    ? [mockAdapter, ...gatewayAdapters]
+    : gatewayAdapters.filter(isConfigured);
+  return Object.fromEntries(adapters.map((adapter) => [adapter.name, adapter]));
+};
+
+/**
+ * Danh sách tên cổng thanh toán đang dùng được
+ * @returns {Array<String>}
+ */
+const getPaymentProviders = () => Object.keys(getAdapters());
+
+/**
+ * Lấy adapter theo tên cổng thanh toán
+ * @param {String} name - Tên cổng
+ * @returns {Object} - Adapter
+ */
+const getPaymentAdapter = (name) => {
+  const adapter = getAdapters()[name];
+  if (!adapter) {
+    throw createHttpError(400, `Cổng thanh toán không được hỗ trợ: ${name}`);
+  }
+  return adapter;
+};
+
+/**
+ * Kiểm tra cấu hình cổng thanh toán khi khởi động, throw nếu:
+ * - bật sandbox trong khi đã đặt thông tin cổng thật
+ * - một cổng chỉ được cấu hình một phần
+ */
+const assertPaymentConfig = () => {
+  const configuredKeys = gatewayAdapters
+    .flatMap((adapter) => adapter.requiredEnv)
+    .filter((key) => process.env[key]);
+
+  if (isSandboxEnabled()) {
+    if (configuredKeys.length) {
+      throw new Error(
+        `PAYMENT_SANDBOX=true không được dùng cùng thông tin cổng thật: ${configuredKeys.join(", ")}`
+      );
+    }
+    return;
+  }
+
+  for (const adapter of gatewayAdapters) {
+    const missing = adapter.requiredEnv.filter((key) => !process.env[key]);
+    if (missing.length && missing.length < adapter.requiredEnv.length) {
+      throw new Error(
+        `Thiếu cấu hình cổng thanh toán ${adapter.name}: ${missing.join(", ")}`
+      );
+    }
+  }
+};
+
+module.exports = { getPaymentProviders, getPaymentAdapter, assertPaymentConfig };
@@ -0,0 +1,94 @@
+const { hmac, safeEqual } = require("./signature");
+const { getSandboxSecret, getSandboxUrl } = require("./sandboxMode");
+
+// Cổng thanh toán giả lập, chạy hoàn toàn offline cho môi trường dev/test,
+// chỉ dùng được khi bật sandbox
+
+const getSecret = () => getSandboxSecret("mock");
+
+/**
+ * Ký payload webhook của cổng giả lập
+ * @param {Object} payload - { paymentID, amount, outcome }
+ * @returns {String} - Chữ ký
+ */
+const sign = ({ paymentID, amount, outcome }) =>
+  hmac("sha256", getSecret(), `${paymentID}|${amount}|${outcome}`);
+
+/**
+ * Tạo yêu cầu thanh toán; trang thanh toán giả lập chỉ nhận URL có chữ ký này
+ * @param {Object} params - { payment }
+ * @returns {Object} - { redirectUrl, providerRef }
+ */
+const createPaymentIntent = async ({ payment }) => {
+  const query = new URLSearchParams({
+    paymentID: payment.paymentID,
+    signature: sign({
+      paymentID: payment.paymentID,
+      amount: payment.amount,
+      outcome: "pay",
+    }),
+  });
+  return {
+    redirectUrl: `${getSandboxUrl("mock/pay")}?${query}`,
+    providerRef: `MOCK-${payment.paymentID}`,
+  };
+};
+
+/**
+ * Xác nhận thanh toán trực tiếp (không qua redirect)
+ * @param {Object} params - { payment, payload: { outcome } }
+ * @returns {Object} - Kết quả thanh toán
+ */
+const confirmPayment = async ({ payment, payload = {} }) => ({
+  paymentID: payment.paymentID,
+  status: payload.outcome === "fail" ? "failed" : "succeeded",
+  amount: payment.amount,
+  providerRef: payment.providerRef || `MOCK-${payment.paymentID}`,
+  raw: payload,
+});
+
+/**
+ * Hoàn tiền
+ * @param {Object} params - { payment, amount }
+ * @returns {Object} - { status, providerRef }
+ */
+const refund = async ({ payment, amount }) => ({
+  status: "succeeded",
+  providerRef: `MOCK-RF-${payment.paymentID}-${Date.now()}`,
+  raw: { amount },
+});
+
+/**
+ * Kiểm tra chữ ký webhook
+ * @param {Object} payload - { paymentID, amount, outcome, signature }
+ * @returns {Object} - Kết quả thanh toán kèm cờ valid
+ */
+const verifyWebhook = (payload = {}) => ({
+  valid: safeEqual(sign(payload), payload.signature),
+  paymentID: payload.paymentID,
+  status: payload.outcome === "success" ? "succeeded" : "failed",
+  amount: Number(payload.amount),
+  providerRef: `MOCK-${payload.paymentID}`,
+  raw: payload,
+});
+
+/**
+ * Nội dung phản hồi cho webhook
+ * @param {Object} result - { code, message }
+ * @returns {Object} - { status, body }
+ */
+const acknowledge = ({ code, message }) => ({
+  status: code === "00" ? 200 : 400,
+  body: { code, message },
+});
+
+module.exports = {
+  name: "mock",
+  requiredEnv: [],
+  sign,
+  createPaymentIntent,
+  confirmPayment,
+  refund,
+  verifyWebhook,
+  acknowledge,
+};
@@ -0,0 +1,193 @@
+const { hmac, safeEqual } = require("./signature");
+const { postJson, getCallbackBaseUrl } = require("./http");
+const createHttpError = require("../utils/httpError");
+const {
+  isSandboxEnabled,
+  getSandboxSecret,
+  getSandboxUrl,
+} = require("./sandboxMode");
+
+// Cổng MoMo: tạo payUrl qua API có chữ ký HMAC SHA256 và IPN dạng POST JSON
+
+const getConfig = () => {
+  const callbacks = {
+    redirectUrl:
+      process.env.MOMO_REDIRECT_URL ||
+      `${getCallbackBaseUrl()}/api/payments/return/momo`,
+    ipnUrl:
+      process.env.MOMO_IPN_URL || `${getCallbackBaseUrl()}/api/payments/ipn/momo`,
+  };
+
+  // Sandbox dùng khóa tạm và cổng giả lập tại chỗ
+  if (isSandboxEnabled()) {
+    return {
+      partnerCode: "MOMODEMO",
+      accessKey: "momo-sandbox-access-key",
+      secretKey: getSandboxSecret("momo"),
+      endpoint: getSandboxUrl("momo"),
+      ...callbacks,
+    };
+  }
+  return {
+    partnerCode: process.env.MOMO_PARTNER_CODE,
+    accessKey: process.env.MOMO_ACCESS_KEY,
+    secretKey: process.env.MOMO_SECRET_KEY,
+    endpoint:
+      process.env.MOMO_ENDPOINT || "https://test-payment.momo.vn/v2/gateway/api",
+    ...callbacks,
+  };
+};
+
+/**
+ * Ký chuỗi "key=value&..." theo đúng thứ tự khóa MoMo quy định
+ * @param {Array<String>} keys - Danh sách khóa theo thứ tự
+ * @param {Object} data - Dữ liệu (accessKey được điền tự động)
+ * @returns {String} - Chữ ký
+ */
+const sign = (keys, data) => {
+  const config = getConfig();
+  const values = { ...data, accessKey: config.accessKey };
+  const raw = keys.map((key) => `${key}=${values[key] ?? ""}`).join("&");
+  return hmac("sha256", config.secretKey, raw);
+};
+
+const CREATE_KEYS = [
+  "accessKey",
+  "amount",
+  "extraData",
+  "ipnUrl",
+  "orderId",
+  "orderInfo",
+  "partnerCode",
+  "redirectUrl",
+  "requestId",
+  "requestType",
+];
+
+const IPN_KEYS = [
+  "accessKey",
+  "amount",
+  "extraData",
+  "message",
+  "orderId",
+  "orderInfo",
+  "orderType",
+  "partnerCode",
+  "payType",
+  "requestId",
+  "responseTime",
+  "resultCode",
+  "transId",
+];
+
+const REFUND_KEYS = [
+  "accessKey",
+  "amount",
+  "description",
+  "orderId",
+  "partnerCode",
+  "requestId",
+  "transId",
+];
+
+/**
+ * Tạo payUrl MoMo
+ * @param {Object} params - { payment, returnUrl }
+ * @returns {Object} - { redirectUrl, raw }
+ */
+const createPaymentIntent = async ({ payment, returnUrl }) => {
+  const config = getConfig();
+  const request = {
+    partnerCode: config.partnerCode,
+    requestId: `${payment.paymentID}-${Date.now()}`,
+    amount: Math.round(payment.amount),
+    orderId: payment.paymentID,
+    orderInfo: `Thanh toan hoa don ${payment.paymentID}`,
+    redirectUrl: returnUrl || config.redirectUrl,
+    ipnUrl: config.ipnUrl,
+    requestType: "captureWallet",
+    extraData: "",
+    lang: "vi",
+  };
+  request.signature = sign(CREATE_KEYS, request);
+
+  const response = await postJson(`${config.endpoint}/create`, request);
+  if (Number(response.resultCode) !== 0 || !response.payUrl) {
+    throw createHttpError(
+      502,
+      `MoMo từ chối tạo thanh toán: ${response.message || response.resultCode}`
+    );
+  }
+  return { redirectUrl: response.payUrl, raw: response };
+};
+
+/**
+ * MoMo chỉ xác nhận qua IPN, không hỗ trợ xác nhận trực tiếp
+ */
+const confirmPayment = async () => {
+  throw createHttpError(400, "MoMo chỉ xác nhận thanh toán qua IPN.");
+};
+
+/**
+ * Kiểm tra chữ ký IPN / redirect
+ * @param {Object} body - Dữ liệu MoMo gửi về
+ * @returns {Object} - Kết quả thanh toán kèm cờ valid
+ */
+const verifyWebhook = (body = {}) => ({
+  valid:
+    body.partnerCode === getConfig().partnerCode &&
+    safeEqual(sign(IPN_KEYS, body), body.signature),
+  paymentID: body.orderId,
+  status: Number(body.resultCode) === 0 ? "succeeded" : "failed",
+  amount: Number(body.amount),
+  providerRef: body.transId !== undefined ? String(body.transId) : undefined,
+  raw: body,
+});
+
+/**
+ * Hoàn tiền qua API MoMo
+ * @param {Object} params - { payment, amount, reason }
+ * @returns {Object} - { status, providerRef, raw }
+ */
+const refund = async ({ payment, amount, reason }) => {
+  const config = getConfig();
+  const request = {
+    partnerCode: config.partnerCode,
+    orderId: `${payment.paymentID}-RF-${Date.now()}`,
+    requestId: `${payment.paymentID}-RF-${Date.now()}`,
+    amount: Math.round(amount),
+    transId: payment.providerRef,
+    lang: "vi",
+    description: reason || "",
+  };
+  request.signature = sign(REFUND_KEYS, request);
+
+  const response = await postJson(`${config.endpoint}/refund`, request);
+  return {
+    status: Number(response.resultCode) === 0 ? "succeeded" : "failed",
+    providerRef:
+      response.transId !== undefined ? String(response.transId) : undefined,
+    raw: response,
+  };
+};
+
+/**
+ * MoMo chỉ cần HTTP 204 cho IPN
+ * @returns {Object} - { status, body }
+ */
+const acknowledge = () => ({ status: 204, body: null });
+
+module.exports = {
+  name: "momo",
+  requiredEnv: ["MOMO_PARTNER_CODE", "MOMO_ACCESS_KEY", "MOMO_SECRET_KEY"],
+  CREATE_KEYS,
+  IPN_KEYS,
+  REFUND_KEYS,
+  getConfig,
+  sign,
+  createPaymentIntent,
+  confirmPayment,
+  verifyWebhook,
+  refund,
+  acknowledge,
+};
@@ -0,0 +1,179 @@
+const createHttpError = require("../utils/httpError");
+const { safeEqual } = require("./signature");
+const { isSandboxEnabled, getSandboxUrl } = require("./sandboxMode");
+const mockAdapter = require("./mockAdapter");
+const vnpayAdapter = require("./vnpayAdapter");
+const momoAdapter = require("./momoAdapter");
+
+// Cổng thanh toán giả lập tại chỗ: đóng vai VNPay/MoMo để chạy thử luồng
+// redirect + IPN mà không cần mạng. Bật bằng PAYMENT_SANDBOX=true; khi đó
+// các adapter tự trỏ về /api/payments/sandbox/... và ký bằng khóa tạm.
+// Trang thanh toán chỉ nhận URL có chữ ký do chính server cấp khi tạo giao dịch.
+
+// Các khóa MoMo ký trên payUrl giả lập
+const MOMO_PAY_KEYS = ["amount", "orderId", "orderInfo", "redirectUrl", "requestId"];
+
+const randomTransNo = () =>
+  `${Date.now()}`.slice(-8) + Math.floor(Math.random() * 100);
+
+/**
+ * Dựng payload webhook đã ký cho cổng giả lập
+ * @param {Object} payment - Payment
+ * @param {Object} query - { signature } từ URL thanh toán
+ * @param {Boolean} success - Thanh toán thành công hay không
+ * @returns {Object}
+ */
+const mockCallback = (payment, query, success) => {
+  const expected = mockAdapter.sign({
+    paymentID: payment.paymentID,
+    amount: payment.amount,
+    outcome: "pay",
+  });
+  if (!safeEqual(expected, query.signature)) {
+    throw createHttpError(400, "Sai chữ ký yêu cầu thanh toán.");
+  }
+
+  const payload = {
+    paymentID: payment.paymentID,
+    amount: payment.amount,
+    outcome: success ? "success" : "fail",
+  };
+  return { ...payload, signature: mockAdapter.sign(payload) };
+};
+
+/**
+ * Nhận redirect thanh toán VNPay và dựng tham số IPN đã ký
+ * @param {Object} query - Tham số vnp_* từ URL thanh toán
+ * @param {Boolean} success - Thanh toán thành công hay không
+ * @returns {Object} - { returnUrl, params }
+ */
+const vnpayCallback = (query, success) => {
+  const { vnp_SecureHash, vnp_SecureHashType, outcome, ...request } = query;
+  if (!safeEqual(vnpayAdapter.sign(request), vnp_SecureHash)) {
+    throw createHttpError(400, "Sai chữ ký yêu cầu thanh toán VNPay.");
+  }
+
+  const params = {
+    vnp_TmnCode: request.vnp_TmnCode,
+    vnp_Amount: request.vnp_Amount,
+    vnp_BankCode: "NCB",
+    vnp_CardType: "ATM",
+    vnp_OrderInfo: request.vnp_OrderInfo,
+    vnp_PayDate: vnpayAdapter.formatDate(new Date()),
+    vnp_ResponseCode: success ? "00" : "24",
+    vnp_TransactionNo: randomTransNo(),
+    vnp_TransactionStatus: success ? "00" : "02",
+    vnp_TxnRef: request.vnp_TxnRef,
+  };
+  params.vnp_SecureHash = vnpayAdapter.sign(params);
+
+  return { returnUrl: request.vnp_ReturnUrl, params };
+};
+
+/**
+ * Giả lập API hoàn tiền VNPay
+ * @param {Object} body - Yêu cầu hoàn tiền
+ * @returns {Object}
+ */
+const vnpayRefund = (body) => ({
+  vnp_ResponseId: `${Date.now()}`,
+  vnp_Command: "refund",
+  vnp_ResponseCode: "00",
+  vnp_Message: "Refund success",
+  vnp_TmnCode: body.vnp_TmnCode,
+  vnp_TxnRef: body.vnp_TxnRef,
+  vnp_Amount: body.vnp_Amount,
+  vnp_TransactionNo: randomTransNo(),
+});
+
+/**
+ * Giả lập API tạo thanh toán MoMo
+ * @param {Object} body - Yêu cầu tạo thanh toán
+ * @returns {Object}
+ */
+const momoCreate = (body) => {
+  if (momoAdapter.sign(momoAdapter.CREATE_KEYS, body) !== body.signature) {
+    return { resultCode: 11, message: "Sai chữ ký" };
+  }
+
+  const params = {
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: body.amount,
+    orderInfo: body.orderInfo,
+    redirectUrl: body.redirectUrl,
+  };
+  const query = new URLSearchParams({
+    ...params,
+    signature: momoAdapter.sign(MOMO_PAY_KEYS, params),
+  });
+  return {
+    partnerCode: body.partnerCode,
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: body.amount,
+    resultCode: 0,
+    message: "Thành công.",
+    payUrl: `${getSandboxUrl("momo/pay")}?${query}`,
+  };
+};
+
+/**
+ * Nhận redirect thanh toán MoMo và dựng dữ liệu IPN đã ký
+ * @param {Object} query - { orderId, requestId, amount, orderInfo, redirectUrl, signature }
+ * @param {Boolean} success - Thanh toán thành công hay không
+ * @returns {Object} - { returnUrl, params }
+ */
+const momoCallback = (query, success) => {
+  if (!safeEqual(momoAdapter.sign(MOMO_PAY_KEYS, query), query.signature)) {
+    throw createHttpError(400, "Sai chữ ký yêu cầu thanh toán MoMo.");
+  }
+
+  const params = {
+    partnerCode: momoAdapter.getConfig().partnerCode,
+    orderId: query.orderId,
+    requestId: query.requestId,
+    amount: Number(query.amount),
+    orderInfo: query.orderInfo,
+    orderType: "momo_wallet",
+    transId: Number(randomTransNo()),
+    resultCode: success ? 0 : 1006,
+    message: success ? "Thành công." : "Giao dịch bị từ chối bởi người dùng.",
+    payType: "qr",
+    responseTime: Date.now(),
+    extraData: "",
+  };
+  params.signature = momoAdapter.sign(momoAdapter.IPN_KEYS, params);
+
+  return { returnUrl: query.redirectUrl, params };
+};
+
+/**
+ * Giả lập API hoàn tiền MoMo
+ * @param {Object} body - Yêu cầu hoàn tiền
+ * @returns {Object}
+ */
+const momoRefund = (body) => {
+  if (momoAdapter.sign(momoAdapter.REFUND_KEYS, body) !== body.signature) {
+    return { resultCode: 11, message: "Sai chữ ký" };
+  }
+  return {
+    partnerCode: body.partnerCode,
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: body.amount,
+    transId: Number(randomTransNo()),
+    resultCode: 0,
+    message: "Thành công.",
+  };
+};
+
+module.exports = {
+  isSandboxEnabled,
+  mockCallback,
+  vnpayCallback,
+  vnpayRefund,
+  momoCreate,
+  momoCallback,
+  momoRefund,
+};
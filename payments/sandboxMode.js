@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const { getCallbackBaseUrl } = require("./http");
+
+// Khóa riêng của cổng giả lập, sinh ngẫu nhiên mỗi lần khởi động,
+// không bao giờ dùng khóa thật của VNPay/MoMo
+const sandboxSecrets = {};
+
+/**
+ * Sandbox chỉ bật khi đặt PAYMENT_SANDBOX=true và không phải production
+ * @returns {Boolean}
+ */
+const isSandboxEnabled = () =>
+  process.env.NODE_ENV !== "production" &&
+  process.env.PAYMENT_SANDBOX === "true";
+
+/**
+ * Khóa tạm của một cổng khi chạy sandbox
+ * @param {String} name - Tên cổng
+ * @returns {String}
+ */
+const getSandboxSecret = (name) => {
+  if (!sandboxSecrets[name]) {
+    sandboxSecrets[name] = crypto.randomBytes(32).toString("hex");
+  }
+  return sandboxSecrets[name];
+};
+
+/**
+ * Địa chỉ API giả lập của một cổng
+ * @param {String} path - Ví dụ "vnpay/pay"
+ * @returns {String}
+ */
+const getSandboxUrl = (path) =>
+  `${getCallbackBaseUrl()}/api/payments/sandbox/${path}`;
+
+module.exports = { isSandboxEnabled, getSandboxSecret, getSandboxUrl };
@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+
+/**
+ * Ký dữ liệu bằng HMAC
+ * @param {String} algorithm - "sha256" | "sha512"
+ * @param {String} secret - Khóa bí mật
+ * @param {String} data - Chuỗi cần ký
+ * @returns {String} - Chữ ký dạng hex
+ */
+const hmac = (algorithm, secret, data) =>
+  crypto.createHmac(algorithm, secret).update(data, "utf8").digest("hex");
+
+/**
+ * So sánh chữ ký theo thời gian hằng để tránh timing attack
+ * @param {String} expected - Chữ ký tính được
+ * @param {String} actual - Chữ ký nhận được
+ * @returns {Boolean}
+ */
+const safeEqual = (expected, actual) => {
+  const a = Buffer.from(String(expected || "").toLowerCase());
+  const b = Buffer.from(String(actual || "").toLowerCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = { hmac, safeEqual };
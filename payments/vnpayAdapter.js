@@ -0,0 +1,214 @@
+const { hmac, safeEqual } = require("./signature");
+const { postJson, getCallbackBaseUrl } = require("./http");
+const createHttpError = require("../utils/httpError");
+const {
+  isSandboxEnabled,
+  getSandboxSecret,
+  getSandboxUrl,
+} = require("./sandboxMode");
+
+// Cổng VNPay: redirect có chữ ký HMAC SHA512 và IPN dạng GET
+
+const getConfig = () => {
+  const returnUrl =
+    process.env.VNPAY_RETURN_URL ||
+    `${getCallbackBaseUrl()}/api/payments/return/vnpay`;
+
+  // Sandbox dùng khóa tạm và cổng giả lập tại chỗ
+  if (isSandboxEnabled()) {
+    return {
+      tmnCode: "DEMO0001",
+      hashSecret: getSandboxSecret("vnpay"),
+      payUrl: getSandboxUrl("vnpay/pay"),
+      apiUrl: getSandboxUrl("vnpay/refund"),
+      returnUrl,
+    };
+  }
+  return {
+    tmnCode: process.env.VNPAY_TMN_CODE,
+    hashSecret: process.env.VNPAY_HASH_SECRET,
+    payUrl:
+      process.env.VNPAY_PAY_URL ||
+      "https://sandbox.vnpayment.vn/paymentv2/vpcpay.html",
+    apiUrl:
+      process.env.VNPAY_API_URL ||
+      "https://sandbox.vnpayment.vn/merchant_webapi/api/transaction",
+    returnUrl,
+  };
+};
+
+/**
+ * Định dạng ngày theo yêu cầu VNPay (yyyyMMddHHmmss, giờ Việt Nam)
+ * @param {Date} date - Ngày cần định dạng
+ * @returns {String}
+ */
+const formatDate = (date) =>
+  new Date(date.getTime() + 7 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .slice(0, 14);
+
+/**
+ * Dựng query string đã sắp xếp theo khóa, mã hóa giống thư viện mẫu VNPay
+ * @param {Object} params - Tham số vnp_*
+ * @returns {String}
+ */
+const buildQuery = (params) =>
+  Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== "")
+    .sort()
+    .map(
+      (key) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(params[key]).replace(
+          /%20/g,
+          "+"
+        )}`
+    )
+    .join("&");
+
+/**
+ * Ký tham số vnp_* (bỏ qua vnp_SecureHash và vnp_SecureHashType)
+ * @param {Object} params - Tham số vnp_*
+ * @returns {String} - Chữ ký
+ */
+const sign = (params) => {
+  const { vnp_SecureHash, vnp_SecureHashType, ...data } = params;
+  return hmac("sha512", getConfig().hashSecret, buildQuery(data));
+};
+
+/**
+ * Tạo URL thanh toán VNPay
+ * @param {Object} params - { payment, returnUrl, ipAddr }
+ * @returns {Object} - { redirectUrl }
+ */
+const createPaymentIntent = async ({ payment, returnUrl, ipAddr }) => {
+  const config = getConfig();
+  const now = new Date();
+  const params = {
+    vnp_Version: "2.1.0",
+    vnp_Command: "pay",
+    vnp_TmnCode: config.tmnCode,
+    vnp_Amount: Math.round(payment.amount * 100),
+    vnp_CurrCode: "VND",
+    vnp_TxnRef: payment.paymentID,
+    vnp_OrderInfo: `Thanh toan hoa don ${payment.paymentID}`,
+    vnp_OrderType: "other",
+    vnp_Locale: "vn",
+    vnp_ReturnUrl: returnUrl || config.returnUrl,
+    vnp_IpAddr: ipAddr || "127.0.0.1",
+    vnp_CreateDate: formatDate(now),
+    vnp_ExpireDate: formatDate(new Date(now.getTime() + 15 * 60 * 1000)),
+  };
+  params.vnp_SecureHash = sign(params);
+
+  return { redirectUrl: `${config.payUrl}?${buildQuery(params)}` };
+};
+
+/**
+ * VNPay chỉ xác nhận qua IPN, không hỗ trợ xác nhận trực tiếp
+ */
+const confirmPayment = async () => {
+  throw createHttpError(400, "VNPay chỉ xác nhận thanh toán qua IPN.");
+};
+
+/**
+ * Kiểm tra chữ ký IPN / return URL
+ * @param {Object} query - Tham số vnp_* nhận được
+ * @returns {Object} - Kết quả thanh toán kèm cờ valid
+ */
+const verifyWebhook = (query = {}) => {
+  const params = {};
+  for (const key of Object.keys(query)) {
+    if (key.startsWith("vnp_")) params[key] = query[key];
+  }
+
+  return {
+    valid:
+      params.vnp_TmnCode === getConfig().tmnCode &&
+      safeEqual(sign(params), params.vnp_SecureHash),
+    paymentID: params.vnp_TxnRef,
+    status:
+      params.vnp_ResponseCode === "00" &&
+      params.vnp_TransactionStatus === "00"
+        ? "succeeded"
+        : "failed",
+    amount: Number(params.vnp_Amount) / 100,
+    providerRef: params.vnp_TransactionNo,
+    raw: params,
+  };
+};
+
+/**
+ * Hoàn tiền qua API merchant của VNPay
+ * @param {Object} params - { payment, amount, reason, createdBy }
+ * @returns {Object} - { status, providerRef, raw }
+ */
+const refund = async ({ payment, amount, reason, createdBy }) => {
+  const config = getConfig();
+  const payDate = payment.providerData?.vnp_PayDate;
+  const request = {
+    vnp_RequestId: `${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    vnp_Version: "2.1.0",
+    vnp_Command: "refund",
+    vnp_TmnCode: config.tmnCode,
+    vnp_TransactionType: amount < payment.amount ? "03" : "02",
+    vnp_TxnRef: payment.paymentID,
+    vnp_Amount: Math.round(amount * 100),
+    vnp_TransactionNo: payment.providerRef || "",
+    vnp_TransactionDate: payDate || formatDate(payment.createdAt),
+    vnp_CreateBy: createdBy || "system",
+    vnp_CreateDate: formatDate(new Date()),
+    vnp_IpAddr: "127.0.0.1",
+    vnp_OrderInfo: reason || `Hoan tien ${payment.paymentID}`,
+  };
+  request.vnp_SecureHash = hmac(
+    "sha512",
+    config.hashSecret,
+    [
+      request.vnp_RequestId,
+      request.vnp_Version,
+      request.vnp_Command,
+      request.vnp_TmnCode,
+      request.vnp_TransactionType,
+      request.vnp_TxnRef,
+      request.vnp_Amount,
+      request.vnp_TransactionNo,
+      request.vnp_TransactionDate,
+      request.vnp_CreateBy,
+      request.vnp_CreateDate,
+      request.vnp_IpAddr,
+      request.vnp_OrderInfo,
+    ].join("|")
+  );
+
+  const response = await postJson(config.apiUrl, request);
+  return {
+    status: response.vnp_ResponseCode === "00" ? "succeeded" : "failed",
+    providerRef: response.vnp_TransactionNo,
+    raw: response,
+  };
+};
+
+/**
+ * Nội dung phản hồi IPN theo đặc tả VNPay
+ * @param {Object} result - { code, message }
+ * @returns {Object} - { status, body }
+ */
+const acknowledge = ({ code, message }) => ({
+  status: 200,
+  body: { RspCode: code, Message: message },
+});
+
+module.exports = {
+  name: "vnpay",
+  requiredEnv: ["VNPAY_TMN_CODE", "VNPAY_HASH_SECRET"],
+  getConfig,
+  formatDate,
+  buildQuery,
+  sign,
+  createPaymentIntent,
+  confirmPayment,
+  verifyWebhook,
+  refund,
+  acknowledge,
+};
@@ -0,0 +1,207 @@
+const express = require("express");
+const authMiddleware = require("../middlewares/authMiddleware");
+const cartService = require("../services/cartService");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: API giỏ hàng nhiều phòng, bàn và quán cà phê
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartItem:
+ *       type: object
+ *       required: [itemType]
+ *       properties:
+ *         itemType:
+ *           type: string
+ *           enum: [room, table, cafe]
+ *         roomID:
+ *           type: string
+ *           description: Bắt buộc khi itemType = room
+ *         tableID:
+ *           type: string
+ *           description: Bắt buộc khi itemType = table
+ *         coffeeID:
+ *           type: string
+ *           description: Bắt buộc khi itemType = cafe
+ *         checkInDate:
+ *           type: string
+ *           format: date
+ *           example: 2025-01-10
+ *         checkOutDate:
+ *           type: string
+ *           format: date
+ *           example: 2025-01-12
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Ngày đặt bàn / ngày đến quán
+ *         arrivalTime:
+ *           type: string
+ *           example: "19:00"
+ *         quantity:
+ *           type: integer
+ *           example: 1
+ *         adults:
+ *           type: integer
+ *           example: 2
+ *         children:
+ *           type: integer
+ *           example: 0
+ */
+
+// READ - Lấy giỏ hàng
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Lấy giỏ hàng kèm giá hiện tại và tình trạng còn chỗ của từng dòng
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ _id, items: [{ ..., totalAmount, available }], totalAmount, available }"
+ */
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const cart = await cartService.getCart(req.user);
+    res.status(200).json(cart);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// CREATE - Thêm dòng vào giỏ
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Thêm một phòng, bàn hoặc đơn quán cà phê vào giỏ hàng
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartItem'
+ *     responses:
+ *       201:
+ *         description: Giỏ hàng sau khi thêm
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Room/Table/Coffee not found
+ */
+router.post("/items", authMiddleware, async (req, res) => {
+  try {
+    const cart = await cartService.addItem(req.user, req.body);
+    res.status(201).json(cart);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Sửa dòng trong giỏ
+/**
+ * @swagger
+ * /api/cart/items/{itemID}:
+ *   put:
+ *     summary: Sửa ngày, giờ, số lượng hoặc số khách của một dòng (không đổi được loại và đối tượng đặt)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: itemID
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartItem'
+ *     responses:
+ *       200:
+ *         description: Giỏ hàng sau khi sửa
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Cart item not found
+ */
+router.put("/items/:itemID", authMiddleware, async (req, res) => {
+  try {
+    const cart = await cartService.updateItem(
+      req.user,
+      req.params.itemID,
+      req.body
+    );
+    res.status(200).json(cart);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE - Xóa dòng khỏi giỏ
+/**
+ * @swagger
+ * /api/cart/items/{itemID}:
+ *   delete:
+ *     summary: Xóa một dòng khỏi giỏ hàng
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: itemID
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Giỏ hàng sau khi xóa
+ *       404:
+ *         description: Cart item not found
+ */
+router.delete("/items/:itemID", authMiddleware, async (req, res) => {
+  try {
+    const cart = await cartService.removeItem(req.user, req.params.itemID);
+    res.status(200).json(cart);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE - Xóa toàn bộ giỏ
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     summary: Xóa toàn bộ giỏ hàng
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared successfully
+ */
+router.delete("/", authMiddleware, async (req, res) => {
+  try {
+    await cartService.clearCart(req.user);
+    res.status(200).json({ message: "Cart cleared successfully" });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
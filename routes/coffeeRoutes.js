@@ -4,6 +4,7 @@ const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 const upload = require("../middlewares/uploadMiddleware");
 const coffeeService = require("../services/coffeeService");
+const geoService = require("../services/geoService");
 const router = express.Router();
 
 /**
@@ -59,7 +60,7 @@ const router = express.Router();
 router.post(
   "/",
   authMiddleware,
-  roleMiddleware(["Provider"]),
+  roleMiddleware(["Provider", "Admin"]),
   upload.array("pictures", 5), // Hỗ trợ tải lên tối đa 5 ảnh
   [
     body("coffeeID").notEmpty().withMessage("Coffee ID is required"),
@@ -88,7 +89,7 @@ router.post(
         .status(201)
         .json({ message: "Coffee created successfully", data: newCoffee });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -117,6 +118,54 @@ router.get("/", async (req, res) => {
   }
 });
 
+// NEARBY - Tìm quán cà phê gần một tọa độ
+/**
+ * @swagger
+ * /api/coffees/nearby:
+ *   post:
+ *     summary: Tìm quán cà phê trong bán kính từ một tọa độ, sắp xếp từ gần đến xa và phân trang
+ *     tags: [Coffees]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [latitude, longitude, distance]
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *                 example: 10.862865
+ *               longitude:
+ *                 type: number
+ *                 example: 106.7594136
+ *               distance:
+ *                 type: number
+ *                 description: Bán kính (km)
+ *                 example: 3
+ *               page:
+ *                 type: integer
+ *                 example: 1
+ *               limit:
+ *                 type: integer
+ *                 example: 20
+ *     responses:
+ *       200:
+ *         description: "{ results, total, page, limit, totalPages }; mỗi kết quả kèm distanceToCenter (km)"
+ *       400:
+ *         description: Lỗi xác thực dữ liệu đầu vào
+ *       500:
+ *         description: Server error
+ */
+router.post("/nearby", async (req, res) => {
+  try {
+    const result = await geoService.findNearby("cafe", req.body);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // READ ONE - Lấy chi tiết Coffee
 /**
  * @swagger
@@ -186,20 +235,25 @@ router.get("/:id", async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put("/:id", authMiddleware, async (req, res) => {
-  try {
-    const updatedCoffee = await coffeeService.updateCoffeeById(
-      req.params.id,
-      req.body,
-      req.user
-    );
-    res
-      .status(200)
-      .json({ message: "Coffee updated successfully", data: updatedCoffee });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const updatedCoffee = await coffeeService.updateCoffeeById(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res
+        .status(200)
+        .json({ message: "Coffee updated successfully", data: updatedCoffee });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 // DELETE - Xóa Coffee
 /**
@@ -225,13 +279,18 @@ router.put("/:id", authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    await coffeeService.deleteCoffeeById(req.params.id, req.user);
-    res.status(200).json({ message: "Coffee deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.delete(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      await coffeeService.deleteCoffeeById(req.params.id, req.user);
+      res.status(200).json({ message: "Coffee deleted successfully" });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
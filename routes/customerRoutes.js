@@ -3,13 +3,14 @@ const { body, validationResult } = require("express-validator");
 const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 const customerService = require("../services/customerService");
+const loyaltyService = require("../services/loyaltyService");
 const router = express.Router();
 
 /**
  * @swagger
  * tags:
  *   name: Customers
- *   description: API quản lý Customers (Chỉ Admin)
+ *   description: API quản lý Customers và điểm thưởng
  */
 
 // CREATE - Tạo mới Customer
@@ -63,7 +64,10 @@ router.post(
     }
 
     try {
-      const newCustomer = await customerService.createCustomer(req.body);
+      const newCustomer = await customerService.createCustomer(
+        req.body,
+        req.user
+      );
       res
         .status(201)
         .json({ message: "Customer created successfully", data: newCustomer });
@@ -102,7 +106,7 @@ router.get("/", authMiddleware, roleMiddleware(["Admin"]), async (req, res) => {
  * @swagger
  * /api/customers/{id}:
  *   get:
- *     summary: Lấy thông tin một Customer (Chỉ Admin)
+ *     summary: Lấy thông tin một Customer kèm điểm thưởng và hạng thành viên (Admin hoặc chính Customer đó)
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
@@ -115,7 +119,9 @@ router.get("/", authMiddleware, roleMiddleware(["Admin"]), async (req, res) => {
  *           example: 64f6b3c9e3a1a4321f2c1a8b
  *     responses:
  *       200:
- *         description: Thông tin Customer
+ *         description: Thông tin Customer, trường loyalty gồm điểm, hạng, điểm cần để lên hạng và điểm sắp hết hạn
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Customer not found
  *       500:
@@ -124,15 +130,92 @@ router.get("/", authMiddleware, roleMiddleware(["Admin"]), async (req, res) => {
 router.get(
   "/:id",
   authMiddleware,
-  roleMiddleware(["Admin"]),
+  roleMiddleware(["Admin", "Customer"]),
   async (req, res) => {
     try {
-      const customer = await customerService.getCustomerById(req.params.id);
-      if (!customer)
-        return res.status(404).json({ error: "Customer not found" });
+      const customer = await customerService.getCustomerWithLoyalty(
+        req.params.id,
+        req.user
+      );
       res.status(200).json(customer);
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// READ - Lịch sử giao dịch điểm thưởng
+/**
+ * @swagger
+ * /api/customers/{id}/loyalty/transactions:
+ *   get:
+ *     summary: Lấy lịch sử tích, dùng và hết hạn điểm thưởng (Admin hoặc chính Customer đó)
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Danh sách LoyaltyTransaction, mới nhất trước
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Customer not found
+ */
+router.get(
+  "/:id/loyalty/transactions",
+  authMiddleware,
+  roleMiddleware(["Admin", "Customer"]),
+  async (req, res) => {
+    try {
+      const customer = await customerService.getAccessibleCustomer(
+        req.params.id,
+        req.user
+      );
+      const transactions = await loyaltyService.getTransactions(customer._id);
+      res.status(200).json(transactions);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// REBUILD - Tính lại số dư điểm từ sổ cái
+/**
+ * @swagger
+ * /api/customers/{id}/loyalty/rebuild:
+ *   post:
+ *     summary: Tính lại số dư, tổng điểm và hạng từ sổ cái điểm thưởng (Chỉ Admin)
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Số dư trước và sau khi tính lại
+ *       404:
+ *         description: Customer not found
+ */
+router.post(
+  "/:id/loyalty/rebuild",
+  authMiddleware,
+  roleMiddleware(["Admin"]),
+  async (req, res) => {
+    try {
+      const result = await loyaltyService.rebuildBalance(req.params.id);
+      res.status(200).json({ message: "Loyalty balance rebuilt", ...result });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -142,7 +225,7 @@ router.get(
  * @swagger
  * /api/customers/{id}:
  *   put:
- *     summary: Cập nhật thông tin một Customer (Chỉ Admin)
+ *     summary: Cập nhật thông tin một Customer (Chỉ Admin). Thay đổi loyaltyPoints được ghi vào sổ cái dưới dạng điều chỉnh
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
@@ -172,7 +255,8 @@ router.put(
     try {
       const updatedCustomer = await customerService.updateCustomerById(
         req.params.id,
-        req.body
+        req.body,
+        req.user
       );
       if (!updatedCustomer)
         return res.status(404).json({ error: "Customer not found" });
@@ -181,7 +265,7 @@ router.put(
         data: updatedCustomer,
       });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -6,7 +6,8 @@ const hotelService = require("../services/hotelService");
 const Hotel = require("../models/Hotel");
 const Service = require("../models/Service");
 const Room = require("../models/Room");
-const Location = require("../models/Location");
+const geoService = require("../services/geoService");
+const availabilityService = require("../services/availabilityService");
 const router = express.Router();
 
 /**
@@ -57,7 +58,7 @@ const router = express.Router();
 router.post(
   "/",
   authMiddleware,
-  roleMiddleware(["Provider"]),
+  roleMiddleware(["Provider", "Admin"]),
   [
     body("hotelID").notEmpty().withMessage("Hotel ID is required"),
     body("serviceID").notEmpty().withMessage("Service ID is required"),
@@ -89,7 +90,7 @@ router.post(
         .status(201)
         .json({ message: "Hotel created successfully", data: newHotel });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -185,14 +186,19 @@ router.get("/:id", authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    await hotelService.deleteHotelById(req.params.id, req.user);
-    res.status(200).json({ message: "Hotel deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.delete(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      await hotelService.deleteHotelById(req.params.id, req.user);
+      res.status(200).json({ message: "Hotel deleted successfully" });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 // CREATE - Route mới để lấy thông tin Hotel với Service và Location
 /**
@@ -264,19 +270,84 @@ router.get("/details", async (req, res) => {
   }
 });
 
-const haversineDistance = (lat1, lon1, lat2, lon2) => {
-  const toRad = (degree) => (degree * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return 6371 * c; // Earth radius in kilometers
-};
+// FILTER - Lọc khách sạn theo tiêu chí, vị trí và kỳ lưu trú
+/**
+ * @swagger
+ * /api/hotels/filter:
+ *   post:
+ *     summary: Lọc khách sạn theo tiêu chí; khi có ngày nhận/trả phòng chỉ trả về khách sạn còn loại phòng đủ chỗ cho đoàn mọi đêm, kèm giá rẻ nhất cho cả kỳ
+ *     tags: [Hotels]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               priceCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               suitabilities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               facilities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               facilityTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               hotelTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               distance:
+ *                 type: number
+ *                 description: Bán kính (km)
+ *               checkInDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-10
+ *               checkOutDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-12
+ *               dates:
+ *                 type: array
+ *                 description: Cách cũ, [ngày nhận phòng, ngày trả phòng]
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *               rooms:
+ *                 type: integer
+ *                 example: 1
+ *               adults:
+ *                 type: integer
+ *                 example: 2
+ *               children:
+ *                 type: integer
+ *                 example: 0
+ *               page:
+ *                 type: integer
+ *                 example: 1
+ *               limit:
+ *                 type: integer
+ *                 example: 20
+ *     responses:
+ *       200:
+ *         description: "{ results, total, page, limit, totalPages }; có ngày thì mỗi khách sạn kèm cheapestStay và availableRoomTypes, sắp xếp theo giá rẻ nhất (hoặc theo khoảng cách nếu có tọa độ)"
+ *       400:
+ *         description: Ngày, số khách, tọa độ hoặc phân trang không hợp lệ
+ *       500:
+ *         description: Server error
+ */
 router.post("/filter", async (req, res) => {
   try {
     const {
@@ -290,8 +361,16 @@ router.post("/filter", async (req, res) => {
       distance,
       dates = [],
       capacity = null,
+      checkInDate,
+      checkOutDate,
+      rooms: roomCount = 1,
+      adults,
+      children,
     } = req.body;
-console.log(capacity)
+    const { page, limit } = geoService.parsePaging(req.body);
+    const emptyPage = () =>
+      res.status(200).json({ results: [], total: 0, page, limit, totalPages: 0 });
+
     // Helper to parse parameters into arrays
     const parseArray = (param) => (Array.isArray(param) ? param : param.split(","));
     const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
@@ -320,69 +399,79 @@ console.log(capacity)
       if (serviceIDs.length) {
         hotelFilters.push({ serviceID: { $in: serviceIDs } });
       } else {
-        return res.status(200).json([]);
+        return emptyPage();
       }
     }
 
-    if (parsedFacilities.length) {
-      
-      const rooms = await Room.find({ facilities: { $all: parsedFacilities } , capacity:  { $all: capacity } }).select("hotelID");
-      console.log(rooms)
-      const hotelIDs = rooms.map((room) => room.hotelID);
+    // Kỳ lưu trú: checkInDate/checkOutDate, hoặc dates = [ngày nhận, ngày trả]
+    const checkIn = checkInDate || dates[0];
+    const checkOut = checkOutDate || (dates.length > 1 ? dates[dates.length - 1] : undefined);
+    const party = {
+      rooms: roomCount,
+      adults: adults ?? capacity?.adults ?? 1,
+      children: children ?? capacity?.children ?? 0,
+    };
 
-      if (hotelIDs.length) {
-        hotelFilters.push({ _id: { $in: hotelIDs } });
-      } else {
-        return res.status(200).json([]);
+    const roomFilter = {};
+    if (parsedFacilities.length) roomFilter.facilities = { $all: parsedFacilities };
+
+    // Chỉ giữ khách sạn có loại phòng đủ chỗ và còn phòng mọi đêm, kèm giá rẻ nhất
+    let availableByHotel = null;
+    if (checkIn || checkOut) {
+      availableByHotel = await availabilityService.findAvailableRoomsByHotel(
+        { checkIn, checkOut, ...party },
+        roomFilter
+      );
+      if (!availableByHotel.size) {
+        return emptyPage();
       }
-    }
-    else{
-      const rooms = await Room.find({  capacity:  capacity  }).select("hotelID");
-      console.log(rooms)
-      const hotelIDs = rooms.map((room) => room.hotelID);
+      hotelFilters.push({ _id: { $in: [...availableByHotel.keys()] } });
+    } else if (parsedFacilities.length || capacity || adults || children) {
+      const hotelIDs = await Room.distinct("hotelID", {
+        ...roomFilter,
+        active: true,
+        ...availabilityService.partyFitsCondition(
+          availabilityService.parseParty(party)
+        ),
+      });
 
       if (hotelIDs.length) {
         hotelFilters.push({ _id: { $in: hotelIDs } });
       } else {
-        return res.status(200).json([]);
+        return emptyPage();
       }
     }
 
     
 
-    if (latitude && longitude && distance) {
-      if (
-        typeof latitude !== "number" ||
-        typeof longitude !== "number" ||
-        typeof distance !== "number" ||
-        distance <= 0
-      ) {
-        return res.status(400).json({ error: "Invalid latitude, longitude, or distance" });
+    // Khoảng cách tới từng Location tính bằng $geoNear (index 2dsphere)
+    let locationDistances = null;
+    let center = null;
+    if (latitude !== undefined || longitude !== undefined) {
+      try {
+        center = geoService.parseCenter({ latitude, longitude, distance }, false);
+      } catch (err) {
+        return res.status(err.status).json({ error: "Invalid latitude, longitude, or distance" });
       }
+      const locations = await geoService.getLocationsWithin(center);
+      locationDistances = new Map(
+        locations.map((loc) => [loc._id.toString(), loc.distanceKm])
+      );
+    }
 
-      const locations = await Location.find();
-      const nearbyLocations = locations.filter((location) => {
-        const distanceToCenter = haversineDistance(
-          latitude,
-          longitude,
-          location.latitude,
-          location.longitude
-        );
-        return distanceToCenter <= distance;
-      });
-
-      if (!nearbyLocations.length) {
-        return res.status(200).json([]);
+    if (center && center.distance !== undefined) {
+      if (!locationDistances.size) {
+        return emptyPage();
       }
 
-      const locationIDs = nearbyLocations.map((loc) => loc._id);
+      const locationIDs = [...locationDistances.keys()];
       const servicesNearby = await Service.find({ locationID: { $in: locationIDs } }).select("_id");
       const serviceIDsNearby = servicesNearby.map((service) => service._id);
 
       if (serviceIDsNearby.length) {
         hotelFilters.push({ serviceID: { $in: serviceIDsNearby } });
       } else {
-        return res.status(200).json([]);
+        return emptyPage();
       }
     }
 
@@ -401,38 +490,67 @@ console.log(capacity)
       .populate("hotelTypeID", "type")
       .exec();
 
-    const enrichedHotels = await Promise.all(
-  hotels.map(async (hotel) => {
-    const rooms = await Room.find({ hotelID: hotel._id });
-
-    let lowestDiscountPrice = Infinity;
-    let correspondingPrice = null;
-
-    rooms.forEach((room) => {
-      if (room.discountPrice && room.discountPrice < lowestDiscountPrice) {
-        lowestDiscountPrice = room.discountPrice;
-        correspondingPrice = room.price; // Giá gốc tương ứng với discount thấp nhất
-      }
-    });
-
-    const distanceToHotel =
-      latitude && longitude
-        ? haversineDistance(latitude, longitude, hotel.serviceID.locationID.latitude, hotel.serviceID.locationID.longitude)
+    const distanceOf = (hotel) =>
+      locationDistances
+        ? locationDistances.get(String(hotel.serviceID?.locationID?._id)) ?? null
         : null;
+    const availabilityOf = (hotel) =>
+      availableByHotel ? availableByHotel.get(hotel._id.toString()) : null;
 
-    return {
-      ...hotel.toObject(),
-      lowestDiscountPrice: lowestDiscountPrice < Infinity ? lowestDiscountPrice : null,
-      correspondingPrice: correspondingPrice, // Giá gốc tương ứng với discount thấp nhất
-      distance: distanceToHotel,
-      rooms: rooms 
-    };
-  })
-);
+    // Có tọa độ thì sắp xếp theo khoảng cách gần nhất, có ngày thì theo giá rẻ nhất
+    if (locationDistances) {
+      hotels.sort(
+        (a, b) => (distanceOf(a) ?? Infinity) - (distanceOf(b) ?? Infinity)
+      );
+    } else if (availableByHotel) {
+      hotels.sort(
+        (a, b) =>
+          availabilityOf(a).cheapest.totalAmount -
+          availabilityOf(b).cheapest.totalAmount
+      );
+    }
 
+    // Chỉ lấy phòng cho các khách sạn của trang hiện tại
+    const pageHotels = hotels.slice((page - 1) * limit, page * limit);
+    const results = await Promise.all(
+      pageHotels.map(async (hotel) => {
+        const rooms = await Room.find({ hotelID: hotel._id });
+
+        let lowestDiscountPrice = Infinity;
+        let correspondingPrice = null;
+
+        rooms.forEach((room) => {
+          if (room.discountPrice && room.discountPrice < lowestDiscountPrice) {
+            lowestDiscountPrice = room.discountPrice;
+            correspondingPrice = room.price; // Giá gốc tương ứng với discount thấp nhất
+          }
+        });
+
+        const availability = availabilityOf(hotel);
+
+        return {
+          ...hotel.toObject(),
+          cheapestStay: availability ? availability.cheapest : null, // Giá rẻ nhất cho cả kỳ lưu trú
+          availableRoomTypes: availability ? availability.roomTypes : null,
+          lowestDiscountPrice: lowestDiscountPrice < Infinity ? lowestDiscountPrice : null,
+          correspondingPrice: correspondingPrice, // Giá gốc tương ứng với discount thấp nhất
+          distance: distanceOf(hotel),
+          rooms: rooms,
+        };
+      })
+    );
 
-    res.status(200).json(enrichedHotels);
+    res.status(200).json({
+      results,
+      total: hotels.length,
+      page,
+      limit,
+      totalPages: Math.ceil(hotels.length / limit),
+    });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error:", err.message);
     res.status(500).json({ error: "Server error" });
   }
@@ -449,7 +567,7 @@ console.log(capacity)
  * @swagger
  * /api/hotels/nearby:
  *   post:
- *     summary: Tìm khách sạn trong bán kính từ một tọa độ
+ *     summary: Tìm khách sạn trong bán kính từ một tọa độ, sắp xếp từ gần đến xa và phân trang
  *     tags: [Hotels]
  *     security:
  *       - bearerAuth: []
@@ -459,6 +577,7 @@ console.log(capacity)
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [latitude, longitude, distance]
  *             properties:
  *               latitude:
  *                 type: number
@@ -468,95 +587,28 @@ console.log(capacity)
  *                 example: 106.7594136
  *               distance:
  *                 type: number
+ *                 description: Bán kính (km)
  *                 example: 3
+ *               page:
+ *                 type: integer
+ *                 example: 1
+ *               limit:
+ *                 type: integer
+ *                 example: 20
  *     responses:
  *       200:
- *         description: Danh sách khách sạn trong bán kính
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
+ *         description: "{ results, total, page, limit, totalPages }; mỗi khách sạn kèm distanceToCenter (km)"
  *       400:
  *         description: Lỗi xác thực dữ liệu đầu vào
  *       500:
  *         description: Lỗi hệ thống
  */
 router.post("/nearby", async (req, res) => {
-  const { latitude, longitude, distance } = req.body;
-
-  // Kiểm tra đầu vào
-  if (
-    typeof latitude !== "number" ||
-    typeof longitude !== "number" ||
-    typeof distance !== "number" ||
-    distance <= 0
-  ) {
-    return res
-      .status(400)
-      .json({ error: "Invalid latitude, longitude, or distance" });
-  }
-
   try {
-    // Bán kính Trái Đất theo km
-    const EARTH_RADIUS_KM = 6371;
-
-    // Công thức Haversine để tính khoảng cách giữa hai điểm
-    const haversineDistance = (lat1, lon1, lat2, lon2) => {
-      const toRad = (degree) => (degree * Math.PI) / 180;
-      const dLat = toRad(lat2 - lat1);
-      const dLon = toRad(lon2 - lon1);
-      const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-      return EARTH_RADIUS_KM * c; // Trả về khoảng cách theo km
-    };
-
-    // Tìm các địa điểm trong bán kính
-    const locations = await Location.find({
-      locationID: { $exists: true },
-    });
-
-    // Lọc các địa điểm trong bán kính
-    const nearbyLocations = locations.filter((location) => {
-      const distanceToCenter = haversineDistance(latitude, longitude, location.latitude, location.longitude);
-      return distanceToCenter <= distance;  // Nếu khoảng cách nhỏ hơn hoặc bằng bán kính, là địa điểm trong bán kính
-    });
-
-    if (!nearbyLocations.length) {
-      return res.status(200).json([]);  // Trả về danh sách rỗng nếu không tìm thấy địa điểm
-    }
-
-    // Lấy danh sách hotel liên quan đến các location tìm thấy
-    const locationIDs = nearbyLocations.map((loc) => loc._id);
-    const hotels = await Hotel.find({
-      serviceID: { $in: await Service.find({ locationID: { $in: locationIDs } }).select("_id") },
-    }).populate({
-      path: "serviceID",
-      populate: {
-        path: "locationID",
-        model: "Location",
-      },
-    });
-
-    // Tính toán khoảng cách từ tọa độ trung tâm đến mỗi khách sạn
-    const hotelsWithDistance = hotels.map((hotel) => {
-      const hotelLocation = hotel.serviceID.locationID;
-      const distanceToHotel = haversineDistance(latitude, longitude, hotelLocation.latitude, hotelLocation.longitude);
-      return {
-        ...hotel.toObject(),  // Chuyển object khách sạn thành object thuần
-        distanceToCenter: distanceToHotel,  // Thêm khoảng cách
-      };
-    });
-
-    // Trả kết quả
-    res.status(200).json(hotelsWithDistance);
+    const result = await geoService.findNearby("hotel", req.body);
+    res.status(200).json(result);
   } catch (err) {
-    console.error("Error:", err.message);
-    res.status(500).json({ error: "Server error" });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
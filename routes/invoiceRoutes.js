@@ -1,6 +1,14 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
 const invoiceService = require("../services/invoiceService");
+const bookingService = require("../services/bookingService");
+const invoiceStatusService = require("../services/invoiceStatusService");
+const tableReservationService = require("../services/tableReservationService");
+const refundService = require("../services/refundService");
+const orderService = require("../services/orderService");
+const guestDetailsService = require("../services/guestDetailsService");
 
 const router = express.Router();
 const mongoose = require("mongoose");
@@ -414,8 +422,14 @@ router.get("/revenue/yearly", async (req, res) => {
  * @swagger
  * /api/invoices:
  *   post:
- *     summary: Tạo mới hóa đơn
+ *     summary: Tạo mới hóa đơn cho người đang đăng nhập (tiền tính phía server)
+ *     description: |
+ *       - hotel: đặt phòng như /api/invoices/bookings
+ *       - restaurant: bắt buộc có tableID, đặt bàn theo khung giờ
+ *       - cafe: đặt trước ở quán, tiền = giá trung bình x số lượng
  *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -423,21 +437,24 @@ router.get("/revenue/yearly", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               userID:
+ *               invoiceType:
  *                 type: string
- *                 description: ID của người tạo hóa đơn
+ *                 enum: [hotel, restaurant, cafe]
  *               serviceID:
  *                 type: string
- *                 description: ID của dịch vụ được đặt
+ *                 description: ID của dịch vụ quán cà phê (hoặc dùng coffeeID)
+ *               coffeeID:
+ *                 type: string
+ *                 description: ID của quán cà phê
+ *               roomID:
+ *                 type: string
+ *                 description: ID của phòng (chỉ với invoiceType hotel)
+ *               tableID:
+ *                 type: string
+ *                 description: ID của bàn (chỉ với invoiceType restaurant)
  *               quantity:
  *                 type: number
  *                 description: Số lượng đặt
- *               totalAmount:
- *                 type: number
- *                 description: Tổng tiền
- *               roomID:
- *                 type: string
- *                 description: ID của phòng đã đặt
  *               checkInDate:
  *                 type: string
  *                 format: date
@@ -446,81 +463,84 @@ router.get("/revenue/yearly", async (req, res) => {
  *                 type: string
  *                 format: date
  *                 description: Ngày trả phòng
+ *               arrivalDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Ngày đến (nhà hàng, quán cà phê)
+ *               arrivalTime:
+ *                 type: string
+ *                 example: "19:00"
+ *               adults:
+ *                 type: number
+ *               children:
+ *                 type: number
+ *             required:
+ *               - invoiceType
  *     responses:
  *       201:
  *         description: Hóa đơn được tạo thành công
  *       400:
  *         description: Dữ liệu đầu vào không hợp lệ
+ *       401:
+ *         description: Chưa đăng nhập
+ *       404:
+ *         description: Không tìm thấy phòng, bàn hoặc quán
+ *       409:
+ *         description: Hết phòng hoặc bàn đã được đặt
  *       500:
  *         description: Server error
  */
-router.post("/", async (req, res) => {
+router.post("/", authMiddleware, async (req, res) => {
   try {
-    const {
-      userID,
-      serviceID,
-      quantity,
-      totalAmount,
-      roomID,
-      checkInDate,
-      checkOutDate,
-      pictures,
-      invoiceID,
-      invoiceType,
-      arrivalDate,
-      arrivalTime,
-      adults,
-      children,
-    } = req.body;
-
-    // Tạo invoice mới
-    const newInvoice = new Invoice({
-      invoiceID,
-      userID,
-      serviceID,
-      quantity,
-      totalAmount,
-      issueDate: new Date(), // Ngày tạo hóa đơn
-      paymentStatus: "unpaid", // Mặc định trạng thái thanh toán là unpaid
-      status: "chờ xác nhận", // Mặc định trạng thái là chờ xác nhận
-      roomID,
-      checkInDate,
-      checkOutDate,
-      pictures,
-      invoiceType,
-      arrivalDate,
-      arrivalTime,
-      adults,
-      children,
-    });
+    // Hóa đơn khách sạn phải đi qua luồng đặt phòng để giữ tồn kho
+    if (req.body.invoiceType === "hotel") {
+      const invoice = await bookingService.createHotelBooking(
+        req.body,
+        req.user
+      );
+      return res.status(201).json(invoice);
+    }
+
+    // Hóa đơn nhà hàng có chọn bàn phải đi qua luồng đặt bàn theo khung giờ
+    if (req.body.invoiceType === "restaurant" && req.body.tableID) {
+      const invoice = await tableReservationService.createTableReservation(
+        req.body.tableID,
+        { ...req.body, date: req.body.arrivalDate },
+        req.user
+      );
+      return res.status(201).json(invoice);
+    }
 
-    // Lưu vào cơ sở dữ liệu
-    await newInvoice.save();
+    // Phòng và bàn chỉ được giữ qua luồng đặt tương ứng ở trên
+    if (req.body.roomID || req.body.tableID) {
+      return res.status(400).json({
+        error: "roomID chỉ dùng với invoiceType hotel, tableID chỉ dùng với invoiceType restaurant.",
+      });
+    }
+
+    // Hóa đơn quán cà phê tính tiền theo giá quán, khách là người đang đăng nhập
+    if (req.body.invoiceType === "cafe") {
+      const invoice = await orderService.createCafeBooking(req.body, req.user);
+      return res.status(201).json(invoice);
+    }
 
-    // Trả về hóa đơn mới tạo
-    res.status(201).json(newInvoice);
+    // Không còn loại hóa đơn nào tính được tiền phía server
+    res.status(400).json({
+      error: "Đặt nhà hàng cần chọn bàn (tableID); invoiceType phải là hotel, restaurant hoặc cafe.",
+    });
   } catch (err) {
     console.log(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// API lấy hóa đơn theo userID
-router.get("/user/:userID", async (req, res) => {
+// API lấy hóa đơn theo userID (chính khách hoặc Admin)
+router.get("/user/:userID", authMiddleware, async (req, res) => {
   try {
     const { userID } = req.params;
-    console.log(userID);
-    // Tìm tất cả hóa đơn theo userID và populate cả serviceID và roomID
-    const invoices = await Invoice.find({ userID })
-      .populate({
-        path: "serviceID", // Populate serviceID
-        populate: {
-          path: "locationID", // Populate locationID trong serviceID
-        },
-      }) // Populate serviceID
-      .populate("roomID") // Populate roomID
-      .populate("review");
-    //console.log("HELLO",userID)
+
+    const invoices = await invoiceService.getUserInvoices(userID, req.user);
+
     if (!invoices || invoices.length === 0) {
       return res
         .status(404)
@@ -531,24 +551,16 @@ router.get("/user/:userID", async (req, res) => {
     res.status(200).json(invoices);
   } catch (err) {
     console.log("Lỗi khi lấy hóa đơn:", err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// API lấy hóa đơn theo userID
-router.get("/provider/:userID", async (req, res) => {
+// API lấy hóa đơn của Provider theo userID, kèm thông tin khách và yêu cầu đặc biệt
+router.get("/provider/:userID", authMiddleware, async (req, res) => {
   try {
     const { userID } = req.params;
 
-    // Tìm tất cả hóa đơn theo userID và populate cả serviceID và roomID
-    const invoices = await Invoice.find({ providerID })
-      .populate({
-        path: "serviceID", // Populate serviceID
-        populate: {
-          path: "locationID", // Populate locationID trong serviceID
-        },
-      }) // Populate serviceID
-      .populate("roomID"); // Populate roomID
+    const invoices = await invoiceService.getProviderInvoices(userID, req.user);
 
     if (!invoices || invoices.length === 0) {
       return res
@@ -571,7 +583,7 @@ router.get("/provider/:userID", async (req, res) => {
     res.status(200).json(invoices);
   } catch (err) {
     console.log("Lỗi khi lấy hóa đơn:", err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -647,39 +659,188 @@ router.get("/provider/:userID", async (req, res) => {
 //   }
 // });
 
-router.put("/invoices/:invoiceID/status", async (req, res) => {
-  console.log("HELLO");
-
-  const { invoiceID } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ["chờ xác nhận", "đã xác nhận", "đã hủy", "đã sử dụng"];
-
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: "Invalid status value" });
+router.put(
+  "/invoices/:invoiceID/status",
+  authMiddleware,
+  async (req, res) => {
+    const { invoiceID } = req.params;
+    const { status, note } = req.body;
+
+    try {
+      const updatedInvoice = await invoiceStatusService.changeStatus(
+        invoiceID,
+        status,
+        req.user,
+        { note }
+      );
+
+      res
+        .status(200)
+        .json({ message: "Status updated successfully", updatedInvoice });
+    } catch (error) {
+      console.log(error);
+      res.status(error.status || 500).json({
+        error: error.status
+          ? error.message
+          : "An error occurred while updating status",
+        details: error.message,
+      });
+    }
   }
+);
 
+/**
+ * @swagger
+ * /api/invoices/{id}/history:
+ *   get:
+ *     summary: Lấy lịch sử trạng thái của một hóa đơn
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     responses:
+ *       200:
+ *         description: Lịch sử trạng thái
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/history", authMiddleware, async (req, res) => {
   try {
-    const updatedInvoice = await Invoice.findOneAndUpdate(
-      { _id: invoiceID },
-      { status },
-      { new: true, runValidators: true }
+    const history = await invoiceStatusService.getStatusHistory(
+      req.params.id,
+      req.user
     );
+    res.status(200).json(history);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    if (!updatedInvoice) {
-      console.log("@");
-      return res.status(404).json({ error: "Invoice not found" });
+/**
+ * @swagger
+ * /api/invoices/{id}/refund/retry:
+ *   post:
+ *     summary: Thử hoàn tiền lại cho hóa đơn đã hủy (Admin)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     responses:
+ *       200:
+ *         description: Khoản hoàn tiền sau khi xử lý
+ *       404:
+ *         description: Refund not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/refund/retry",
+  authMiddleware,
+  roleMiddleware(["Admin"]),
+  async (req, res) => {
+    try {
+      const refund = await refundService.getRefundByInvoice(req.params.id);
+      if (!refund) return res.status(404).json({ error: "Refund not found" });
+
+      res.status(200).json(await refundService.processRefund(refund._id));
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    res
-      .status(200)
-      .json({ message: "Status updated successfully", updatedInvoice });
-  } catch (error) {
-    console.log(error);
-    res.status(500).json({
-      error: "An error occurred while updating status",
-      details: error.message,
-    });
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GuestDetail:
+ *       type: object
+ *       properties:
+ *         fullName:
+ *           type: string
+ *           example: Nguyễn Văn A
+ *         nationality:
+ *           type: string
+ *           example: Việt Nam
+ *         documentType:
+ *           type: string
+ *           enum: [national_id, passport, driver_license, other]
+ *       required:
+ *         - fullName
+ */
+
+/**
+ * @swagger
+ * /api/invoices/{id}/guest-details:
+ *   put:
+ *     summary: Khách sửa thông tin khách và yêu cầu đặc biệt (khi hóa đơn còn chờ xác nhận)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               guests:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/GuestDetail'
+ *               contactPhone:
+ *                 type: string
+ *                 example: "+84 901 234 567"
+ *               specialRequests:
+ *                 type: string
+ *                 example: Cần thêm giường phụ
+ *     responses:
+ *       200:
+ *         description: Hóa đơn sau khi cập nhật
+ *       400:
+ *         description: Dữ liệu đầu vào không hợp lệ
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Hóa đơn không còn ở trạng thái chờ xác nhận
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/guest-details", authMiddleware, async (req, res) => {
+  try {
+    const invoice = await guestDetailsService.updateGuestDetails(
+      req.params.id,
+      req.body,
+      req.user
+    );
+    res.status(200).json(invoice);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
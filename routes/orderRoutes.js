@@ -0,0 +1,123 @@
+const express = require("express");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+const orderService = require("../services/orderService");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Orders
+ *   description: API đơn hàng gộp nhiều dịch vụ, chia theo nhà cung cấp
+ */
+
+// CHECKOUT - Đặt toàn bộ giỏ hàng
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     summary: Đặt mọi dòng trong giỏ hàng trong một lần (một dòng lỗi thì không dòng nào được đặt); thanh toán một lần qua POST /api/payments với orderID
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Đơn hàng vừa tạo, gồm các phần chia theo Provider, mỗi dòng là một hóa đơn
+ *       400:
+ *         description: Giỏ hàng trống hoặc dữ liệu không hợp lệ
+ *       409:
+ *         description: Có dòng đã hết chỗ
+ */
+router.post("/checkout", authMiddleware, async (req, res) => {
+  try {
+    const order = await orderService.checkout(req.user);
+    res.status(201).json(order);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// READ - Đơn hàng của tôi
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     summary: Danh sách đơn hàng của người dùng đang đăng nhập
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách Order
+ */
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const orders = await orderService.getMyOrders(req.user);
+    res.status(200).json(orders);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// READ - Phần đơn hàng của Provider
+/**
+ * @swagger
+ * /api/orders/provider:
+ *   get:
+ *     summary: Danh sách đơn hàng có dịch vụ của Provider đang đăng nhập, chỉ gồm các dòng của Provider đó
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách Order
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/provider",
+  authMiddleware,
+  roleMiddleware(["Provider"]),
+  async (req, res) => {
+    try {
+      const orders = await orderService.getProviderOrders(req.user);
+      res.status(200).json(orders);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// READ ONE - Chi tiết đơn hàng
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Chi tiết đơn hàng; Provider chỉ thấy phần của mình
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Order not found
+ */
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const order = await orderService.getOrder(req.params.id, req.user);
+    res.status(200).json(order);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
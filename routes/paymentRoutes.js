@@ -0,0 +1,450 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+const paymentService = require("../services/paymentService");
+const Payment = require("../models/Payment");
+const { getPaymentProviders } = require("../payments");
+const sandbox = require("../payments/sandbox");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: API thanh toán hóa đơn qua các cổng thanh toán
+ */
+
+/**
+ * @swagger
+ * /api/payments/providers:
+ *   get:
+ *     summary: Lấy danh sách cổng thanh toán đang bật (đã cấu hình, hoặc mọi cổng giả lập khi bật sandbox)
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Danh sách cổng thanh toán
+ */
+router.get("/providers", (req, res) => {
+  res.status(200).json(getPaymentProviders());
+});
+
+// IPN - Cổng thanh toán gọi về (VNPay dùng GET, MoMo và mock dùng POST)
+/**
+ * @swagger
+ * /api/payments/ipn/{provider}:
+ *   post:
+ *     summary: Nhận IPN/webhook từ cổng thanh toán (VNPay gửi bằng GET)
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - name: provider
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [mock, vnpay, momo]
+ *     responses:
+ *       200:
+ *         description: Phản hồi theo định dạng của từng cổng
+ *       204:
+ *         description: Đã nhận (MoMo)
+ */
+const handleIpn = async (req, res) => {
+  try {
+    const payload = req.method === "GET" ? req.query : req.body;
+    const ack = await paymentService.handleWebhook(req.params.provider, payload);
+    if (ack.body === null) return res.status(ack.status).end();
+    res.status(ack.status).json(ack.body);
+  } catch (err) {
+    console.log(err);
+    res.status(err.status || 500).json({ RspCode: "99", Message: err.message });
+  }
+};
+router.get("/ipn/:provider", handleIpn);
+router.post("/ipn/:provider", handleIpn);
+
+/**
+ * @swagger
+ * /api/payments/return/{provider}:
+ *   get:
+ *     summary: Kiểm tra chữ ký dữ liệu cổng thanh toán trả về trên returnUrl
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - name: provider
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [mock, vnpay, momo]
+ *     responses:
+ *       200:
+ *         description: Kết quả thanh toán
+ *       400:
+ *         description: Invalid signature
+ */
+router.get("/return/:provider", async (req, res) => {
+  try {
+    const result = await paymentService.verifyReturn(
+      req.params.provider,
+      req.query
+    );
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// SANDBOX - Cổng thanh toán giả lập tại chỗ, chỉ bật khi PAYMENT_SANDBOX=true
+router.use("/sandbox", (req, res, next) => {
+  if (!sandbox.isSandboxEnabled()) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  next();
+});
+
+/**
+ * Gửi IPN giả lập vào luồng xử lý thật rồi chuyển khách về returnUrl
+ */
+const completeSandboxPayment = async (res, provider, { returnUrl, params }) => {
+  const ack = await paymentService.handleWebhook(provider, params);
+  if (!returnUrl) {
+    return res.status(200).json({ ipn: ack.body, params });
+  }
+  const separator = returnUrl.includes("?") ? "&" : "?";
+  res.redirect(`${returnUrl}${separator}${new URLSearchParams(params)}`);
+};
+
+/**
+ * @swagger
+ * /api/payments/sandbox/{provider}/pay:
+ *   get:
+ *     summary: Trang thanh toán giả lập (chỉ khi PAYMENT_SANDBOX=true, nhận URL có chữ ký do server cấp)
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - name: provider
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [mock, vnpay, momo]
+ *       - name: outcome
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [success, fail]
+ *           example: success
+ *     responses:
+ *       200:
+ *         description: Kết quả IPN giả lập
+ *       302:
+ *         description: Chuyển về returnUrl kèm dữ liệu đã ký
+ *       400:
+ *         description: Sai chữ ký yêu cầu thanh toán
+ */
+router.get("/sandbox/:provider/pay", async (req, res) => {
+  try {
+    const success = req.query.outcome !== "fail";
+
+    if (req.params.provider === "mock") {
+      const payment = await Payment.findOne({
+        paymentID: req.query.paymentID,
+        provider: "mock",
+      });
+      if (!payment) return res.status(404).json({ error: "Payment not found" });
+      return await completeSandboxPayment(res, "mock", {
+        params: sandbox.mockCallback(payment, req.query, success),
+      });
+    }
+
+    if (req.params.provider === "vnpay") {
+      return await completeSandboxPayment(
+        res,
+        "vnpay",
+        sandbox.vnpayCallback(req.query, success)
+      );
+    }
+
+    if (req.params.provider === "momo") {
+      return await completeSandboxPayment(
+        res,
+        "momo",
+        sandbox.momoCallback(req.query, success)
+      );
+    }
+
+    res.status(404).json({ error: "Not found" });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Giả lập API server-to-server của VNPay/MoMo
+router.post("/sandbox/vnpay/refund", (req, res) => {
+  res.status(200).json(sandbox.vnpayRefund(req.body));
+});
+router.post("/sandbox/momo/create", (req, res) => {
+  res.status(200).json(sandbox.momoCreate(req.body));
+});
+router.post("/sandbox/momo/refund", (req, res) => {
+  res.status(200).json(sandbox.momoRefund(req.body));
+});
+
+// CREATE - Tạo giao dịch thanh toán cho hóa đơn
+/**
+ * @swagger
+ * /api/payments:
+ *   post:
+ *     summary: Tạo giao dịch thanh toán cho một hóa đơn hoặc một đơn hàng gộp và lấy URL chuyển hướng sang cổng
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               invoiceID:
+ *                 type: string
+ *                 example: 64f6b3c9e3a1a4321f2c1a8b
+ *               orderID:
+ *                 type: string
+ *                 description: Thanh toán một lần cho mọi dòng chưa hủy của đơn hàng (thay cho invoiceID)
+ *               provider:
+ *                 type: string
+ *                 enum: [mock, vnpay, momo]
+ *                 description: mock chỉ dùng được khi bật sandbox
+ *                 example: vnpay
+ *               returnUrl:
+ *                 type: string
+ *                 example: http://localhost:3000/payment-result
+ *             required:
+ *               - provider
+ *     responses:
+ *       201:
+ *         description: Giao dịch đã tạo, kèm redirectUrl
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice/Order not found
+ *       409:
+ *         description: Hóa đơn (đơn hàng) đã thanh toán hoặc đã hủy
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/",
+  authMiddleware,
+  [
+    body("invoiceID").optional().isMongoId().withMessage("Invalid invoiceID"),
+    body("orderID").optional().isMongoId().withMessage("Invalid orderID"),
+    body("provider")
+      .custom((value) => getPaymentProviders().includes(value))
+      .withMessage("Unsupported payment provider"),
+    body("returnUrl")
+      .optional()
+      .isURL({ require_tld: false })
+      .withMessage("Invalid returnUrl"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const payment = await paymentService.createPayment(
+        req.body,
+        req.user,
+        req.ip
+      );
+      res.status(201).json(payment);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/payments/order/{orderID}:
+ *   get:
+ *     summary: Lấy các giao dịch thanh toán của một đơn hàng gộp
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: orderID
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     responses:
+ *       200:
+ *         description: Danh sách giao dịch
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Order not found
+ */
+router.get("/order/:orderID", authMiddleware, async (req, res) => {
+  try {
+    const payments = await paymentService.getPaymentsByOrder(
+      req.params.orderID,
+      req.user
+    );
+    res.status(200).json(payments);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/invoice/{invoiceID}:
+ *   get:
+ *     summary: Lấy các giao dịch thanh toán của một hóa đơn
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: invoiceID
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     responses:
+ *       200:
+ *         description: Danh sách giao dịch
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ */
+router.get("/invoice/:invoiceID", authMiddleware, async (req, res) => {
+  try {
+    const payments = await paymentService.getPaymentsByInvoice(
+      req.params.invoiceID,
+      req.user
+    );
+    res.status(200).json(payments);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/{id}/confirm:
+ *   post:
+ *     summary: Xác nhận thanh toán trực tiếp (cổng mock, chỉ khi bật sandbox)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, fail]
+ *                 example: success
+ *     responses:
+ *       200:
+ *         description: Giao dịch sau khi xác nhận
+ *       400:
+ *         description: Cổng không hỗ trợ xác nhận trực tiếp
+ *       404:
+ *         description: Payment not found hoặc sandbox đang tắt
+ *       409:
+ *         description: Giao dịch đã được xử lý
+ */
+router.post("/:id/confirm", authMiddleware, async (req, res) => {
+  if (!sandbox.isSandboxEnabled()) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  try {
+    const payment = await paymentService.confirmPayment(
+      req.params.id,
+      req.body,
+      req.user
+    );
+    res.status(200).json(payment);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/{id}/refund:
+ *   post:
+ *     summary: Hoàn tiền một phần hoặc toàn bộ giao dịch (Provider/Admin)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 500000
+ *               reason:
+ *                 type: string
+ *                 example: Khách hủy đặt phòng
+ *     responses:
+ *       200:
+ *         description: Giao dịch sau khi hoàn tiền
+ *       400:
+ *         description: Số tiền hoàn không hợp lệ
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: Giao dịch chưa thanh toán hoặc đã hoàn
+ *       502:
+ *         description: Cổng thanh toán từ chối hoàn tiền
+ */
+router.post(
+  "/:id/refund",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const payment = await paymentService.refundPayment(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res.status(200).json(payment);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body, validationResult } = require("express-validator");
 const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 const restaurantService = require("../services/restaurantService");
+const geoService = require("../services/geoService");
 const router = express.Router();
 
 /**
@@ -61,7 +62,7 @@ const router = express.Router();
 router.post(
   "/",
   authMiddleware,
-  roleMiddleware(["Provider"]),
+  roleMiddleware(["Provider", "Admin"]),
   [
     body("restaurantID").notEmpty().withMessage("Restaurant ID is required"),
     body("serviceID").isMongoId().withMessage("Service ID must be a valid ID"),
@@ -94,7 +95,7 @@ router.post(
         data: newRestaurant,
       });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -128,6 +129,54 @@ router.get(
   }
 );
 
+// NEARBY - Tìm nhà hàng gần một tọa độ
+/**
+ * @swagger
+ * /api/restaurants/nearby:
+ *   post:
+ *     summary: Tìm nhà hàng trong bán kính từ một tọa độ, sắp xếp từ gần đến xa và phân trang
+ *     tags: [Restaurants]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [latitude, longitude, distance]
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *                 example: 10.862865
+ *               longitude:
+ *                 type: number
+ *                 example: 106.7594136
+ *               distance:
+ *                 type: number
+ *                 description: Bán kính (km)
+ *                 example: 3
+ *               page:
+ *                 type: integer
+ *                 example: 1
+ *               limit:
+ *                 type: integer
+ *                 example: 20
+ *     responses:
+ *       200:
+ *         description: "{ results, total, page, limit, totalPages }; mỗi kết quả kèm distanceToCenter (km)"
+ *       400:
+ *         description: Lỗi xác thực dữ liệu đầu vào
+ *       500:
+ *         description: Server error
+ */
+router.post("/nearby", async (req, res) => {
+  try {
+    const result = await geoService.findNearby("restaurant", req.body);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // READ ONE - Lấy chi tiết Restaurant
 /**
  * @swagger
@@ -189,13 +238,18 @@ router.get("/:id", authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    await restaurantService.deleteRestaurantById(req.params.id, req.user);
-    res.status(200).json({ message: "Restaurant deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.delete(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      await restaurantService.deleteRestaurantById(req.params.id, req.user);
+      res.status(200).json({ message: "Restaurant deleted successfully" });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -1,9 +1,32 @@
 const express = require("express");
+const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+const upload = require("../middlewares/uploadMiddleware");
 const reviewService = require("../services/reviewService");
+const reviewModerationService = require("../services/reviewModerationService");
 const router = express.Router();
 
+const MULTER_ERROR_MESSAGES = {
+  LIMIT_UNEXPECTED_FILE: `Mỗi lần tải tối đa ${reviewService.getRules().maxPictures} ảnh, trong trường "pictures".`,
+  LIMIT_FILE_SIZE: "Mỗi ảnh tối đa 5MB.",
+};
+
+// Nhận ảnh đánh giá, lỗi upload trả về 400 dạng JSON thay vì trang lỗi mặc định
+const uploadPictures = (req, res, next) => {
+  upload.array("pictures", reviewService.getRules().maxPictures)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      return res
+        .status(400)
+        .json({ error: MULTER_ERROR_MESSAGES[err.code] || err.message });
+    }
+    // Lỗi từ fileFilter (sai định dạng ảnh)
+    res.status(400).json({ error: err.message });
+  });
+};
+
 /**
  * @swagger
  * tags:
@@ -27,11 +50,9 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             properties:
- *               reviewID:
- *                 type: string
- *                 example: R001
- *               userID:
+ *               invoiceID:
  *                 type: string
+ *                 description: Hóa đơn đã sử dụng của user
  *                 example: 64f6b3c9e3a1a4321f2c1a8b
  *               positiveComment:
  *                 type: string
@@ -42,21 +63,26 @@ const router = express.Router();
  *               stars:
  *                 type: number
  *                 example: 4
- *               targetID:
- *                 type: string
- *                 example: 64f6b3c9e3a1a4321f2c1a8b
- *               targetModel:
- *                 type: string
- *                 enum: [Room, Table]
- *                 example: Room
- *               serviceID:
+ *               aspectScores:
+ *                 type: object
+ *                 description: "Điểm 1-5 theo tiêu chí của loại dịch vụ"
+ *                 example: { food: 5, ambience: 4, service: 4 }
+ *               travellerType:
  *                 type: string
+ *                 description: ObjectId của Suitability
  *                 example: 64f6b3c9e3a1a4321f2c1a8b
+ *             required:
+ *               - invoiceID
+ *               - stars
  *     responses:
  *       201:
  *         description: Review created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Hóa đơn không thuộc user
+ *       409:
+ *         description: Hóa đơn đã được đánh giá
  *       500:
  *         description: Server error
  */
@@ -64,17 +90,12 @@ router.post(
   "/",
   authMiddleware,
   [
-    body("reviewID").notEmpty().withMessage("Review ID is required"),
-    body("userID").isMongoId().withMessage("User ID must be a valid MongoID"),
+    body("invoiceID")
+      .isMongoId()
+      .withMessage("Invoice ID must be a valid MongoID"),
     body("stars")
       .isInt({ min: 1, max: 5 })
       .withMessage("Stars must be between 1 and 5"),
-    body("targetID")
-      .isMongoId()
-      .withMessage("Target ID must be a valid MongoID"),
-    body("targetModel")
-      .isIn(["Room", "Table"])
-      .withMessage("Target model must be 'Room' or 'Table'"),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -83,12 +104,12 @@ router.post(
     }
 
     try {
-      const newReview = await reviewService.createReview(req.body);
+      const newReview = await reviewService.createReview(req.body, req.user);
       res
         .status(201)
         .json({ message: "Review created successfully", data: newReview });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -110,13 +131,60 @@ router.post(
  */
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const reviews = await reviewService.getAllReviews();
+    const reviews = await reviewService.getAllReviews(req.user);
     res.status(200).json(reviews);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/reviews/moderation/queue:
+ *   get:
+ *     summary: Hàng đợi kiểm duyệt đánh giá (Admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         description: "open: chờ duyệt hoặc có báo cáo chưa xử lý"
+ *         schema:
+ *           type: string
+ *           enum: [open, pending, flagged, hidden]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 20
+ *     responses:
+ *       200:
+ *         description: "{ results, total, page, limit, totalPages }"
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/moderation/queue",
+  authMiddleware,
+  roleMiddleware(["Admin"]),
+  async (req, res) => {
+    try {
+      const queue = await reviewModerationService.getModerationQueue(req.query);
+      res.status(200).json(queue);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 // READ ONE - Lấy chi tiết đánh giá
 /**
  * @swagger
@@ -143,7 +211,7 @@ router.get("/", authMiddleware, async (req, res) => {
  */
 router.get("/:id", authMiddleware, async (req, res) => {
   try {
-    const review = await reviewService.getReviewById(req.params.id);
+    const review = await reviewService.getReviewById(req.params.id, req.user);
     if (!review) return res.status(404).json({ error: "Review not found" });
     res.status(200).json(review);
   } catch (err) {
@@ -156,7 +224,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
  * @swagger
  * /api/reviews/{id}:
  *   put:
- *     summary: Cập nhật thông tin một đánh giá
+ *     summary: Tác giả sửa đánh giá (trong thời gian cho phép sau khi đăng)
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -183,9 +251,17 @@ router.get("/:id", authMiddleware, async (req, res) => {
  *               stars:
  *                 type: number
  *                 example: 5
+ *               aspectScores:
+ *                 type: object
+ *                 example: { cleanliness: 5, staff: 4 }
+ *               travellerType:
+ *                 type: string
+ *                 example: 64f6b3c9e3a1a4321f2c1a8b
  *     responses:
  *       200:
  *         description: Review updated successfully
+ *       403:
+ *         description: Không phải tác giả hoặc đã quá thời gian được sửa
  *       404:
  *         description: Review not found
  *       500:
@@ -195,13 +271,14 @@ router.put("/:id", authMiddleware, async (req, res) => {
   try {
     const updatedReview = await reviewService.updateReviewById(
       req.params.id,
-      req.body
+      req.body,
+      req.user
     );
     res
       .status(200)
       .json({ message: "Review updated successfully", data: updatedReview });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -231,10 +308,330 @@ router.put("/:id", authMiddleware, async (req, res) => {
  */
 router.delete("/:id", authMiddleware, async (req, res) => {
   try {
-    await reviewService.deleteReviewById(req.params.id);
+    await reviewService.deleteReviewById(req.params.id, req.user);
     res.status(200).json({ message: "Review deleted successfully" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/moderation:
+ *   post:
+ *     summary: Duyệt, ẩn hoặc xóa đánh giá (Admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, hide, delete]
+ *                 description: delete xóa hẳn đánh giá, hóa đơn vẫn tính là đã đánh giá nên khách không đăng lại được
+ *               reason:
+ *                 type: string
+ *                 description: Bắt buộc khi ẩn hoặc xóa
+ *                 example: Nội dung xúc phạm
+ *             required:
+ *               - action
+ *     responses:
+ *       200:
+ *         description: Đánh giá sau khi xử lý
+ *       400:
+ *         description: Dữ liệu đầu vào không hợp lệ
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Đánh giá vừa được xử lý bởi người khác
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/moderation",
+  authMiddleware,
+  roleMiddleware(["Admin"]),
+  async (req, res) => {
+    try {
+      const result = await reviewModerationService.moderateReview(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/flags:
+ *   post:
+ *     summary: Báo cáo đánh giá vi phạm (mỗi người một lần)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, fake, irrelevant, other]
+ *               note:
+ *                 type: string
+ *                 example: Đánh giá quảng cáo
+ *             required:
+ *               - reason
+ *     responses:
+ *       201:
+ *         description: "Đã ghi nhận báo cáo, trả về { openFlagCount }"
+ *       400:
+ *         description: Dữ liệu đầu vào không hợp lệ
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Đã báo cáo đánh giá này
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/flags", authMiddleware, async (req, res) => {
+  try {
+    const result = await reviewModerationService.flagReview(
+      req.params.id,
+      req.body,
+      req.user
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/response:
+ *   put:
+ *     summary: Provider đăng hoặc sửa phản hồi công khai cho đánh giá
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: Cảm ơn quý khách đã góp ý, chúng tôi sẽ cải thiện.
+ *             required:
+ *               - text
+ *     responses:
+ *       200:
+ *         description: Đánh giá kèm phản hồi
+ *       400:
+ *         description: Nội dung không hợp lệ hoặc chứa từ bị chặn
+ *       403:
+ *         description: Không phải chủ dịch vụ
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Đánh giá không ở trạng thái hiển thị
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Provider xóa phản hồi của mình
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     responses:
+ *       200:
+ *         description: Đánh giá sau khi xóa phản hồi
+ *       403:
+ *         description: Không phải chủ dịch vụ
+ *       404:
+ *         description: Review hoặc phản hồi không tồn tại
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:id/response",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const review = await reviewModerationService.respondToReview(
+        req.params.id,
+        req.body.text,
+        req.user
+      );
+      res.status(200).json(review);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+router.delete(
+  "/:id/response",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const review = await reviewModerationService.deleteResponse(
+        req.params.id,
+        req.user
+      );
+      res.status(200).json(review);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/pictures:
+ *   post:
+ *     summary: Tác giả đăng ảnh kèm đánh giá (trong thời gian được sửa)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pictures:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Đánh giá kèm danh sách ảnh
+ *       400:
+ *         description: Chưa chọn ảnh, sai định dạng, ảnh quá 5MB hoặc vượt quá số ảnh cho phép
+ *       403:
+ *         description: Không phải tác giả hoặc đã quá thời gian được sửa
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Xóa một ảnh của đánh giá (tác giả hoặc Admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               picture:
+ *                 type: string
+ *                 example: /uploads/1731296037206.png
+ *             required:
+ *               - picture
+ *     responses:
+ *       200:
+ *         description: Đánh giá sau khi xóa ảnh
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Review hoặc ảnh không tồn tại
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/pictures",
+  authMiddleware,
+  uploadPictures,
+  async (req, res) => {
+    try {
+      const picturePaths = (req.files || []).map(
+        (file) => `/uploads/${file.filename}`
+      );
+      const review = await reviewService.addPictures(
+        req.params.id,
+        picturePaths,
+        req.user
+      );
+      res.status(201).json(review);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+router.delete("/:id/pictures", authMiddleware, async (req, res) => {
+  try {
+    const review = await reviewService.removePicture(
+      req.params.id,
+      req.body.picture,
+      req.user
+    );
+    res.status(200).json(review);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -4,6 +4,10 @@ const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 const upload = require("../middlewares/uploadMiddleware");
 const roomService = require("../services/roomService");
+const pricingService = require("../services/pricingService");
+const ownershipService = require("../services/ownershipService");
+const roomCalendarService = require("../services/roomCalendarService");
+const icalService = require("../services/icalService");
 const router = express.Router();
 
 const Room = require("../models/Room");
@@ -141,41 +145,49 @@ router.get("/:id", async (req, res) => {
  *       500:
  *         description: Lỗi server
  */
-router.post("/", async (req, res) => {
-  try {
-    const { hotelID } = req.body;
+router.post(
+  "/",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const { hotelID } = req.body;
 
-    if (!hotelID) {
-      return res.status(400).json({ error: "hotelID là bắt buộc." });
-    }
+      if (!hotelID) {
+        return res.status(400).json({ error: "hotelID là bắt buộc." });
+      }
 
-    // Giá trị mặc định
-    const defaultRoomData = {
-      roomID: `room_${Date.now()}`, // Tạo ID duy nhất
-      hotelID,
-      roomType: "Standard",
-      price: 100,
-      discountPrice: 80,
-      pictures: [],
-      active: false,
-      capacity: {
-        adults: 0,
-        children: 0,
-        roomNumber: 0,
-      },
-      facilities: [],
-      roomsAvailable: [],
-    };
-
-    // Tạo phòng mới
-    const newRoom = await Room.create(defaultRoomData);
-
-    res.status(201).json(newRoom);
-  } catch (err) {
-    console.log(err);
-    res.status(500).json({ error: err.message });
+      // Chỉ chủ sở hữu Hotel (hoặc Admin) được thêm phòng
+      await ownershipService.assertHotelOwner(req.user, hotelID);
+
+      // Giá trị mặc định
+      const defaultRoomData = {
+        roomID: `room_${Date.now()}`, // Tạo ID duy nhất
+        hotelID,
+        roomType: "Standard",
+        price: 100,
+        discountPrice: 80,
+        pictures: [],
+        active: false,
+        capacity: {
+          adults: 0,
+          children: 0,
+          roomNumber: 0,
+        },
+        facilities: [],
+        roomsAvailable: [],
+      };
+
+      // Tạo phòng mới
+      const newRoom = await Room.create(defaultRoomData);
+
+      res.status(201).json(newRoom);
+    } catch (err) {
+      console.log(err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 // READ ALL - Lấy danh sách Rooms
 /**
@@ -239,29 +251,799 @@ router.get("/:id", authMiddleware, async (req, res) => {
   }
 });
 
-router.put("/:id", authMiddleware, async (req, res) => {
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      console.log(req.body);
+
+      // Chỉ chủ sở hữu Room (hoặc Admin) được cập nhật
+      const room = await ownershipService.assertRoomOwner(
+        req.user,
+        req.params.id
+      );
+      if (
+        req.body.hotelID &&
+        req.body.hotelID.toString() !== room.hotelID.toString()
+      ) {
+        await ownershipService.assertHotelOwner(req.user, req.body.hotelID);
+      }
+
+      // Cập nhật thông tin Room trực tiếp từ req.body
+      const updatedRoom = await Room.findByIdAndUpdate(
+        req.params.id,
+        { $set: req.body }, // Ghi đè toàn bộ các trường truyền vào
+        { new: true, runValidators: true } // Tùy chọn để trả về dữ liệu đã cập nhật và kiểm tra tính hợp lệ
+      );
+
+      if (!updatedRoom) {
+        return res.status(404).json({ message: "Room not found" });
+      }
+
+      res
+        .status(200)
+        .json({ message: "Room updated successfully", data: updatedRoom });
+    } catch (err) {
+      console.error(err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// QUOTE - Báo giá lưu trú theo từng đêm
+/**
+ * @swagger
+ * /api/rooms/{id}/quote:
+ *   post:
+ *     summary: Báo giá lưu trú cho một phòng (giá từng đêm, phòng trống, tổng tiền)
+ *     tags: [Rooms]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [checkInDate, checkOutDate]
+ *             properties:
+ *               checkInDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-28
+ *               checkOutDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-02-01
+ *               quantity:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Báo giá
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Room not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/quote", async (req, res) => {
   try {
-    console.log(req.body);
-    // Cập nhật thông tin Room trực tiếp từ req.body
-    const updatedRoom = await Room.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body }, // Ghi đè toàn bộ các trường truyền vào
-      { new: true, runValidators: true } // Tùy chọn để trả về dữ liệu đã cập nhật và kiểm tra tính hợp lệ
-    );
+    const quote = await pricingService.getRoomQuote(req.params.id, req.body);
+    res.status(200).json(quote);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    if (!updatedRoom) {
-      return res.status(404).json({ message: "Room not found" });
+// RATES - Cập nhật bảng giá riêng theo ngày của Room
+/**
+ * @swagger
+ * /api/rooms/{id}/rates:
+ *   put:
+ *     summary: Thay thế danh sách mức giá riêng (Tết, cuối tuần, mùa cao điểm...) của phòng
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rateOverrides:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Tết Nguyên Đán
+ *                     startDate:
+ *                       type: string
+ *                       format: date
+ *                       example: 2025-01-25
+ *                     endDate:
+ *                       type: string
+ *                       format: date
+ *                       example: 2025-02-02
+ *                     weekdays:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       example: []
+ *                     price:
+ *                       type: number
+ *                       example: 2500000
+ *                     adjustmentPercent:
+ *                       type: number
+ *                       example: 20
+ *                     priority:
+ *                       type: integer
+ *                       example: 10
+ *     responses:
+ *       200:
+ *         description: Rates updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:id/rates",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const room = await roomService.updateRoomRates(
+        req.params.id,
+        req.body.rateOverrides,
+        req.user
+      );
+      res
+        .status(200)
+        .json({ message: "Rates updated successfully", data: room.rateOverrides });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    res
-      .status(200)
-      .json({ message: "Room updated successfully", data: updatedRoom });
+// AVAILABILITY - Lịch phòng trống theo tháng
+/**
+ * @swagger
+ * /api/rooms/{id}/availability:
+ *   get:
+ *     summary: Lịch phòng trống theo tháng, gồm số phòng đã đặt (tính từ hóa đơn), còn trống và ngày ngừng bán
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: month
+ *         in: query
+ *         description: Tháng dạng YYYY-MM, mặc định tháng hiện tại
+ *         schema:
+ *           type: string
+ *           example: 2025-01
+ *     responses:
+ *       200:
+ *         description: "{ roomID, month, days: [{ date, weekday, configured, booked, available, totalRooms, closed, sellable }], totals }"
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ */
+router.get(
+  "/:id/availability",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const grid = await roomCalendarService.getMonthGrid(
+        req.params.id,
+        req.query.month,
+        req.user
+      );
+      res.status(200).json(grid);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// AVAILABILITY - Đặt số phòng mở bán hàng loạt
+/**
+ * @swagger
+ * /api/rooms/{id}/availability:
+ *   put:
+ *     summary: Đặt số phòng mở bán cho một khoảng ngày (lọc theo thứ trong tuần); số phòng trống = totalRooms - số phòng đã đặt
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate, endDate, totalRooms]
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-01
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Tính cả ngày này
+ *                 example: 2025-03-31
+ *               weekdays:
+ *                 type: array
+ *                 description: Chỉ áp dụng cho các thứ này (0 = Chủ nhật), trống là mọi ngày
+ *                 items:
+ *                   type: integer
+ *                 example: [5, 6]
+ *               totalRooms:
+ *                 type: integer
+ *                 example: 10
+ *               closed:
+ *                 type: boolean
+ *                 description: Đặt luôn trạng thái ngừng bán, bỏ trống thì giữ nguyên
+ *     responses:
+ *       200:
+ *         description: "{ updated, created, overbooked }; overbooked là các ngày đã đặt nhiều hơn totalRooms"
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ */
+router.put(
+  "/:id/availability",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const result = await roomCalendarService.setInventory(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// AVAILABILITY - Ngừng bán các ngày
+/**
+ * @swagger
+ * /api/rooms/{id}/availability/close:
+ *   post:
+ *     summary: Ngừng bán (stop-sell) các ngày trong khoảng, giữ nguyên số phòng trống
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate, endDate]
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-01
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Tính cả ngày này
+ *                 example: 2025-03-31
+ *               weekdays:
+ *                 type: array
+ *                 description: Chỉ áp dụng cho các thứ này (0 = Chủ nhật), trống là mọi ngày
+ *                 items:
+ *                   type: integer
+ *                 example: [5, 6]
+ *     responses:
+ *       200:
+ *         description: "{ updated, missing }; missing là các ngày chưa có trong lịch"
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ */
+router.post(
+  "/:id/availability/close",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const result = await roomCalendarService.setClosed(
+        req.params.id,
+        req.body,
+        true,
+        req.user
+      );
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// AVAILABILITY - Mở bán lại các ngày
+/**
+ * @swagger
+ * /api/rooms/{id}/availability/open:
+ *   post:
+ *     summary: Mở bán lại các ngày đã ngừng bán trong khoảng
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate, endDate]
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-01
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Tính cả ngày này
+ *                 example: 2025-03-31
+ *               weekdays:
+ *                 type: array
+ *                 description: Chỉ áp dụng cho các thứ này (0 = Chủ nhật), trống là mọi ngày
+ *                 items:
+ *                   type: integer
+ *                 example: [5, 6]
+ *     responses:
+ *       200:
+ *         description: "{ updated, missing }"
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ */
+router.post(
+  "/:id/availability/open",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const result = await roomCalendarService.setClosed(
+        req.params.id,
+        req.body,
+        false,
+        req.user
+      );
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// AVAILABILITY - Thiết lập tự động mở bán
+/**
+ * @swagger
+ * /api/rooms/{id}/availability/settings:
+ *   put:
+ *     summary: Bật/tắt tự động mở bán, luôn giữ lịch mở bán horizonDays ngày tới với defaultRooms phòng mỗi ngày
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               autoExtend:
+ *                 type: boolean
+ *                 example: true
+ *               horizonDays:
+ *                 type: integer
+ *                 example: 365
+ *               defaultRooms:
+ *                 type: integer
+ *                 example: 10
+ *     responses:
+ *       200:
+ *         description: "{ calendar, added }; added là số ngày vừa được mở bán thêm"
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ */
+router.put(
+  "/:id/availability/settings",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const result = await roomCalendarService.updateCalendarSettings(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ICAL - Xuất lịch các đêm đã đặt
+/**
+ * @swagger
+ * /api/rooms/{id}/calendar.ics:
+ *   get:
+ *     summary: Lịch ICS các đêm đã đặt của phòng, dùng để đồng bộ sang nền tảng khác
+ *     tags: [Rooms]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: token
+ *         in: query
+ *         required: true
+ *         description: Khóa bí mật lấy từ POST /api/rooms/{id}/ical/export-token
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nội dung text/calendar
+ *       404:
+ *         description: Calendar not found
+ */
+router.get("/:id/calendar.ics", async (req, res) => {
+  try {
+    const ics = await icalService.exportCalendar(req.params.id, req.query.token);
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `inline; filename="room-${req.params.id}.ics"`);
+    res.status(200).send(ics);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// ICAL - Tạo khóa xuất lịch
+/**
+ * @swagger
+ * /api/rooms/{id}/ical/export-token:
+ *   post:
+ *     summary: Tạo mới khóa bí mật cho đường dẫn xuất lịch ICS (đường dẫn cũ hết hiệu lực)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     responses:
+ *       200:
+ *         description: "{ token, url }"
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ */
+router.post(
+  "/:id/ical/export-token",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const result = await icalService.rotateExportToken(req.params.id, req.user);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ICAL - Danh sách lịch nhập
+/**
+ * @swagger
+ * /api/rooms/{id}/ical/imports:
+ *   get:
+ *     summary: Danh sách lịch ICS đã nhập, kèm trạng thái đồng bộ và các đêm bị trùng
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     responses:
+ *       200:
+ *         description: "[{ _id, name, url, blockedDates, conflicts, eventsCount, lastSyncedAt, lastStatus, lastError }]"
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ */
+router.get(
+  "/:id/ical/imports",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const imports = await icalService.listImports(req.params.id, req.user);
+      res.status(200).json(imports);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ICAL - Nhập lịch từ nền tảng khác
+/**
+ * @swagger
+ * /api/rooms/{id}/ical/imports:
+ *   post:
+ *     summary: Nhập lịch ICS (từ URL hoặc nội dung file) và ngừng bán các đêm trong lịch; lịch có URL được đồng bộ lại định kỳ
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: name
+ *         in: query
+ *         description: Tên nguồn, dùng khi gửi thẳng nội dung ICS (text/calendar)
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Tên nguồn, trùng tên thì thay thế lịch cũ
+ *                 example: Airbnb
+ *               url:
+ *                 type: string
+ *                 example: https://www.airbnb.com/calendar/ical/123.ics
+ *               ics:
+ *                 type: string
+ *                 description: Nội dung file ICS (thay cho url)
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: "{ importID, name, events, blocked, released, conflicts: [{ date, booked, summary }] }"
+ *       400:
+ *         description: Validation error hoặc URL trỏ vào mạng nội bộ
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room not found
+ *       502:
+ *         description: Không tải được lịch từ URL hoặc lịch quá 2MB
+ */
+router.post(
+  "/:id/ical/imports",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  express.text({ type: ["text/calendar", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    try {
+      const data =
+        typeof req.body === "string"
+          ? { name: req.query.name, ics: req.body }
+          : req.body;
+      const report = await icalService.addImport(req.params.id, data, req.user);
+      res.status(200).json(report);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ICAL - Đồng bộ lại một lịch nhập
+/**
+ * @swagger
+ * /api/rooms/{id}/ical/imports/{importID}/sync:
+ *   post:
+ *     summary: Đồng bộ lại một lịch nhập ngay (tải lại từ URL, hoặc dùng nội dung ICS mới gửi lên)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: importID
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ics:
+ *                 type: string
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Báo cáo đồng bộ
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Room hoặc lịch nhập không tồn tại
+ *       502:
+ *         description: Không tải được lịch từ URL
+ */
+router.post(
+  "/:id/ical/imports/:importID/sync",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  express.text({ type: ["text/calendar", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    try {
+      const ics = typeof req.body === "string" ? req.body : req.body?.ics;
+      const report = await icalService.syncImport(
+        req.params.id,
+        req.params.importID,
+        ics,
+        req.user
+      );
+      res.status(200).json(report);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ICAL - Xóa lịch nhập
+/**
+ * @swagger
+ * /api/rooms/{id}/ical/imports/{importID}:
+ *   delete:
+ *     summary: Xóa lịch nhập và mở bán lại các đêm chỉ do lịch này chặn
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: importID
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ released }"
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Room hoặc lịch nhập không tồn tại
+ */
+router.delete(
+  "/:id/ical/imports/:importID",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const result = await icalService.removeImport(
+        req.params.id,
+        req.params.importID,
+        req.user
+      );
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 // DELETE - Xóa Room
 /**
  * @swagger
@@ -286,13 +1068,18 @@ router.put("/:id", authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    await roomService.deleteRoomById(req.params.id);
-    res.status(200).json({ message: "Room deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.delete(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      await roomService.deleteRoomById(req.params.id, req.user);
+      res.status(200).json({ message: "Room deleted successfully" });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 module.exports = router;
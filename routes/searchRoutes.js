@@ -0,0 +1,247 @@
+const express = require("express");
+const searchService = require("../services/searchService");
+const geoService = require("../services/geoService");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: API tìm kiếm chung khách sạn, nhà hàng và quán cà phê
+ */
+
+// SEARCH - Tìm kiếm chung
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Tìm kiếm khách sạn, nhà hàng, quán cà phê với bộ lọc, phân trang, sắp xếp và đếm theo nhóm
+ *     tags: [Search]
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         description: Từ khóa (không phân biệt dấu) tìm trong tên, địa điểm và mô tả; không có kết quả thì so khớp gần đúng
+ *         schema:
+ *           type: string
+ *           example: biển
+ *       - name: type
+ *         in: query
+ *         description: Một hoặc nhiều loại, phân cách bằng dấu phẩy
+ *         schema:
+ *           type: string
+ *           example: hotel,restaurant
+ *       - name: lat
+ *         in: query
+ *         schema:
+ *           type: number
+ *           example: 10.862865
+ *       - name: lng
+ *         in: query
+ *         schema:
+ *           type: number
+ *           example: 106.7594136
+ *       - name: radius
+ *         in: query
+ *         description: Bán kính tìm kiếm (km), cần lat và lng
+ *         schema:
+ *           type: number
+ *           example: 5
+ *       - name: priceCategories
+ *         in: query
+ *         description: ID PriceCategory, phân cách bằng dấu phẩy (khớp một trong các mức)
+ *         schema:
+ *           type: string
+ *       - name: suitabilities
+ *         in: query
+ *         description: ID Suitability, phân cách bằng dấu phẩy (khớp tất cả)
+ *         schema:
+ *           type: string
+ *       - name: facilityTypes
+ *         in: query
+ *         description: ID FacilityType, phân cách bằng dấu phẩy (khớp tất cả)
+ *         schema:
+ *           type: string
+ *       - name: minRating
+ *         in: query
+ *         schema:
+ *           type: number
+ *           example: 4
+ *       - name: minPrice
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: maxPrice
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: checkIn
+ *         in: query
+ *         description: Ngày nhận phòng, chỉ lọc khách sạn còn phòng
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: checkOut
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: date
+ *         in: query
+ *         description: Ngày đặt bàn, chỉ lọc nhà hàng còn bàn
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: time
+ *         in: query
+ *         description: Giờ đến (HH:mm), cần date
+ *         schema:
+ *           type: string
+ *           example: "19:00"
+ *       - name: rooms
+ *         in: query
+ *         description: Số phòng cần đặt (khi lọc khách sạn theo checkIn/checkOut)
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: adults
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *       - name: children
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 0
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [relevance, price_asc, price_desc, rating, distance, newest]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 20
+ *     responses:
+ *       200:
+ *         description: "{ results, total, page, limit, totalPages, sort, fuzzy, facets }; mỗi kết quả có cùng cấu trúc cho mọi loại dịch vụ, fuzzy = true khi kết quả đến từ so khớp gần đúng"
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       500:
+ *         description: Server error
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await searchService.search(req.query);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// SUGGEST - Gợi ý khi đang gõ
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: Gợi ý dịch vụ và địa điểm theo từ khóa (không phân biệt dấu, chịu lỗi gõ sai)
+ *     tags: [Search]
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         description: Từ khóa, tối thiểu 2 ký tự, ví dụ "da lat" khớp "Đà Lạt"
+ *         schema:
+ *           type: string
+ *           example: da lat
+ *       - name: limit
+ *         in: query
+ *         description: Số gợi ý tối đa cho mỗi nhóm (1-10)
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *     responses:
+ *       200:
+ *         description: "{ query, services: [{ _id, name, type, locationName }], locations: [{ _id, locationName }] }"
+ *       400:
+ *         description: Tham số không hợp lệ
+ */
+router.get("/suggest", async (req, res) => {
+  try {
+    const result = await searchService.suggest(req.query);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// VIEWPORT - Tìm trong khung nhìn bản đồ
+/**
+ * @swagger
+ * /api/search/viewport:
+ *   get:
+ *     summary: Tìm dịch vụ mọi loại trong khung nhìn bản đồ; ở mức zoom thấp các điểm được gom cụm theo ô lưới
+ *     tags: [Search]
+ *     parameters:
+ *       - name: swLat
+ *         in: query
+ *         required: true
+ *         description: Vĩ độ góc tây nam
+ *         schema:
+ *           type: number
+ *           example: 10.70
+ *       - name: swLng
+ *         in: query
+ *         required: true
+ *         description: Kinh độ góc tây nam
+ *         schema:
+ *           type: number
+ *           example: 106.60
+ *       - name: neLat
+ *         in: query
+ *         required: true
+ *         description: Vĩ độ góc đông bắc
+ *         schema:
+ *           type: number
+ *           example: 10.90
+ *       - name: neLng
+ *         in: query
+ *         required: true
+ *         description: Kinh độ góc đông bắc (nhỏ hơn swLng nếu khung nhìn vắt qua kinh tuyến 180)
+ *         schema:
+ *           type: number
+ *           example: 106.85
+ *       - name: zoom
+ *         in: query
+ *         description: Mức zoom bản đồ (0-22), bỏ trống thì ước lượng từ khung nhìn; từ 15 trở lên trả về từng điểm
+ *         schema:
+ *           type: integer
+ *           example: 12
+ *       - name: type
+ *         in: query
+ *         description: Một hoặc nhiều loại, phân cách bằng dấu phẩy
+ *         schema:
+ *           type: string
+ *           example: hotel,cafe
+ *     responses:
+ *       200:
+ *         description: "{ zoom, total, clustered, clusters: [{ latitude, longitude, count, types, bounds }], points: [{ _id, type, name, latitude, longitude, price, ... }] }"
+ *       400:
+ *         description: Tham số không hợp lệ
+ */
+router.get("/viewport", async (req, res) => {
+  try {
+    const result = await geoService.findInViewport(req.query);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
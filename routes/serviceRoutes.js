@@ -4,11 +4,11 @@ const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 const upload = require("../middlewares/uploadMiddleware");
 const serviceService = require("../services/serviceService");
+const locationService = require("../services/locationService");
+const ownershipService = require("../services/ownershipService");
+const reviewService = require("../services/reviewService");
 const Service = require("../models/Service");
-const Location = require("../models/Location");
 const Hotel = require("../models/Hotel");
-const Review = require("../models/Review");
-const Invoice = require("../models/Invoice");
 const Restaurant = require("../models/Restaurant");
 const Coffee = require("../models/Coffee");
 const router = express.Router();
@@ -445,6 +445,107 @@ router.get("/cafe/all", async (req, res) => {
   }
 });
 
+// CANCELLATION POLICY - Cập nhật chính sách hủy của Service
+/**
+ * @swagger
+ * /api/services/{id}/cancellation-policy:
+ *   put:
+ *     summary: Cập nhật chính sách hủy của một Service (Provider sở hữu hoặc Admin)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refundable:
+ *                 type: boolean
+ *                 example: true
+ *               freeCancellationDays:
+ *                 type: integer
+ *                 example: 7
+ *               penalties:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     daysBefore:
+ *                       type: integer
+ *                       example: 3
+ *                     penaltyPercent:
+ *                       type: number
+ *                       example: 50
+ *               description:
+ *                 type: string
+ *                 example: Hủy miễn phí trước 7 ngày, phạt 50% nếu hủy trước 3 ngày
+ *     responses:
+ *       200:
+ *         description: Cancellation policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Service not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/:id/cancellation-policy",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  [
+    body("refundable")
+      .optional()
+      .isBoolean()
+      .withMessage("Refundable must be a boolean"),
+    body("freeCancellationDays")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Free cancellation days must be a non-negative integer"),
+    body("penalties")
+      .optional()
+      .isArray()
+      .withMessage("Penalties must be an array"),
+    body("penalties.*.daysBefore")
+      .isInt({ min: 0 })
+      .withMessage("daysBefore must be a non-negative integer"),
+    body("penalties.*.penaltyPercent")
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("penaltyPercent must be between 0 and 100"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const service = await serviceService.updateCancellationPolicy(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res.status(200).json({
+        message: "Cancellation policy updated successfully",
+        data: service.cancellationPolicy,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
 // DELETE - Xóa Service
 /**
  * @swagger
@@ -471,14 +572,19 @@ router.get("/cafe/all", async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    await serviceService.deleteServiceById(req.params.id, req.user);
-    res.status(200).json({ message: "Service deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.delete(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      await serviceService.deleteServiceById(req.params.id, req.user);
+      res.status(200).json({ message: "Service deleted successfully" });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 router.post(
   "/:id",
@@ -544,7 +650,8 @@ router.post(
       // Update service in the database
       const updatedService = await serviceService.updateServiceById(
         req.params.id,
-        updateFields
+        updateFields,
+        req.user
       );
 
       if (!updatedService) {
@@ -557,7 +664,7 @@ router.post(
       });
     } catch (err) {
       console.error(err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -589,136 +696,290 @@ router.post(
  *         description: Server error
  */
 
-router.post("/", async (req, res) => {
-  try {
-    const { providerID, type } = req.body;
-
-    if (!providerID) {
-      return res.status(400).json({ error: "ProviderID is required" });
-    }
-
-    if (!type || !["hotel", "restaurant", "cafe"].includes(type)) {
-      return res.status(400).json({ error: "Invalid or missing type" });
-    }
+router.post(
+  "/",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const { providerID, type } = req.body;
 
-    // Tạo mới một Location với dữ liệu mặc định
-    const newLocation = new Location({
-      locationID: `LOC-${Date.now()}`,
-      locationName: "Default Location",
-      description: "This is a default location",
-      latitude: 10.762622,
-      longitude: 106.660172,
-    });
+      if (!providerID) {
+        return res.status(400).json({ error: "ProviderID is required" });
+      }
 
-    const savedLocation = await newLocation.save();
-
-    // Tạo mới một Service với locationID từ Location vừa tạo
-    const newService = new Service({
-      serviceID: `SER-${Date.now()}`,
-      providerID,
-      locationID: savedLocation._id,
-      serviceName: "Default Service",
-      price: 100,
-      discountPrice: 80,
-      description: "This is a default service",
-      status: "Inactive",
-      type,
-      facilities: [],
-      priceCategories: [],
-      suitability: [],
-      reviews: [],
-      images: ["default-image.jpg"],
-    });
+      if (!type || !["hotel", "restaurant", "cafe"].includes(type)) {
+        return res.status(400).json({ error: "Invalid or missing type" });
+      }
 
-    const savedService = await newService.save();
+      // Provider chỉ được tạo Service cho chính mình
+      await ownershipService.assertProviderOwner(req.user, providerID);
 
-    let createdEntity;
-    if (type === "hotel") {
-      // Tạo Hotel
-      const newHotel = new Hotel({
-        hotelID: `HOT-${Date.now()}`,
-        serviceID: savedService._id,
-        starRating: 3,
-        hotelTypeID: null,
+      // Tạo mới một Location với dữ liệu mặc định (kèm geo và trường tìm kiếm)
+      const savedLocation = await locationService.createLocation({
+        locationID: `LOC-${Date.now()}`,
+        locationName: "Default Location",
+        description: "This is a default location",
+        latitude: 10.762622,
+        longitude: 106.660172,
       });
-      createdEntity = await newHotel.save();
-    } else if (type === "restaurant") {
-      // Tạo Restaurant
-      const newRestaurant = new Restaurant({
-        restaurantID: `RES-${Date.now()}`,
-        serviceID: savedService._id,
-        cuisineTypeIDs: [],
-        dishes: [],
-        seatingCapacity: 50,
-        restaurantTypeID: null,
+
+      // Tạo mới một Service với locationID từ Location vừa tạo
+      const savedService = await serviceService.createService({
+        serviceID: `SER-${Date.now()}`,
+        providerID,
+        locationID: savedLocation._id,
+        serviceName: "Default Service",
+        price: 100,
+        discountPrice: 80,
+        description: "This is a default service",
+        status: "Inactive",
+        type,
+        facilities: [],
+        priceCategories: [],
+        suitability: [],
+        reviews: [],
+        images: ["default-image.jpg"],
       });
-      createdEntity = await newRestaurant.save();
-    } else if (type === "cafe") {
-      // Tạo Coffee
-      const newCoffee = new Coffee({
-        coffeeID: `CAF-${Date.now()}`,
-        serviceID: savedService._id,
-        coffeeTypes: [],
-        averagePrice: 50,
-        pictures: [],
+
+      let createdEntity;
+      if (type === "hotel") {
+        // Tạo Hotel
+        const newHotel = new Hotel({
+          hotelID: `HOT-${Date.now()}`,
+          serviceID: savedService._id,
+          starRating: 3,
+          hotelTypeID: null,
+        });
+        createdEntity = await newHotel.save();
+      } else if (type === "restaurant") {
+        // Tạo Restaurant
+        const newRestaurant = new Restaurant({
+          restaurantID: `RES-${Date.now()}`,
+          serviceID: savedService._id,
+          cuisineTypeIDs: [],
+          dishes: [],
+          seatingCapacity: 50,
+          restaurantTypeID: null,
+        });
+        createdEntity = await newRestaurant.save();
+      } else if (type === "cafe") {
+        // Tạo Coffee
+        const newCoffee = new Coffee({
+          coffeeID: `CAF-${Date.now()}`,
+          serviceID: savedService._id,
+          coffeeTypes: [],
+          averagePrice: 50,
+          pictures: [],
+        });
+        createdEntity = await newCoffee.save();
+      }
+
+      res.status(201).json({
+        message: `${
+          type.charAt(0).toUpperCase() + type.slice(1)
+        } and Service created successfully`,
+        service: savedService,
+        entity: createdEntity,
       });
-      createdEntity = await newCoffee.save();
+    } catch (err) {
+      console.log(err);
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    res.status(201).json({
-      message: `${
-        type.charAt(0).toUpperCase() + type.slice(1)
-      } and Service created successfully`,
-      service: savedService,
-      entity: createdEntity,
-    });
+/**
+ * @swagger
+ * /api/services/services/{id}/photos:
+ *   get:
+ *     summary: Thư viện ảnh của khách (từ các đánh giá đang hiển thị)
+ *     tags: [Services]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *     responses:
+ *       200:
+ *         description: "{ results: [{ picture, reviewID, stars, date, travellerType }], total, page, limit, totalPages }"
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       404:
+ *         description: Service not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/services/:id/photos", async (req, res) => {
+  try {
+    const gallery = await reviewService.getServiceGallery(
+      req.params.id,
+      req.query
+    );
+    res.status(200).json(gallery);
   } catch (err) {
-    console.log(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-router.post("/services/:id/reviews", async (req, res) => {
-  const { id: serviceId } = req.params;
-  const { userID, positiveComment, stars, targetID, invoiceID } = req.body;
-
-  if (!serviceId || !userID || !stars || !targetID || !invoiceID) {
-    return res.status(400).json({ error: "Missing required fields" });
+/**
+ * @swagger
+ * /api/services/services/{id}/reviews:
+ *   get:
+ *     summary: Danh sách đánh giá của dịch vụ, lọc theo số sao, loại khách và tiêu chí
+ *     tags: [Services]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: stars
+ *         in: query
+ *         description: Các mức sao, phân tách bằng dấu phẩy
+ *         schema:
+ *           type: string
+ *           example: "4,5"
+ *       - name: minStars
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 4
+ *       - name: travellerType
+ *         in: query
+ *         description: ObjectId Suitability, phân tách bằng dấu phẩy
+ *         schema:
+ *           type: string
+ *       - name: aspect
+ *         in: query
+ *         description: Chỉ lấy đánh giá có chấm tiêu chí này
+ *         schema:
+ *           type: string
+ *           example: cleanliness
+ *       - name: minAspectScore
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 4
+ *       - name: verified
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, highest, lowest]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *     responses:
+ *       200:
+ *         description: "{ results, total, page, limit, totalPages, summary, aspects, facets }"
+ *       400:
+ *         description: Tham số không hợp lệ
+ *       404:
+ *         description: Service not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/services/:id/reviews", async (req, res) => {
+  try {
+    const reviews = await reviewService.getServiceReviews(
+      req.params.id,
+      req.query
+    );
+    res.status(200).json(reviews);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+});
 
+/**
+ * @swagger
+ * /api/services/services/{id}/reviews:
+ *   post:
+ *     summary: Đánh giá dịch vụ từ một hóa đơn đã sử dụng (mỗi hóa đơn một đánh giá)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               invoiceID:
+ *                 type: string
+ *                 example: 64f6b3c9e3a1a4321f2c1a8b
+ *               stars:
+ *                 type: integer
+ *                 example: 4
+ *               positiveComment:
+ *                 type: string
+ *                 example: "Phòng sạch sẽ, tiện nghi"
+ *               negativeComment:
+ *                 type: string
+ *                 example: "Giá hơi cao"
+ *               aspectScores:
+ *                 type: object
+ *                 description: "Điểm 1-5 theo tiêu chí: cleanliness, location, staff, value (khách sạn); food, ambience, service (nhà hàng, quán cà phê)"
+ *                 example: { cleanliness: 5, location: 4, staff: 5, value: 4 }
+ *               travellerType:
+ *                 type: string
+ *                 description: ObjectId của Suitability (gia đình, cặp đôi, bạn bè...)
+ *                 example: 64f6b3c9e3a1a4321f2c1a8b
+ *             required:
+ *               - invoiceID
+ *               - stars
+ *     responses:
+ *       201:
+ *         description: Đánh giá đã xác thực được tạo và gắn vào hóa đơn
+ *       400:
+ *         description: Hóa đơn chưa sử dụng, quá hạn đánh giá hoặc dữ liệu không hợp lệ
+ *       403:
+ *         description: Hóa đơn không thuộc user
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Hóa đơn đã được đánh giá
+ *       500:
+ *         description: Server error
+ */
+router.post("/services/:id/reviews", authMiddleware, async (req, res) => {
   try {
-    // Kiểm tra Service tồn tại
-    const service = await Service.findById(serviceId);
-    if (!service) {
-      return res.status(404).json({ error: "Service not found" });
-    }
-
-    // Kiểm tra Invoice tồn tại
-    const invoice = await Invoice.findById(invoiceID);
-    if (!invoice) {
-      return res.status(404).json({ error: "Invoice not found" });
-    }
-
-    // Tạo mới review
-    const review = new Review({
-      reviewID:
-        Date.now().toString(36) + Math.random().toString(36).substring(2),
-      userID,
-      positiveComment,
-      stars,
-      targetID,
-    });
-
-    // Lưu review vào database
-    const savedReview = await review.save();
-
-    // Thêm review vào mảng reviews của Service
-    service.reviews.push(savedReview._id);
-    await service.save();
-
-    // Cập nhật review vào hóa đơn
-    invoice.review = savedReview._id;
-    await invoice.save();
+    const savedReview = await reviewService.createReview(
+      { ...req.body, serviceID: req.params.id },
+      req.user
+    );
 
     return res.status(201).json({
       message: "Review added successfully and linked to invoice",
@@ -726,7 +987,7 @@ router.post("/services/:id/reviews", async (req, res) => {
     });
   } catch (error) {
     console.log(error);
-    return res.status(500).json({ error: "Internal server error" });
+    return res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -4,6 +4,7 @@ const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 const upload = require("../middlewares/uploadMiddleware"); // Middleware upload
 const tableService = require("../services/tableService");
+const tableReservationService = require("../services/tableReservationService");
 const router = express.Router();
 
 /**
@@ -61,6 +62,18 @@ const router = express.Router();
  *                 items:
  *                   type: string
  *                 example: ["64f6b3c9e3a1a4321f2c1a8b", "64f7c3c9e3a1a4321f2c1a8c"]
+ *               seats:
+ *                 type: integer
+ *                 example: 4
+ *               openingTime:
+ *                 type: string
+ *                 example: "10:00"
+ *               closingTime:
+ *                 type: string
+ *                 example: "22:00"
+ *               slotMinutes:
+ *                 type: integer
+ *                 example: 120
  *     responses:
  *       201:
  *         description: Table created successfully
@@ -74,7 +87,7 @@ const router = express.Router();
 router.post(
   "/",
   authMiddleware,
-  roleMiddleware(["Provider"]),
+  roleMiddleware(["Provider", "Admin"]),
   upload.array("pictures"), // Hỗ trợ tải lên nhiều file
   [
     body("tableID").notEmpty().withMessage("Table ID is required"),
@@ -100,6 +113,18 @@ router.post(
       .optional()
       .isArray()
       .withMessage("Facilities must be an array of IDs"),
+    body("seats")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Seats must be at least 1"),
+    body(["openingTime", "closingTime"])
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage("Time must be in HH:mm format"),
+    body("slotMinutes")
+      .optional()
+      .isInt({ min: 15 })
+      .withMessage("Slot minutes must be at least 15"),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -117,28 +142,39 @@ router.post(
         discountPrice,
         active,
         facilities,
+        seats,
+        openingTime,
+        closingTime,
+        slotMinutes,
       } = req.body;
 
       // Lấy danh sách đường dẫn ảnh tải lên
       const picturePaths = req.files.map((file) => `/uploads/${file.filename}`);
 
-      const newTable = await tableService.createTable({
-        tableID,
-        restaurantID,
-        tableType,
-        availableDate,
-        price,
-        discountPrice,
-        active,
-        facilities,
-        pictures: picturePaths, // Gán mảng đường dẫn ảnh
-      });
+      const newTable = await tableService.createTable(
+        {
+          tableID,
+          restaurantID,
+          tableType,
+          availableDate,
+          price,
+          discountPrice,
+          active,
+          facilities,
+          seats,
+          openingTime,
+          closingTime,
+          slotMinutes,
+        },
+        req.user,
+        picturePaths // Gán mảng đường dẫn ảnh
+      );
 
       res
         .status(201)
         .json({ message: "Table created successfully", data: newTable });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -172,6 +208,53 @@ router.get(
   }
 );
 
+// AVAILABILITY - Lấy các khung giờ còn trống của nhà hàng
+/**
+ * @swagger
+ * /api/tables/availability:
+ *   get:
+ *     summary: Lấy các khung giờ còn bàn trống của nhà hàng theo ngày và số khách
+ *     tags: [Tables]
+ *     parameters:
+ *       - name: restaurantID
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *       - name: date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: 2024-12-01
+ *       - name: partySize
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 4
+ *     responses:
+ *       200:
+ *         description: Danh sách khung giờ kèm các bàn còn trống
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Restaurant not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/availability", async (req, res) => {
+  try {
+    const availability = await tableReservationService.getAvailability(
+      req.query
+    );
+    res.status(200).json(availability);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // READ ONE - Lấy chi tiết Table theo ID
 /**
  * @swagger
@@ -239,6 +322,18 @@ router.get("/:id", authMiddleware, async (req, res) => {
  *               active:
  *                 type: boolean
  *                 example: false
+ *               seats:
+ *                 type: integer
+ *                 example: 6
+ *               openingTime:
+ *                 type: string
+ *                 example: "11:00"
+ *               closingTime:
+ *                 type: string
+ *                 example: "23:00"
+ *               slotMinutes:
+ *                 type: integer
+ *                 example: 90
  *     responses:
  *       200:
  *         description: Table updated successfully
@@ -247,19 +342,25 @@ router.get("/:id", authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put("/:id", authMiddleware, async (req, res) => {
-  try {
-    const updatedTable = await tableService.updateTableById(
-      req.params.id,
-      req.body
-    );
-    res
-      .status(200)
-      .json({ message: "Table updated successfully", data: updatedTable });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const updatedTable = await tableService.updateTableById(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res
+        .status(200)
+        .json({ message: "Table updated successfully", data: updatedTable });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 // DELETE - Xóa Table
 /**
@@ -285,12 +386,96 @@ router.put("/:id", authMiddleware, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
+router.delete(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      await tableService.deleteTableById(req.params.id, req.user);
+      res.status(200).json({ message: "Table deleted successfully" });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// RESERVE - Đặt bàn theo khung giờ
+/**
+ * @swagger
+ * /api/tables/{id}/reservations:
+ *   post:
+ *     summary: Đặt bàn cho một ngày và giờ đến, tạo hóa đơn nhà hàng
+ *     tags: [Tables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 64f6b3c9e3a1a4321f2c1a8b
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date, arrivalTime, adults]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-12-01
+ *               arrivalTime:
+ *                 type: string
+ *                 example: "18:00"
+ *               adults:
+ *                 type: integer
+ *                 example: 2
+ *               children:
+ *                 type: integer
+ *                 example: 1
+ *               voucherCode:
+ *                 type: string
+ *                 example: TET2025
+ *               redeemPoints:
+ *                 type: integer
+ *                 description: Số điểm thưởng muốn dùng để giảm giá
+ *                 example: 200
+ *               guests:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/GuestDetail'
+ *               contactPhone:
+ *                 type: string
+ *                 example: "0901234567"
+ *               specialRequests:
+ *                 type: string
+ *                 example: Bàn gần cửa sổ, có ghế trẻ em
+ *     responses:
+ *       201:
+ *         description: Đặt bàn thành công
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Table not found
+ *       409:
+ *         description: Bàn đã có người đặt trong khung giờ này
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/reservations", authMiddleware, async (req, res) => {
   try {
-    await tableService.deleteTableById(req.params.id);
-    res.status(200).json({ message: "Table deleted successfully" });
+    const invoice = await tableReservationService.createTableReservation(
+      req.params.id,
+      req.body,
+      req.user
+    );
+    res.status(201).json(invoice);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -0,0 +1,387 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+const voucherService = require("../services/voucherService");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Vouchers
+ *   description: API quản lý mã khuyến mãi
+ */
+
+// Quy tắc kiểm tra chung cho tạo/cập nhật
+const voucherValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("discountType")
+      .isIn(["percentage", "fixed"])
+      .withMessage("Discount type must be percentage or fixed"),
+    field("discountValue")
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be at least 0"),
+    field("startDate").isISO8601().withMessage("Invalid start date"),
+    field("endDate").isISO8601().withMessage("Invalid end date"),
+    body("maxDiscount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Max discount must be at least 0"),
+    body("minSpend")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Min spend must be at least 0"),
+    body("usageLimit")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Usage limit must be at least 1"),
+    body("perUserLimit")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Per user limit must be at least 1"),
+    body("serviceTypes")
+      .optional()
+      .isArray()
+      .withMessage("Service types must be an array"),
+    body("serviceTypes.*")
+      .isIn(["hotel", "restaurant", "cafe"])
+      .withMessage("Invalid service type"),
+    body("active")
+      .optional()
+      .isBoolean()
+      .withMessage("Active must be a boolean"),
+  ];
+};
+
+// CREATE - Tạo mã khuyến mãi
+/**
+ * @swagger
+ * /api/vouchers:
+ *   post:
+ *     summary: Tạo mã khuyến mãi (Admin tạo mã toàn hệ thống, Provider tạo mã riêng)
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, discountType, discountValue, startDate, endDate]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: TET2025
+ *               description:
+ *                 type: string
+ *                 example: Giảm 10% dịp Tết
+ *               providerID:
+ *                 type: string
+ *                 example: 64f6b3c9e3a1a4321f2c1a8b
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *                 example: percentage
+ *               discountValue:
+ *                 type: number
+ *                 example: 10
+ *               maxDiscount:
+ *                 type: number
+ *                 example: 500000
+ *               minSpend:
+ *                 type: number
+ *                 example: 1000000
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-01-20
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-02-10
+ *               usageLimit:
+ *                 type: integer
+ *                 example: 100
+ *               perUserLimit:
+ *                 type: integer
+ *                 example: 1
+ *               serviceTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [hotel, restaurant, cafe]
+ *                 example: [hotel]
+ *     responses:
+ *       201:
+ *         description: Voucher created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: Mã khuyến mãi đã tồn tại
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  [
+    body("code")
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage("Code must be 3-32 letters, digits, '-' or '_'"),
+    ...voucherValidators(false),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const voucher = await voucherService.createVoucher(req.body, req.user);
+      res
+        .status(201)
+        .json({ message: "Voucher created successfully", data: voucher });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// READ ALL - Danh sách mã khuyến mãi
+/**
+ * @swagger
+ * /api/vouchers:
+ *   get:
+ *     summary: Lấy danh sách mã khuyến mãi (Admin thấy tất cả, Provider thấy mã của mình)
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách Vouchers
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const vouchers = await voucherService.getVouchers(req.user);
+      res.status(200).json(vouchers);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// VALIDATE - Kiểm tra mã trước khi đặt
+/**
+ * @swagger
+ * /api/vouchers/validate:
+ *   post:
+ *     summary: Kiểm tra mã khuyến mãi cho một dịch vụ và số tiền
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, serviceID, amount]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: TET2025
+ *               serviceID:
+ *                 type: string
+ *                 example: 64f6b3c9e3a1a4321f2c1a8b
+ *               amount:
+ *                 type: number
+ *                 example: 2000000
+ *     responses:
+ *       200:
+ *         description: Mã hợp lệ, kèm số tiền được giảm
+ *       400:
+ *         description: Mã không áp dụng được
+ *       404:
+ *         description: Mã hoặc dịch vụ không tồn tại
+ *       409:
+ *         description: Mã đã hết lượt
+ */
+router.post(
+  "/validate",
+  authMiddleware,
+  [
+    body("code").notEmpty().withMessage("Code is required"),
+    body("serviceID").isMongoId().withMessage("Invalid serviceID"),
+    body("amount").isFloat({ min: 0 }).withMessage("Amount must be at least 0"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await voucherService.validateVoucher(req.body, req.user);
+      res.status(200).json({ valid: true, ...result });
+    } catch (err) {
+      res
+        .status(err.status || 500)
+        .json({ valid: false, error: err.message });
+    }
+  }
+);
+
+// READ ONE - Chi tiết mã khuyến mãi
+/**
+ * @swagger
+ * /api/vouchers/{id}:
+ *   get:
+ *     summary: Lấy thông tin một mã khuyến mãi
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thông tin Voucher
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Voucher not found
+ */
+router.get(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      const voucher = await voucherService.assertVoucherOwner(
+        req.user,
+        req.params.id
+      );
+      res.status(200).json(voucher);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// UPDATE - Cập nhật mã khuyến mãi
+/**
+ * @swagger
+ * /api/vouchers/{id}:
+ *   put:
+ *     summary: Cập nhật một mã khuyến mãi (không đổi code)
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-02-15
+ *               active:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Voucher updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Voucher not found
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  voucherValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const voucher = await voucherService.updateVoucher(
+        req.params.id,
+        req.body,
+        req.user
+      );
+      res
+        .status(200)
+        .json({ message: "Voucher updated successfully", data: voucher });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// DELETE - Xóa mã khuyến mãi
+/**
+ * @swagger
+ * /api/vouchers/{id}:
+ *   delete:
+ *     summary: Xóa mã khuyến mãi (mã đã có lượt dùng sẽ chỉ bị ngừng hoạt động)
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voucher deleted successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Voucher not found
+ */
+router.delete(
+  "/:id",
+  authMiddleware,
+  roleMiddleware(["Provider", "Admin"]),
+  async (req, res) => {
+    try {
+      await voucherService.deleteVoucher(req.params.id, req.user);
+      res.status(200).json({ message: "Voucher deleted successfully" });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -11,11 +11,17 @@ const providerRoutes = require("./routes/providerRoutes");
 const customerRoutes = require("./routes/customerRoutes");
 const invoiceRoutes = require("./routes/invoiceRoutes");
 const serviceRoutes = require("./routes/serviceRoutes");
+const reviewRoutes = require("./routes/reviewRoutes");
 const hotelRoutes = require("./routes/hotelRoutes");
 const coffeeRoutes = require("./routes/coffeeRoutes");
 const restaurantRoutes = require("./routes/restaurantRoutes");
 const roomRoutes = require("./routes/roomRoutes");
 const tableRoutes = require("./routes/tableRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const voucherRoutes = require("./routes/voucherRoutes");
+const searchRoutes = require("./routes/searchRoutes");
+const cartRoutes = require("./routes/cartRoutes");
+const orderRoutes = require("./routes/orderRoutes");
 const locationRoutes = require("./routes/locationRoutes");
 const hotelTypeRoute = require("./routes/hotelTypeRoute");
 const priceCategoriesRoutes = require("./routes/priceCategoryRoutes");
@@ -25,8 +31,15 @@ const suitabilityRoutes = require("./routes/suitabilityRoutes");
 const path = require("path");
 const uploadRoutes = require("./routes/uploadRouter"); // Route cho upload ảnh
 const restaurantFilterRoutes = require("./routes/restaurantFilterRoutes");  // Thêm route filter mới
+const { startInvoiceExpiryJob } = require("./jobs/invoiceExpiryJob");
+const { startLoyaltyExpiryJob } = require("./jobs/loyaltyExpiryJob");
+const { startRoomCalendarJob } = require("./jobs/roomCalendarJob");
+const { startIcalSyncJob } = require("./jobs/icalSyncJob");
+const { assertPaymentConfig } = require("./payments");
 // Load .env file
 dotenv.config();
+// Dừng khởi động nếu cấu hình cổng thanh toán sai (thiếu khóa, sandbox lẫn khóa thật)
+assertPaymentConfig();
 
 const app = express();
 
@@ -37,7 +50,13 @@ app.use(express.json());
 // Kết nối MongoDB
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB connected successfully!"))
+  .then(() => {
+    console.log("MongoDB connected successfully!");
+    startInvoiceExpiryJob(); // Hủy hóa đơn quá hạn giữ phòng
+    startLoyaltyExpiryJob(); // Thu hồi điểm thưởng hết hạn
+    startRoomCalendarJob(); // Tự động mở bán thêm ngày trong lịch phòng
+    startIcalSyncJob(); // Đồng bộ lịch ICS từ nền tảng khác
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Simple Route
@@ -58,11 +77,17 @@ app.use("/api/providers", providerRoutes);
 app.use("/api/customers", customerRoutes);
 app.use("/api/invoices", invoiceRoutes);
 app.use("/api/services", serviceRoutes);
+app.use("/api/reviews", reviewRoutes);
 app.use("/api/hotels", hotelRoutes);
 app.use("/api/coffees", coffeeRoutes);
 app.use("/api/restaurants", restaurantRoutes);
 app.use("/api/rooms", roomRoutes);
 app.use("/api/tables", tableRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/vouchers", voucherRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/orders", orderRoutes);
 app.use("/api/locations", locationRoutes);
 app.use("/api/hotelType", hotelTypeRoute);
 app.use("/api/price-categories", priceCategoriesRoutes);
@@ -0,0 +1,276 @@
+const Hotel = require("../models/Hotel");
+const Room = require("../models/Room");
+const Restaurant = require("../models/Restaurant");
+const Table = require("../models/Table");
+const TableReservation = require("../models/TableReservation");
+const pricingService = require("./pricingService");
+const createHttpError = require("../utils/httpError");
+const {
+  DAY_MS,
+  startOfDay,
+  getStayNights,
+  isValidDate,
+  parseTimeOfDay,
+  atVenueTime,
+} = require("../utils/dateUtils");
+
+/**
+ * Điều kiện Room còn ít nhất `quantity` phòng và không ngừng bán cho mọi đêm của kỳ lưu trú
+ * @param {Array} nights - Danh sách đêm (00:00 UTC)
+ * @param {Number} quantity - Số phòng cần
+ * @returns {Array} - Các điều kiện $elemMatch trên roomsAvailable
+ */
+const nightlyInventoryConditions = (nights, quantity = 1) =>
+  nights.map((night) => ({
+    roomsAvailable: {
+      $elemMatch: {
+        date: { $gte: night, $lt: new Date(night.getTime() + DAY_MS) },
+        availableRooms: { $gte: quantity },
+        closed: { $ne: true },
+      },
+    },
+  }));
+
+/**
+ * Kiểm tra số phòng và số khách
+ * @param {Object} party - { rooms, adults, children }
+ * @returns {Object} - { rooms, adults, children } dạng số
+ */
+const parseParty = ({ rooms = 1, adults = 1, children = 0 }) => {
+  const party = {
+    rooms: Number(rooms),
+    adults: Number(adults),
+    children: Number(children),
+  };
+  if (!Number.isInteger(party.rooms) || party.rooms < 1) {
+    throw createHttpError(400, "Số phòng phải là số nguyên >= 1.");
+  }
+  if (!Number.isInteger(party.adults) || party.adults < 1) {
+    throw createHttpError(400, "Số người lớn phải là số nguyên >= 1.");
+  }
+  if (!Number.isInteger(party.children) || party.children < 0) {
+    throw createHttpError(400, "Số trẻ em phải là số nguyên >= 0.");
+  }
+  return party;
+};
+
+/**
+ * Kiểm tra thông tin kỳ lưu trú
+ * @param {Object} stay - { checkIn, checkOut, rooms, adults, children }
+ * @returns {Object} - { checkIn, checkOut, nights, rooms, adults, children }
+ */
+const parseStay = ({
+  checkIn,
+  checkOut,
+  rooms = 1,
+  adults = 1,
+  children = 0,
+}) => {
+  if (!isValidDate(checkIn) || !isValidDate(checkOut)) {
+    throw createHttpError(400, "Ngày nhận/trả phòng không hợp lệ.");
+  }
+  const nights = getStayNights(checkIn, checkOut);
+  if (!nights.length) {
+    throw createHttpError(400, "Ngày trả phòng phải sau ngày nhận phòng.");
+  }
+
+  return {
+    checkIn: startOfDay(checkIn),
+    checkOut: startOfDay(checkOut),
+    nights,
+    ...parseParty({ rooms, adults, children }),
+  };
+};
+
+/**
+ * Kiểm tra loại phòng đủ chỗ cho đoàn khi đặt `rooms` phòng cùng loại:
+ * người lớn không vượt số chỗ người lớn, tổng khách không vượt tổng số chỗ
+ * (trẻ em có thể ở chỗ của người lớn)
+ * @param {Object} capacity - Room.capacity { adults, children }
+ * @param {Object} party - { rooms, adults, children }
+ * @returns {Boolean}
+ */
+const partyFits = (capacity, { rooms, adults, children }) =>
+  capacity.adults * rooms >= adults &&
+  (capacity.adults + (capacity.children || 0)) * rooms >= adults + children;
+
+/**
+ * Điều kiện truy vấn tương ứng partyFits, dùng khi tìm Room còn chỗ
+ * @param {Object} stay - { rooms, adults, children }
+ * @returns {Object} - Điều kiện $expr trên Room
+ */
+const partyFitsCondition = ({ rooms, adults, children }) => ({
+  $expr: {
+    $and: [
+      { $gte: [{ $multiply: ["$capacity.adults", rooms] }, adults] },
+      {
+        $gte: [
+          {
+            $multiply: [
+              {
+                $add: [
+                  "$capacity.adults",
+                  { $ifNull: ["$capacity.children", 0] },
+                ],
+              },
+              rooms,
+            ],
+          },
+          adults + children,
+        ],
+      },
+    ],
+  },
+});
+
+/**
+ * Điều kiện Room đang hoạt động, đủ chỗ và còn đủ phòng mọi đêm của kỳ lưu trú
+ * @param {Object} stay - Kết quả của parseStay
+ * @returns {Object} - Điều kiện truy vấn Room
+ */
+const availableRoomsCondition = (stay) => ({
+  active: true,
+  ...partyFitsCondition(stay),
+  $and: nightlyInventoryConditions(stay.nights, stay.rooms),
+});
+
+/**
+ * Các loại phòng còn trống cho kỳ lưu trú, gom theo khách sạn kèm giá rẻ nhất
+ * @param {Object} stayData - { checkIn, checkOut, rooms, adults, children }
+ * @param {Object} roomFilter - Điều kiện bổ sung trên Room (hotelID, facilities...)
+ * @returns {Map} - hotelID -> { cheapest, roomTypes }
+ */
+const findAvailableRoomsByHotel = async (stayData, roomFilter = {}) => {
+  const stay = parseStay(stayData);
+  const rooms = await Room.find({
+    ...roomFilter,
+    ...availableRoomsCondition(stay),
+  });
+
+  const byHotel = new Map();
+  for (const room of rooms) {
+    const quote = pricingService.quoteStay(room, {
+      checkInDate: stay.checkIn,
+      checkOutDate: stay.checkOut,
+      quantity: stay.rooms,
+    });
+    const option = {
+      roomID: room._id,
+      roomType: room.roomType,
+      capacity: room.capacity,
+      nightsCount: quote.nightsCount,
+      pricePerRoom: quote.pricePerRoom,
+      totalAmount: quote.totalAmount,
+    };
+
+    const key = room.hotelID.toString();
+    if (!byHotel.has(key)) {
+      byHotel.set(key, { cheapest: option, roomTypes: [] });
+    }
+    const entry = byHotel.get(key);
+    entry.roomTypes.push(option);
+    if (option.totalAmount < entry.cheapest.totalAmount) {
+      entry.cheapest = option;
+    }
+  }
+
+  for (const entry of byHotel.values()) {
+    entry.roomTypes.sort((a, b) => a.totalAmount - b.totalAmount);
+  }
+  return byHotel;
+};
+
+/**
+ * Tìm các Service khách sạn còn phòng phù hợp cho kỳ lưu trú
+ * @param {Object} stay - { checkIn, checkOut, rooms, adults, children }
+ * @returns {Array} - Danh sách ObjectId của Service
+ */
+const getAvailableHotelServiceIDs = async (stayData) => {
+  const stay = parseStay(stayData);
+  const hotelIDs = await Room.distinct(
+    "hotelID",
+    availableRoomsCondition(stay)
+  );
+  if (!hotelIDs.length) return [];
+
+  return await Hotel.distinct("serviceID", { _id: { $in: hotelIDs } });
+};
+
+/**
+ * Tìm các Service nhà hàng còn bàn cho số khách, theo ngày và giờ đến (nếu có)
+ * @param {Object} query - { date, time, partySize }
+ * @returns {Array} - Danh sách ObjectId của Service
+ */
+const getAvailableRestaurantServiceIDs = async ({
+  date,
+  time,
+  partySize = 1,
+}) => {
+  const tables = await Table.find({
+    active: true,
+    seats: { $gte: partySize },
+  }).select("restaurantID openingTime closingTime slotMinutes");
+
+  let candidates = tables;
+  if (date && time) {
+    if (!isValidDate(date)) {
+      throw createHttpError(400, "Ngày không hợp lệ.");
+    }
+    const arrival = parseTimeOfDay(time);
+    if (arrival === null) {
+      throw createHttpError(400, "Giờ đến phải có dạng HH:mm.");
+    }
+    const day = startOfDay(date);
+
+    // Chỉ giữ bàn mở cửa đủ một lượt tính từ giờ đến
+    const windows = new Map();
+    candidates = tables.filter((table) => {
+      const opening = parseTimeOfDay(table.openingTime);
+      const closing = parseTimeOfDay(table.closingTime);
+      if (arrival < opening || arrival + table.slotMinutes > closing) {
+        return false;
+      }
+      windows.set(table._id.toString(), {
+        start: atVenueTime(day, arrival),
+        end: atVenueTime(day, arrival + table.slotMinutes),
+      });
+      return true;
+    });
+
+    const reservations = await TableReservation.find({
+      tableID: { $in: candidates.map((table) => table._id) },
+      date: day,
+      status: "booked",
+    }).select("tableID start end");
+
+    candidates = candidates.filter((table) => {
+      const window = windows.get(table._id.toString());
+      return !reservations.some(
+        (reservation) =>
+          reservation.tableID.toString() === table._id.toString() &&
+          reservation.start < window.end &&
+          window.start < reservation.end
+      );
+    });
+  }
+  if (!candidates.length) return [];
+
+  const restaurantIDs = [
+    ...new Set(candidates.map((table) => table.restaurantID.toString())),
+  ];
+  return await Restaurant.distinct("serviceID", {
+    _id: { $in: restaurantIDs },
+  });
+};
+
+module.exports = {
+  nightlyInventoryConditions,
+  parseParty,
+  partyFits,
+  parseStay,
+  partyFitsCondition,
+  availableRoomsCondition,
+  findAvailableRoomsByHotel,
+  getAvailableHotelServiceIDs,
+  getAvailableRestaurantServiceIDs,
+};
@@ -0,0 +1,278 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const Room = require("../models/Room");
+const Hotel = require("../models/Hotel");
+const InventoryRelease = require("../models/InventoryRelease");
+const pricingService = require("./pricingService");
+const voucherService = require("./voucherService");
+const loyaltyService = require("./loyaltyService");
+const guestDetailsService = require("./guestDetailsService");
+const availabilityService = require("./availabilityService");
+const createHttpError = require("../utils/httpError");
+const {
+  DAY_MS,
+  getStayNights,
+  isValidDate,
+} = require("../utils/dateUtils");
+
+/**
+ * Sinh mã hóa đơn duy nhất
+ * @returns {String} - Mã hóa đơn
+ */
+const generateInvoiceID = () =>
+  `INV-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * Thời gian giữ phòng cho hóa đơn chưa thanh toán (phút)
+ * @returns {Number}
+ */
+const getHoldMinutes = () => Number(process.env.BOOKING_HOLD_MINUTES) || 30;
+
+/**
+ * Kiểm tra dữ liệu đặt phòng
+ * @param {Object} bookingData - Dữ liệu từ request body
+ * @returns {Object} - Dữ liệu đã chuẩn hóa
+ */
+const validateBookingData = (bookingData) => {
+  const { roomID, checkInDate, checkOutDate } = bookingData;
+  const quantity = Number(bookingData.quantity ?? 1);
+  const adults = Number(bookingData.adults ?? 1);
+  const children = Number(bookingData.children ?? 0);
+
+  if (!mongoose.Types.ObjectId.isValid(roomID)) {
+    throw createHttpError(400, "roomID không hợp lệ.");
+  }
+  if (!isValidDate(checkInDate) || !isValidDate(checkOutDate)) {
+    throw createHttpError(400, "Ngày nhận phòng hoặc trả phòng không hợp lệ.");
+  }
+
+  const nights = getStayNights(checkInDate, checkOutDate);
+  if (nights.length === 0) {
+    throw createHttpError(400, "Ngày trả phòng phải sau ngày nhận phòng.");
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw createHttpError(400, "Số lượng phòng phải là số nguyên >= 1.");
+  }
+  if (!Number.isInteger(adults) || adults < 1) {
+    throw createHttpError(400, "Số người lớn phải là số nguyên >= 1.");
+  }
+  if (!Number.isInteger(children) || children < 0) {
+    throw createHttpError(400, "Số trẻ em phải là số nguyên >= 0.");
+  }
+
+  return { roomID, nights, quantity, adults, children };
+};
+
+/**
+ * Trừ số phòng trống cho từng đêm, dùng trong transaction
+ * @param {Object} room - Room
+ * @param {Array<Date>} nights - Các đêm lưu trú
+ * @param {Number} quantity - Số phòng
+ * @param {Object} session - Mongo session
+ */
+const reserveNights = async (room, nights, quantity, session) => {
+  for (const night of nights) {
+    const result = await Room.updateOne(
+      {
+        _id: room._id,
+        roomsAvailable: {
+          $elemMatch: {
+            date: { $gte: night, $lt: new Date(night.getTime() + DAY_MS) },
+            availableRooms: { $gte: quantity },
+            closed: { $ne: true },
+          },
+        },
+      },
+      { $inc: { "roomsAvailable.$.availableRooms": -quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createHttpError(
+        409,
+        `Phòng ${room.roomType} đã hết hoặc ngừng bán cho đêm ${night
+          .toISOString()
+          .slice(0, 10)}.`
+      );
+    }
+  }
+};
+
+/**
+ * Đặt phòng bên trong một transaction có sẵn
+ * @param {Object} bookingData - Dữ liệu đặt phòng
+ * @param {Object} user - req.user
+ * @param {Object} session - Mongo session
+ * @returns {Object} - Invoice vừa tạo
+ */
+const bookRoomInSession = async (bookingData, user, session) => {
+  const { roomID, nights, quantity, adults, children } =
+    validateBookingData(bookingData);
+  const guestDetails = guestDetailsService.parseGuestDetails(
+    bookingData,
+    adults + children
+  );
+
+  const room = await Room.findById(roomID).session(session);
+  if (!room) {
+    throw createHttpError(404, "Room not found");
+  }
+  if (!room.active) {
+    throw createHttpError(409, "Phòng hiện không nhận đặt.");
+  }
+
+  const hotel = await Hotel.findById(room.hotelID).session(session);
+  if (!hotel) {
+    throw createHttpError(404, "Hotel not found");
+  }
+
+  // Kiểm tra sức chứa theo số phòng đặt, cùng quy tắc với tìm phòng trống
+  if (
+    !availabilityService.partyFits(room.capacity, {
+      rooms: quantity,
+      adults,
+      children,
+    })
+  ) {
+    throw createHttpError(400, "Số khách vượt quá sức chứa của phòng.");
+  }
+
+  await reserveNights(room, nights, quantity, session);
+
+  // Tính tiền phía server theo bảng giá từng đêm, không tin totalAmount từ client
+  const quote = pricingService.quoteStay(room, {
+    checkInDate: bookingData.checkInDate,
+    checkOutDate: bookingData.checkOutDate,
+    quantity,
+  });
+
+  const invoice = new Invoice({
+    invoiceID: generateInvoiceID(),
+    userID:
+      user.role === "Admin" && bookingData.userID
+        ? bookingData.userID
+        : user.id,
+    serviceID: hotel.serviceID,
+    quantity,
+    totalAmount: quote.totalAmount,
+    priceBreakdown: quote.nights.map(({ date, price, rateName }) => ({
+      date,
+      price,
+      rateName,
+    })),
+    issueDate: new Date(),
+    paymentStatus: "unpaid",
+    status: "chờ xác nhận",
+    roomID: room._id,
+    checkInDate: bookingData.checkInDate,
+    checkOutDate: bookingData.checkOutDate,
+    pictures: bookingData.pictures || room.pictures,
+    invoiceType: "hotel",
+    arrivalDate: bookingData.arrivalDate || bookingData.checkInDate,
+    arrivalTime: bookingData.arrivalTime || "14:00",
+    adults,
+    children,
+    ...guestDetails,
+    inventoryHeld: true,
+    statusHistory: [
+      { to: "chờ xác nhận", changedBy: user.id, role: user.role },
+    ],
+  });
+
+  if (bookingData.voucherCode) {
+    await voucherService.applyVoucherInSession(
+      bookingData.voucherCode,
+      invoice,
+      session
+    );
+  }
+  if (bookingData.redeemPoints) {
+    await loyaltyService.redeemPointsInSession(
+      bookingData.redeemPoints,
+      invoice,
+      session
+    );
+  }
+
+  return await invoice.save({ session });
+};
+
+/**
+ * Đặt phòng khách sạn: kiểm tra phòng trống từng đêm, trừ tồn kho,
+ * tính tiền và tạo Invoice trong cùng một transaction
+ * @param {Object} bookingData - Dữ liệu đặt phòng
+ * @param {Object} user - req.user
+ * @returns {Object} - Invoice vừa tạo
+ */
+const createHotelBooking = async (bookingData, user) => {
+  const session = await mongoose.startSession();
+  try {
+    let invoice;
+    await session.withTransaction(async () => {
+      invoice = await bookRoomInSession(bookingData, user, session);
+    });
+    return invoice;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Hoàn trả số phòng trống mà hóa đơn đang giữ, dùng trong transaction
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {Object} options - { reason, releasedBy }
+ * @param {Object} session - Mongo session
+ * @returns {Object|null} - Bản ghi InventoryRelease hoặc null nếu không giữ phòng
+ */
+const releaseInventoryInSession = async (invoiceID, options, session) => {
+  // Gỡ cờ inventoryHeld trước để không hoàn trả hai lần
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: invoiceID, inventoryHeld: true },
+    { $set: { inventoryHeld: false } },
+    { new: true, session }
+  );
+  if (!invoice || !invoice.roomID) return null;
+
+  const nights = getStayNights(invoice.checkInDate, invoice.checkOutDate);
+  const releasedNights = [];
+
+  for (const night of nights) {
+    const result = await Room.updateOne(
+      {
+        _id: invoice.roomID,
+        roomsAvailable: {
+          $elemMatch: {
+            date: { $gte: night, $lt: new Date(night.getTime() + DAY_MS) },
+          },
+        },
+      },
+      { $inc: { "roomsAvailable.$.availableRooms": invoice.quantity } },
+      { session }
+    );
+    if (result.modifiedCount > 0) releasedNights.push(night);
+  }
+
+  const [release] = await InventoryRelease.create(
+    [
+      {
+        invoiceID: invoice._id,
+        roomID: invoice.roomID,
+        quantity: invoice.quantity,
+        nights: releasedNights,
+        reason: options.reason,
+        releasedBy: options.releasedBy,
+      },
+    ],
+    { session }
+  );
+
+  return release;
+};
+
+module.exports = {
+  getHoldMinutes,
+  validateBookingData,
+  bookRoomInSession,
+  createHotelBooking,
+  releaseInventoryInSession,
+};
@@ -0,0 +1,260 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Room = require("../models/Room");
+const Table = require("../models/Table");
+const Coffee = require("../models/Coffee");
+const bookingService = require("./bookingService");
+const pricingService = require("./pricingService");
+const tableReservationService = require("./tableReservationService");
+const guestDetailsService = require("./guestDetailsService");
+const createHttpError = require("../utils/httpError");
+const {
+  startOfDay,
+  isValidDate,
+  parseTimeOfDay,
+} = require("../utils/dateUtils");
+
+const ITEM_TYPES = ["room", "table", "cafe"];
+const MAX_CART_ITEMS = 20;
+
+/**
+ * Kiểm tra số khách
+ * @param {Object} data - { adults, children }
+ * @returns {Object} - { adults, children } dạng số
+ */
+const parseGuests = (data) => {
+  const adults = Number(data.adults ?? 1);
+  const children = Number(data.children ?? 0);
+  if (!Number.isInteger(adults) || adults < 1) {
+    throw createHttpError(400, "Số người lớn phải là số nguyên >= 1.");
+  }
+  if (!Number.isInteger(children) || children < 0) {
+    throw createHttpError(400, "Số trẻ em phải là số nguyên >= 0.");
+  }
+  return { adults, children };
+};
+
+/**
+ * Kiểm tra ngày và giờ đến (đặt bàn, đến quán)
+ * @param {Object} data - { date, arrivalTime }
+ * @returns {Object} - { date, arrivalTime }
+ */
+const parseVisit = ({ date, arrivalTime }) => {
+  if (!isValidDate(date)) {
+    throw createHttpError(400, "Ngày không hợp lệ.");
+  }
+  if (parseTimeOfDay(arrivalTime) === null) {
+    throw createHttpError(400, "Giờ đến phải có dạng HH:mm.");
+  }
+  return { date: startOfDay(date), arrivalTime };
+};
+
+/**
+ * Kiểm tra và chuẩn hóa một dòng giỏ hàng
+ * @param {Object} data - Dữ liệu dòng từ request body
+ * @returns {Object} - Dòng đã chuẩn hóa
+ */
+const buildItem = async (data) => {
+  const { itemType } = data;
+  if (!ITEM_TYPES.includes(itemType)) {
+    throw createHttpError(400, `itemType phải là một trong: ${ITEM_TYPES.join(", ")}.`);
+  }
+
+  if (itemType === "room") {
+    const { roomID, quantity, adults, children } =
+      bookingService.validateBookingData(data);
+    if (!(await Room.exists({ _id: roomID }))) {
+      throw createHttpError(404, "Room not found");
+    }
+    return {
+      itemType,
+      roomID,
+      checkInDate: startOfDay(data.checkInDate),
+      checkOutDate: startOfDay(data.checkOutDate),
+      quantity,
+      adults,
+      children,
+      ...guestDetailsService.parseGuestDetails(data, adults + children),
+    };
+  }
+
+  const refField = itemType === "table" ? "tableID" : "coffeeID";
+  const Model = itemType === "table" ? Table : Coffee;
+  if (!mongoose.Types.ObjectId.isValid(data[refField])) {
+    throw createHttpError(400, `${refField} không hợp lệ.`);
+  }
+  if (!(await Model.exists({ _id: data[refField] }))) {
+    throw createHttpError(404, itemType === "table" ? "Table not found" : "Coffee not found");
+  }
+
+  const quantity = Number(data.quantity ?? 1);
+  if (itemType === "cafe" && (!Number.isInteger(quantity) || quantity < 1)) {
+    throw createHttpError(400, "Số lượng phải là số nguyên >= 1.");
+  }
+
+  const guests = parseGuests(data);
+  return {
+    itemType,
+    [refField]: data[refField],
+    ...parseVisit(data),
+    quantity: itemType === "table" ? 1 : quantity,
+    ...guests,
+    ...guestDetailsService.parseGuestDetails(
+      data,
+      guests.adults + guests.children
+    ),
+  };
+};
+
+/**
+ * Báo giá một dòng giỏ hàng theo giá hiện tại
+ * @param {Object} item - Dòng giỏ hàng
+ * @returns {Object} - { totalAmount, available }
+ */
+const quoteItem = async (item) => {
+  if (item.itemType === "room") {
+    const room = await Room.findById(item.roomID);
+    if (!room) return { totalAmount: 0, available: false };
+    const quote = pricingService.quoteStay(room, {
+      checkInDate: item.checkInDate,
+      checkOutDate: item.checkOutDate,
+      quantity: item.quantity,
+    });
+    return {
+      totalAmount: quote.totalAmount,
+      available: room.active && quote.available,
+    };
+  }
+
+  if (item.itemType === "table") {
+    const table = await Table.findById(item.tableID);
+    if (!table) return { totalAmount: 0, available: false };
+    return {
+      totalAmount: tableReservationService.getTablePrice(table),
+      available: table.active,
+    };
+  }
+
+  const coffee = await Coffee.findById(item.coffeeID);
+  if (!coffee) return { totalAmount: 0, available: false };
+  return { totalAmount: coffee.averagePrice * item.quantity, available: true };
+};
+
+/**
+ * Lấy giỏ hàng của user kèm báo giá từng dòng
+ * @param {Object} user - req.user
+ * @returns {Object} - { _id, items, totalAmount, available }
+ */
+const getCart = async (user) => {
+  const cart = await Cart.findOne({ userID: user.id });
+  const items = [];
+  for (const item of cart ? cart.items : []) {
+    items.push({ ...item.toObject(), ...(await quoteItem(item)) });
+  }
+
+  return {
+    _id: cart?._id,
+    items,
+    totalAmount: items.reduce((sum, item) => sum + item.totalAmount, 0),
+    available: items.every((item) => item.available),
+  };
+};
+
+/**
+ * Thêm một dòng vào giỏ hàng
+ * @param {Object} user - req.user
+ * @param {Object} data - Dữ liệu dòng
+ * @returns {Object} - Giỏ hàng sau khi thêm
+ */
+const addItem = async (user, data) => {
+  const item = await buildItem(data);
+
+  const cart = await Cart.findOneAndUpdate(
+    { userID: user.id, [`items.${MAX_CART_ITEMS - 1}`]: { $exists: false } },
+    { $push: { items: item }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!cart) {
+    // Chưa có giỏ thì tạo mới, có rồi nghĩa là đã đầy
+    if (await Cart.exists({ userID: user.id })) {
+      throw createHttpError(400, `Giỏ hàng tối đa ${MAX_CART_ITEMS} dòng.`);
+    }
+    await Cart.create({ userID: user.id, items: [item] });
+  }
+  return await getCart(user);
+};
+
+/**
+ * Sửa một dòng trong giỏ hàng (ngày, số lượng, số khách...)
+ * @param {Object} user - req.user
+ * @param {String} itemID - ObjectId của dòng
+ * @param {Object} data - Các trường cần sửa
+ * @returns {Object} - Giỏ hàng sau khi sửa
+ */
+const updateItem = async (user, itemID, data) => {
+  const cart = await Cart.findOne({ userID: user.id });
+  const current = cart?.items.id(itemID);
+  if (!current) {
+    throw createHttpError(404, "Cart item not found");
+  }
+
+  // Không đổi loại dòng và đối tượng được đặt, muốn đổi thì xóa rồi thêm lại
+  const { itemType, roomID, tableID, coffeeID } = current;
+  const item = await buildItem({
+    ...current.toObject(),
+    ...data,
+    itemType,
+    roomID,
+    tableID,
+    coffeeID,
+  });
+
+  await Cart.updateOne(
+    { _id: cart._id, "items._id": current._id },
+    {
+      $set: {
+        "items.$": { ...item, _id: current._id, addedAt: current.addedAt },
+        updatedAt: new Date(),
+      },
+    }
+  );
+  return await getCart(user);
+};
+
+/**
+ * Xóa một dòng khỏi giỏ hàng
+ * @param {Object} user - req.user
+ * @param {String} itemID - ObjectId của dòng
+ * @returns {Object} - Giỏ hàng sau khi xóa
+ */
+const removeItem = async (user, itemID) => {
+  const result = await Cart.updateOne(
+    { userID: user.id, "items._id": itemID },
+    { $pull: { items: { _id: itemID } }, $set: { updatedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) {
+    throw createHttpError(404, "Cart item not found");
+  }
+  return await getCart(user);
+};
+
+/**
+ * Xóa toàn bộ giỏ hàng
+ * @param {Object} user - req.user
+ */
+const clearCart = async (user) => {
+  await Cart.updateOne(
+    { userID: user.id },
+    { $set: { items: [], updatedAt: new Date() } }
+  );
+};
+
+module.exports = {
+  ITEM_TYPES,
+  buildItem,
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+};
@@ -1,5 +1,5 @@
 const Coffee = require("../models/Coffee");
-const Service = require("../models/Service");
+const ownershipService = require("./ownershipService");
 
 /**
  * Tạo một Coffee mới
@@ -11,19 +11,8 @@ const Service = require("../models/Service");
 const createCoffee = async (coffeeData, user, picturePath) => {
   const { coffeeID, serviceID, coffeeType, averagePrice } = coffeeData;
 
-  // Tìm Service từ Database
-  const service = await Service.findById(serviceID).populate("providerID");
-  if (!service) {
-    throw new Error("Service ID không tồn tại.");
-  }
-
-  // Kiểm tra quyền Provider
-  if (
-    user.role === "Provider" &&
-    user.id !== service.providerID.userID.toString()
-  ) {
-    throw new Error("Bạn không có quyền tạo Coffee cho Service này.");
-  }
+  // Kiểm tra Service tồn tại và thuộc về Provider đang đăng nhập
+  await ownershipService.assertServiceOwner(user, serviceID);
 
   // Tạo Coffee mới
   const newCoffee = new Coffee({
@@ -65,14 +54,14 @@ const getCoffeeById = async (id) => {
  * @returns {Object|null} - Coffee sau khi cập nhật hoặc null nếu không tìm thấy
  */
 const updateCoffeeById = async (id, coffeeData, user) => {
-  const coffee = await Coffee.findById(id).populate("serviceID");
-
-  if (!coffee) {
-    throw new Error("Coffee not found");
-  }
+  const coffee = await ownershipService.assertCoffeeOwner(user, id);
 
-  if (user.role !== "Admin" && user.id !== coffee.serviceID.providerID) {
-    throw new Error("Access denied");
+  // Không cho phép chuyển Coffee sang Service của Provider khác
+  if (
+    coffeeData.serviceID &&
+    coffeeData.serviceID.toString() !== coffee.serviceID.toString()
+  ) {
+    await ownershipService.assertServiceOwner(user, coffeeData.serviceID);
   }
 
   return await Coffee.findByIdAndUpdate(id, coffeeData, { new: true });
@@ -85,17 +74,9 @@ const updateCoffeeById = async (id, coffeeData, user) => {
  * @returns {Boolean} - True nếu xóa thành công
  */
 const deleteCoffeeById = async (id, user) => {
-  const coffee = await Coffee.findById(id).populate("serviceID");
-
-  if (!coffee) {
-    throw new Error("Coffee not found");
-  }
-
-  if (user.role !== "Admin" && user.id !== coffee.serviceID.providerID) {
-    throw new Error("Access denied");
-  }
+  const coffee = await ownershipService.assertCoffeeOwner(user, id);
 
-  await coffee.remove();
+  await coffee.deleteOne();
   return true;
 };
 
@@ -1,12 +1,15 @@
 const Customer = require("../models/Customer");
 const User = require("../models/User");
+const loyaltyService = require("./loyaltyService");
+const createHttpError = require("../utils/httpError");
 
 /**
  * Tạo một Customer mới
  * @param {Object} customerData - Dữ liệu của Customer
+ * @param {Object} actor - req.user (người tạo)
  * @returns {Object} - Customer vừa tạo
  */
-const createCustomer = async (customerData) => {
+const createCustomer = async (customerData, actor) => {
   const { customerID, userID, loyaltyPoints } = customerData;
 
   // Kiểm tra UserID đã tồn tại
@@ -21,8 +24,17 @@ const createCustomer = async (customerData) => {
     throw new Error("Customer với ID này đã tồn tại.");
   }
 
-  const newCustomer = new Customer({ customerID, userID, loyaltyPoints });
-  return await newCustomer.save();
+  const newCustomer = await new Customer({ customerID, userID }).save();
+
+  // Điểm khởi tạo được ghi vào sổ cái để có thể tính lại số dư
+  if (Number(loyaltyPoints) > 0) {
+    return await loyaltyService.setBalance(
+      newCustomer._id,
+      Number(loyaltyPoints),
+      actor
+    );
+  }
+  return newCustomer;
 };
 
 /**
@@ -42,14 +54,51 @@ const getCustomerById = async (id) => {
   return await Customer.findById(id).populate("userID", "fullName email");
 };
 
+/**
+ * Lấy Customer mà user được phép xem: Admin mọi Customer, Customer chỉ chính mình
+ * @param {String} id - ID của Customer
+ * @param {Object} user - req.user
+ * @returns {Object} - Customer
+ */
+const getAccessibleCustomer = async (id, user) => {
+  const customer = await getCustomerById(id);
+  if (!customer) {
+    throw createHttpError(404, "Customer not found");
+  }
+  if (user.role !== "Admin" && customer.userID?._id.toString() !== user.id) {
+    throw createHttpError(403, "Access denied");
+  }
+  return customer;
+};
+
+/**
+ * Lấy chi tiết Customer kèm thông tin điểm thưởng và hạng thành viên
+ * @param {String} id - ID của Customer
+ * @param {Object} user - req.user
+ * @returns {Object} - Customer kèm loyalty
+ */
+const getCustomerWithLoyalty = async (id, user) => {
+  const customer = await getAccessibleCustomer(id, user);
+  return {
+    ...customer.toObject(),
+    loyalty: await loyaltyService.getLoyaltySummary(customer),
+  };
+};
+
 /**
  * Cập nhật Customer theo ID
  * @param {String} id - ID của Customer
  * @param {Object} customerData - Dữ liệu cần cập nhật
+ * @param {Object} user - req.user
  * @returns {Object|null} - Customer sau khi cập nhật hoặc null nếu không tìm thấy
  */
-const updateCustomerById = async (id, customerData) => {
-  return await Customer.findByIdAndUpdate(id, customerData, { new: true });
+const updateCustomerById = async (id, customerData, user) => {
+  // Điểm thưởng chỉ thay đổi qua sổ cái, không ghi đè trực tiếp
+  const { loyaltyPoints, lifetimePoints, tier, ...fields } = customerData;
+  if (loyaltyPoints !== undefined) {
+    await loyaltyService.setBalance(id, Number(loyaltyPoints), user);
+  }
+  return await Customer.findByIdAndUpdate(id, fields, { new: true });
 };
 
 /**
@@ -69,6 +118,8 @@ module.exports = {
   createCustomer,
   getAllCustomers,
   getCustomerById,
+  getAccessibleCustomer,
+  getCustomerWithLoyalty,
   updateCustomerById,
   deleteCustomerById,
 };
@@ -0,0 +1,458 @@
+const Location = require("../models/Location");
+const Service = require("../models/Service");
+const Hotel = require("../models/Hotel");
+const Restaurant = require("../models/Restaurant");
+const Coffee = require("../models/Coffee");
+const createHttpError = require("../utils/httpError");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_DISTANCE_KM = 500;
+const SERVICE_TYPES = ["hotel", "restaurant", "cafe"];
+const MAX_ZOOM = 22;
+// Từ mức zoom này trở lên trả về từng điểm thay vì gom cụm
+const CLUSTER_MAX_ZOOM = 15;
+// Số điểm tối đa trả về không gom cụm
+const MAX_VIEWPORT_POINTS = 500;
+// Số ô lưới gom cụm trên mỗi chiều của một tile bản đồ (256px -> ô 64px)
+const CLUSTER_CELLS_PER_TILE = 4;
+// Độ rộng kinh độ tối đa của mỗi đa giác khung nhìn, tránh cạnh bị cong quá nhiều
+const MAX_POLYGON_SPAN = 90;
+
+// Model chi tiết và các quan hệ cần populate theo loại dịch vụ
+const NEARBY_TARGETS = {
+  hotel: { model: Hotel, populate: ["hotelTypeID"] },
+  restaurant: {
+    model: Restaurant,
+    populate: ["cuisineTypeIDs", "restaurantTypeID"],
+  },
+  cafe: { model: Coffee, populate: ["coffeeTypes"] },
+};
+
+/**
+ * Tạo điểm GeoJSON từ vĩ độ, kinh độ
+ * @param {Number} latitude - Vĩ độ
+ * @param {Number} longitude - Kinh độ
+ * @returns {Object} - { type: "Point", coordinates: [longitude, latitude] }
+ */
+const toGeoPoint = (latitude, longitude) => ({
+  type: "Point",
+  coordinates: [Number(longitude), Number(latitude)],
+});
+
+/**
+ * Kiểm tra tâm và bán kính tìm kiếm
+ * @param {Object} data - { latitude, longitude, distance }
+ * @param {Boolean} requireDistance - Bắt buộc có bán kính
+ * @returns {Object} - { latitude, longitude, distance } dạng số
+ */
+const parseCenter = (
+  { latitude, longitude, distance },
+  requireDistance = true
+) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  const radius =
+    distance === undefined || distance === null || distance === ""
+      ? undefined
+      : Number(distance);
+
+  if (
+    latitude === undefined ||
+    longitude === undefined ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    throw createHttpError(400, "Invalid latitude or longitude");
+  }
+  if (
+    (requireDistance && radius === undefined) ||
+    (radius !== undefined &&
+      (!Number.isFinite(radius) || radius <= 0 || radius > MAX_DISTANCE_KM))
+  ) {
+    throw createHttpError(400, "Invalid distance");
+  }
+  return { latitude: lat, longitude: lng, distance: radius };
+};
+
+/**
+ * Đọc tham số phân trang
+ * @param {Object} data - { page, limit }
+ * @returns {Object} - { page, limit }
+ */
+const parsePaging = ({ page, limit }) => {
+  const pageNumber = page === undefined ? 1 : Number(page);
+  const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    throw createHttpError(400, "Invalid page");
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+    throw createHttpError(400, `Limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  return { page: pageNumber, limit: pageSize };
+};
+
+/**
+ * Stage $geoNear trên Location, khoảng cách trả về theo km
+ * @param {Object} center - { latitude, longitude, distance }
+ * @returns {Object} - Stage $geoNear
+ */
+const geoNearStage = ({ latitude, longitude, distance }) => ({
+  $geoNear: {
+    near: toGeoPoint(latitude, longitude),
+    key: "geo",
+    spherical: true,
+    distanceField: "distanceKm",
+    distanceMultiplier: 0.001,
+    ...(distance !== undefined ? { maxDistance: distance * 1000 } : {}),
+  },
+});
+
+/**
+ * Các Location trong bán kính, sắp xếp theo khoảng cách
+ * @param {Object} center - { latitude, longitude, distance }
+ * @returns {Array} - [{ _id, distanceKm }]
+ */
+const getLocationsWithin = async (center) => {
+  return await Location.aggregate([
+    geoNearStage(center),
+    { $project: { _id: 1, distanceKm: 1 } },
+  ]);
+};
+
+/**
+ * Các Service thuộc một loại trong bán kính, sắp xếp theo khoảng cách và phân trang
+ * @param {String} type - hotel | restaurant | cafe
+ * @param {Object} query - { latitude, longitude, distance, page, limit }
+ * @returns {Object} - { items: [{ serviceID, distanceKm }], total, page, limit, totalPages }
+ */
+const findNearbyServiceIDs = async (type, query) => {
+  const center = parseCenter(query);
+  const { page, limit } = parsePaging(query);
+
+  const [result] = await Location.aggregate([
+    geoNearStage(center),
+    {
+      $lookup: {
+        from: Service.collection.name,
+        let: { locationID: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$locationID", "$$locationID"] },
+              type,
+              status: "Active",
+            },
+          },
+          { $project: { _id: 1 } },
+        ],
+        as: "services",
+      },
+    },
+    { $unwind: "$services" },
+    { $sort: { distanceKm: 1, "services._id": 1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 0, serviceID: "$services._id", distanceKm: 1 } },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  return {
+    items: result.items,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+};
+
+/**
+ * Tìm khách sạn, nhà hàng hoặc quán cà phê gần một tọa độ
+ * @param {String} type - hotel | restaurant | cafe
+ * @param {Object} query - { latitude, longitude, distance, page, limit }
+ * @returns {Object} - { results, total, page, limit, totalPages }; mỗi kết quả kèm distanceToCenter (km)
+ */
+const findNearby = async (type, query) => {
+  const target = NEARBY_TARGETS[type];
+  const { items, ...paging } = await findNearbyServiceIDs(type, query);
+
+  const docs = await target.model
+    .find({ serviceID: { $in: items.map((item) => item.serviceID) } })
+    .populate({ path: "serviceID", populate: { path: "locationID" } })
+    .populate(target.populate);
+  const byService = new Map(
+    docs.map((doc) => [doc.serviceID._id.toString(), doc])
+  );
+
+  const results = items
+    .filter((item) => byService.has(item.serviceID.toString()))
+    .map((item) => ({
+      ...byService.get(item.serviceID.toString()).toObject(),
+      distanceToCenter: item.distanceKm,
+    }));
+
+  return { results, ...paging };
+};
+
+/**
+ * Kiểm tra khung nhìn bản đồ (góc tây nam và đông bắc) và mức zoom
+ * @param {Object} query - { swLat, swLng, neLat, neLng, zoom, type }
+ * @returns {Object} - { swLat, swLng, neLat, neLng, zoom, types }
+ */
+const parseViewport = (query) => {
+  const box = {};
+  for (const [key, limit] of [
+    ["swLat", 90],
+    ["swLng", 180],
+    ["neLat", 90],
+    ["neLng", 180],
+  ]) {
+    const value = Number(query[key]);
+    if (
+      query[key] === undefined ||
+      query[key] === "" ||
+      !Number.isFinite(value) ||
+      Math.abs(value) > limit
+    ) {
+      throw createHttpError(400, `Invalid ${key}`);
+    }
+    box[key] = value;
+  }
+  if (box.swLat >= box.neLat) {
+    throw createHttpError(400, "swLat must be less than neLat");
+  }
+  if (box.swLng === box.neLng) {
+    throw createHttpError(400, "swLng must differ from neLng");
+  }
+
+  // Khung nhìn vắt qua kinh tuyến 180 khi swLng > neLng
+  const lngSpan =
+    box.swLng < box.neLng
+      ? box.neLng - box.swLng
+      : 360 - box.swLng + box.neLng;
+
+  let zoom;
+  if (query.zoom === undefined || query.zoom === "") {
+    // Ước lượng zoom từ độ rộng khung nhìn
+    zoom = Math.max(
+      0,
+      Math.min(MAX_ZOOM, Math.floor(Math.log2(360 / lngSpan)))
+    );
+  } else {
+    zoom = Number(query.zoom);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      throw createHttpError(
+        400,
+        `Zoom must be an integer between 0 and ${MAX_ZOOM}`
+      );
+    }
+  }
+
+  const types =
+    query.type === undefined || query.type === ""
+      ? SERVICE_TYPES
+      : String(query.type)
+          .split(",")
+          .map((type) => type.trim());
+  const invalidType = types.find((type) => !SERVICE_TYPES.includes(type));
+  if (invalidType) {
+    throw createHttpError(400, `Invalid type: ${invalidType}`);
+  }
+
+  return { ...box, lngSpan, zoom, types };
+};
+
+/**
+ * Điều kiện $geoWithin cho khung nhìn, tách thành nhiều đa giác khi vắt qua
+ * kinh tuyến 180 hoặc quá rộng
+ * @param {Object} viewport - { swLat, swLng, neLat, neLng }
+ * @returns {Object} - Điều kiện trên trường geo
+ */
+const viewportFilter = ({ swLat, swLng, neLat, neLng }) => {
+  const segments =
+    swLng < neLng
+      ? [[swLng, neLng]]
+      : [
+          [swLng, 180],
+          [-180, neLng],
+        ];
+
+  const polygons = [];
+  for (const [west, east] of segments) {
+    for (let start = west; start < east; start += MAX_POLYGON_SPAN) {
+      const end = Math.min(start + MAX_POLYGON_SPAN, east);
+      polygons.push({
+        geo: {
+          $geoWithin: {
+            $geometry: {
+              type: "Polygon",
+              coordinates: [
+                [
+                  [start, swLat],
+                  [end, swLat],
+                  [end, neLat],
+                  [start, neLat],
+                  [start, swLat],
+                ],
+              ],
+            },
+          },
+        },
+      });
+    }
+  }
+  return polygons.length === 1 ? polygons[0] : { $or: polygons };
+};
+
+/**
+ * Tìm dịch vụ mọi loại trong khung nhìn bản đồ. Ở mức zoom thấp (hoặc khi
+ * quá nhiều điểm) các điểm được gom theo ô lưới để giảm số marker.
+ * @param {Object} query - { swLat, swLng, neLat, neLng, zoom, type }
+ * @returns {Object} - { zoom, total, clustered, clusters, points }
+ */
+const findInViewport = async (query) => {
+  const viewport = parseViewport(query);
+
+  // Kích thước ô lưới (độ) giảm một nửa mỗi khi zoom tăng một mức
+  const cellSize = 360 / (2 ** viewport.zoom * CLUSTER_CELLS_PER_TILE);
+  const pointFields = {
+    _id: "$services._id",
+    serviceID: "$services.serviceID",
+    type: "$services.type",
+    name: "$services.serviceName",
+    image: { $arrayElemAt: ["$services.images", 0] },
+    price: "$services.price",
+    discountPrice: "$services.discountPrice",
+    locationID: "$_id",
+    locationName: "$locationName",
+    latitude: { $arrayElemAt: ["$geo.coordinates", 1] },
+    longitude: { $arrayElemAt: ["$geo.coordinates", 0] },
+  };
+
+  const [result] = await Location.aggregate([
+    { $match: viewportFilter(viewport) },
+    {
+      $lookup: {
+        from: Service.collection.name,
+        let: { locationID: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$locationID", "$$locationID"] },
+              type: { $in: viewport.types },
+              status: "Active",
+            },
+          },
+          {
+            $project: {
+              serviceID: 1,
+              type: 1,
+              serviceName: 1,
+              images: { $slice: ["$images", 1] },
+              price: 1,
+              discountPrice: 1,
+            },
+          },
+        ],
+        as: "services",
+      },
+    },
+    { $unwind: "$services" },
+    { $project: pointFields },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        points: [{ $sort: { _id: 1 } }, { $limit: MAX_VIEWPORT_POINTS + 1 }],
+        clusters: [
+          {
+            $group: {
+              _id: {
+                x: {
+                  $floor: {
+                    $divide: [{ $add: ["$longitude", 180] }, cellSize],
+                  },
+                },
+                y: {
+                  $floor: { $divide: [{ $add: ["$latitude", 90] }, cellSize] },
+                },
+              },
+              count: { $sum: 1 },
+              latitude: { $avg: "$latitude" },
+              longitude: { $avg: "$longitude" },
+              minLat: { $min: "$latitude" },
+              maxLat: { $max: "$latitude" },
+              minLng: { $min: "$longitude" },
+              maxLng: { $max: "$longitude" },
+              types: { $push: "$type" },
+              first: { $first: "$$ROOT" },
+            },
+          },
+          { $sort: { count: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  const clustered =
+    viewport.zoom < CLUSTER_MAX_ZOOM ||
+    result.points.length > MAX_VIEWPORT_POINTS;
+
+  if (!clustered) {
+    return {
+      zoom: viewport.zoom,
+      total,
+      clustered,
+      clusters: [],
+      points: result.points,
+    };
+  }
+
+  // Ô chỉ có một dịch vụ được trả về như một điểm thường
+  const clusters = [];
+  const points = [];
+  for (const cell of result.clusters) {
+    if (cell.count === 1) {
+      points.push(cell.first);
+      continue;
+    }
+    clusters.push({
+      latitude: cell.latitude,
+      longitude: cell.longitude,
+      count: cell.count,
+      types: SERVICE_TYPES.reduce((counts, type) => {
+        const count = cell.types.filter((item) => item === type).length;
+        if (count) counts[type] = count;
+        return counts;
+      }, {}),
+      bounds: {
+        swLat: cell.minLat,
+        swLng: cell.minLng,
+        neLat: cell.maxLat,
+        neLng: cell.maxLng,
+      },
+    });
+  }
+  return { zoom: viewport.zoom, total, clustered, clusters, points };
+};
+
+module.exports = {
+  toGeoPoint,
+  parseCenter,
+  parsePaging,
+  geoNearStage,
+  getLocationsWithin,
+  findNearbyServiceIDs,
+  findNearby,
+  parseViewport,
+  findInViewport,
+};
@@ -0,0 +1,115 @@
+const Invoice = require("../models/Invoice");
+const ownershipService = require("./ownershipService");
+const createHttpError = require("../utils/httpError");
+
+const DOCUMENT_TYPES = ["national_id", "passport", "driver_license", "other"];
+const PHONE_PATTERN = /^\+?[0-9][0-9 .-]{7,19}$/;
+const MAX_SPECIAL_REQUESTS = 1000;
+
+/**
+ * Kiểm tra thông tin khách, chỉ trả về các trường có trong dữ liệu
+ * @param {Object} data - { guests, contactPhone, specialRequests }
+ * @param {Number} maxGuests - Số khách tối đa (adults + children), trống: không giới hạn
+ * @returns {Object} - Các trường đã chuẩn hóa
+ */
+const parseGuestDetails = (data, maxGuests = Infinity) => {
+  const details = {};
+
+  if (data.guests !== undefined) {
+    if (!Array.isArray(data.guests)) {
+      throw createHttpError(400, "guests phải là một mảng.");
+    }
+    if (data.guests.length > maxGuests) {
+      throw createHttpError(400, "Số khách trong danh sách vượt quá số người đặt.");
+    }
+    details.guests = data.guests.map((guest, index) => {
+      const fullName = String(guest?.fullName ?? "").trim();
+      if (!fullName || fullName.length > 100) {
+        throw createHttpError(
+          400,
+          `Họ tên khách thứ ${index + 1} là bắt buộc và tối đa 100 ký tự.`
+        );
+      }
+      if (
+        guest.documentType !== undefined &&
+        !DOCUMENT_TYPES.includes(guest.documentType)
+      ) {
+        throw createHttpError(
+          400,
+          `documentType phải là một trong: ${DOCUMENT_TYPES.join(", ")}.`
+        );
+      }
+      return {
+        fullName,
+        nationality: guest.nationality
+          ? String(guest.nationality).trim().slice(0, 60)
+          : undefined,
+        documentType: guest.documentType,
+      };
+    });
+  }
+
+  if (data.contactPhone !== undefined) {
+    const phone = String(data.contactPhone ?? "").trim();
+    if (phone && !PHONE_PATTERN.test(phone)) {
+      throw createHttpError(400, "Số điện thoại liên hệ không hợp lệ.");
+    }
+    details.contactPhone = phone;
+  }
+
+  if (data.specialRequests !== undefined) {
+    const requests = String(data.specialRequests ?? "").trim();
+    if (requests.length > MAX_SPECIAL_REQUESTS) {
+      throw createHttpError(
+        400,
+        `Yêu cầu đặc biệt tối đa ${MAX_SPECIAL_REQUESTS} ký tự.`
+      );
+    }
+    details.specialRequests = requests;
+  }
+
+  return details;
+};
+
+/**
+ * Khách sửa thông tin khách và yêu cầu đặc biệt khi hóa đơn còn chờ xác nhận
+ * @param {String} id - ObjectId của Invoice
+ * @param {Object} data - { guests, contactPhone, specialRequests }
+ * @param {Object} user - req.user
+ * @returns {Object} - Invoice sau khi cập nhật
+ */
+const updateGuestDetails = async (id, data, user) => {
+  const invoice = await Invoice.findById(id);
+  if (!invoice) {
+    throw createHttpError(404, "Invoice not found");
+  }
+  if (user.role !== "Customer" && user.role !== "Admin") {
+    throw createHttpError(403, "Access denied");
+  }
+  await ownershipService.assertInvoiceAccess(user, invoice);
+
+  const details = parseGuestDetails(data, invoice.adults + invoice.children);
+  if (!Object.keys(details).length) {
+    throw createHttpError(400, "Không có thông tin nào để cập nhật.");
+  }
+
+  // Điều kiện status đảm bảo không sửa được sau khi Provider vừa xác nhận
+  const updatedInvoice = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: "chờ xác nhận" },
+    { $set: details },
+    { new: true, runValidators: true }
+  );
+  if (!updatedInvoice) {
+    throw createHttpError(
+      409,
+      "Chỉ sửa được thông tin khách khi hóa đơn đang chờ xác nhận."
+    );
+  }
+  return updatedInvoice;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  parseGuestDetails,
+  updateGuestDetails,
+};
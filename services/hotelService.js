@@ -1,9 +1,10 @@
 const Hotel = require("../models/Hotel");
-const Service = require("../models/Service");
 const HotelType = require("../models/HotelType");
 const Room = require("../models/Room");
 const Restaurant = require("../models/Restaurant");
 const Coffee = require("../models/Coffee");
+const Review = require("../models/Review");
+const ownershipService = require("./ownershipService");
 
 /**
  * Tạo một Hotel mới
@@ -14,16 +15,8 @@ const Coffee = require("../models/Coffee");
 const createHotel = async (hotelData, user) => {
   const { hotelID, serviceID, starRating, hotelTypeID } = hotelData;
 
-  // Kiểm tra Service ID
-  const service = await Service.findOne({ _id: serviceID });
-  if (!service) {
-    throw new Error("Service ID không tồn tại.");
-  }
-
-  // Kiểm tra quyền của Provider
-  if (user.role === "Provider" && user.id !== service.providerID.toString()) {
-    throw new Error("Bạn không có quyền tạo Hotel cho Service này.");
-  }
+  // Kiểm tra Service tồn tại và thuộc về Provider đang đăng nhập
+  await ownershipService.assertServiceOwner(user, serviceID);
 
   // Kiểm tra HotelType ID
   const hotelType = await HotelType.findById(hotelTypeID);
@@ -69,18 +62,10 @@ const getHotelById = async (id) => {
  * @returns {Boolean} - True nếu xóa thành công, lỗi nếu không
  */
 const deleteHotelById = async (id, user) => {
-  const hotel = await Hotel.findById(id).populate("serviceID");
-
-  if (!hotel) {
-    throw new Error("Hotel not found");
-  }
-
   // Kiểm tra quyền xóa
-  if (user.role !== "Admin" && user.id !== hotel.serviceID.providerID) {
-    throw new Error("Access denied");
-  }
+  const hotel = await ownershipService.assertHotelOwner(user, id);
 
-  await hotel.remove();
+  await hotel.deleteOne();
   return true;
 };
 
@@ -124,6 +109,7 @@ const getHotelById1 = async (id) => {
           {
             path: "reviews", // Populate đánh giá
             model: "Review",
+            match: Review.visibleFilter(), // Bỏ đánh giá chờ duyệt hoặc đã ẩn
             populate: {
               path: "userID", // Populate userID within reviews to get user details
               model: "User", // Specify User model to get full user data
@@ -170,6 +156,7 @@ const getHotelById1 = async (id) => {
           {
             path: "reviews", // Populate đánh giá
             model: "Review",
+            match: Review.visibleFilter(), // Bỏ đánh giá chờ duyệt hoặc đã ẩn
             populate: {
               path: "userID", // Populate userID within reviews to get user details
               model: "User", // Specify User model to get full user data
@@ -222,6 +209,7 @@ const getHotelById1 = async (id) => {
           {
             path: "reviews", // Populate đánh giá
             model: "Review",
+            match: Review.visibleFilter(), // Bỏ đánh giá chờ duyệt hoặc đã ẩn
             populate: {
               path: "userID", // Populate userID within reviews to get user details
               model: "User", // Specify User model to get full user data
@@ -0,0 +1,548 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const Room = require("../models/Room");
+const Invoice = require("../models/Invoice");
+const ownershipService = require("./ownershipService");
+const roomCalendarService = require("./roomCalendarService");
+const createHttpError = require("../utils/httpError");
+const { parseEvents, buildCalendar } = require("../utils/icalUtils");
+const { startOfDay, addDays } = require("../utils/dateUtils");
+
+const MAX_ICS_BYTES = 2 * 1024 * 1024; // Giới hạn kích thước lịch tải về
+const MAX_REDIRECTS = 3;
+
+// Dải địa chỉ nội bộ không được tải lịch từ đó (loopback, mạng riêng, link-local...)
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96], // IPv4 viết dạng IPv6, tên miền công khai không trả về dạng này
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv6");
+}
+
+/**
+ * Thời gian chờ tối đa khi tải lịch từ URL (ms)
+ * @returns {Number}
+ */
+const getFetchTimeoutMs = () =>
+  Number(process.env.ICAL_FETCH_TIMEOUT_MS) || 10 * 1000;
+
+/**
+ * Tạo mới (hoặc đổi) khóa bí mật của đường dẫn xuất lịch
+ * @param {String} id - ObjectId của Room
+ * @param {Object} user - req.user
+ * @returns {Object} - { token, url }
+ */
+const rotateExportToken = async (id, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+
+  const token = crypto.randomBytes(24).toString("hex");
+  await Room.updateOne({ _id: room._id }, { $set: { icalExportToken: token } });
+  return { token, url: `/api/rooms/${room._id}/calendar.ics?token=${token}` };
+};
+
+/**
+ * Xuất lịch ICS các đêm đã đặt của Room (tính từ hóa đơn còn giữ phòng)
+ * @param {String} id - ObjectId của Room
+ * @param {String} token - Khóa bí mật trong đường dẫn
+ * @returns {String} - Nội dung ICS
+ */
+const exportCalendar = async (id, token) => {
+  const room = await Room.findById(id).select("+icalExportToken roomType");
+
+  // Sai khóa cũng trả về 404 để không lộ Room có tồn tại hay không
+  const expected = Buffer.from(room?.icalExportToken || "");
+  const given = Buffer.from(String(token || ""));
+  if (
+    !expected.length ||
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    throw createHttpError(404, "Calendar not found");
+  }
+
+  const invoices = await Invoice.find({
+    roomID: room._id,
+    inventoryHeld: true,
+    checkOutDate: { $gt: startOfDay(new Date()) },
+  })
+    .select("invoiceID checkInDate checkOutDate quantity")
+    .sort({ checkInDate: 1 });
+
+  return buildCalendar({
+    name: room.roomType,
+    events: invoices.map((invoice) => ({
+      uid: `${invoice.invoiceID}@dulich`,
+      summary: `Đã đặt (${invoice.quantity} phòng)`,
+      start: invoice.checkInDate,
+      end: invoice.checkOutDate,
+    })),
+  });
+};
+
+/**
+ * Địa chỉ IP có thuộc dải nội bộ hay không
+ * @param {String} address - Địa chỉ IP
+ * @returns {Boolean}
+ */
+const isBlockedAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+/**
+ * dns.lookup dùng khi mở kết nối: chặn tên miền phân giải ra địa chỉ nội bộ.
+ * Kết nối đi thẳng tới địa chỉ vừa kiểm tra nên tên miền không đổi được địa chỉ
+ * giữa lúc kiểm tra và lúc kết nối
+ * @param {String} hostname - Tên miền
+ * @param {Object} options - Tùy chọn của dns.lookup
+ * @param {Function} callback - (err, address, family) hoặc (err, addresses) khi options.all
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(
+        createHttpError(400, `Không phân giải được tên miền ${hostname}.`)
+      );
+    }
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(createHttpError(400, "URL lịch không được trỏ vào mạng nội bộ."));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Chặn URL ghi thẳng địa chỉ IP nội bộ (không đi qua publicLookup)
+ * @param {URL} url - Địa chỉ lịch
+ */
+const assertPublicHost = (url) => {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw createHttpError(400, "URL lịch không được trỏ vào mạng nội bộ.");
+  }
+};
+
+/**
+ * Gửi một request GET, kết nối qua publicLookup
+ * @param {URL} url - Địa chỉ lịch
+ * @param {AbortSignal} signal - Tín hiệu hủy khi quá thời gian
+ * @returns {Promise<http.IncomingMessage>}
+ */
+const get = (url, signal) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    client
+      .get(url, { lookup: publicLookup, signal }, resolve)
+      .on("error", reject);
+  });
+
+/**
+ * Đọc nội dung phản hồi, dừng ngay khi vượt giới hạn kích thước
+ * @param {http.IncomingMessage} response - Phản hồi
+ * @returns {String}
+ */
+const readLimitedText = async (response) => {
+  if (Number(response.headers["content-length"]) > MAX_ICS_BYTES) {
+    response.destroy();
+    throw createHttpError(502, "Lịch tải về quá lớn.");
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_ICS_BYTES) {
+      response.destroy();
+      throw createHttpError(502, "Lịch tải về quá lớn.");
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * Tải nội dung ICS từ URL; mỗi lần chuyển hướng đều kiểm tra lại địa chỉ
+ * @param {String} url - Địa chỉ lịch (http/https)
+ * @returns {String} - Nội dung ICS
+ */
+const fetchCalendar = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), getFetchTimeoutMs());
+  try {
+    let target = new URL(validateUrl(url));
+    for (let redirects = 0; ; redirects++) {
+      assertPublicHost(target);
+      const response = await get(target, controller.signal);
+
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw createHttpError(502, "Lịch chuyển hướng quá nhiều lần.");
+        }
+        target = new URL(validateUrl(new URL(headers.location, target).toString()));
+        continue;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        throw createHttpError(502, `Không tải được lịch (HTTP ${statusCode}).`);
+      }
+      return await readLimitedText(response);
+    }
+  } catch (err) {
+    if (err.status) throw err;
+    throw createHttpError(502, `Không tải được lịch: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Kiểm tra URL lịch
+ * @param {String} url - Địa chỉ lịch
+ * @returns {String} - URL đã chuẩn hóa
+ */
+const validateUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url).replace(/^webcal:/i, "https:"));
+  } catch (err) {
+    throw createHttpError(400, "URL lịch không hợp lệ.");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw createHttpError(400, "URL lịch phải dùng http hoặc https.");
+  }
+  return parsed.toString();
+};
+
+/**
+ * Áp dụng lịch nhập: ngừng bán các đêm trong lịch, mở bán lại các đêm đã bị gỡ khỏi lịch
+ * (chỉ đêm do lịch nhập ngừng bán và không còn lịch nhập nào khác chặn) và ghi nhận
+ * các đêm trùng với đặt phòng trên hệ thống
+ * @param {String} roomID - ObjectId của Room
+ * @param {String} importID - ObjectId của lịch nhập
+ * @param {String} text - Nội dung ICS
+ * @returns {Object} - Báo cáo đồng bộ
+ */
+const applyImport = async (roomID, importID, text) => {
+  const events = parseEvents(text);
+  if (!events) {
+    throw createHttpError(400, "Nội dung ICS không hợp lệ.");
+  }
+
+  // Chỉ quan tâm các đêm từ hôm nay trở đi
+  const today = startOfDay(new Date());
+  const summaries = new Map();
+  for (const event of events) {
+    for (const night of event.nights) {
+      if (night < today) continue;
+      const key = roomCalendarService.dayKey(night);
+      if (!summaries.has(key)) summaries.set(key, event.summary);
+    }
+  }
+  const blockedKeys = [...summaries.keys()].sort();
+
+  return await roomCalendarService.withRoomCalendar(
+    roomID,
+    async (room, session) => {
+      const source = room.icalImports.id(importID);
+      if (!source) {
+        throw createHttpError(404, "Calendar import not found");
+      }
+
+      const entries = new Map(
+        room.roomsAvailable.map((entry) => [
+          roomCalendarService.dayKey(entry.date),
+          entry,
+        ])
+      );
+      const otherBlocked = new Set(
+        room.icalImports
+          .filter((item) => item._id.toString() !== source._id.toString())
+          .flatMap((item) =>
+            item.blockedDates.map((date) => roomCalendarService.dayKey(date))
+          )
+      );
+
+      // Ngừng bán các đêm bên ngoài đã chặn; đêm chưa có trong lịch vẫn ghi lại
+      // để lần mở bán sau không vô tình mở ra. Đêm Provider đã tự ngừng bán
+      // thì giữ nguyên để không bị mở lại khi lịch nhập bỏ đêm đó
+      for (const key of blockedKeys) {
+        const entry = entries.get(key);
+        if (entry) {
+          if (!entry.closed) {
+            entry.closed = true;
+            entry.closedByIcal = true;
+          }
+        } else {
+          room.roomsAvailable.push({
+            date: new Date(`${key}T00:00:00Z`),
+            availableRooms: 0,
+            closed: true,
+            closedByIcal: true,
+          });
+        }
+      }
+
+      const current = new Set(blockedKeys);
+      let released = 0;
+      for (const date of source.blockedDates) {
+        const key = roomCalendarService.dayKey(date);
+        if (current.has(key) || otherBlocked.has(key)) continue;
+        const entry = entries.get(key);
+        if (entry && entry.closed && entry.closedByIcal) {
+          entry.closed = false;
+          entry.closedByIcal = false;
+          released += 1;
+        }
+      }
+
+      const conflicts = [];
+      if (blockedKeys.length) {
+        const booked = await roomCalendarService.getBookedByNight(
+          room._id,
+          new Date(`${blockedKeys[0]}T00:00:00Z`),
+          addDays(new Date(`${blockedKeys[blockedKeys.length - 1]}T00:00:00Z`), 1),
+          session
+        );
+        for (const key of blockedKeys) {
+          if (booked.get(key)) {
+            conflicts.push({
+              date: new Date(`${key}T00:00:00Z`),
+              booked: booked.get(key),
+              summary: summaries.get(key),
+            });
+          }
+        }
+      }
+
+      source.blockedDates = blockedKeys.map((key) => new Date(`${key}T00:00:00Z`));
+      source.conflicts = conflicts;
+      source.eventsCount = events.length;
+      source.lastSyncedAt = new Date();
+      source.lastStatus = "ok";
+      source.lastError = "";
+
+      return {
+        importID: source._id,
+        name: source.name,
+        events: events.length,
+        blocked: blockedKeys.length,
+        released,
+        conflicts,
+      };
+    }
+  );
+};
+
+/**
+ * Ghi nhận lỗi đồng bộ của một lịch nhập
+ * @param {String} roomID - ObjectId của Room
+ * @param {String} importID - ObjectId của lịch nhập
+ * @param {String} message - Nội dung lỗi
+ */
+const recordSyncError = async (roomID, importID, message) => {
+  await Room.updateOne(
+    { _id: roomID, "icalImports._id": importID },
+    {
+      $set: {
+        "icalImports.$.lastStatus": "error",
+        "icalImports.$.lastError": message,
+        "icalImports.$.lastSyncedAt": new Date(),
+      },
+    }
+  );
+};
+
+/**
+ * Danh sách lịch nhập của Room
+ * @param {String} id - ObjectId của Room
+ * @param {Object} user - req.user
+ * @returns {Array}
+ */
+const listImports = async (id, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+  return room.icalImports;
+};
+
+/**
+ * Thêm (hoặc thay thế theo tên) một lịch nhập từ URL hoặc nội dung ICS, rồi đồng bộ ngay
+ * @param {String} id - ObjectId của Room
+ * @param {Object} data - { name, url, ics }
+ * @param {Object} user - req.user
+ * @returns {Object} - Báo cáo đồng bộ
+ */
+const addImport = async (id, data, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+
+  const name = String(data.name || "").trim();
+  if (!name) {
+    throw createHttpError(400, "name là bắt buộc.");
+  }
+  if (!data.url === !data.ics) {
+    throw createHttpError(400, "Cần cung cấp đúng một trong url hoặc ics.");
+  }
+
+  // Tải lịch trước khi lưu để URL sai không để lại nguồn hỏng
+  const url = data.url ? validateUrl(data.url) : undefined;
+  const text = url ? await fetchCalendar(url) : String(data.ics);
+
+  const existing = room.icalImports.find((item) => item.name === name);
+  let importID;
+  if (existing) {
+    importID = existing._id;
+    await Room.updateOne(
+      { _id: room._id, "icalImports._id": importID },
+      url
+        ? { $set: { "icalImports.$.url": url } }
+        : { $unset: { "icalImports.$.url": "" } }
+    );
+  } else {
+    const source = room.icalImports.create({ name, url });
+    importID = source._id;
+    await Room.updateOne(
+      { _id: room._id },
+      { $push: { icalImports: source } }
+    );
+  }
+
+  return await applyImport(room._id, importID, text);
+};
+
+/**
+ * Đồng bộ lại một lịch nhập (từ URL đã lưu hoặc nội dung ICS mới tải lên)
+ * @param {String} id - ObjectId của Room
+ * @param {String} importID - ObjectId của lịch nhập
+ * @param {String} ics - Nội dung ICS (không bắt buộc nếu lịch có URL)
+ * @param {Object} user - req.user
+ * @returns {Object} - Báo cáo đồng bộ
+ */
+const syncImport = async (id, importID, ics, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+
+  const source = room.icalImports.id(importID);
+  if (!source) {
+    throw createHttpError(404, "Calendar import not found");
+  }
+  if (!ics && !source.url) {
+    throw createHttpError(
+      400,
+      "Lịch này được nhập từ file, cần tải lên nội dung ICS mới."
+    );
+  }
+
+  try {
+    const text = ics ? String(ics) : await fetchCalendar(source.url);
+    return await applyImport(room._id, source._id, text);
+  } catch (err) {
+    await recordSyncError(room._id, source._id, err.message);
+    throw err;
+  }
+};
+
+/**
+ * Xóa lịch nhập và mở bán lại các đêm chỉ do lịch này chặn (không mở đêm Provider tự ngừng bán)
+ * @param {String} id - ObjectId của Room
+ * @param {String} importID - ObjectId của lịch nhập
+ * @param {Object} user - req.user
+ * @returns {Object} - { released }
+ */
+const removeImport = async (id, importID, user) => {
+  await ownershipService.assertRoomOwner(user, id);
+
+  return await roomCalendarService.withRoomCalendar(id, async (room) => {
+    const source = room.icalImports.id(importID);
+    if (!source) {
+      throw createHttpError(404, "Calendar import not found");
+    }
+
+    const otherBlocked = new Set(
+      room.icalImports
+        .filter((item) => item._id.toString() !== source._id.toString())
+        .flatMap((item) =>
+          item.blockedDates.map((date) => roomCalendarService.dayKey(date))
+        )
+    );
+    const entries = new Map(
+      room.roomsAvailable.map((entry) => [
+        roomCalendarService.dayKey(entry.date),
+        entry,
+      ])
+    );
+
+    let released = 0;
+    for (const date of source.blockedDates) {
+      const key = roomCalendarService.dayKey(date);
+      const entry = entries.get(key);
+      if (!otherBlocked.has(key) && entry && entry.closed && entry.closedByIcal) {
+        entry.closed = false;
+        entry.closedByIcal = false;
+        released += 1;
+      }
+    }
+
+    source.deleteOne();
+    return { released };
+  });
+};
+
+/**
+ * Đồng bộ lại mọi lịch nhập có URL
+ * @returns {Object} - { synced, failed, conflicts }
+ */
+const syncAll = async () => {
+  const summary = { synced: 0, failed: 0, conflicts: 0 };
+
+  for await (const room of Room.find({
+    "icalImports.url": { $exists: true, $ne: "" },
+  }).select("icalImports._id icalImports.url")) {
+    for (const source of room.icalImports) {
+      if (!source.url) continue;
+      try {
+        const report = await applyImport(
+          room._id,
+          source._id,
+          await fetchCalendar(source.url)
+        );
+        summary.synced += 1;
+        summary.conflicts += report.conflicts.length;
+      } catch (err) {
+        await recordSyncError(room._id, source._id, err.message);
+        summary.failed += 1;
+      }
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  rotateExportToken,
+  exportCalendar,
+  listImports,
+  addImport,
+  syncImport,
+  removeImport,
+  syncAll,
+};
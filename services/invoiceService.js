@@ -1,6 +1,8 @@
 const Invoice = require("../models/Invoice");
 const User = require("../models/User");
 const Service = require("../models/Service");
+const Provider = require("../models/Provider");
+const createHttpError = require("../utils/httpError");
 
 /**
  * Tạo một Invoice mới
@@ -8,8 +10,7 @@ const Service = require("../models/Service");
  * @returns {Object} - Invoice vừa tạo
  */
 const createInvoice = async (invoiceData) => {
-  const { invoiceID, userID, totalAmount, issueDate, paymentStatus, services } =
-    invoiceData;
+  const { invoiceID, userID, serviceID, quantity } = invoiceData;
 
   // Kiểm tra UserID đã tồn tại
   const user = await User.findById(userID);
@@ -23,30 +24,21 @@ const createInvoice = async (invoiceData) => {
     throw new Error("Invoice với ID này đã tồn tại.");
   }
 
-  // Kiểm tra danh sách dịch vụ
-  for (const serviceEntry of services) {
-    const { serviceID, quantity } = serviceEntry;
-
-    // Kiểm tra serviceID hợp lệ
-    const service = await Service.findById(serviceID);
-    if (!service) {
-      throw new Error(`Service ID ${serviceID} không tồn tại.`);
-    }
+  // Kiểm tra serviceID hợp lệ
+  const service = await Service.findById(serviceID);
+  if (!service) {
+    throw new Error(`Service ID ${serviceID} không tồn tại.`);
+  }
 
-    // Kiểm tra số lượng phải lớn hơn 0
-    if (!quantity || quantity <= 0) {
-      throw new Error(`Quantity phải lớn hơn 0 cho service ${serviceID}.`);
-    }
+  // Kiểm tra số lượng phải lớn hơn 0
+  if (!quantity || quantity <= 0) {
+    throw new Error(`Quantity phải lớn hơn 0 cho service ${serviceID}.`);
   }
 
-  // Tạo Invoice mới
+  // Tạo Invoice mới (mỗi Invoice một dịch vụ, nhiều dịch vụ thì đặt qua giỏ hàng)
   const newInvoice = new Invoice({
-    invoiceID,
-    userID,
-    totalAmount,
-    issueDate,
-    paymentStatus,
-    services, // Lưu mảng serviceID và quantity
+    ...invoiceData,
+    issueDate: invoiceData.issueDate || new Date(),
   });
 
   return await newInvoice.save();
@@ -59,7 +51,7 @@ const createInvoice = async (invoiceData) => {
 const getAllInvoices = async () => {
   return await Invoice.find()
     .populate("userID", "fullName email")
-    .populate("services.serviceID", "serviceName price"); // Lấy thông tin dịch vụ
+    .populate("serviceID", "serviceName price"); // Lấy thông tin dịch vụ
 };
 
 /**
@@ -70,7 +62,7 @@ const getAllInvoices = async () => {
 const getInvoiceById = async (id) => {
   return await Invoice.findById(id)
     .populate("userID", "fullName email")
-    .populate("services.serviceID", "serviceName price"); // Lấy thông tin dịch vụ
+    .populate("serviceID", "serviceName price"); // Lấy thông tin dịch vụ
 };
 
 /**
@@ -84,13 +76,70 @@ const updateInvoiceById = async (id, invoiceData) => {
     new: true,
   })
     .populate("userID", "fullName email")
-    .populate("services.serviceID", "serviceName price"); // Lấy thông tin dịch vụ sau cập nhật
+    .populate("serviceID", "serviceName price"); // Lấy thông tin dịch vụ sau cập nhật
   if (!updatedInvoice) {
     throw new Error("Invoice not found");
   }
   return updatedInvoice;
 };
 
+/**
+ * Lấy hóa đơn khách đã đặt, kèm thông tin khách, yêu cầu đặc biệt và hoàn tiền
+ * @param {String} userID - ObjectId của khách
+ * @param {Object} user - req.user
+ * @returns {Array} - Danh sách Invoice
+ */
+const getUserInvoices = async (userID, user) => {
+  // Thông tin khách là dữ liệu cá nhân, chỉ chính khách hoặc Admin được xem
+  if (user.role !== "Admin" && user.id !== userID) {
+    throw createHttpError(403, "Access denied");
+  }
+
+  return await Invoice.find({ userID })
+    .populate({
+      path: "serviceID", // Populate serviceID
+      populate: {
+        path: "locationID", // Populate locationID trong serviceID
+      },
+    })
+    .populate("roomID")
+    .populate("review")
+    .populate("refund"); // Khoản hoàn tiền nếu hóa đơn đã hủy
+};
+
+/**
+ * Lấy hóa đơn của mọi dịch vụ thuộc các Provider của một user, kèm thông tin
+ * khách và yêu cầu đặc biệt để Provider chuẩn bị nhận khách
+ * @param {String} userID - ObjectId của user chủ Provider
+ * @param {Object} user - req.user
+ * @returns {Array} - Danh sách Invoice, mới nhất trước
+ */
+const getProviderInvoices = async (userID, user) => {
+  // Thông tin khách là dữ liệu cá nhân, chỉ chính Provider hoặc Admin được xem
+  if (user.role !== "Admin" && user.id !== userID) {
+    throw createHttpError(403, "Access denied");
+  }
+
+  const providers = await Provider.find({ userID }).select("_id");
+  const services = await Service.find({
+    providerID: { $in: providers.map((provider) => provider._id) },
+  }).select("_id");
+
+  return await Invoice.find({
+    serviceID: { $in: services.map((service) => service._id) },
+  })
+    .sort({ issueDate: -1 })
+    .populate({
+      path: "serviceID", // Populate serviceID
+      populate: {
+        path: "locationID", // Populate locationID trong serviceID
+      },
+    })
+    .populate("roomID")
+    .populate("tableID")
+    .populate("userID", "fullName email");
+};
+
 /**
  * Xóa một Invoice theo ID
  * @param {String} id - ID của Invoice
@@ -109,5 +158,7 @@ module.exports = {
   getAllInvoices,
   getInvoiceById,
   updateInvoiceById,
+  getUserInvoices,
+  getProviderInvoices,
   deleteInvoiceById,
 };
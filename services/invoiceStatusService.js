@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const bookingService = require("./bookingService");
+const tableReservationService = require("./tableReservationService");
+const refundService = require("./refundService");
+const voucherService = require("./voucherService");
+const loyaltyService = require("./loyaltyService");
+const ownershipService = require("./ownershipService");
+const createHttpError = require("../utils/httpError");
+
+const INVOICE_STATUSES = ["chờ xác nhận", "đã xác nhận", "đã hủy", "đã sử dụng"];
+
+// Các bước chuyển trạng thái hợp lệ và vai trò được phép thực hiện
+const TRANSITIONS = {
+  "chờ xác nhận": {
+    "đã xác nhận": ["Provider", "Admin"],
+    "đã hủy": ["Customer", "Provider", "Admin", "System"],
+  },
+  "đã xác nhận": {
+    "đã hủy": ["Customer", "Provider", "Admin"],
+    "đã sử dụng": ["Provider", "Admin"],
+  },
+  "đã hủy": {},
+  "đã sử dụng": {},
+};
+
+/**
+ * Chuyển trạng thái hóa đơn theo state machine và ghi lịch sử
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {String} nextStatus - Trạng thái mới
+ * @param {Object|null} actor - req.user, null nếu do hệ thống
+ * @param {Object} options - { note, reason, filter }
+ * @returns {Object|null} - Invoice sau khi cập nhật, null nếu không khớp filter
+ */
+const changeStatus = async (invoiceID, nextStatus, actor, options = {}) => {
+  if (!INVOICE_STATUSES.includes(nextStatus)) {
+    throw createHttpError(400, "Invalid status value");
+  }
+
+  const invoice = await Invoice.findById(invoiceID);
+  if (!invoice) {
+    throw createHttpError(404, "Invoice not found");
+  }
+
+  const from = invoice.status;
+  const allowedRoles = TRANSITIONS[from]?.[nextStatus];
+  if (!allowedRoles) {
+    throw createHttpError(
+      409,
+      `Không thể chuyển trạng thái từ "${from}" sang "${nextStatus}".`
+    );
+  }
+
+  const role = actor ? actor.role : "System";
+  if (!allowedRoles.includes(role)) {
+    throw createHttpError(403, "Access denied");
+  }
+  if (actor) {
+    await ownershipService.assertInvoiceAccess(actor, invoice);
+  }
+
+  if (nextStatus === "đã sử dụng" && new Date() < invoice.checkOutDate) {
+    throw createHttpError(409, "Chỉ được đánh dấu đã sử dụng sau ngày trả phòng.");
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let updatedInvoice = null;
+    let refund = null;
+    await session.withTransaction(async () => {
+      refund = null;
+      // Điều kiện status: from đảm bảo không ghi đè thay đổi đồng thời
+      updatedInvoice = await Invoice.findOneAndUpdate(
+        { ...options.filter, _id: invoice._id, status: from },
+        {
+          $set: { status: nextStatus },
+          $push: {
+            statusHistory: {
+              from,
+              to: nextStatus,
+              changedBy: actor?.id,
+              role,
+              note: options.note || "",
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!updatedInvoice) return;
+
+      if (nextStatus === "đã hủy") {
+        await bookingService.releaseInventoryInSession(
+          updatedInvoice._id,
+          { reason: options.reason || "cancelled", releasedBy: actor?.id },
+          session
+        );
+        await tableReservationService.cancelReservationInSession(
+          updatedInvoice._id,
+          session
+        );
+        await voucherService.releaseVoucherInSession(
+          updatedInvoice._id,
+          session
+        );
+        await loyaltyService.reverseRedemptionInSession(
+          updatedInvoice._id,
+          session
+        );
+        refund = await refundService.createRefundInSession(
+          updatedInvoice,
+          actor,
+          session
+        );
+        if (refund) updatedInvoice.refund = refund._id;
+      }
+
+      if (nextStatus === "đã sử dụng") {
+        const earned = await loyaltyService.earnForInvoiceInSession(
+          updatedInvoice,
+          session
+        );
+        if (earned) updatedInvoice.loyalty.pointsEarned = earned.points;
+      }
+    });
+
+    if (!updatedInvoice && !options.filter) {
+      throw createHttpError(409, "Trạng thái hóa đơn vừa được thay đổi, vui lòng thử lại.");
+    }
+
+    // Gọi cổng thanh toán sau khi commit, lỗi được ghi lại trên Refund
+    if (refund) {
+      await refundService.processRefund(refund._id);
+    }
+    return updatedInvoice;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Lấy lịch sử trạng thái của hóa đơn
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {Object} actor - req.user
+ * @returns {Object} - { invoiceID, status, statusHistory }
+ */
+const getStatusHistory = async (invoiceID, actor) => {
+  const invoice = await Invoice.findById(invoiceID)
+    .select("invoiceID userID serviceID status statusHistory")
+    .populate("statusHistory.changedBy", "fullName email role");
+  if (!invoice) {
+    throw createHttpError(404, "Invoice not found");
+  }
+
+  await ownershipService.assertInvoiceAccess(actor, invoice);
+
+  return {
+    invoiceID: invoice.invoiceID,
+    status: invoice.status,
+    statusHistory: invoice.statusHistory,
+  };
+};
+
+/**
+ * Hủy các hóa đơn "chờ xác nhận" chưa thanh toán quá thời gian giữ phòng.
+ * Lỗi của một hóa đơn không làm dừng cả lượt quét
+ * @param {Date} now - Thời điểm hiện tại
+ * @returns {Number} - Số hóa đơn đã hết hạn
+ */
+const expireStaleInvoices = async (now = new Date()) => {
+  const cutoff = new Date(
+    now.getTime() - bookingService.getHoldMinutes() * 60 * 1000
+  );
+  const staleInvoices = await Invoice.find({
+    status: "chờ xác nhận",
+    paymentStatus: "unpaid",
+    inventoryHeld: true,
+    issueDate: { $lt: cutoff },
+  }).select("_id");
+
+  let expired = 0;
+  for (const { _id } of staleInvoices) {
+    try {
+      // Lọc lại paymentStatus để tránh hủy hóa đơn vừa được thanh toán
+      const invoice = await changeStatus(_id, "đã hủy", null, {
+        reason: "expired",
+        note: "Hết thời gian giữ phòng",
+        filter: { paymentStatus: "unpaid" },
+      });
+      if (invoice) expired += 1;
+    } catch (err) {
+      // 403/409: hóa đơn vừa đổi trạng thái hoặc được thanh toán, bỏ qua
+      if (err.status === 403 || err.status === 409) continue;
+      console.error(`Lỗi khi hủy hóa đơn quá hạn ${_id}:`, err);
+    }
+  }
+  return expired;
+};
+
+module.exports = {
+  INVOICE_STATUSES,
+  TRANSITIONS,
+  changeStatus,
+  getStatusHistory,
+  expireStaleInvoices,
+};
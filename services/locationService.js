@@ -1,4 +1,6 @@
 const Location = require("../models/Location");
+const searchIndexService = require("./searchIndexService");
+const geoService = require("./geoService");
 
 /**
  * Tạo một Location mới
@@ -15,7 +17,12 @@ const createLocation = async (locationData) => {
     description,
     latitude,
     longitude,
+    geo: geoService.toGeoPoint(latitude, longitude),
   });
+  Object.assign(
+    newLocation,
+    searchIndexService.buildLocationSearchFields(newLocation)
+  );
 
   return await newLocation.save();
 };
@@ -44,7 +51,28 @@ const getLocationById = async (id) => {
  * @returns {Object|null} - Location sau khi cập nhật hoặc null nếu không tìm thấy
  */
 const updateLocationById = async (id, locationData) => {
-  return await Location.findByIdAndUpdate(id, locationData, { new: true });
+  // Trường tìm kiếm và geo chỉ do hệ thống tính
+  const { searchName, searchTrigrams, geo, ...fields } = locationData;
+
+  // Đổi tọa độ thì tính lại điểm GeoJSON
+  if (fields.latitude !== undefined || fields.longitude !== undefined) {
+    const current = await Location.findById(id).select("latitude longitude");
+    if (current) {
+      fields.geo = geoService.toGeoPoint(
+        fields.latitude ?? current.latitude,
+        fields.longitude ?? current.longitude
+      );
+    }
+  }
+  const updatedLocation = await Location.findByIdAndUpdate(id, fields, {
+    new: true,
+  });
+
+  // Đổi tên địa điểm thì cập nhật lại trường tìm kiếm của các Service liên quan
+  if (updatedLocation && fields.locationName !== undefined) {
+    await searchIndexService.refreshLocation(updatedLocation._id);
+  }
+  return updatedLocation;
 };
 
 /**
@@ -0,0 +1,497 @@
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const Invoice = require("../models/Invoice");
+const LoyaltyTransaction = require("../models/LoyaltyTransaction");
+const createHttpError = require("../utils/httpError");
+const { DAY_MS } = require("../utils/dateUtils");
+
+// Hạng thành viên theo tổng điểm đã tích, kèm hệ số nhân điểm khi tích
+const TIERS = [
+  { name: "Gold", minLifetimePoints: 5000, earnMultiplier: 1.5 },
+  { name: "Silver", minLifetimePoints: 1000, earnMultiplier: 1.25 },
+  { name: "Member", minLifetimePoints: 0, earnMultiplier: 1 },
+];
+
+/**
+ * Quy tắc tích/đổi điểm (có thể cấu hình qua biến môi trường)
+ * @returns {Object}
+ */
+const getRules = () => ({
+  vndPerPoint: Number(process.env.LOYALTY_VND_PER_POINT) || 10000, // Chi 10.000đ được 1 điểm
+  pointValue: Number(process.env.LOYALTY_POINT_VALUE) || 1000, // 1 điểm giảm 1.000đ
+  maxRedeemPercent: Number(process.env.LOYALTY_MAX_REDEEM_PERCENT) || 50, // Tối đa 50% hóa đơn
+  expiryDays: Number(process.env.LOYALTY_EXPIRY_DAYS) || 365, // Điểm hết hạn sau 1 năm
+});
+
+/**
+ * Hạng thành viên theo tổng điểm đã tích
+ * @param {Number} lifetimePoints - Tổng điểm đã tích
+ * @returns {Object} - Phần tử của TIERS
+ */
+const getTier = (lifetimePoints) =>
+  TIERS.find((tier) => lifetimePoints >= tier.minLifetimePoints);
+
+/**
+ * Số điểm được tích cho một số tiền theo hạng
+ * @param {Number} amount - Số tiền (VND)
+ * @param {String} tierName - Hạng thành viên
+ * @returns {Number} - Số điểm
+ */
+const calculateEarnPoints = (amount, tierName) => {
+  const tier = TIERS.find((item) => item.name === tierName) || getTier(0);
+  return Math.floor((amount / getRules().vndPerPoint) * tier.earnMultiplier);
+};
+
+/**
+ * Lấy Customer theo userID, tạo mới nếu user chưa có hồ sơ Customer
+ * @param {String} userID - ObjectId của User
+ * @param {Object} session - Mongo session
+ * @returns {Object} - Customer
+ */
+const getOrCreateCustomer = async (userID, session) => {
+  return await Customer.findOneAndUpdate(
+    { userID },
+    {
+      $setOnInsert: {
+        customerID: `CUS-${userID}`,
+        userID,
+      },
+    },
+    { new: true, upsert: true, session }
+  );
+};
+
+/**
+ * Trừ điểm từ các lô điểm còn hạn, lô sắp hết hạn bị trừ trước
+ * @param {Object} customer - Customer
+ * @param {Number} points - Số điểm cần trừ
+ * @param {Object} session - Mongo session
+ * @returns {Array} - allocations [{ transactionID, points }]
+ */
+const consumeLots = async (customer, points, session) => {
+  const lots = await LoyaltyTransaction.find({
+    customerID: customer._id,
+    remainingPoints: { $gt: 0 },
+  })
+    .sort({ expiresAt: 1, createdAt: 1 })
+    .session(session);
+
+  const allocations = [];
+  let remaining = points;
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const take = Math.min(lot.remainingPoints, remaining);
+    await LoyaltyTransaction.updateOne(
+      { _id: lot._id },
+      { $inc: { remainingPoints: -take } },
+      { session }
+    );
+    allocations.push({ transactionID: lot._id, points: take });
+    remaining -= take;
+  }
+  return allocations;
+};
+
+/**
+ * Cộng/trừ số dư Customer có điều kiện, cập nhật hạng nếu tích thêm
+ * @param {Object} customer - Customer
+ * @param {Number} delta - Số điểm thay đổi
+ * @param {Object} session - Mongo session
+ * @param {Boolean} countLifetime - Có tính vào tổng điểm đã tích không
+ * @returns {Object} - Customer sau khi cập nhật
+ */
+const changeBalance = async (customer, delta, session, countLifetime = false) => {
+  const updated = await Customer.findOneAndUpdate(
+    {
+      _id: customer._id,
+      ...(delta < 0 ? { loyaltyPoints: { $gte: -delta } } : {}),
+    },
+    {
+      $inc: {
+        loyaltyPoints: delta,
+        ...(countLifetime ? { lifetimePoints: delta } : {}),
+      },
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw createHttpError(409, "Số dư điểm không đủ.");
+  }
+
+  const tier = getTier(updated.lifetimePoints).name;
+  if (tier !== updated.tier) {
+    updated.tier = tier;
+    await Customer.updateOne({ _id: updated._id }, { $set: { tier } }, { session });
+  }
+  return updated;
+};
+
+/**
+ * Cộng điểm khi hóa đơn chuyển sang "đã sử dụng", dùng trong transaction
+ * @param {Object} invoice - Invoice
+ * @param {Object} session - Mongo session
+ * @returns {Object|null} - LoyaltyTransaction hoặc null nếu không có điểm
+ */
+const earnForInvoiceInSession = async (invoice, session) => {
+  const already = await LoyaltyTransaction.exists({
+    invoiceID: invoice._id,
+    type: "earn",
+  }).session(session);
+  if (already) return null;
+
+  const customer = await getOrCreateCustomer(invoice.userID, session);
+  const points = calculateEarnPoints(invoice.totalAmount, customer.tier);
+  if (points <= 0) return null;
+
+  const updated = await changeBalance(customer, points, session, true);
+  const [transaction] = await LoyaltyTransaction.create(
+    [
+      {
+        customerID: customer._id,
+        type: "earn",
+        points,
+        remainingPoints: points,
+        expiresAt: new Date(Date.now() + getRules().expiryDays * DAY_MS),
+        invoiceID: invoice._id,
+        balanceAfter: updated.loyaltyPoints,
+        note: `Tích điểm hóa đơn ${invoice.invoiceID}`,
+      },
+    ],
+    { session }
+  );
+
+  await Invoice.updateOne(
+    { _id: invoice._id },
+    { $set: { "loyalty.pointsEarned": points } },
+    { session }
+  );
+  return transaction;
+};
+
+/**
+ * Đổi điểm lấy giảm giá cho hóa đơn chưa lưu, dùng trong transaction
+ * @param {Number} points - Số điểm muốn đổi
+ * @param {Object} invoice - Invoice (chưa lưu)
+ * @param {Object} session - Mongo session
+ * @returns {Object} - LoyaltyTransaction
+ */
+const redeemPointsInSession = async (points, invoice, session) => {
+  const requested = Number(points);
+  if (!Number.isInteger(requested) || requested < 1) {
+    throw createHttpError(400, "Số điểm đổi phải là số nguyên >= 1.");
+  }
+
+  const rules = getRules();
+  const maxPoints = Math.floor(
+    (invoice.totalAmount * rules.maxRedeemPercent) / 100 / rules.pointValue
+  );
+  if (requested > maxPoints) {
+    throw createHttpError(
+      400,
+      `Chỉ được đổi tối đa ${maxPoints} điểm cho hóa đơn này.`
+    );
+  }
+
+  const customer = await Customer.findOne({ userID: invoice.userID }).session(
+    session
+  );
+  if (!customer) {
+    throw createHttpError(409, "Số dư điểm không đủ.");
+  }
+
+  const updated = await changeBalance(customer, -requested, session);
+  const allocations = await consumeLots(customer, requested, session);
+  const discountAmount = requested * rules.pointValue;
+
+  const [transaction] = await LoyaltyTransaction.create(
+    [
+      {
+        customerID: customer._id,
+        type: "redeem",
+        points: -requested,
+        invoiceID: invoice._id,
+        allocations,
+        balanceAfter: updated.loyaltyPoints,
+        note: `Đổi điểm cho hóa đơn ${invoice.invoiceID}`,
+      },
+    ],
+    { session }
+  );
+
+  if (invoice.subtotalAmount === undefined) {
+    invoice.subtotalAmount = invoice.totalAmount;
+  }
+  invoice.totalAmount -= discountAmount;
+  invoice.loyalty = {
+    pointsRedeemed: requested,
+    discountAmount,
+    pointsEarned: 0,
+  };
+
+  return transaction;
+};
+
+/**
+ * Hoàn lại điểm đã đổi khi hóa đơn bị hủy, dùng trong transaction
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {Object} session - Mongo session
+ * @returns {Object|null} - LoyaltyTransaction hoàn điểm hoặc null
+ */
+const reverseRedemptionInSession = async (invoiceID, session) => {
+  const redemption = await LoyaltyTransaction.findOneAndUpdate(
+    { invoiceID, type: "redeem", reversed: false },
+    { $set: { reversed: true } },
+    { new: true, session }
+  );
+  if (!redemption) return null;
+
+  // Trả điểm về đúng lô cũ; lô đã quá hạn sẽ bị job hết hạn thu lại
+  for (const allocation of redemption.allocations) {
+    await LoyaltyTransaction.updateOne(
+      { _id: allocation.transactionID },
+      { $inc: { remainingPoints: allocation.points } },
+      { session }
+    );
+  }
+
+  const points = -redemption.points;
+  const customer = await Customer.findById(redemption.customerID).session(
+    session
+  );
+  const updated = await changeBalance(customer, points, session);
+
+  const [transaction] = await LoyaltyTransaction.create(
+    [
+      {
+        customerID: customer._id,
+        type: "reversal",
+        points,
+        invoiceID,
+        balanceAfter: updated.loyaltyPoints,
+        note: "Hoàn điểm do hủy hóa đơn",
+      },
+    ],
+    { session }
+  );
+  return transaction;
+};
+
+/**
+ * Thu hồi điểm đã hết hạn
+ * @param {Date} now - Thời điểm hiện tại
+ * @returns {Number} - Số lô điểm đã hết hạn
+ */
+const expirePoints = async (now = new Date()) => {
+  const lots = await LoyaltyTransaction.find({
+    remainingPoints: { $gt: 0 },
+    expiresAt: { $lte: now },
+  }).select("_id");
+
+  let expired = 0;
+  for (const { _id } of lots) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const lot = await LoyaltyTransaction.findById(_id).session(session);
+        if (!lot || lot.remainingPoints <= 0) return;
+
+        const points = lot.remainingPoints;
+        await LoyaltyTransaction.updateOne(
+          { _id: lot._id, remainingPoints: points },
+          { $set: { remainingPoints: 0 } },
+          { session }
+        );
+        const customer = await Customer.findById(lot.customerID).session(
+          session
+        );
+        const updated = await changeBalance(customer, -points, session);
+        await LoyaltyTransaction.create(
+          [
+            {
+              customerID: customer._id,
+              type: "expire",
+              points: -points,
+              allocations: [{ transactionID: lot._id, points }],
+              balanceAfter: updated.loyaltyPoints,
+              note: "Điểm hết hạn",
+            },
+          ],
+          { session }
+        );
+        expired += 1;
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+  return expired;
+};
+
+/**
+ * Điều chỉnh số dư điểm về một giá trị (Admin), ghi vào sổ cái
+ * @param {String} customerID - ObjectId của Customer
+ * @param {Number} target - Số dư mong muốn
+ * @param {Object} user - req.user
+ * @returns {Object} - Customer sau khi điều chỉnh
+ */
+const setBalance = async (customerID, target, user) => {
+  if (!Number.isInteger(target) || target < 0) {
+    throw createHttpError(400, "Số điểm phải là số nguyên >= 0.");
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const customer = await Customer.findById(customerID).session(session);
+      if (!customer) {
+        throw createHttpError(404, "Customer not found");
+      }
+
+      const delta = target - customer.loyaltyPoints;
+      if (delta === 0) {
+        result = customer;
+        return;
+      }
+
+      const allocations =
+        delta < 0 ? await consumeLots(customer, -delta, session) : [];
+      result = await changeBalance(customer, delta, session);
+      await LoyaltyTransaction.create(
+        [
+          {
+            customerID: customer._id,
+            type: "adjust",
+            points: delta,
+            remainingPoints: delta > 0 ? delta : 0,
+            expiresAt:
+              delta > 0
+                ? new Date(Date.now() + getRules().expiryDays * DAY_MS)
+                : undefined,
+            allocations,
+            balanceAfter: result.loyaltyPoints,
+            note: "Điều chỉnh bởi Admin",
+            createdBy: user?.id,
+          },
+        ],
+        { session }
+      );
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Tính lại số dư, tổng điểm đã tích và hạng từ sổ cái
+ * @param {String} customerID - ObjectId của Customer
+ * @returns {Object} - { before, after } số dư trước và sau khi tính lại
+ */
+const rebuildBalance = async (customerID) => {
+  const customer = await Customer.findById(customerID);
+  if (!customer) {
+    throw createHttpError(404, "Customer not found");
+  }
+
+  const [totals] = await LoyaltyTransaction.aggregate([
+    { $match: { customerID: customer._id } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: "$points" },
+        lifetime: {
+          $sum: { $cond: [{ $eq: ["$type", "earn"] }, "$points", 0] },
+        },
+      },
+    },
+  ]);
+
+  const before = {
+    loyaltyPoints: customer.loyaltyPoints,
+    lifetimePoints: customer.lifetimePoints,
+    tier: customer.tier,
+  };
+  customer.loyaltyPoints = totals ? totals.balance : 0;
+  customer.lifetimePoints = totals ? totals.lifetime : 0;
+  customer.tier = getTier(customer.lifetimePoints).name;
+  await customer.save();
+
+  return {
+    before,
+    after: {
+      loyaltyPoints: customer.loyaltyPoints,
+      lifetimePoints: customer.lifetimePoints,
+      tier: customer.tier,
+    },
+  };
+};
+
+/**
+ * Tóm tắt điểm thưởng của khách
+ * @param {Object} customer - Customer
+ * @returns {Object} - { points, tier, lifetimePoints, nextTier, pointsToNextTier, expiringSoon }
+ */
+const getLoyaltySummary = async (customer) => {
+  const lifetimePoints = customer.lifetimePoints || 0;
+  const nextTier = [...TIERS]
+    .reverse()
+    .find((tier) => tier.minLifetimePoints > lifetimePoints);
+
+  const [expiring] = await LoyaltyTransaction.aggregate([
+    {
+      $match: {
+        customerID: customer._id,
+        remainingPoints: { $gt: 0 },
+        expiresAt: { $lte: new Date(Date.now() + 30 * DAY_MS) },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        points: { $sum: "$remainingPoints" },
+        nextExpiry: { $min: "$expiresAt" },
+      },
+    },
+  ]);
+
+  return {
+    points: customer.loyaltyPoints,
+    tier: getTier(lifetimePoints).name,
+    lifetimePoints,
+    nextTier: nextTier ? nextTier.name : null,
+    pointsToNextTier: nextTier
+      ? nextTier.minLifetimePoints - lifetimePoints
+      : 0,
+    expiringSoon: {
+      points: expiring ? expiring.points : 0,
+      nextExpiry: expiring ? expiring.nextExpiry : null,
+    },
+  };
+};
+
+/**
+ * Lịch sử giao dịch điểm của khách
+ * @param {String} customerID - ObjectId của Customer
+ * @returns {Array} - Danh sách LoyaltyTransaction
+ */
+const getTransactions = async (customerID) => {
+  return await LoyaltyTransaction.find({ customerID })
+    .sort({ createdAt: -1 })
+    .populate("invoiceID", "invoiceID totalAmount");
+};
+
+module.exports = {
+  TIERS,
+  getRules,
+  getTier,
+  calculateEarnPoints,
+  earnForInvoiceInSession,
+  redeemPointsInSession,
+  reverseRedemptionInSession,
+  expirePoints,
+  setBalance,
+  rebuildBalance,
+  getLoyaltySummary,
+  getTransactions,
+};
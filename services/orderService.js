@@ -0,0 +1,330 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Order = require("../models/Order");
+const Invoice = require("../models/Invoice");
+const Coffee = require("../models/Coffee");
+const Service = require("../models/Service");
+const Provider = require("../models/Provider");
+const bookingService = require("./bookingService");
+const cartService = require("./cartService");
+const tableReservationService = require("./tableReservationService");
+const guestDetailsService = require("./guestDetailsService");
+const createHttpError = require("../utils/httpError");
+const {
+  startOfDay,
+  parseTimeOfDay,
+  atVenueTime,
+} = require("../utils/dateUtils");
+
+// Thông tin hóa đơn trả về trong đơn hàng
+const INVOICE_FIELDS =
+  "invoiceID serviceID invoiceType roomID tableID quantity totalAmount checkInDate checkOutDate arrivalDate arrivalTime adults children guests contactPhone specialRequests status paymentStatus";
+
+/**
+ * Sinh mã đơn hàng duy nhất
+ * @returns {String} - Mã đơn hàng
+ */
+const generateOrderID = () =>
+  `ORD-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * Sinh mã hóa đơn duy nhất
+ * @returns {String} - Mã hóa đơn
+ */
+const generateInvoiceID = () =>
+  `INV-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * Tạo hóa đơn đặt trước ở quán cà phê, dùng trong transaction
+ * @param {Object} item - Dòng giỏ hàng (itemType = cafe)
+ * @param {Object} user - req.user
+ * @param {Object} session - Mongo session
+ * @returns {Object} - Invoice vừa tạo
+ */
+const orderCafeInSession = async (item, user, session) => {
+  const coffee = await Coffee.findById(item.coffeeID).session(session);
+  if (!coffee) {
+    throw createHttpError(404, "Coffee not found");
+  }
+
+  // Giờ đến là giờ địa phương của quán
+  const day = startOfDay(item.date);
+  const visit = atVenueTime(day, parseTimeOfDay(item.arrivalTime));
+  if (visit < new Date()) {
+    throw createHttpError(400, "Không thể đặt cho thời điểm đã qua.");
+  }
+
+  const invoice = new Invoice({
+    invoiceID: generateInvoiceID(),
+    userID: user.id,
+    serviceID: coffee.serviceID,
+    quantity: item.quantity,
+    totalAmount: coffee.averagePrice * item.quantity,
+    issueDate: new Date(),
+    paymentStatus: "unpaid",
+    status: "chờ xác nhận",
+    checkInDate: visit,
+    checkOutDate: visit,
+    pictures: coffee.pictures,
+    invoiceType: "cafe",
+    arrivalDate: day,
+    arrivalTime: item.arrivalTime,
+    adults: item.adults,
+    children: item.children,
+    ...guestDetailsService.parseGuestDetails(item, item.adults + item.children),
+    statusHistory: [
+      { to: "chờ xác nhận", changedBy: user.id, role: user.role },
+    ],
+  });
+  return await invoice.save({ session });
+};
+
+/**
+ * Đặt trước ở quán cà phê không qua giỏ hàng: tiền tính theo giá quán,
+ * khách là người đang đăng nhập
+ * @param {Object} data - { coffeeID hoặc serviceID, arrivalDate, arrivalTime, quantity, adults, children, ... }
+ * @param {Object} user - req.user
+ * @returns {Object} - Invoice vừa tạo
+ */
+const createCafeBooking = async (data, user) => {
+  let { coffeeID } = data;
+  if (!coffeeID && mongoose.Types.ObjectId.isValid(data.serviceID)) {
+    const coffee = await Coffee.findOne({ serviceID: data.serviceID }).select("_id");
+    coffeeID = coffee?._id;
+  }
+  if (!coffeeID) {
+    throw createHttpError(404, "Coffee not found");
+  }
+
+  const item = await cartService.buildItem({
+    ...data,
+    itemType: "cafe",
+    coffeeID,
+    date: data.arrivalDate,
+  });
+
+  const session = await mongoose.startSession();
+  try {
+    let invoice;
+    await session.withTransaction(async () => {
+      invoice = await orderCafeInSession(item, user, session);
+    });
+    return invoice;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Đặt một dòng giỏ hàng qua luồng đặt tương ứng, dùng trong transaction
+ * @param {Object} item - Dòng giỏ hàng
+ * @param {Object} user - req.user
+ * @param {Object} session - Mongo session
+ * @returns {Object} - Invoice vừa tạo
+ */
+const bookItemInSession = async (item, user, session) => {
+  const { adults, children, guests, contactPhone, specialRequests } = item;
+  const guestDetails = { guests, contactPhone, specialRequests };
+
+  if (item.itemType === "room") {
+    return await bookingService.bookRoomInSession(
+      {
+        roomID: item.roomID,
+        checkInDate: item.checkInDate,
+        checkOutDate: item.checkOutDate,
+        quantity: item.quantity,
+        adults,
+        children,
+        ...guestDetails,
+      },
+      user,
+      session
+    );
+  }
+
+  if (item.itemType === "table") {
+    return await tableReservationService.reserveTableInSession(
+      item.tableID,
+      {
+        date: item.date,
+        arrivalTime: item.arrivalTime,
+        adults,
+        children,
+        ...guestDetails,
+      },
+      user,
+      session
+    );
+  }
+
+  return await orderCafeInSession(item, user, session);
+};
+
+/**
+ * Thanh toán giỏ hàng: đặt mọi dòng, chia theo Provider và tạo Order
+ * trong cùng một transaction; một dòng lỗi thì không dòng nào được đặt
+ * @param {Object} user - req.user
+ * @returns {Object} - Order vừa tạo
+ */
+const checkout = async (user) => {
+  const cart = await Cart.findOne({ userID: user.id });
+  if (!cart || !cart.items.length) {
+    throw createHttpError(400, "Giỏ hàng trống.");
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let order;
+    await session.withTransaction(async () => {
+      const invoices = [];
+      for (const item of cart.items) {
+        invoices.push(await bookItemInSession(item, user, session));
+      }
+
+      const services = await Service.find({
+        _id: { $in: invoices.map((invoice) => invoice.serviceID) },
+      })
+        .select("providerID")
+        .session(session);
+      const providerOf = new Map(
+        services.map((service) => [
+          service._id.toString(),
+          service.providerID.toString(),
+        ])
+      );
+
+      const subOrders = new Map();
+      for (const invoice of invoices) {
+        const providerID = providerOf.get(invoice.serviceID.toString());
+        if (!subOrders.has(providerID)) {
+          subOrders.set(providerID, { providerID, invoices: [], subtotalAmount: 0 });
+        }
+        const subOrder = subOrders.get(providerID);
+        subOrder.invoices.push(invoice._id);
+        subOrder.subtotalAmount += invoice.totalAmount;
+      }
+
+      const newOrder = new Order({
+        orderID: generateOrderID(),
+        userID: user.id,
+        subOrders: [...subOrders.values()],
+        totalAmount: invoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0),
+      });
+      await Invoice.updateMany(
+        { _id: { $in: invoices.map((invoice) => invoice._id) } },
+        { $set: { orderID: newOrder._id } },
+        { session }
+      );
+      order = await newOrder.save({ session });
+
+      await Cart.updateOne(
+        { _id: cart._id },
+        { $set: { items: [], updatedAt: new Date() } },
+        { session }
+      );
+    });
+    return order;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Chỉ giữ các phần đơn hàng của những Provider cho trước
+ * @param {Object} order - Order (lean)
+ * @param {Array<String>} providerIDs - ObjectId của các Provider
+ * @returns {Object} - Order chỉ còn phần của các Provider đó
+ */
+const toProviderView = (order, providerIDs) => {
+  const subOrders = order.subOrders.filter((subOrder) =>
+    providerIDs.includes(subOrder.providerID.toString())
+  );
+  return {
+    ...order,
+    subOrders,
+    totalAmount: subOrders.reduce((sum, subOrder) => sum + subOrder.subtotalAmount, 0),
+  };
+};
+
+/**
+ * Lấy ObjectId các Provider của user
+ * @param {Object} user - req.user
+ * @returns {Array<String>}
+ */
+const getProviderIDs = async (user) => {
+  const providers = await Provider.find({ userID: user.id }).select("_id");
+  return providers.map((provider) => provider._id.toString());
+};
+
+/**
+ * Xem một đơn hàng: khách và Admin thấy toàn bộ, Provider chỉ thấy phần của mình
+ * @param {String} id - ObjectId của Order
+ * @param {Object} user - req.user
+ * @returns {Object} - Order
+ */
+const getOrder = async (id, user) => {
+  const order = await Order.findById(id)
+    .populate("subOrders.invoices", INVOICE_FIELDS)
+    .populate("subOrders.providerID", "providerName")
+    .lean();
+  if (!order) {
+    throw createHttpError(404, "Order not found");
+  }
+
+  if (user.role === "Admin" || order.userID.toString() === user.id) {
+    return order;
+  }
+
+  if (user.role === "Provider") {
+    const providerIDs = await getProviderIDs(user);
+    const view = toProviderView(
+      {
+        ...order,
+        subOrders: order.subOrders.map((subOrder) => ({
+          ...subOrder,
+          providerID: subOrder.providerID._id,
+        })),
+      },
+      providerIDs
+    );
+    if (view.subOrders.length) return view;
+  }
+  throw createHttpError(403, "Access denied");
+};
+
+/**
+ * Danh sách đơn hàng của khách
+ * @param {Object} user - req.user
+ * @returns {Array} - Danh sách Order
+ */
+const getMyOrders = async (user) => {
+  return await Order.find({ userID: user.id })
+    .sort({ createdAt: -1 })
+    .populate("subOrders.invoices", INVOICE_FIELDS)
+    .populate("subOrders.providerID", "providerName");
+};
+
+/**
+ * Danh sách phần đơn hàng của Provider đang đăng nhập
+ * @param {Object} user - req.user
+ * @returns {Array} - Danh sách Order, mỗi Order chỉ còn phần của Provider
+ */
+const getProviderOrders = async (user) => {
+  const providerIDs = await getProviderIDs(user);
+  if (!providerIDs.length) return [];
+
+  const orders = await Order.find({ "subOrders.providerID": { $in: providerIDs } })
+    .sort({ createdAt: -1 })
+    .populate("subOrders.invoices", INVOICE_FIELDS)
+    .populate("userID", "fullName email")
+    .lean();
+  return orders.map((order) => toProviderView(order, providerIDs));
+};
+
+module.exports = {
+  createCafeBooking,
+  checkout,
+  getOrder,
+  getMyOrders,
+  getProviderOrders,
+};
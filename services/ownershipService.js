@@ -0,0 +1,166 @@
+const Provider = require("../models/Provider");
+const Service = require("../models/Service");
+const Hotel = require("../models/Hotel");
+const Restaurant = require("../models/Restaurant");
+const Coffee = require("../models/Coffee");
+const Room = require("../models/Room");
+const Table = require("../models/Table");
+const createHttpError = require("../utils/httpError");
+
+const isAdmin = (user) => !!user && user.role === "Admin";
+
+/**
+ * Kiểm tra user có phải chủ sở hữu của Provider hay không
+ * @param {Object} user - req.user
+ * @param {String} providerID - ObjectId của Provider
+ * @returns {Object} - Provider
+ */
+const assertProviderOwner = async (user, providerID) => {
+  const provider = await Provider.findById(providerID);
+  if (!provider) {
+    throw createHttpError(404, "Provider not found");
+  }
+
+  if (isAdmin(user)) return provider;
+
+  if (
+    !user ||
+    user.role !== "Provider" ||
+    provider.userID.toString() !== user.id
+  ) {
+    throw createHttpError(403, "Access denied");
+  }
+
+  return provider;
+};
+
+/**
+ * Kiểm tra quyền trên Service (Service -> Provider -> User)
+ * @param {Object} user - req.user
+ * @param {String} serviceID - ObjectId của Service
+ * @returns {Object} - Service
+ */
+const assertServiceOwner = async (user, serviceID) => {
+  const service = await Service.findById(serviceID);
+  if (!service) {
+    throw createHttpError(404, "Service not found");
+  }
+
+  if (isAdmin(user)) return service;
+
+  await assertProviderOwner(user, service.providerID);
+  return service;
+};
+
+/**
+ * Kiểm tra quyền trên Hotel (Hotel -> Service)
+ * @param {Object} user - req.user
+ * @param {String} hotelID - ObjectId của Hotel
+ * @returns {Object} - Hotel
+ */
+const assertHotelOwner = async (user, hotelID) => {
+  const hotel = await Hotel.findById(hotelID);
+  if (!hotel) {
+    throw createHttpError(404, "Hotel not found");
+  }
+
+  await assertServiceOwner(user, hotel.serviceID);
+  return hotel;
+};
+
+/**
+ * Kiểm tra quyền trên Restaurant (Restaurant -> Service)
+ * @param {Object} user - req.user
+ * @param {String} restaurantID - ObjectId của Restaurant
+ * @returns {Object} - Restaurant
+ */
+const assertRestaurantOwner = async (user, restaurantID) => {
+  const restaurant = await Restaurant.findById(restaurantID);
+  if (!restaurant) {
+    throw createHttpError(404, "Restaurant not found");
+  }
+
+  await assertServiceOwner(user, restaurant.serviceID);
+  return restaurant;
+};
+
+/**
+ * Kiểm tra quyền trên Coffee (Coffee -> Service)
+ * @param {Object} user - req.user
+ * @param {String} coffeeID - ObjectId của Coffee
+ * @returns {Object} - Coffee
+ */
+const assertCoffeeOwner = async (user, coffeeID) => {
+  const coffee = await Coffee.findById(coffeeID);
+  if (!coffee) {
+    throw createHttpError(404, "Coffee not found");
+  }
+
+  await assertServiceOwner(user, coffee.serviceID);
+  return coffee;
+};
+
+/**
+ * Kiểm tra quyền trên Room (Room -> Hotel -> Service -> Provider -> User)
+ * @param {Object} user - req.user
+ * @param {String} roomID - ObjectId của Room
+ * @returns {Object} - Room
+ */
+const assertRoomOwner = async (user, roomID) => {
+  const room = await Room.findById(roomID);
+  if (!room) {
+    throw createHttpError(404, "Room not found");
+  }
+
+  await assertHotelOwner(user, room.hotelID);
+  return room;
+};
+
+/**
+ * Kiểm tra quyền trên Table (Table -> Restaurant -> Service)
+ * @param {Object} user - req.user
+ * @param {String} tableID - ObjectId của Table
+ * @returns {Object} - Table
+ */
+const assertTableOwner = async (user, tableID) => {
+  const table = await Table.findById(tableID);
+  if (!table) {
+    throw createHttpError(404, "Table not found");
+  }
+
+  await assertRestaurantOwner(user, table.restaurantID);
+  return table;
+};
+
+/**
+ * Kiểm tra user có liên quan tới hóa đơn: Customer là người đặt,
+ * Provider sở hữu Service của hóa đơn
+ * @param {Object} user - req.user
+ * @param {Object} invoice - Invoice
+ * @returns {Object} - Invoice
+ */
+const assertInvoiceAccess = async (user, invoice) => {
+  if (isAdmin(user)) return invoice;
+
+  if (user && user.role === "Customer") {
+    if (invoice.userID.toString() !== user.id) {
+      throw createHttpError(403, "Access denied");
+    }
+    return invoice;
+  }
+
+  await assertServiceOwner(user, invoice.serviceID);
+  return invoice;
+};
+
+module.exports = {
+  isAdmin,
+  assertProviderOwner,
+  assertServiceOwner,
+  assertHotelOwner,
+  assertRestaurantOwner,
+  assertCoffeeOwner,
+  assertRoomOwner,
+  assertTableOwner,
+  assertInvoiceAccess,
+};
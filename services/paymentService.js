@@ -0,0 +1,450 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const ownershipService = require("./ownershipService");
+const { getPaymentAdapter } = require("../payments");
+const createHttpError = require("../utils/httpError");
+
+/**
+ * Sinh mã giao dịch duy nhất
+ * @returns {String} - Mã giao dịch
+ */
+const generatePaymentID = () =>
+  `PAY${Date.now()}${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
+
+/**
+ * Lấy hóa đơn và kiểm tra quyền truy cập
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {Object} user - req.user
+ * @returns {Object} - Invoice
+ */
+const getAccessibleInvoice = async (invoiceID, user) => {
+  const invoice = await Invoice.findById(invoiceID);
+  if (!invoice) {
+    throw createHttpError(404, "Invoice not found");
+  }
+  return await ownershipService.assertInvoiceAccess(user, invoice);
+};
+
+/**
+ * Lấy đơn hàng gộp và kiểm tra quyền (chỉ người đặt hoặc Admin được thanh toán)
+ * @param {String} orderID - ObjectId của Order
+ * @param {Object} user - req.user
+ * @returns {Object} - Order
+ */
+const getAccessibleOrder = async (orderID, user) => {
+  const order = await Order.findById(orderID);
+  if (!order) {
+    throw createHttpError(404, "Order not found");
+  }
+  if (user.role !== "Admin" && order.userID.toString() !== user.id) {
+    throw createHttpError(403, "Access denied");
+  }
+  return order;
+};
+
+/**
+ * Các hóa đơn của đơn hàng còn cần thanh toán (chưa hủy, chưa thanh toán)
+ * @param {String} orderID - ObjectId của Order
+ * @param {Object} session - Mongo session (có thể trống)
+ * @returns {Array} - Danh sách Invoice
+ */
+const getPayableOrderInvoices = (orderID, session = null) =>
+  Invoice.find({
+    orderID,
+    status: { $ne: "đã hủy" },
+    paymentStatus: "unpaid",
+  })
+    .select("_id totalAmount")
+    .session(session);
+
+/**
+ * Tạo giao dịch thanh toán cho hóa đơn (hoặc đơn hàng gộp) và lấy URL chuyển hướng sang cổng
+ * @param {Object} paymentData - { invoiceID | orderID, provider, returnUrl }
+ * @param {Object} user - req.user
+ * @param {String} ipAddr - IP của khách
+ * @returns {Object} - Payment vừa tạo
+ */
+const createPayment = async (paymentData, user, ipAddr) => {
+  const { invoiceID, orderID, provider, returnUrl } = paymentData;
+  if (!provider) {
+    throw createHttpError(400, "Cần chọn cổng thanh toán (provider).");
+  }
+  const adapter = getPaymentAdapter(provider);
+  if (!invoiceID === !orderID) {
+    throw createHttpError(400, "Cần cung cấp đúng một trong invoiceID hoặc orderID.");
+  }
+
+  let target;
+  if (orderID) {
+    const order = await getAccessibleOrder(orderID, user);
+    if (order.paymentStatus !== "unpaid") {
+      throw createHttpError(409, "Đơn hàng đã được thanh toán.");
+    }
+    const invoices = await getPayableOrderInvoices(order._id);
+    if (!invoices.length) {
+      throw createHttpError(409, "Đơn hàng không còn dòng nào cần thanh toán.");
+    }
+    target = {
+      orderID: order._id,
+      userID: order.userID,
+      amount: invoices.reduce((sum, invoice) => sum + invoice.totalAmount, 0),
+    };
+  } else {
+    const invoice = await getAccessibleInvoice(invoiceID, user);
+    if (invoice.status === "đã hủy") {
+      throw createHttpError(409, "Hóa đơn đã bị hủy.");
+    }
+    if (invoice.paymentStatus !== "unpaid") {
+      throw createHttpError(409, "Hóa đơn đã được thanh toán.");
+    }
+    target = {
+      invoiceID: invoice._id,
+      userID: invoice.userID,
+      amount: invoice.totalAmount,
+    };
+  }
+
+  const payment = new Payment({
+    paymentID: generatePaymentID(),
+    ...target,
+    provider,
+    events: [{ type: "created", status: "pending", amount: target.amount }],
+  });
+
+  const intent = await adapter.createPaymentIntent({
+    payment,
+    returnUrl,
+    ipAddr,
+  });
+  payment.redirectUrl = intent.redirectUrl;
+  payment.providerRef = intent.providerRef;
+
+  return await payment.save();
+};
+
+/**
+ * Ghi nhận kết quả thanh toán và cập nhật Invoice.paymentStatus
+ * @param {Object} payment - Payment đang chờ
+ * @param {Object} result - Kết quả từ adapter
+ * @param {String} eventType - "confirmed" | "webhook"
+ * @returns {Object|null} - Payment sau khi cập nhật, null nếu đã xử lý trước đó
+ */
+const applyOutcome = async (payment, result, eventType) => {
+  const succeeded = result.status === "succeeded";
+  const session = await mongoose.startSession();
+  let updatedPayment = null;
+  let invoice = null;
+  let coveredAmount = 0;
+
+  try {
+    await session.withTransaction(async () => {
+      // Điều kiện status: "pending" giúp IPN gửi lặp lại không bị xử lý hai lần
+      updatedPayment = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: "pending" },
+        {
+          $set: {
+            status: result.status,
+            providerRef: result.providerRef || payment.providerRef,
+            providerData: result.raw,
+            ...(succeeded ? { paidAt: new Date() } : {}),
+          },
+          $push: {
+            events: {
+              type: eventType,
+              status: result.status,
+              amount: result.amount,
+              raw: result.raw,
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!updatedPayment || !succeeded) return;
+
+      // Đơn hàng gộp: đánh dấu đã thanh toán các dòng chưa bị hủy
+      if (updatedPayment.orderID) {
+        const invoices = await getPayableOrderInvoices(
+          updatedPayment.orderID,
+          session
+        );
+        await Invoice.updateMany(
+          { _id: { $in: invoices.map((item) => item._id) } },
+          { $set: { paymentStatus: "paid" } },
+          { session }
+        );
+        await Order.updateOne(
+          { _id: updatedPayment.orderID, paymentStatus: "unpaid" },
+          { $set: { paymentStatus: "paid", paidAt: new Date() } },
+          { session }
+        );
+        coveredAmount = invoices.reduce((sum, item) => sum + item.totalAmount, 0);
+        return;
+      }
+
+      invoice = await Invoice.findOneAndUpdate(
+        { _id: updatedPayment.invoiceID, paymentStatus: "unpaid" },
+        { $set: { paymentStatus: "paid" } },
+        { new: true, session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Dòng bị hủy (ví dụ hết hạn giữ phòng) trước khi tiền về thì hoàn lại phần đó
+  if (updatedPayment && succeeded && updatedPayment.orderID) {
+    const excess = updatedPayment.amount - coveredAmount;
+    if (excess > 0) {
+      return await refundPayment(updatedPayment._id, {
+        amount: excess,
+        reason: "Một số dòng của đơn hàng đã hủy trước khi thanh toán",
+      });
+    }
+    return updatedPayment;
+  }
+
+  // Tiền về sau khi hóa đơn đã hủy (ví dụ hết hạn giữ chỗ) thì hoàn lại ngay
+  if (updatedPayment && succeeded && (!invoice || invoice.status === "đã hủy")) {
+    return await refundPayment(updatedPayment._id, {
+      reason: "Hóa đơn đã hủy hoặc đã được thanh toán trước đó",
+    });
+  }
+
+  return updatedPayment;
+};
+
+/**
+ * Xác nhận thanh toán trực tiếp (chỉ cổng hỗ trợ, ví dụ mock khi bật sandbox)
+ * @param {String} id - ObjectId của Payment
+ * @param {Object} payload - Dữ liệu xác nhận
+ * @param {Object} user - req.user
+ * @returns {Object} - Payment sau khi cập nhật
+ */
+const confirmPayment = async (id, payload, user) => {
+  const payment = await Payment.findById(id);
+  if (!payment) {
+    throw createHttpError(404, "Payment not found");
+  }
+  if (payment.orderID) {
+    await getAccessibleOrder(payment.orderID, user);
+  } else {
+    await getAccessibleInvoice(payment.invoiceID, user);
+  }
+
+  if (payment.status !== "pending") {
+    throw createHttpError(409, "Giao dịch đã được xử lý.");
+  }
+
+  const result = await getPaymentAdapter(payment.provider).confirmPayment({
+    payment,
+    payload,
+  });
+  const updatedPayment = await applyOutcome(payment, result, "confirmed");
+  if (!updatedPayment) {
+    throw createHttpError(409, "Giao dịch đã được xử lý.");
+  }
+  return updatedPayment;
+};
+
+/**
+ * Xử lý IPN/webhook từ cổng thanh toán
+ * @param {String} provider - Tên cổng
+ * @param {Object} payload - Dữ liệu cổng gửi về
+ * @returns {Object} - { status, body } phản hồi cho cổng
+ */
+const handleWebhook = async (provider, payload) => {
+  const adapter = getPaymentAdapter(provider);
+  const result = adapter.verifyWebhook(payload);
+  if (!result.valid) {
+    return adapter.acknowledge({ code: "97", message: "Invalid signature" });
+  }
+
+  const payment = await Payment.findOne({
+    paymentID: result.paymentID,
+    provider,
+  });
+  if (!payment) {
+    return adapter.acknowledge({ code: "01", message: "Order not found" });
+  }
+  if (Math.round(result.amount) !== Math.round(payment.amount)) {
+    return adapter.acknowledge({ code: "04", message: "Invalid amount" });
+  }
+  if (payment.status !== "pending") {
+    return adapter.acknowledge({
+      code: "02",
+      message: "Order already confirmed",
+    });
+  }
+
+  await applyOutcome(payment, result, "webhook");
+  return adapter.acknowledge({ code: "00", message: "Confirm Success" });
+};
+
+/**
+ * Kiểm tra chữ ký dữ liệu cổng trả về trên returnUrl (không đổi trạng thái)
+ * @param {String} provider - Tên cổng
+ * @param {Object} payload - Dữ liệu trên returnUrl
+ * @returns {Object} - { valid, paymentID, status, payment }
+ */
+const verifyReturn = async (provider, payload) => {
+  const result = getPaymentAdapter(provider).verifyWebhook(payload);
+  if (!result.valid) {
+    throw createHttpError(400, "Invalid signature");
+  }
+
+  const payment = await Payment.findOne({
+    paymentID: result.paymentID,
+    provider,
+  }).select("paymentID invoiceID amount status");
+
+  return {
+    valid: true,
+    paymentID: result.paymentID,
+    status: result.status,
+    payment,
+  };
+};
+
+/**
+ * Hoàn tiền một phần hoặc toàn bộ giao dịch
+ * @param {String} id - ObjectId của Payment
+ * @param {Object} refundData - { amount, reason }
+ * @param {Object|null} actor - req.user, null nếu do hệ thống
+ * @returns {Object} - Payment sau khi hoàn tiền
+ */
+const refundPayment = async (id, refundData = {}, actor = null) => {
+  const payment = await Payment.findById(id);
+  if (!payment) {
+    throw createHttpError(404, "Payment not found");
+  }
+
+  if (actor) {
+    if (actor.role === "Customer") {
+      throw createHttpError(403, "Access denied");
+    }
+    // Giao dịch của đơn hàng gộp trải qua nhiều Provider, chỉ Admin được hoàn trực tiếp
+    if (payment.orderID && actor.role !== "Admin") {
+      throw createHttpError(403, "Access denied");
+    }
+    if (!payment.orderID) {
+      await getAccessibleInvoice(payment.invoiceID, actor);
+    }
+  }
+
+  if (payment.status !== "succeeded") {
+    throw createHttpError(409, "Chỉ hoàn tiền được giao dịch đã thanh toán.");
+  }
+
+  const refundable = payment.amount - payment.refundedAmount;
+  const amount = Number(refundData.amount ?? refundable);
+  if (!(amount > 0) || amount > refundable) {
+    throw createHttpError(
+      400,
+      `Số tiền hoàn phải lớn hơn 0 và không vượt quá ${refundable}.`
+    );
+  }
+
+  // Giữ trước số tiền hoàn để hai yêu cầu đồng thời không hoàn vượt số đã trả
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: "succeeded",
+      refundedAmount: { $lte: payment.amount - amount },
+    },
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw createHttpError(409, "Giao dịch vừa được hoàn tiền, vui lòng thử lại.");
+  }
+
+  let result;
+  try {
+    result = await getPaymentAdapter(payment.provider).refund({
+      payment,
+      amount,
+      reason: refundData.reason,
+      createdBy: actor?.id,
+    });
+  } catch (err) {
+    result = { status: "failed", raw: { error: err.message } };
+  }
+
+  if (result.status !== "succeeded") {
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $inc: { refundedAmount: -amount },
+        $push: {
+          events: { type: "refund", status: "failed", amount, raw: result.raw },
+        },
+      }
+    );
+    throw createHttpError(502, "Cổng thanh toán từ chối hoàn tiền.");
+  }
+
+  const fullyRefunded = reserved.refundedAmount >= payment.amount;
+  const updatedPayment = await Payment.findByIdAndUpdate(
+    payment._id,
+    {
+      $set: fullyRefunded ? { status: "refunded" } : {},
+      $push: {
+        events: {
+          type: "refund",
+          status: "succeeded",
+          amount,
+          raw: { ...result.raw, providerRef: result.providerRef },
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (fullyRefunded && payment.orderID) {
+    await Order.updateOne(
+      { _id: payment.orderID, paymentStatus: "paid" },
+      { $set: { paymentStatus: "refunded" } }
+    );
+  } else if (fullyRefunded) {
+    await Invoice.updateOne(
+      { _id: payment.invoiceID, paymentStatus: "paid" },
+      { $set: { paymentStatus: "refunded" } }
+    );
+  }
+
+  return updatedPayment;
+};
+
+/**
+ * Lấy các giao dịch của một hóa đơn
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {Object} user - req.user
+ * @returns {Array} - Danh sách Payment
+ */
+const getPaymentsByInvoice = async (invoiceID, user) => {
+  await getAccessibleInvoice(invoiceID, user);
+  return await Payment.find({ invoiceID }).sort({ createdAt: -1 });
+};
+
+/**
+ * Lấy các giao dịch của một đơn hàng gộp
+ * @param {String} orderID - ObjectId của Order
+ * @param {Object} user - req.user
+ * @returns {Array} - Danh sách Payment
+ */
+const getPaymentsByOrder = async (orderID, user) => {
+  await getAccessibleOrder(orderID, user);
+  return await Payment.find({ orderID }).sort({ createdAt: -1 });
+};
+
+module.exports = {
+  createPayment,
+  confirmPayment,
+  handleWebhook,
+  verifyReturn,
+  refundPayment,
+  getPaymentsByInvoice,
+  getPaymentsByOrder,
+};
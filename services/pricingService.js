@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const createHttpError = require("../utils/httpError");
+const {
+  DAY_MS,
+  startOfDay,
+  getStayNights,
+  isValidDate,
+} = require("../utils/dateUtils");
+
+const STANDARD_RATE_NAME = "Giá tiêu chuẩn";
+
+/**
+ * Giá gốc một phòng một đêm (ưu tiên giá giảm nếu có)
+ * @param {Object} room - Room
+ * @returns {Number} - Đơn giá
+ */
+const getNightlyPrice = (room) =>
+  room.discountPrice > 0 && room.discountPrice < room.price
+    ? room.discountPrice
+    : room.price;
+
+/**
+ * Mức giá riêng có áp dụng cho đêm này hay không
+ * @param {Object} override - Room.rateOverrides[i]
+ * @param {Date} night - Đêm lưu trú (00:00 UTC)
+ * @returns {Boolean}
+ */
+const matchesOverride = (override, night) => {
+  if (override.startDate && night < startOfDay(override.startDate)) {
+    return false;
+  }
+  if (override.endDate && night > startOfDay(override.endDate)) {
+    return false;
+  }
+  if (override.weekdays?.length && !override.weekdays.includes(night.getUTCDay())) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Giá một phòng cho một đêm sau khi áp dụng mức giá riêng
+ * @param {Object} room - Room
+ * @param {Date} night - Đêm lưu trú (00:00 UTC)
+ * @returns {Object} - { date, price, rateName }
+ */
+const getRateForNight = (room, night) => {
+  const basePrice = getNightlyPrice(room);
+
+  // Ưu tiên cao nhất thắng, cùng ưu tiên thì mức khai báo sau thắng
+  let applied = null;
+  for (const override of room.rateOverrides || []) {
+    if (!matchesOverride(override, night)) continue;
+    if (!applied || (override.priority || 0) >= (applied.priority || 0)) {
+      applied = override;
+    }
+  }
+
+  if (!applied) {
+    return { date: night, price: basePrice, rateName: STANDARD_RATE_NAME };
+  }
+
+  const price =
+    applied.price !== undefined && applied.price !== null
+      ? applied.price
+      : Math.round((basePrice * (100 + applied.adjustmentPercent)) / 100);
+  return { date: night, price, rateName: applied.name };
+};
+
+/**
+ * Báo giá lưu trú: giá từng đêm, số phòng trống và tổng tiền
+ * @param {Object} room - Room
+ * @param {Object} stay - { checkInDate, checkOutDate, quantity }
+ * @returns {Object} - Báo giá
+ */
+const quoteStay = (room, { checkInDate, checkOutDate, quantity = 1 }) => {
+  const nights = getStayNights(checkInDate, checkOutDate).map((night) => {
+    const inventory = (room.roomsAvailable || []).find(
+      (item) =>
+        item.date >= night && item.date < new Date(night.getTime() + DAY_MS)
+    );
+    const closed = !!(inventory && inventory.closed);
+    return {
+      ...getRateForNight(room, night),
+      availableRooms: inventory && !closed ? inventory.availableRooms : 0,
+      closed,
+    };
+  });
+
+  const pricePerRoom = nights.reduce((sum, night) => sum + night.price, 0);
+  return {
+    roomID: room._id,
+    checkInDate: startOfDay(checkInDate),
+    checkOutDate: startOfDay(checkOutDate),
+    quantity,
+    nightsCount: nights.length,
+    nights,
+    pricePerRoom,
+    totalAmount: pricePerRoom * quantity,
+    available: nights.every((night) => night.availableRooms >= quantity),
+  };
+};
+
+/**
+ * Báo giá cho một phòng theo id
+ * @param {String} id - ObjectId của Room
+ * @param {Object} stay - { checkInDate, checkOutDate, quantity }
+ * @returns {Object} - Báo giá
+ */
+const getRoomQuote = async (id, stay) => {
+  const quantity = Number(stay.quantity ?? 1);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw createHttpError(400, "roomID không hợp lệ.");
+  }
+  if (!isValidDate(stay.checkInDate) || !isValidDate(stay.checkOutDate)) {
+    throw createHttpError(400, "Ngày nhận phòng hoặc trả phòng không hợp lệ.");
+  }
+  if (getStayNights(stay.checkInDate, stay.checkOutDate).length === 0) {
+    throw createHttpError(400, "Ngày trả phòng phải sau ngày nhận phòng.");
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw createHttpError(400, "Số lượng phòng phải là số nguyên >= 1.");
+  }
+
+  const room = await Room.findById(id);
+  if (!room) {
+    throw createHttpError(404, "Room not found");
+  }
+
+  return quoteStay(room, { ...stay, quantity });
+};
+
+/**
+ * Kiểm tra và chuẩn hóa danh sách mức giá riêng
+ * @param {Array} overrides - Dữ liệu từ request body
+ * @returns {Array} - Danh sách đã chuẩn hóa
+ */
+const validateRateOverrides = (overrides) => {
+  if (!Array.isArray(overrides)) {
+    throw createHttpError(400, "rateOverrides phải là một mảng.");
+  }
+
+  return overrides.map((override, index) => {
+    const label = `rateOverrides[${index}]`;
+    const hasPrice = override.price !== undefined && override.price !== null;
+    const hasAdjustment =
+      override.adjustmentPercent !== undefined &&
+      override.adjustmentPercent !== null;
+
+    if (!override.name) {
+      throw createHttpError(400, `${label}: name là bắt buộc.`);
+    }
+    if (hasPrice === hasAdjustment) {
+      throw createHttpError(
+        400,
+        `${label}: cần đúng một trong hai trường price hoặc adjustmentPercent.`
+      );
+    }
+    if (hasPrice && !(Number(override.price) >= 0)) {
+      throw createHttpError(400, `${label}: price phải là số không âm.`);
+    }
+    if (hasAdjustment && !(Number(override.adjustmentPercent) >= -100)) {
+      throw createHttpError(400, `${label}: adjustmentPercent phải >= -100.`);
+    }
+    for (const field of ["startDate", "endDate"]) {
+      if (override[field] && !isValidDate(override[field])) {
+        throw createHttpError(400, `${label}: ${field} không hợp lệ.`);
+      }
+    }
+    if (
+      override.startDate &&
+      override.endDate &&
+      startOfDay(override.startDate) > startOfDay(override.endDate)
+    ) {
+      throw createHttpError(400, `${label}: startDate phải trước endDate.`);
+    }
+    const weekdays = (override.weekdays || []).map(Number);
+    if (weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw createHttpError(400, `${label}: weekdays chỉ nhận giá trị 0-6.`);
+    }
+    if (!override.startDate && !override.endDate && weekdays.length === 0) {
+      throw createHttpError(
+        400,
+        `${label}: cần khoảng ngày hoặc thứ trong tuần để áp dụng.`
+      );
+    }
+
+    return {
+      name: override.name,
+      startDate: override.startDate ? startOfDay(override.startDate) : undefined,
+      endDate: override.endDate ? startOfDay(override.endDate) : undefined,
+      weekdays,
+      price: hasPrice ? Number(override.price) : undefined,
+      adjustmentPercent: hasAdjustment
+        ? Number(override.adjustmentPercent)
+        : undefined,
+      priority: Number(override.priority ?? 0),
+    };
+  });
+};
+
+module.exports = {
+  getNightlyPrice,
+  getRateForNight,
+  quoteStay,
+  getRoomQuote,
+  validateRateOverrides,
+};
@@ -0,0 +1,157 @@
+const Service = require("../models/Service");
+const Review = require("../models/Review");
+
+const STAR_LEVELS = [1, 2, 3, 4, 5];
+
+/**
+ * Điểm từng tiêu chí của một đánh giá dưới dạng mảng [tiêu chí, điểm]
+ * @param {Object} review - Review
+ * @returns {Array<Array>}
+ */
+const getAspectEntries = (review) => {
+  const scores = review.aspectScores;
+  if (!scores) return [];
+  const entries =
+    scores instanceof Map ? [...scores.entries()] : Object.entries(scores);
+  return entries.filter(([, score]) => Number.isFinite(score));
+};
+
+/**
+ * Phần đóng góp của một đánh giá vào tổng hợp, dạng $inc
+ * @param {Object} review - Review
+ * @param {Number} sign - 1 khi thêm, -1 khi bớt
+ * @param {Object} inc - Đối tượng $inc đang cộng dồn
+ * @returns {Object} - inc
+ */
+const addContribution = (review, sign, inc = {}) => {
+  const add = (path, value) => {
+    inc[path] = (inc[path] || 0) + value * sign;
+  };
+  add("ratingSummary.count", 1);
+  add("ratingSummary.totalStars", review.stars);
+  add(`ratingSummary.distribution.${review.stars}`, 1);
+  for (const [aspect, score] of getAspectEntries(review)) {
+    add(`ratingSummary.aspects.${aspect}.count`, 1);
+    add(`ratingSummary.aspects.${aspect}.total`, score);
+  }
+  return inc;
+};
+
+// Tính lại điểm trung bình từ tổng và số lượng (pipeline update)
+const recomputeAveragesStage = () => {
+  const average = (total, count) => ({
+    $cond: [{ $gt: [count, 0] }, { $round: [{ $divide: [total, count] }, 1] }, 0],
+  });
+  return {
+    $set: {
+      "ratingSummary.average": average(
+        "$ratingSummary.totalStars",
+        "$ratingSummary.count"
+      ),
+      // Bỏ tiêu chí không còn đánh giá nào
+      "ratingSummary.aspects": {
+        $arrayToObject: {
+          $map: {
+            input: {
+              $filter: {
+                input: {
+                  $objectToArray: { $ifNull: ["$ratingSummary.aspects", {}] },
+                },
+                as: "aspect",
+                cond: { $gt: ["$$aspect.v.count", 0] },
+              },
+            },
+            as: "aspect",
+            in: {
+              k: "$$aspect.k",
+              v: {
+                total: "$$aspect.v.total",
+                count: "$$aspect.v.count",
+                average: average("$$aspect.v.total", "$$aspect.v.count"),
+              },
+            },
+          },
+        },
+      },
+      "ratingSummary.updatedAt": "$$NOW",
+    },
+  };
+};
+
+/**
+ * Cập nhật tổng hợp đánh giá của Service khi đánh giá thay đổi
+ * @param {String} serviceID - ObjectId của Service
+ * @param {Object|null} before - Phần đã tính trước khi đổi (null: chưa được tính)
+ * @param {Object|null} after - Phần được tính sau khi đổi (null: không còn được tính)
+ * @param {Object} session - Mongo session (tùy chọn)
+ */
+const applyReviewChange = async (serviceID, before, after, session) => {
+  if (!serviceID || (!before && !after)) return;
+  const inc = {};
+  if (before) addContribution(before, -1, inc);
+  if (after) addContribution(after, 1, inc);
+
+  await Service.updateOne({ _id: serviceID }, { $inc: inc }, { session });
+  await Service.updateOne({ _id: serviceID }, [recomputeAveragesStage()], {
+    session,
+  });
+};
+
+/**
+ * Tính lại toàn bộ tổng hợp đánh giá của một Service từ các Review,
+ * đồng thời gắn serviceID cho các đánh giá cũ
+ * @param {Object} service - Service (cần _id và reviews)
+ * @returns {Object} - ratingSummary mới
+ */
+const rebuildService = async (service) => {
+  // Đánh giá cũ chưa có serviceID thì gắn theo Service.reviews
+  await Review.updateMany(
+    { _id: { $in: service.reviews }, serviceID: null },
+    { $set: { serviceID: service._id } }
+  );
+
+  // Đánh giá chờ duyệt hoặc đã ẩn không tính vào điểm
+  const reviews = await Review.find({
+    _id: { $in: service.reviews },
+    ...Review.visibleFilter(),
+  }).select("stars aspectScores");
+
+  const summary = {
+    count: 0,
+    totalStars: 0,
+    distribution: Object.fromEntries(STAR_LEVELS.map((stars) => [stars, 0])),
+    aspects: {},
+  };
+  const inc = {};
+  for (const review of reviews) addContribution(review, 1, inc);
+  for (const [path, value] of Object.entries(inc)) {
+    const keys = path.split(".").slice(1);
+    let target = summary;
+    for (const key of keys.slice(0, -1)) target = target[key] ??= {};
+    target[keys.at(-1)] = value;
+  }
+
+  await Service.updateOne({ _id: service._id }, { $set: { ratingSummary: summary } });
+  await Service.updateOne({ _id: service._id }, [recomputeAveragesStage()]);
+  return summary;
+};
+
+/**
+ * Tính lại tổng hợp đánh giá cho mọi Service
+ * @returns {Number} - Số Service đã cập nhật
+ */
+const rebuildAll = async () => {
+  let count = 0;
+  for await (const service of Service.find().select("reviews").cursor()) {
+    await rebuildService(service);
+    count++;
+  }
+  return count;
+};
+
+module.exports = {
+  STAR_LEVELS,
+  applyReviewChange,
+  rebuildService,
+  rebuildAll,
+};
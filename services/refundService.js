@@ -0,0 +1,206 @@
+const Invoice = require("../models/Invoice");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const Service = require("../models/Service");
+const paymentService = require("./paymentService");
+const { DAY_MS } = require("../utils/dateUtils");
+
+/**
+ * Tính số tiền được hoàn theo chính sách hủy
+ * @param {Object} policy - Service.cancellationPolicy
+ * @param {Number} paidAmount - Số tiền đã thanh toán
+ * @param {Date} checkInDate - Ngày nhận phòng / giờ đến
+ * @param {Object} options - { cancelledAt, fullRefund }
+ * @returns {Object} - { penaltyPercent, penaltyAmount, refundAmount, daysBeforeCheckIn, reason }
+ */
+const calculateRefund = (policy, paidAmount, checkInDate, options = {}) => {
+  const cancelledAt = options.cancelledAt || new Date();
+  const daysBeforeCheckIn =
+    Math.round(((new Date(checkInDate) - cancelledAt) / DAY_MS) * 100) / 100;
+  const {
+    refundable = true,
+    freeCancellationDays = 0,
+    penalties = [],
+  } = policy || {};
+
+  let penaltyPercent;
+  let reason;
+  if (options.fullRefund) {
+    penaltyPercent = 0;
+    reason = "Nhà cung cấp hủy, hoàn toàn bộ";
+  } else if (!refundable) {
+    penaltyPercent = 100;
+    reason = "Dịch vụ không hoàn tiền";
+  } else if (daysBeforeCheckIn < 0) {
+    penaltyPercent = 100;
+    reason = "Hủy sau thời điểm nhận phòng";
+  } else if (daysBeforeCheckIn >= freeCancellationDays) {
+    penaltyPercent = 0;
+    reason = "Hủy miễn phí";
+  } else {
+    // Chọn mức phạt của khoảng gần nhất mà thời điểm hủy còn đáp ứng
+    const window = [...penalties]
+      .sort((a, b) => b.daysBefore - a.daysBefore)
+      .find((item) => daysBeforeCheckIn >= item.daysBefore);
+    penaltyPercent = window ? window.penaltyPercent : 100;
+    reason = window
+      ? `Hủy trước ${window.daysBefore} ngày, phạt ${window.penaltyPercent}%`
+      : "Hủy quá sát ngày nhận phòng";
+  }
+
+  const penaltyAmount = Math.round((paidAmount * penaltyPercent) / 100);
+  return {
+    penaltyPercent,
+    penaltyAmount,
+    refundAmount: paidAmount - penaltyAmount,
+    daysBeforeCheckIn,
+    reason,
+  };
+};
+
+/**
+ * Các giao dịch đã thanh toán cho hóa đơn, gồm cả giao dịch của đơn hàng gộp chứa nó
+ * @param {Object} invoice - Invoice (cần _id, orderID)
+ * @param {Object} session - Mongo session (có thể trống)
+ * @returns {Array} - Danh sách Payment, cũ nhất trước
+ */
+const findSucceededPayments = (invoice, session = null) =>
+  Payment.find({
+    status: "succeeded",
+    $or: [
+      { invoiceID: invoice._id },
+      ...(invoice.orderID ? [{ orderID: invoice.orderID }] : []),
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+/**
+ * Tạo bản ghi Refund cho hóa đơn vừa hủy, dùng trong transaction
+ * @param {Object} invoice - Invoice đã chuyển sang "đã hủy"
+ * @param {Object|null} actor - req.user, null nếu do hệ thống
+ * @param {Object} session - Mongo session
+ * @returns {Object|null} - Refund hoặc null nếu hóa đơn chưa thanh toán
+ */
+const createRefundInSession = async (invoice, actor, session) => {
+  if (invoice.paymentStatus !== "paid") return null;
+
+  const service = await Service.findById(invoice.serviceID).session(session);
+  const payments = await findSucceededPayments(invoice, session);
+
+  // Hóa đơn được đánh dấu đã thanh toán ngoài cổng thì lấy theo tổng tiền;
+  // giao dịch của đơn hàng gộp chỉ tính phần của hóa đơn này
+  const remaining = payments.reduce(
+    (sum, p) => sum + p.amount - p.refundedAmount,
+    0
+  );
+  const paidAmount = !payments.length
+    ? invoice.totalAmount
+    : invoice.orderID
+    ? Math.min(invoice.totalAmount, remaining)
+    : remaining;
+
+  const policy = service?.cancellationPolicy?.toObject
+    ? service.cancellationPolicy.toObject()
+    : service?.cancellationPolicy;
+  const result = calculateRefund(policy, paidAmount, invoice.checkInDate, {
+    fullRefund: !!actor && actor.role !== "Customer",
+  });
+
+  const [refund] = await Refund.create(
+    [
+      {
+        invoiceID: invoice._id,
+        serviceID: invoice.serviceID,
+        userID: invoice.userID,
+        paidAmount,
+        ...result,
+        policy,
+        cancelledBy: actor?.id,
+      },
+    ],
+    { session }
+  );
+
+  await Invoice.updateOne(
+    { _id: invoice._id },
+    { $set: { refund: refund._id } },
+    { session }
+  );
+
+  return refund;
+};
+
+/**
+ * Hoàn tiền qua cổng thanh toán cho một bản ghi Refund
+ * @param {String} refundID - ObjectId của Refund
+ * @returns {Object} - Refund sau khi xử lý
+ */
+const processRefund = async (refundID) => {
+  const refund = await Refund.findById(refundID);
+  if (!refund || refund.status === "processed") return refund;
+
+  if (refund.refundAmount === 0) {
+    refund.status = "processed";
+    refund.processedAt = new Date();
+    return await refund.save();
+  }
+
+  const invoice = await Invoice.findById(refund.invoiceID).select("orderID");
+  const payments = await findSucceededPayments(
+    invoice || { _id: refund.invoiceID }
+  );
+  if (payments.length === 0) {
+    refund.failureReason =
+      "Không có giao dịch trực tuyến, cần hoàn tiền thủ công.";
+    return await refund.save();
+  }
+
+  // Trừ phần đã hoàn ở lần thử trước
+  let remaining =
+    refund.refundAmount -
+    refund.payments.reduce((sum, item) => sum + item.amount, 0);
+
+  try {
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+      const amount = Math.min(
+        remaining,
+        payment.amount - payment.refundedAmount
+      );
+      if (amount <= 0) continue;
+
+      await paymentService.refundPayment(payment._id, {
+        amount,
+        reason: `Hoàn tiền hủy hóa đơn: ${refund.reason}`,
+      });
+      refund.payments.push({ paymentID: payment._id, amount });
+      remaining -= amount;
+    }
+
+    refund.status = "processed";
+    refund.processedAt = new Date();
+    refund.failureReason = undefined;
+  } catch (err) {
+    refund.status = "failed";
+    refund.failureReason = err.message;
+  }
+
+  return await refund.save();
+};
+
+/**
+ * Lấy khoản hoàn tiền của hóa đơn
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @returns {Object|null} - Refund
+ */
+const getRefundByInvoice = async (invoiceID) => {
+  return await Refund.findOne({ invoiceID });
+};
+
+module.exports = {
+  calculateRefund,
+  createRefundInSession,
+  processRefund,
+  getRefundByInvoice,
+};
@@ -1,8 +1,8 @@
 const Restaurant = require("../models/Restaurant");
-const Service = require("../models/Service");
 const RestaurantType = require("../models/RestaurantTypes");
 const CuisineType = require("../models/CuisineType");
 const DishType = require("../models/DishType"); // Thêm model DishType
+const ownershipService = require("./ownershipService");
 
 /**
  * Tạo một Restaurant mới
@@ -20,16 +20,8 @@ const createRestaurant = async (restaurantData, user) => {
     restaurantTypeID,
   } = restaurantData;
 
-  // Kiểm tra Service ID
-  const service = await Service.findById(serviceID);
-  if (!service) {
-    throw new Error("Service ID không tồn tại.");
-  }
-
-  // Kiểm tra quyền của Provider
-  if (user.role === "Provider" && user.id !== service.providerID.toString()) {
-    throw new Error("Bạn không có quyền tạo Restaurant cho Service này.");
-  }
+  // Kiểm tra Service tồn tại và thuộc về Provider đang đăng nhập
+  await ownershipService.assertServiceOwner(user, serviceID);
 
   // Kiểm tra RestaurantType ID
   const restaurantType = await RestaurantType.findById(restaurantTypeID);
@@ -98,18 +90,10 @@ const getRestaurantById = async (id) => {
  * @returns {Boolean} - Kết quả xóa
  */
 const deleteRestaurantById = async (id, user) => {
-  const restaurant = await Restaurant.findById(id).populate("serviceID");
-
-  if (!restaurant) {
-    throw new Error("Restaurant not found");
-  }
-
   // Kiểm tra quyền xóa
-  if (user.role !== "Admin" && user.id !== restaurant.serviceID.providerID) {
-    throw new Error("Access denied");
-  }
+  const restaurant = await ownershipService.assertRestaurantOwner(user, id);
 
-  await restaurant.remove();
+  await restaurant.deleteOne();
   return true;
 };
 
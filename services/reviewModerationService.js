@@ -0,0 +1,253 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const reviewService = require("./reviewService");
+const ratingSummaryService = require("./ratingSummaryService");
+const ownershipService = require("./ownershipService");
+const createHttpError = require("../utils/httpError");
+
+const MAX_RESPONSE_LENGTH = 2000;
+const MAX_REASON_LENGTH = 500;
+const FLAG_REASONS = Review.schema.path("flags.reason").enumValues;
+const MODERATION_ACTIONS = ["approve", "hide", "delete"];
+const QUEUE_TYPES = ["open", "pending", "flagged", "hidden"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Lấy đánh giá theo ID, throw 404 nếu không có
+ * @param {String} id - ObjectId của Review
+ * @returns {Object} - Review
+ */
+const findReview = async (id) => {
+  const review = mongoose.Types.ObjectId.isValid(id)
+    ? await Review.findById(id)
+    : null;
+  if (!review) {
+    throw createHttpError(404, "Review not found");
+  }
+  return review;
+};
+
+/**
+ * Provider đăng hoặc sửa phản hồi công khai (mỗi đánh giá một phản hồi)
+ * @param {String} id - ObjectId của Review
+ * @param {String} text - Nội dung phản hồi
+ * @param {Object} user - req.user
+ * @returns {Object} - Review sau khi cập nhật
+ */
+const respondToReview = async (id, text, user) => {
+  const review = await findReview(id);
+  const serviceID = await reviewService.getReviewServiceID(review);
+  if (!serviceID) {
+    throw createHttpError(404, "Service not found");
+  }
+  await ownershipService.assertServiceOwner(user, serviceID);
+  if (!reviewService.isPublished(review)) {
+    throw createHttpError(409, "Chỉ phản hồi được đánh giá đang hiển thị.");
+  }
+
+  const content = String(text ?? "").trim();
+  if (!content || content.length > MAX_RESPONSE_LENGTH) {
+    throw createHttpError(
+      400,
+      `Nội dung phản hồi là bắt buộc và tối đa ${MAX_RESPONSE_LENGTH} ký tự.`
+    );
+  }
+  const matched = reviewService.findBlockedWordsIn(content);
+  if (matched.length) {
+    throw createHttpError(400, `Phản hồi chứa từ bị chặn: ${matched.join(", ")}`);
+  }
+
+  review.response = review.response
+    ? { ...review.response.toObject(), text: content, updatedAt: new Date() }
+    : { text: content, respondedBy: user.id };
+  return await review.save();
+};
+
+/**
+ * Provider xóa phản hồi của mình
+ * @param {String} id - ObjectId của Review
+ * @param {Object} user - req.user
+ * @returns {Object} - Review sau khi cập nhật
+ */
+const deleteResponse = async (id, user) => {
+  const review = await findReview(id);
+  await ownershipService.assertServiceOwner(
+    user,
+    await reviewService.getReviewServiceID(review)
+  );
+  if (!review.response) {
+    throw createHttpError(404, "Response not found");
+  }
+  review.response = undefined;
+  return await review.save();
+};
+
+/**
+ * Khách báo cáo đánh giá vi phạm (mỗi người một lần)
+ * @param {String} id - ObjectId của Review
+ * @param {Object} data - { reason, note }
+ * @param {Object} user - req.user
+ * @returns {Object} - { openFlagCount }
+ */
+const flagReview = async (id, { reason, note }, user) => {
+  if (!FLAG_REASONS.includes(reason)) {
+    throw createHttpError(400, `reason phải là một trong: ${FLAG_REASONS.join(", ")}.`);
+  }
+  const text = String(note ?? "").trim();
+  if (text.length > MAX_REASON_LENGTH) {
+    throw createHttpError(400, `Ghi chú tối đa ${MAX_REASON_LENGTH} ký tự.`);
+  }
+
+  const review = await findReview(id);
+  if (!reviewService.isPublished(review)) {
+    throw createHttpError(404, "Review not found");
+  }
+  if (review.userID.toString() === user.id) {
+    throw createHttpError(400, "Không thể báo cáo đánh giá của chính mình.");
+  }
+
+  // Điều kiện flags.userID đảm bảo mỗi người chỉ báo cáo một lần
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, "flags.userID": { $ne: user.id } },
+    {
+      $push: { flags: { userID: user.id, reason, note: text } },
+      $inc: { openFlagCount: 1 },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw createHttpError(409, "Bạn đã báo cáo đánh giá này.");
+  }
+  return { openFlagCount: updated.openFlagCount };
+};
+
+/**
+ * Hàng đợi kiểm duyệt cho Admin
+ * @param {Object} query - { type: open | pending | flagged | hidden, page, limit }
+ * @returns {Object} - { results, total, page, limit, totalPages }
+ */
+const getModerationQueue = async (query = {}) => {
+  const type = query.type || "open";
+  if (!QUEUE_TYPES.includes(type)) {
+    throw createHttpError(400, `type phải là một trong: ${QUEUE_TYPES.join(", ")}.`);
+  }
+  const filters = {
+    open: { $or: [{ status: "pending" }, { openFlagCount: { $gt: 0 } }] },
+    pending: { status: "pending" },
+    flagged: { openFlagCount: { $gt: 0 } },
+    hidden: { status: "hidden" },
+  };
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+
+  const [results, total] = await Promise.all([
+    Review.find(filters[type])
+      .sort({ openFlagCount: -1, date: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userID", "fullName email")
+      .populate("serviceID", "serviceName type")
+      .populate("flags.userID", "fullName email"),
+    Review.countDocuments(filters[type]),
+  ]);
+
+  return { results, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Admin xử lý đánh giá: duyệt, ẩn hoặc xóa; các báo cáo đang mở được đánh dấu
+ * đã xử lý, ảnh của đánh giá bị ẩn hoặc xóa cũng bị gỡ. Xóa dùng chung
+ * deleteReviewById nên hóa đơn vẫn giữ reviewedAt, khách không đánh giá lại được
+ * @param {String} id - ObjectId của Review
+ * @param {Object} data - { action: approve | hide | delete, reason }
+ * @param {Object} user - req.user (Admin)
+ * @returns {Object} - Review sau khi xử lý, hoặc { deleted: true } khi xóa
+ */
+const moderateReview = async (id, { action, reason }, user) => {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw createHttpError(
+      400,
+      `action phải là một trong: ${MODERATION_ACTIONS.join(", ")}.`
+    );
+  }
+  const note = String(reason ?? "").trim();
+  if (action !== "approve" && !note) {
+    throw createHttpError(400, "Cần nêu lý do khi ẩn hoặc xóa đánh giá.");
+  }
+  if (note.length > MAX_REASON_LENGTH) {
+    throw createHttpError(400, `Lý do tối đa ${MAX_REASON_LENGTH} ký tự.`);
+  }
+
+  const review = await findReview(id);
+  if (action === "delete") {
+    await reviewService.deleteReviewById(review._id, user);
+    return { deleted: true, reviewID: review._id, reason: note };
+  }
+
+  const wasPublished = reviewService.isPublished(review);
+  const status = action === "approve" ? "published" : "hidden";
+  const serviceID = await reviewService.getReviewServiceID(review);
+
+  // $[] lỗi khi đánh giá cũ chưa có mảng flags nên chỉ đặt khi đã có báo cáo
+  const set = { status, openFlagCount: 0 };
+  if (review.flags.length) set["flags.$[].resolved"] = true;
+  // Đánh giá bị ẩn thì gỡ luôn ảnh khách đăng
+  if (status === "hidden") set.pictures = [];
+
+  const session = await mongoose.startSession();
+  try {
+    let updatedReview;
+    await session.withTransaction(async () => {
+      // Điều kiện status đảm bảo không xử lý chồng lên thay đổi đồng thời
+      updatedReview = await Review.findOneAndUpdate(
+        {
+          _id: review._id,
+          status: wasPublished ? { $in: ["published", null] } : review.status,
+        },
+        {
+          $set: set,
+          $push: {
+            moderationHistory: {
+              action,
+              reason: note,
+              changedBy: user.id,
+              role: user.role,
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!updatedReview) {
+        throw createHttpError(409, "Đánh giá vừa được xử lý, vui lòng tải lại.");
+      }
+
+      // Chỉ đổi tổng hợp điểm khi đánh giá chuyển giữa hiển thị và không hiển thị
+      const isPublished = status === "published";
+      if (wasPublished !== isPublished) {
+        await ratingSummaryService.applyReviewChange(
+          serviceID,
+          wasPublished ? review : null,
+          isPublished ? updatedReview : null,
+          session
+        );
+      }
+    });
+    if (status === "hidden") {
+      await reviewService.removePictureFiles(review.pictures);
+    }
+    return updatedReview;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  FLAG_REASONS,
+  respondToReview,
+  deleteResponse,
+  flagReview,
+  getModerationQueue,
+  moderateReview,
+};
@@ -1,76 +1,738 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
 const Review = require("../models/Review");
 const Service = require("../models/Service");
+const Invoice = require("../models/Invoice");
+const Suitability = require("../models/Suitability");
+const ratingSummaryService = require("./ratingSummaryService");
+const blockedWords = require("../configs/blockedWords");
+const createHttpError = require("../utils/httpError");
+const { DAY_MS } = require("../utils/dateUtils");
+const { findBlockedWords } = require("../utils/textUtils");
 
-// Tạo đánh giá mới
-const createReview = async (reviewData) => {
-  const { targetID, targetModel, serviceID } = reviewData;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_COMMENT_LENGTH = 2000;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
 
-  // Kiểm tra tính hợp lệ của targetModel
-  if (!["Room", "Table"].includes(targetModel)) {
-    throw new Error("Invalid targetModel, must be 'Room' or 'Table'");
+// Tiêu chí chấm điểm theo loại dịch vụ
+const ASPECTS = {
+  hotel: ["cleanliness", "location", "staff", "value"],
+  restaurant: ["food", "ambience", "service"],
+  cafe: ["food", "ambience", "service"],
+};
+
+// Cách sắp xếp danh sách đánh giá
+const REVIEW_SORTS = {
+  newest: { date: -1, _id: -1 },
+  oldest: { date: 1, _id: 1 },
+  highest: { stars: -1, date: -1 },
+  lowest: { stars: 1, date: -1 },
+};
+
+/**
+ * Quy tắc đánh giá (có thể cấu hình qua biến môi trường)
+ * @returns {Object}
+ */
+const getRules = () => ({
+  windowDays: Number(process.env.REVIEW_WINDOW_DAYS) || 30, // Được đánh giá trong 30 ngày sau khi trả phòng
+  editGraceHours: Number(process.env.REVIEW_EDIT_GRACE_HOURS) || 48, // Được sửa trong 48 giờ sau khi đăng
+  maxPictures: Number(process.env.REVIEW_MAX_PICTURES) || 5, // Tối đa 5 ảnh mỗi đánh giá
+});
+
+/**
+ * Xóa file ảnh đánh giá khỏi thư mục uploads, bỏ qua file không còn tồn tại
+ * @param {Array<String>} pictures - Đường dẫn dạng /uploads/<tên file>
+ */
+const removePictureFiles = async (pictures = []) => {
+  for (const picture of pictures) {
+    // Chỉ lấy tên file để không xóa được file ngoài thư mục uploads
+    const file = path.join(__dirname, "..", "uploads", path.basename(picture));
+    try {
+      await fs.promises.unlink(file);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.log("Không xóa được ảnh đánh giá:", err);
+    }
   }
+};
 
-  // Tạo đánh giá
-  const newReview = new Review(reviewData);
-  const savedReview = await newReview.save();
+/**
+ * Danh sách từ bị chặn: cấu hình sẵn (tiếng Việt, tiếng Anh) và REVIEW_BLOCKED_WORDS
+ * @returns {Array<String>}
+ */
+const getBlockedWords = () => [
+  ...blockedWords.vi,
+  ...blockedWords.en,
+  ...String(process.env.REVIEW_BLOCKED_WORDS || "")
+    .split(",")
+    .map((word) => word.trim())
+    .filter(Boolean),
+];
+
+/**
+ * Các từ bị chặn có trong nội dung đánh giá hoặc phản hồi
+ * @param {...String} texts - Các đoạn văn bản
+ * @returns {Array<String>}
+ */
+const findBlockedWordsIn = (...texts) =>
+  findBlockedWords(texts.filter(Boolean).join("\n"), getBlockedWords());
+
+/**
+ * Đánh giá có đang hiển thị công khai và được tính vào điểm hay không
+ * (đánh giá cũ chưa có status coi như đã hiển thị)
+ * @param {Object} review - Review
+ * @returns {Boolean}
+ */
+const isPublished = (review) => !review.status || review.status === "published";
+
+/**
+ * Phần được tính vào tổng hợp điểm của đánh giá: chính nó nếu đang hiển thị
+ * @param {Object} review - Review
+ * @returns {Object|null}
+ */
+const countable = (review) => (review && isPublished(review) ? review : null);
+
+/**
+ * Giữ đánh giá chờ duyệt nếu nội dung chứa từ bị chặn
+ * @param {Object} review - Review (document)
+ */
+const holdIfBlocked = (review) => {
+  const matched = findBlockedWordsIn(review.positiveComment, review.negativeComment);
+  if (!matched.length || !isPublished(review)) return;
+  review.status = "pending";
+  review.moderationHistory.push({
+    action: "hold",
+    reason: `Chứa từ bị chặn: ${matched.join(", ")}`,
+    role: "System",
+  });
+};
+
+/**
+ * Kiểm tra điểm theo tiêu chí của loại dịch vụ
+ * @param {Object} scores - { tiêu chí: điểm }
+ * @param {String} serviceType - hotel | restaurant | cafe
+ * @returns {Object} - Điểm đã chuẩn hóa
+ */
+const parseAspectScores = (scores, serviceType) => {
+  if (scores === null || typeof scores !== "object" || Array.isArray(scores)) {
+    throw createHttpError(400, "aspectScores phải là một object.");
+  }
+  const aspects = ASPECTS[serviceType] || [];
+  const parsed = {};
+  for (const [aspect, value] of Object.entries(scores)) {
+    if (!aspects.includes(aspect)) {
+      throw createHttpError(
+        400,
+        `Tiêu chí ${aspect} không hợp lệ, chỉ nhận: ${aspects.join(", ")}.`
+      );
+    }
+    const score = Number(value);
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      throw createHttpError(400, `Điểm ${aspect} phải là số nguyên từ 1 đến 5.`);
+    }
+    parsed[aspect] = score;
+  }
+  return parsed;
+};
+
+/**
+ * Kiểm tra nội dung đánh giá, chỉ trả về các trường có trong dữ liệu
+ * @param {Object} data - { stars, positiveComment, negativeComment, aspectScores, travellerType }
+ * @param {String} serviceType - Loại dịch vụ được đánh giá
+ * @returns {Object} - Các trường đã chuẩn hóa
+ */
+const parseReviewContent = async (data, serviceType) => {
+  const content = {};
+
+  if (data.stars !== undefined) {
+    const stars = Number(data.stars);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      throw createHttpError(400, "Số sao phải là số nguyên từ 1 đến 5.");
+    }
+    content.stars = stars;
+  }
+
+  for (const field of ["positiveComment", "negativeComment"]) {
+    if (data[field] === undefined) continue;
+    const comment = String(data[field] ?? "").trim();
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      throw createHttpError(
+        400,
+        `${field} tối đa ${MAX_COMMENT_LENGTH} ký tự.`
+      );
+    }
+    content[field] = comment;
+  }
+
+  if (data.aspectScores !== undefined) {
+    content.aspectScores = parseAspectScores(data.aspectScores, serviceType);
+  }
 
-  // Liên kết đánh giá với Service
-  if (serviceID) {
-    const service = await Service.findById(serviceID);
-    if (!service) {
-      throw new Error("Service not found");
+  // Chuỗi rỗng hoặc null: bỏ loại khách đã chọn
+  if (data.travellerType !== undefined) {
+    if (!data.travellerType) {
+      content.travellerType = null;
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(data.travellerType)) {
+        throw createHttpError(400, "travellerType không hợp lệ.");
+      }
+      if (!(await Suitability.exists({ _id: data.travellerType }))) {
+        throw createHttpError(404, "Suitability not found");
+      }
+      content.travellerType = data.travellerType;
     }
-    service.reviews.push(savedReview._id);
-    await service.save();
   }
 
-  return savedReview;
+  return content;
 };
 
-// Lấy tất cả đánh giá
-const getAllReviews = async () => {
-  return await Review.find()
+/**
+ * Loại của Service (hotel | restaurant | cafe)
+ * @param {String} serviceID - ObjectId của Service
+ * @returns {String|undefined}
+ */
+const getServiceType = async (serviceID) => {
+  const service = await Service.findById(serviceID).select("type");
+  return service?.type;
+};
+
+/**
+ * Đối tượng được đánh giá của hóa đơn: phòng, bàn hoặc cả dịch vụ (quán cà phê)
+ * @param {Object} invoice - Invoice
+ * @returns {Object} - { targetID, targetModel }
+ */
+const getReviewTarget = (invoice) => {
+  if (invoice.roomID) return { targetID: invoice.roomID, targetModel: "Room" };
+  if (invoice.tableID) return { targetID: invoice.tableID, targetModel: "Table" };
+  return { targetID: invoice.serviceID, targetModel: "Service" };
+};
+
+/**
+ * Kiểm tra hóa đơn đủ điều kiện đánh giá: đúng chủ, đã sử dụng,
+ * còn trong hạn đánh giá và chưa từng được đánh giá (kể cả đánh giá đã xóa)
+ * @param {Object} invoice - Invoice
+ * @param {Object} user - req.user
+ * @param {Date} now - Thời điểm hiện tại
+ */
+const assertReviewable = (invoice, user, now = new Date()) => {
+  if (invoice.userID.toString() !== user.id) {
+    throw createHttpError(403, "Chỉ khách đặt hóa đơn mới được đánh giá.");
+  }
+  if (invoice.status !== "đã sử dụng") {
+    throw createHttpError(400, "Chỉ đánh giá được sau khi đã sử dụng dịch vụ.");
+  }
+
+  const { windowDays } = getRules();
+  const deadline = new Date(invoice.checkOutDate.getTime() + windowDays * DAY_MS);
+  if (now > deadline) {
+    throw createHttpError(
+      400,
+      `Đã quá ${windowDays} ngày kể từ ngày trả phòng, không thể đánh giá.`
+    );
+  }
+  if (invoice.review || invoice.reviewedAt) {
+    throw createHttpError(409, "Hóa đơn này đã được đánh giá.");
+  }
+};
+
+/**
+ * Service của một đánh giá; đánh giá cũ chưa có serviceID thì tìm qua Service.reviews
+ * @param {Object} review - Review
+ * @param {Object} session - Mongo session
+ * @returns {ObjectId|null}
+ */
+const getReviewServiceID = async (review, session) => {
+  if (review.serviceID) return review.serviceID;
+  const service = await Service.findOne({ reviews: review._id })
+    .select("_id")
+    .session(session);
+  return service ? service._id : null;
+};
+
+/**
+ * Tạo đánh giá đã xác thực từ một hóa đơn đã sử dụng
+ * @param {Object} reviewData - { invoiceID, stars, positiveComment, negativeComment, serviceID }
+ * @param {Object} user - req.user
+ * @returns {Object} - Review vừa tạo
+ */
+const createReview = async (reviewData, user) => {
+  const { invoiceID, serviceID } = reviewData;
+  if (!mongoose.Types.ObjectId.isValid(invoiceID)) {
+    throw createHttpError(400, "invoiceID không hợp lệ.");
+  }
+  if (reviewData.stars === undefined) {
+    throw createHttpError(400, "Số sao là bắt buộc.");
+  }
+
+  const invoice = await Invoice.findById(invoiceID);
+  if (!invoice) {
+    throw createHttpError(404, "Invoice not found");
+  }
+  if (serviceID && invoice.serviceID.toString() !== serviceID.toString()) {
+    throw createHttpError(400, "Hóa đơn không thuộc dịch vụ này.");
+  }
+  assertReviewable(invoice, user);
+  const content = await parseReviewContent(
+    reviewData,
+    await getServiceType(invoice.serviceID)
+  );
+
+  const session = await mongoose.startSession();
+  try {
+    let savedReview;
+    await session.withTransaction(async () => {
+      const review = new Review({
+        reviewID:
+          Date.now().toString(36) + Math.random().toString(36).substring(2),
+        userID: user.id,
+        ...content,
+        ...getReviewTarget(invoice),
+        serviceID: invoice.serviceID,
+        invoiceID: invoice._id,
+        verified: true,
+      });
+      holdIfBlocked(review);
+      savedReview = await review.save({ session });
+
+      // Điều kiện review, reviewedAt: null chặn hai yêu cầu đánh giá cùng lúc
+      const linked = await Invoice.findOneAndUpdate(
+        { _id: invoice._id, review: null, reviewedAt: null },
+        { $set: { review: savedReview._id, reviewedAt: savedReview.date } },
+        { session }
+      );
+      if (!linked) {
+        throw createHttpError(409, "Hóa đơn này đã được đánh giá.");
+      }
+
+      await Service.updateOne(
+        { _id: invoice.serviceID },
+        { $push: { reviews: savedReview._id } },
+        { session }
+      );
+      await ratingSummaryService.applyReviewChange(
+        invoice.serviceID,
+        null,
+        countable(savedReview),
+        session
+      );
+    });
+    return savedReview;
+  } catch (err) {
+    // Trùng invoiceID (unique) nghĩa là hóa đơn đã có đánh giá
+    if (err.code === 11000) {
+      throw createHttpError(409, "Hóa đơn này đã được đánh giá.");
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Lấy tất cả đánh giá, chỉ Admin thấy đánh giá chờ duyệt hoặc đã ẩn
+const getAllReviews = async (user) => {
+  return await Review.find(user?.role === "Admin" ? {} : Review.visibleFilter())
     .populate("userID", "name email")
     .populate("targetID");
 };
 
-// Lấy đánh giá theo ID
-const getReviewById = async (reviewID) => {
-  return await Review.findById(reviewID)
+// Lấy đánh giá theo ID, đánh giá chưa hiển thị chỉ tác giả và Admin xem được
+const getReviewById = async (reviewID, user) => {
+  const review = await Review.findById(reviewID)
     .populate("userID", "name email")
     .populate("targetID");
+  if (
+    review &&
+    !isPublished(review) &&
+    user?.role !== "Admin" &&
+    review.userID?._id.toString() !== user?.id
+  ) {
+    return null;
+  }
+  return review;
 };
 
-// Cập nhật đánh giá
-const updateReviewById = async (reviewID, reviewData) => {
+/**
+ * Đọc tham số số nguyên (tùy chọn) của danh sách đánh giá, throw 400 nếu không hợp lệ
+ * @param {*} value - Giá trị từ query string
+ * @param {String} name - Tên tham số
+ * @param {Number} min - Giá trị nhỏ nhất
+ * @param {Number} max - Giá trị lớn nhất
+ * @returns {Number|undefined}
+ */
+const toInteger = (value, name, min, max) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw createHttpError(400, `${name} không hợp lệ.`);
+  }
+  return number;
+};
+
+/**
+ * Danh sách đánh giá của một dịch vụ, lọc theo số sao, loại khách và tiêu chí
+ * @param {String} serviceID - ObjectId của Service
+ * @param {Object} query - { stars, minStars, travellerType, aspect, minAspectScore, verified, sort, page, limit }
+ * @returns {Object} - { results, total, page, limit, totalPages, summary, aspects, facets }
+ */
+const getServiceReviews = async (serviceID, query = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(serviceID)) {
+    throw createHttpError(400, "serviceID không hợp lệ.");
+  }
+  const service = await Service.findById(serviceID).select("type ratingSummary");
+  if (!service) {
+    throw createHttpError(404, "Service not found");
+  }
+
+  const filter = { serviceID: service._id, ...Review.visibleFilter() };
+
+  const stars = String(query.stars ?? "")
+    .split(",")
+    .filter(Boolean)
+    .map((value) => toInteger(value, "stars", 1, 5));
+  if (stars.length) filter.stars = { $in: stars };
+  const minStars = toInteger(query.minStars, "minStars", 1, 5);
+  if (minStars !== undefined) {
+    filter.stars = { ...filter.stars, $gte: minStars };
+  }
+
+  const travellerTypes = String(query.travellerType ?? "")
+    .split(",")
+    .filter(Boolean);
+  if (travellerTypes.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createHttpError(400, "travellerType không hợp lệ.");
+  }
+  if (travellerTypes.length) filter.travellerType = { $in: travellerTypes };
+
+  if (query.aspect !== undefined) {
+    const aspects = ASPECTS[service.type] || [];
+    if (!aspects.includes(query.aspect)) {
+      throw createHttpError(
+        400,
+        `aspect không hợp lệ, chỉ nhận: ${aspects.join(", ")}.`
+      );
+    }
+    const minAspectScore = toInteger(query.minAspectScore, "minAspectScore", 1, 5);
+    filter[`aspectScores.${query.aspect}`] =
+      minAspectScore === undefined ? { $exists: true } : { $gte: minAspectScore };
+  }
+
+  if (query.verified === "true") filter.verified = true;
+
+  const sort = query.sort || "newest";
+  if (!REVIEW_SORTS[sort]) {
+    throw createHttpError(
+      400,
+      `sort phải là một trong: ${Object.keys(REVIEW_SORTS).join(", ")}`
+    );
+  }
+  const page = toInteger(query.page, "page", 1, Infinity) || 1;
+  const limit = toInteger(query.limit, "limit", 1, MAX_LIMIT) || DEFAULT_LIMIT;
+
+  const [results, total, travellerTypeCounts] = await Promise.all([
+    Review.find(filter)
+      .sort(REVIEW_SORTS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userID", "fullName")
+      .populate("travellerType", "name"),
+    Review.countDocuments(filter),
+    // Số đánh giá theo loại khách, để hiển thị bộ lọc
+    Review.aggregate([
+      {
+        $match: {
+          serviceID: service._id,
+          travellerType: { $ne: null },
+          ...Review.visibleFilter(),
+        },
+      },
+      { $group: { _id: "$travellerType", count: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: Suitability.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          as: "suitability",
+        },
+      },
+      {
+        $project: {
+          count: 1,
+          name: { $arrayElemAt: ["$suitability.name", 0] },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  return {
+    results,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    summary: service.ratingSummary,
+    aspects: ASPECTS[service.type] || [],
+    facets: { travellerTypes: travellerTypeCounts },
+  };
+};
+
+/**
+ * Kiểm tra user là tác giả và đánh giá còn trong thời gian được sửa
+ * @param {Object} review - Review
+ * @param {Object} user - req.user
+ */
+const assertEditable = (review, user) => {
+  if (review.userID.toString() !== user.id) {
+    throw createHttpError(403, "Chỉ tác giả mới được sửa đánh giá.");
+  }
+  const { editGraceHours } = getRules();
+  if (Date.now() > review.date.getTime() + editGraceHours * HOUR_MS) {
+    throw createHttpError(
+      403,
+      `Chỉ sửa được đánh giá trong ${editGraceHours} giờ sau khi đăng.`
+    );
+  }
+};
+
+/**
+ * Tác giả đăng thêm ảnh cho đánh giá (trong thời gian được sửa);
+ * lỗi thì xóa các file vừa upload
+ * @param {String} reviewID - ObjectId của Review
+ * @param {Array<String>} pictures - Đường dẫn ảnh vừa upload
+ * @param {Object} user - req.user
+ * @returns {Object} - Review sau khi cập nhật
+ */
+const addPictures = async (reviewID, pictures, user) => {
+  try {
+    if (!pictures.length) {
+      throw createHttpError(400, "Chưa chọn ảnh nào.");
+    }
+    const review = await Review.findById(reviewID);
+    if (!review) {
+      throw createHttpError(404, "Review not found");
+    }
+    assertEditable(review, user);
+
+    const { maxPictures } = getRules();
+    if (pictures.length > maxPictures) {
+      throw createHttpError(400, `Mỗi đánh giá tối đa ${maxPictures} ảnh.`);
+    }
+    // Điều kiện số ảnh hiện có chặn vượt giới hạn khi upload đồng thời
+    const updatedReview = await Review.findOneAndUpdate(
+      {
+        _id: review._id,
+        [`pictures.${maxPictures - pictures.length}`]: { $exists: false },
+      },
+      { $push: { pictures: { $each: pictures } } },
+      { new: true }
+    );
+    if (!updatedReview) {
+      throw createHttpError(400, `Mỗi đánh giá tối đa ${maxPictures} ảnh.`);
+    }
+    return updatedReview;
+  } catch (err) {
+    await removePictureFiles(pictures);
+    throw err;
+  }
+};
+
+/**
+ * Xóa một ảnh của đánh giá (tác giả hoặc Admin)
+ * @param {String} reviewID - ObjectId của Review
+ * @param {String} picture - Đường dẫn ảnh
+ * @param {Object} user - req.user
+ * @returns {Object} - Review sau khi cập nhật
+ */
+const removePicture = async (reviewID, picture, user) => {
   const review = await Review.findById(reviewID);
   if (!review) {
-    throw new Error("Review not found");
+    throw createHttpError(404, "Review not found");
+  }
+  if (user.role !== "Admin" && review.userID.toString() !== user.id) {
+    throw createHttpError(403, "Access denied");
+  }
+  if (!review.pictures.includes(picture)) {
+    throw createHttpError(404, "Picture not found");
   }
-  Object.assign(review, reviewData);
-  return await review.save();
+
+  const updatedReview = await Review.findByIdAndUpdate(
+    review._id,
+    { $pull: { pictures: picture } },
+    { new: true }
+  );
+  await removePictureFiles([picture]);
+  return updatedReview;
 };
 
-// Xóa đánh giá
-const deleteReviewById = async (reviewID) => {
+/**
+ * Thư viện ảnh của khách cho một dịch vụ, chỉ lấy từ đánh giá đang hiển thị
+ * @param {String} serviceID - ObjectId của Service
+ * @param {Object} query - { page, limit }
+ * @returns {Object} - { results, total, page, limit, totalPages }
+ */
+const getServiceGallery = async (serviceID, query = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(serviceID)) {
+    throw createHttpError(400, "serviceID không hợp lệ.");
+  }
+  if (!(await Service.exists({ _id: serviceID }))) {
+    throw createHttpError(404, "Service not found");
+  }
+  const page = toInteger(query.page, "page", 1, Infinity) || 1;
+  const limit = toInteger(query.limit, "limit", 1, MAX_LIMIT) || DEFAULT_LIMIT;
+
+  const match = {
+    serviceID: new mongoose.Types.ObjectId(serviceID),
+    "pictures.0": { $exists: true },
+    ...Review.visibleFilter(),
+  };
+  const [result] = await Review.aggregate([
+    { $match: match },
+    { $sort: { date: -1, _id: -1 } },
+    { $unwind: "$pictures" },
+    {
+      $facet: {
+        results: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: Suitability.collection.name,
+              localField: "travellerType",
+              foreignField: "_id",
+              as: "travellerType",
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              picture: "$pictures",
+              reviewID: "$_id",
+              stars: 1,
+              date: 1,
+              travellerType: { $arrayElemAt: ["$travellerType.name", 0] },
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  return {
+    results: result.results,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+};
+
+/**
+ * Tác giả sửa nội dung đánh giá trong thời gian cho phép sau khi đăng
+ * @param {String} reviewID - ObjectId của Review
+ * @param {Object} reviewData - { stars, positiveComment, negativeComment }
+ * @param {Object} user - req.user
+ * @returns {Object} - Review sau khi sửa
+ */
+const updateReviewById = async (reviewID, reviewData, user) => {
   const review = await Review.findById(reviewID);
   if (!review) {
-    throw new Error("Review not found");
+    throw createHttpError(404, "Review not found");
   }
+  assertEditable(review, user);
 
-  // Xóa khỏi Service
-  await Service.updateMany(
-    { reviews: reviewID },
-    { $pull: { reviews: reviewID } }
+  const serviceID = await getReviewServiceID(review);
+  const content = await parseReviewContent(
+    reviewData,
+    await getServiceType(serviceID)
   );
+  if (!Object.keys(content).length) {
+    throw createHttpError(400, "Không có thông tin nào để cập nhật.");
+  }
+  const before = review.toObject();
+  Object.assign(review, content, { updatedAt: new Date() });
+  holdIfBlocked(review);
 
-  return await review.remove();
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await review.save({ session });
+      await ratingSummaryService.applyReviewChange(
+        serviceID,
+        countable(before),
+        countable(review),
+        session
+      );
+    });
+    return review;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Xóa đánh giá (tác giả hoặc Admin), gỡ liên kết khỏi Service và Invoice;
+ * hóa đơn vẫn giữ reviewedAt nên không thể đánh giá lại
+ * @param {String} reviewID - ObjectId của Review
+ * @param {Object} user - req.user
+ */
+const deleteReviewById = async (reviewID, user) => {
+  const review = await Review.findById(reviewID);
+  if (!review) {
+    throw createHttpError(404, "Review not found");
+  }
+  if (user.role !== "Admin" && review.userID.toString() !== user.id) {
+    throw createHttpError(403, "Access denied");
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await ratingSummaryService.applyReviewChange(
+        await getReviewServiceID(review, session),
+        countable(review),
+        null,
+        session
+      );
+
+      // Xóa khỏi Service và hóa đơn
+      await Service.updateMany(
+        { reviews: review._id },
+        { $pull: { reviews: review._id } },
+        { session }
+      );
+      // $min giữ reviewedAt đã có, hóa đơn cũ chưa có thì lấy ngày đánh giá
+      await Invoice.updateMany(
+        { review: review._id },
+        { $unset: { review: "" }, $min: { reviewedAt: review.date || new Date() } },
+        { session }
+      );
+
+      await review.deleteOne({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  await removePictureFiles(review.pictures);
 };
 
 module.exports = {
+  ASPECTS,
+  getRules,
+  findBlockedWordsIn,
+  isPublished,
+  countable,
+  getReviewServiceID,
+  removePictureFiles,
   createReview,
   getAllReviews,
   getReviewById,
+  getServiceReviews,
+  getServiceGallery,
+  addPictures,
+  removePicture,
   updateReviewById,
   deleteReviewById,
 };
@@ -0,0 +1,380 @@
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Invoice = require("../models/Invoice");
+const ownershipService = require("./ownershipService");
+const createHttpError = require("../utils/httpError");
+const {
+  DAY_MS,
+  startOfDay,
+  addDays,
+  isValidDate,
+} = require("../utils/dateUtils");
+
+const MAX_RANGE_DAYS = 730; // Tối đa hai năm cho một lần cập nhật
+
+/**
+ * Khóa theo ngày (YYYY-MM-DD, UTC)
+ * @param {Date} date - Ngày
+ * @returns {String}
+ */
+const dayKey = (date) => startOfDay(date).toISOString().slice(0, 10);
+
+/**
+ * Số ngày giữ lại các mục đã qua trong roomsAvailable
+ * @returns {Number}
+ */
+const getRetentionDays = () =>
+  Number(process.env.ROOM_CALENDAR_RETENTION_DAYS) || 30;
+
+/**
+ * Kiểm tra khoảng ngày và danh sách thứ trong tuần
+ * @param {Object} range - { startDate, endDate, weekdays }
+ * @returns {Array<Date>} - Các ngày (00:00 UTC) thuộc khoảng, tính cả endDate
+ */
+const parseDateRange = ({ startDate, endDate, weekdays = [] }) => {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw createHttpError(400, "startDate và endDate phải là ngày hợp lệ.");
+  }
+  const start = startOfDay(startDate);
+  const end = startOfDay(endDate);
+  if (end < start) {
+    throw createHttpError(400, "endDate phải sau hoặc bằng startDate.");
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw createHttpError(
+      400,
+      `Khoảng ngày không được vượt quá ${MAX_RANGE_DAYS} ngày.`
+    );
+  }
+  if (
+    !Array.isArray(weekdays) ||
+    weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    throw createHttpError(400, "weekdays phải là mảng số nguyên từ 0 đến 6.");
+  }
+
+  const dates = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    if (!weekdays.length || weekdays.includes(day.getUTCDay())) {
+      dates.push(day);
+    }
+  }
+  return dates;
+};
+
+/**
+ * Số phòng đang được giữ theo từng đêm, tính từ các hóa đơn còn giữ phòng
+ * @param {String} roomID - ObjectId của Room
+ * @param {Date} from - Ngày đầu (00:00 UTC)
+ * @param {Date} to - Ngày cuối, không tính (00:00 UTC)
+ * @param {Object} session - Mongo session (có thể trống)
+ * @returns {Map} - dayKey -> số phòng đã đặt
+ */
+const getBookedByNight = async (roomID, from, to, session = null) => {
+  const invoices = await Invoice.find({
+    roomID,
+    inventoryHeld: true,
+    checkInDate: { $lt: to },
+    checkOutDate: { $gt: from },
+  })
+    .select("quantity checkInDate checkOutDate")
+    .session(session);
+
+  const booked = new Map();
+  for (const invoice of invoices) {
+    const first = startOfDay(
+      Math.max(startOfDay(invoice.checkInDate).getTime(), from.getTime())
+    );
+    const last = startOfDay(
+      Math.min(startOfDay(invoice.checkOutDate).getTime(), to.getTime())
+    );
+    for (let night = first; night < last; night = addDays(night, 1)) {
+      const key = dayKey(night);
+      booked.set(key, (booked.get(key) || 0) + invoice.quantity);
+    }
+  }
+  return booked;
+};
+
+/**
+ * Chạy thao tác sửa lịch của Room trong transaction để không lệch với đặt phòng
+ * @param {String} id - ObjectId của Room
+ * @param {Function} mutate - async (room, session) => kết quả
+ * @returns {*} - Kết quả của mutate
+ */
+const withRoomCalendar = async (id, mutate) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const room = await Room.findById(id).session(session);
+      if (!room) {
+        throw createHttpError(404, "Room not found");
+      }
+      result = await mutate(room, session);
+      room.roomsAvailable.sort((a, b) => a.date - b.date);
+      await room.save({ session });
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Đặt số phòng mở bán hàng loạt theo khoảng ngày và thứ trong tuần.
+ * Số phòng trống = totalRooms - số phòng đã đặt đêm đó
+ * @param {String} id - ObjectId của Room
+ * @param {Object} data - { startDate, endDate, weekdays, totalRooms, closed }
+ * @param {Object} user - req.user
+ * @returns {Object} - { updated, created, overbooked }
+ */
+const setInventory = async (id, data, user) => {
+  await ownershipService.assertRoomOwner(user, id);
+
+  const dates = parseDateRange(data);
+  const totalRooms = Number(data.totalRooms);
+  if (!Number.isInteger(totalRooms) || totalRooms < 0) {
+    throw createHttpError(400, "totalRooms phải là số nguyên >= 0.");
+  }
+  if (data.closed !== undefined && typeof data.closed !== "boolean") {
+    throw createHttpError(400, "closed phải là true hoặc false.");
+  }
+  if (!dates.length) {
+    return { updated: 0, created: 0, overbooked: [] };
+  }
+
+  return await withRoomCalendar(id, async (room, session) => {
+    const booked = await getBookedByNight(
+      room._id,
+      dates[0],
+      addDays(dates[dates.length - 1], 1),
+      session
+    );
+    const entries = new Map(
+      room.roomsAvailable.map((entry) => [dayKey(entry.date), entry])
+    );
+
+    const result = { updated: 0, created: 0, overbooked: [] };
+    for (const date of dates) {
+      const key = dayKey(date);
+      const bookedRooms = booked.get(key) || 0;
+      if (bookedRooms > totalRooms) result.overbooked.push(key);
+      const availableRooms = Math.max(0, totalRooms - bookedRooms);
+
+      const entry = entries.get(key);
+      if (entry) {
+        entry.availableRooms = availableRooms;
+        if (data.closed !== undefined) {
+          entry.closed = data.closed;
+          entry.closedByIcal = false;
+        }
+        result.updated += 1;
+      } else {
+        room.roomsAvailable.push({
+          date,
+          availableRooms,
+          closed: data.closed ?? false,
+        });
+        result.created += 1;
+      }
+    }
+    return result;
+  });
+};
+
+/**
+ * Ngừng bán hoặc mở bán lại các ngày (không đổi số phòng trống)
+ * @param {String} id - ObjectId của Room
+ * @param {Object} range - { startDate, endDate, weekdays }
+ * @param {Boolean} closed - true: ngừng bán, false: mở bán lại
+ * @param {Object} user - req.user
+ * @returns {Object} - { updated, missing }
+ */
+const setClosed = async (id, range, closed, user) => {
+  await ownershipService.assertRoomOwner(user, id);
+
+  const dates = parseDateRange(range);
+  return await withRoomCalendar(id, async (room) => {
+    const entries = new Map(
+      room.roomsAvailable.map((entry) => [dayKey(entry.date), entry])
+    );
+
+    // Ngày chưa có trong lịch vốn đã không bán được, chỉ báo lại cho Provider
+    const result = { updated: 0, missing: [] };
+    for (const date of dates) {
+      const entry = entries.get(dayKey(date));
+      if (!entry) {
+        result.missing.push(dayKey(date));
+        continue;
+      }
+      // Provider tự đặt thì lịch nhập không được mở lại
+      entry.closed = closed;
+      entry.closedByIcal = false;
+      result.updated += 1;
+    }
+    return result;
+  });
+};
+
+/**
+ * Lịch phòng trống theo tháng: số phòng đã đặt (từ hóa đơn) và còn trống mỗi ngày
+ * @param {String} id - ObjectId của Room
+ * @param {String} month - Tháng dạng "YYYY-MM" (trống: tháng hiện tại)
+ * @param {Object} user - req.user
+ * @returns {Object} - { roomID, month, days, totals }
+ */
+const getMonthGrid = async (id, month, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+
+  const value = month || new Date().toISOString().slice(0, 7);
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(value);
+  if (!match) {
+    throw createHttpError(400, "month phải có dạng YYYY-MM.");
+  }
+  const from = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+  const to = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+
+  const booked = await getBookedByNight(room._id, from, to);
+  const entries = new Map(
+    room.roomsAvailable.map((entry) => [dayKey(entry.date), entry])
+  );
+
+  const days = [];
+  const totals = { booked: 0, available: 0, closedDays: 0 };
+  for (let day = from; day < to; day = addDays(day, 1)) {
+    const key = dayKey(day);
+    const entry = entries.get(key);
+    const bookedRooms = booked.get(key) || 0;
+    const available = entry ? entry.availableRooms : 0;
+    const closed = !!(entry && entry.closed);
+
+    days.push({
+      date: key,
+      weekday: day.getUTCDay(),
+      configured: !!entry, // Ngày đã có trong lịch mở bán
+      booked: bookedRooms,
+      available,
+      totalRooms: available + bookedRooms,
+      closed,
+      sellable: !!entry && !closed && available > 0,
+    });
+    totals.booked += bookedRooms;
+    totals.available += available;
+    if (closed) totals.closedDays += 1;
+  }
+
+  return { roomID: room._id, month: value, days, totals };
+};
+
+/**
+ * Mở bán thêm các ngày còn thiếu đến hết horizonDays và dọn các ngày đã qua quá lâu.
+ * Đọc và ghi lịch trong cùng transaction nên không thêm trùng ngày khi chạy song song
+ * @param {String} id - ObjectId của Room
+ * @param {Date} today - Ngày hiện tại
+ * @returns {Number} - Số ngày được thêm
+ */
+const rollForwardRoom = async (id, today = new Date()) => {
+  return await withRoomCalendar(id, async (room) => {
+    if (!room.active || !room.calendar.autoExtend) return 0;
+
+    const { horizonDays, defaultRooms } = room.calendar;
+    const start = startOfDay(today);
+    const cutoff = addDays(start, -getRetentionDays());
+    const existing = new Set(
+      room.roomsAvailable.map((entry) => dayKey(entry.date))
+    );
+
+    let added = 0;
+    for (let i = 0; i < horizonDays; i += 1) {
+      const day = addDays(start, i);
+      if (!existing.has(dayKey(day))) {
+        room.roomsAvailable.push({
+          date: day,
+          availableRooms: defaultRooms,
+          closed: false,
+        });
+        added += 1;
+      }
+    }
+
+    room.roomsAvailable = room.roomsAvailable.filter(
+      (entry) => entry.date >= cutoff
+    );
+    return added;
+  });
+};
+
+/**
+ * Cuộn lịch cho mọi Room bật tự động mở bán
+ * @param {Date} today - Ngày hiện tại
+ * @returns {Number} - Tổng số ngày được thêm
+ */
+const rollForwardAll = async (today = new Date()) => {
+  let added = 0;
+  for await (const room of Room.find({
+    active: true,
+    "calendar.autoExtend": true,
+  }).select("_id")) {
+    added += await rollForwardRoom(room._id, today);
+  }
+  return added;
+};
+
+/**
+ * Cập nhật thiết lập tự động mở bán và cuộn lịch ngay
+ * @param {String} id - ObjectId của Room
+ * @param {Object} settings - { autoExtend, horizonDays, defaultRooms }
+ * @param {Object} user - req.user
+ * @returns {Object} - { calendar, added }
+ */
+const updateCalendarSettings = async (id, settings, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+  const { autoExtend, horizonDays, defaultRooms } = settings;
+
+  if (autoExtend !== undefined && typeof autoExtend !== "boolean") {
+    throw createHttpError(400, "autoExtend phải là true hoặc false.");
+  }
+  if (
+    horizonDays !== undefined &&
+    (!Number.isInteger(horizonDays) ||
+      horizonDays < 1 ||
+      horizonDays > MAX_RANGE_DAYS)
+  ) {
+    throw createHttpError(
+      400,
+      `horizonDays phải là số nguyên từ 1 đến ${MAX_RANGE_DAYS}.`
+    );
+  }
+  if (
+    defaultRooms !== undefined &&
+    (!Number.isInteger(defaultRooms) || defaultRooms < 0)
+  ) {
+    throw createHttpError(400, "defaultRooms phải là số nguyên >= 0.");
+  }
+
+  const calendar = {
+    autoExtend: autoExtend ?? room.calendar.autoExtend,
+    horizonDays: horizonDays ?? room.calendar.horizonDays,
+    defaultRooms: defaultRooms ?? room.calendar.defaultRooms,
+  };
+  await Room.updateOne({ _id: room._id }, { $set: { calendar } });
+  room.calendar = calendar;
+
+  const added =
+    calendar.autoExtend && room.active ? await rollForwardRoom(room._id) : 0;
+  return { calendar, added };
+};
+
+module.exports = {
+  dayKey,
+  withRoomCalendar,
+  parseDateRange,
+  getBookedByNight,
+  setInventory,
+  setClosed,
+  getMonthGrid,
+  rollForwardRoom,
+  rollForwardAll,
+  updateCalendarSettings,
+};
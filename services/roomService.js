@@ -1,6 +1,9 @@
 const Room = require("../models/Room");
-const Hotel = require("../models/Hotel");
 const Facility = require("../models/Facility");
+const ownershipService = require("./ownershipService");
+const pricingService = require("./pricingService");
+const roomCalendarService = require("./roomCalendarService");
+const { startOfDay } = require("../utils/dateUtils");
 
 // Tạo Room mới
 const createRoom = async (roomData, user, picturePaths) => {
@@ -13,17 +16,12 @@ const createRoom = async (roomData, user, picturePaths) => {
     active,
     capacity,
     facilities,
-    roomsAvailable, // Mảng chứa thông tin ngày và số phòng trống
+    roomsAvailable = [], // Mảng chứa thông tin ngày và số phòng trống (không bắt buộc)
+    calendar, // Thiết lập tự động mở bán { autoExtend, horizonDays, defaultRooms }
   } = roomData;
 
-  // Kiểm tra Hotel có tồn tại hay không
-  const hotel = await Hotel.findById(hotelID);
-  if (!hotel) throw new Error("Hotel ID không tồn tại.");
-
-  // Kiểm tra quyền Provider (nếu người dùng không phải Admin)
-  if (user.role === "Provider" && user.id !== hotel.serviceID.providerID) {
-    throw new Error("Bạn không có quyền tạo Room cho Hotel này.");
-  }
+  // Kiểm tra Hotel tồn tại và thuộc về Provider đang đăng nhập
+  await ownershipService.assertHotelOwner(user, hotelID);
 
   // Kiểm tra thuộc tính capacity
   if (!capacity || typeof capacity !== "object") {
@@ -63,13 +61,9 @@ const createRoom = async (roomData, user, picturePaths) => {
     }
   }
 
-  // Kiểm tra mảng roomsAvailable
-  if (
-    !roomsAvailable ||
-    !Array.isArray(roomsAvailable) ||
-    roomsAvailable.length === 0
-  ) {
-    throw new Error("Ít nhất một ngày với số phòng trống phải được cung cấp.");
+  // Kiểm tra mảng roomsAvailable, có thể bỏ trống và mở bán sau qua lịch phòng
+  if (!Array.isArray(roomsAvailable)) {
+    throw new Error("roomsAvailable phải là một mảng.");
   }
 
   // Kiểm tra từng phần tử trong mảng roomsAvailable
@@ -111,10 +105,21 @@ const createRoom = async (roomData, user, picturePaths) => {
       roomNumber,
     },
     facilities, // Lưu danh sách tiện ích
-    roomsAvailable, // Lưu mảng roomsAvailable
+    roomsAvailable: roomsAvailable.map(({ date, availableRooms, closed }) => ({
+      date: startOfDay(date),
+      availableRooms,
+      closed: !!closed,
+    })),
   });
 
-  return await newRoom.save();
+  const savedRoom = await newRoom.save();
+
+  // Bật tự động mở bán thì sinh lịch ngay thay vì bắt Provider gửi từng ngày
+  if (calendar) {
+    await roomCalendarService.updateCalendarSettings(savedRoom._id, calendar, user);
+    return await Room.findById(savedRoom._id);
+  }
+  return savedRoom;
 };
 
 // Lấy tất cả Rooms
@@ -129,20 +134,31 @@ const getRoomById = async (id) => {
 };
 
 // Cập nhật Room
-const updateRoomById = async (id, roomData) => {
-  const room = await Room.findById(id);
-  if (!room) throw new Error("Room not found");
+const updateRoomById = async (id, roomData, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+
+  // Không cho phép chuyển Room sang Hotel của Provider khác
+  if (roomData.hotelID && roomData.hotelID.toString() !== room.hotelID.toString()) {
+    await ownershipService.assertHotelOwner(user, roomData.hotelID);
+  }
 
   Object.assign(room, roomData);
   return await room.save();
 };
 
+// Cập nhật bảng giá riêng của Room
+const updateRoomRates = async (id, rateOverrides, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
+
+  room.rateOverrides = pricingService.validateRateOverrides(rateOverrides);
+  return await room.save();
+};
+
 // Xóa Room
-const deleteRoomById = async (id) => {
-  const room = await Room.findById(id);
-  if (!room) throw new Error("Room not found");
+const deleteRoomById = async (id, user) => {
+  const room = await ownershipService.assertRoomOwner(user, id);
 
-  return await room.remove();
+  return await room.deleteOne();
 };
 
 module.exports = {
@@ -150,5 +166,6 @@ module.exports = {
   getAllRooms,
   getRoomById,
   updateRoomById,
+  updateRoomRates,
   deleteRoomById,
 };
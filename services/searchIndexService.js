@@ -0,0 +1,113 @@
+const Service = require("../models/Service");
+const Location = require("../models/Location");
+const { foldVietnamese, trigrams } = require("../utils/textUtils");
+
+/**
+ * Tính các trường tìm kiếm của Service từ tên, mô tả và tên địa điểm
+ * @param {Object} service - { serviceName, description }
+ * @param {Object|null} location - Location của Service
+ * @returns {Object} - { searchName, searchLocation, searchDescription, searchTrigrams }
+ */
+const buildServiceSearchFields = (service, location) => {
+  const locationName = location ? location.locationName : "";
+  return {
+    searchName: foldVietnamese(service.serviceName),
+    searchLocation: foldVietnamese(locationName),
+    searchDescription: foldVietnamese(service.description),
+    searchTrigrams: trigrams(`${service.serviceName} ${locationName}`),
+  };
+};
+
+/**
+ * Tính các trường tìm kiếm của Location
+ * @param {Object} location - Location
+ * @returns {Object} - { searchName, searchTrigrams }
+ */
+const buildLocationSearchFields = (location) => ({
+  searchName: foldVietnamese(location.locationName),
+  searchTrigrams: trigrams(location.locationName),
+});
+
+/**
+ * Cập nhật trường tìm kiếm của một Service
+ * @param {String} serviceID - ObjectId của Service
+ * @returns {Boolean} - false nếu không tìm thấy Service
+ */
+const refreshService = async (serviceID) => {
+  const service = await Service.findById(serviceID).select(
+    "serviceName description locationID"
+  );
+  if (!service) return false;
+
+  const location = await Location.findById(service.locationID).select(
+    "locationName"
+  );
+  await Service.updateOne(
+    { _id: service._id },
+    { $set: buildServiceSearchFields(service, location) }
+  );
+  return true;
+};
+
+/**
+ * Cập nhật trường tìm kiếm của Location và mọi Service thuộc Location đó
+ * @param {String} locationID - ObjectId của Location
+ * @returns {Number} - Số Service đã cập nhật
+ */
+const refreshLocation = async (locationID) => {
+  const location = await Location.findById(locationID).select("locationName");
+  if (!location) return 0;
+
+  await Location.updateOne(
+    { _id: location._id },
+    { $set: buildLocationSearchFields(location) }
+  );
+
+  const services = await Service.find({ locationID: location._id }).select(
+    "serviceName description"
+  );
+  if (!services.length) return 0;
+
+  await Service.bulkWrite(
+    services.map((service) => ({
+      updateOne: {
+        filter: { _id: service._id },
+        update: { $set: buildServiceSearchFields(service, location) },
+      },
+    }))
+  );
+  return services.length;
+};
+
+/**
+ * Tính lại trường tìm kiếm cho toàn bộ Location và Service
+ * @returns {Object} - { locations, services }
+ */
+const rebuildAll = async () => {
+  let locations = 0;
+  let services = 0;
+
+  for await (const location of Location.find().select("_id")) {
+    services += await refreshLocation(location._id);
+    locations += 1;
+  }
+
+  // Service trỏ tới Location không còn tồn tại
+  const locationIDs = await Location.distinct("_id");
+  for await (const service of Service.find({
+    locationID: { $nin: locationIDs },
+  }).select("_id")) {
+    await refreshService(service._id);
+    services += 1;
+  }
+
+  return { locations, services };
+};
+
+module.exports = {
+  buildServiceSearchFields,
+  buildLocationSearchFields,
+  refreshService,
+  refreshLocation,
+  rebuildAll,
+};
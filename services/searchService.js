@@ -0,0 +1,664 @@
+const mongoose = require("mongoose");
+const Service = require("../models/Service");
+const Location = require("../models/Location");
+const Hotel = require("../models/Hotel");
+const Restaurant = require("../models/Restaurant");
+const Coffee = require("../models/Coffee");
+const PriceCategory = require("../models/PriceCategory");
+const Suitability = require("../models/Suitability");
+const FacilityType = require("../models/FacilityType");
+const availabilityService = require("./availabilityService");
+const geoService = require("./geoService");
+const createHttpError = require("../utils/httpError");
+const {
+  foldVietnamese,
+  trigrams,
+  trigramSimilarity,
+  escapeRegExp,
+} = require("../utils/textUtils");
+
+const SERVICE_TYPES = ["hotel", "restaurant", "cafe"];
+const SORTS = [
+  "relevance",
+  "price_asc",
+  "price_desc",
+  "rating",
+  "distance",
+  "newest",
+];
+const RATING_THRESHOLDS = [3, 4, 4.5];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 10;
+// Tỉ lệ trigram tối thiểu để coi là khớp gần đúng
+const MIN_SIMILARITY = 0.5;
+
+/**
+ * Chuyển tham số dạng "a,b" hoặc mảng thành mảng chuỗi
+ * @param {String|Array} value - Giá trị từ query string
+ * @returns {Array<String>}
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Chuyển danh sách ID thành ObjectId, throw 400 nếu có ID không hợp lệ
+ * @param {String|Array} value - Giá trị từ query string
+ * @param {String} name - Tên tham số (dùng trong thông báo lỗi)
+ * @returns {Array<ObjectId>}
+ */
+const toObjectIds = (value, name) =>
+  toList(value).map((id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createHttpError(400, `${name} chứa ID không hợp lệ: ${id}`);
+    }
+    return new mongoose.Types.ObjectId(id);
+  });
+
+/**
+ * Đọc tham số số (tùy chọn), throw 400 nếu không hợp lệ
+ * @param {*} value - Giá trị từ query string
+ * @param {String} name - Tên tham số
+ * @param {Object} range - { min, max, integer }
+ * @returns {Number|undefined}
+ */
+const toNumber = (
+  value,
+  name,
+  { min = -Infinity, max = Infinity, integer = false } = {}
+) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (
+    !Number.isFinite(number) ||
+    number < min ||
+    number > max ||
+    (integer && !Number.isInteger(number))
+  ) {
+    throw createHttpError(400, `${name} không hợp lệ.`);
+  }
+  return number;
+};
+
+/**
+ * Chuẩn hóa toàn bộ tham số tìm kiếm
+ * @param {Object} query - req.query
+ * @returns {Object} - Tham số đã kiểm tra
+ */
+const parseSearchQuery = (query) => {
+  const types = toList(query.type || query.types);
+  const invalidType = types.find((type) => !SERVICE_TYPES.includes(type));
+  if (invalidType) {
+    throw createHttpError(400, `Loại dịch vụ không hợp lệ: ${invalidType}`);
+  }
+
+  const params = {
+    q: String(query.q || "").trim(),
+    types: types.length ? types : SERVICE_TYPES,
+    latitude: toNumber(query.lat ?? query.latitude, "lat", {
+      min: -90,
+      max: 90,
+    }),
+    longitude: toNumber(query.lng ?? query.longitude, "lng", {
+      min: -180,
+      max: 180,
+    }),
+    radius: toNumber(query.radius, "radius", { min: 0.1, max: 500 }),
+    priceCategories: toObjectIds(query.priceCategories, "priceCategories"),
+    suitabilities: toObjectIds(query.suitabilities, "suitabilities"),
+    facilityTypes: toObjectIds(query.facilityTypes, "facilityTypes"),
+    minRating: toNumber(query.minRating, "minRating", { min: 0, max: 5 }),
+    minPrice: toNumber(query.minPrice, "minPrice", { min: 0 }),
+    maxPrice: toNumber(query.maxPrice, "maxPrice", { min: 0 }),
+    checkIn: query.checkIn,
+    checkOut: query.checkOut,
+    date: query.date,
+    time: query.time,
+    rooms: toNumber(query.rooms, "rooms", { min: 1, integer: true }),
+    adults: toNumber(query.adults, "adults", { min: 1, integer: true }),
+    children: toNumber(query.children, "children", { min: 0, integer: true }),
+    page: toNumber(query.page, "page", { min: 1, integer: true }) || 1,
+    limit:
+      toNumber(query.limit, "limit", { min: 1, max: MAX_LIMIT, integer: true }) ||
+      DEFAULT_LIMIT,
+    sort: query.sort,
+  };
+
+  const hasPoint =
+    params.latitude !== undefined && params.longitude !== undefined;
+  if (
+    (params.latitude !== undefined || params.longitude !== undefined) &&
+    !hasPoint
+  ) {
+    throw createHttpError(400, "Cần cả lat và lng.");
+  }
+  if (params.radius !== undefined && !hasPoint) {
+    throw createHttpError(400, "Lọc theo bán kính cần lat và lng.");
+  }
+  if (Boolean(params.checkIn) !== Boolean(params.checkOut)) {
+    throw createHttpError(400, "Cần cả checkIn và checkOut.");
+  }
+  if (params.time && !params.date) {
+    throw createHttpError(400, "Lọc theo giờ đến cần date.");
+  }
+  if (
+    params.minPrice !== undefined &&
+    params.maxPrice !== undefined &&
+    params.minPrice > params.maxPrice
+  ) {
+    throw createHttpError(400, "minPrice phải nhỏ hơn hoặc bằng maxPrice.");
+  }
+
+  if (!params.sort) {
+    params.sort = params.q ? "relevance" : hasPoint ? "distance" : "rating";
+  }
+  if (!SORTS.includes(params.sort)) {
+    throw createHttpError(400, `sort phải là một trong: ${SORTS.join(", ")}`);
+  }
+  if (params.sort === "distance" && !hasPoint) {
+    throw createHttpError(400, "Sắp xếp theo khoảng cách cần lat và lng.");
+  }
+
+  params.hasPoint = hasPoint;
+  return params;
+};
+
+/**
+ * Biểu thức lấy khoảng cách (km) của Service từ danh sách Location đã tính
+ * bằng $geoNear
+ * @param {Array} nearby - [{ _id, distanceKm }]
+ * @returns {Object} - Biểu thức aggregation
+ */
+const distanceExpression = (nearby) => ({
+  $arrayElemAt: [
+    { $literal: nearby.map((location) => location.distanceKm) },
+    {
+      $indexOfArray: [
+        { $literal: nearby.map((location) => location._id) },
+        "$locationID",
+      ],
+    },
+  ],
+});
+
+/**
+ * Điều kiện còn chỗ theo ngày/số khách cho từng loại dịch vụ
+ * @param {Object} params - Tham số tìm kiếm
+ * @returns {Object|null} - Điều kiện $or theo loại, null nếu không lọc
+ */
+const buildAvailabilityFilter = async (params) => {
+  const partySize = (params.adults || 1) + (params.children || 0);
+  const hotelFilter = params.checkIn && params.types.includes("hotel");
+  const restaurantFilter =
+    params.types.includes("restaurant") &&
+    (params.date ||
+      params.adults !== undefined ||
+      params.children !== undefined);
+  if (!hotelFilter && !restaurantFilter) return null;
+
+  // Quán cà phê không nhận đặt chỗ nên không bị lọc theo ngày/số khách
+  const clauses = params.types
+    .filter((type) => type === "cafe")
+    .map((type) => ({ type }));
+
+  if (params.types.includes("hotel")) {
+    clauses.push(
+      hotelFilter
+        ? {
+            type: "hotel",
+            _id: {
+              $in: await availabilityService.getAvailableHotelServiceIDs({
+                checkIn: params.checkIn,
+                checkOut: params.checkOut,
+                rooms: params.rooms || 1,
+                adults: params.adults || 1,
+                children: params.children || 0,
+              }),
+            },
+          }
+        : { type: "hotel" }
+    );
+  }
+  if (params.types.includes("restaurant")) {
+    clauses.push(
+      restaurantFilter
+        ? {
+            type: "restaurant",
+            _id: {
+              $in: await availabilityService.getAvailableRestaurantServiceIDs({
+                date: params.date,
+                time: params.time,
+                partySize,
+              }),
+            },
+          }
+        : { type: "restaurant" }
+    );
+  }
+  return { $or: clauses };
+};
+
+/**
+ * Thứ tự sắp xếp theo tham số sort
+ * @param {String} sort - Kiểu sắp xếp
+ * @param {Boolean} hasText - Có tìm theo từ khóa hay không
+ * @returns {Object} - Biểu thức $sort
+ */
+const buildSort = (sort, hasText) => {
+  switch (sort) {
+    case "price_asc":
+      return { effectivePrice: 1, _id: 1 };
+    case "price_desc":
+      return { effectivePrice: -1, _id: 1 };
+    case "distance":
+      return { distanceKm: 1, _id: 1 };
+    case "newest":
+      return { createdAt: -1, _id: 1 };
+    case "relevance":
+      if (hasText) return { score: -1, "rating.average": -1, _id: 1 };
+      return { "rating.average": -1, "rating.count": -1, _id: 1 };
+    default:
+      return { "rating.average": -1, "rating.count": -1, _id: 1 };
+  }
+};
+
+/**
+ * Các stage đếm số kết quả theo một trường mảng, kèm tên hiển thị
+ * @param {String} field - Trường mảng trên Service
+ * @param {Object} model - Model được tham chiếu
+ * @param {String} labelField - Trường tên hiển thị của model
+ * @returns {Array} - Pipeline cho $facet
+ */
+const countByReference = (field, model, labelField) => [
+  { $unwind: `$${field}` },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  {
+    $lookup: {
+      from: model.collection.name,
+      localField: "_id",
+      foreignField: "_id",
+      as: "ref",
+    },
+  },
+  {
+    $project: {
+      _id: 1,
+      count: 1,
+      name: { $arrayElemAt: [`$ref.${labelField}`, 0] },
+    },
+  },
+  { $sort: { count: -1, _id: 1 } },
+];
+
+/**
+ * Ánh xạ mảng tài liệu đã lookup thành { _id, name }
+ */
+const mapNames = (field, labelField) => ({
+  $map: {
+    input: `$${field}`,
+    as: "item",
+    in: { _id: "$$item._id", name: `$$item.${labelField}` },
+  },
+});
+
+/**
+ * Điều kiện lọc theo loại, tiện nghi, mức giá, bán kính và còn chỗ
+ * @param {Object} params - Tham số tìm kiếm
+ * @param {Array|null} nearby - Location trong bán kính (nếu có tọa độ)
+ * @returns {Object} - Điều kiện $match trên Service
+ */
+const buildMatch = async (params, nearby) => {
+  const match = { status: "Active", type: { $in: params.types } };
+  if (params.facilityTypes.length) {
+    match.facilities = { $all: params.facilityTypes };
+  }
+  if (params.suitabilities.length) {
+    match.suitability = { $all: params.suitabilities };
+  }
+  if (params.priceCategories.length) {
+    match.priceCategories = { $in: params.priceCategories };
+  }
+  if (nearby) {
+    match.locationID = { $in: nearby.map((location) => location._id) };
+  }
+  const availability = await buildAvailabilityFilter(params);
+  if (availability) match.$and = [availability];
+  return match;
+};
+
+/**
+ * Chạy pipeline tìm kiếm, phân trang và đếm theo nhóm
+ * @param {Object} params - Tham số tìm kiếm
+ * @param {Object} match - Điều kiện $match trên Service
+ * @param {Object|null} relevance - { expression, minScore } tính điểm liên quan
+ * @param {Array|null} nearby - Location kèm khoảng cách (nếu có tọa độ)
+ * @returns {Object} - { results, total, page, limit, totalPages, sort, facets }
+ */
+const runSearch = async (params, match, relevance, nearby) => {
+  const pipeline = [{ $match: match }];
+  if (relevance) {
+    pipeline.push({ $addFields: { score: relevance.expression } });
+    if (relevance.minScore) {
+      pipeline.push({ $match: { score: { $gte: relevance.minScore } } });
+    }
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: Location.collection.name,
+        localField: "locationID",
+        foreignField: "_id",
+        as: "location",
+      },
+    },
+    { $unwind: { path: "$location", preserveNullAndEmptyArrays: true } }
+  );
+  if (nearby) {
+    pipeline.push({ $addFields: { distanceKm: distanceExpression(nearby) } });
+  }
+
+  pipeline.push(
+    {
+      $addFields: {
+        // Đọc từ tổng hợp đánh giá đã lưu sẵn trên Service
+        rating: {
+          average: { $ifNull: ["$ratingSummary.average", 0] },
+          count: { $ifNull: ["$ratingSummary.count", 0] },
+        },
+        // Giá hiển thị: ưu tiên giá khuyến mãi nếu thấp hơn giá gốc
+        effectivePrice: {
+          $cond: [
+            {
+              $and: [
+                { $gt: ["$discountPrice", 0] },
+                { $lt: ["$discountPrice", "$price"] },
+              ],
+            },
+            "$discountPrice",
+            "$price",
+          ],
+        },
+      },
+    }
+  );
+
+  const postMatch = {};
+  if (params.minRating !== undefined) {
+    postMatch["rating.average"] = { $gte: params.minRating };
+  }
+  if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+    postMatch.effectivePrice = {};
+    if (params.minPrice !== undefined) {
+      postMatch.effectivePrice.$gte = params.minPrice;
+    }
+    if (params.maxPrice !== undefined) {
+      postMatch.effectivePrice.$lte = params.maxPrice;
+    }
+  }
+  if (Object.keys(postMatch).length) pipeline.push({ $match: postMatch });
+
+  const lookup = (model, localField, as) => ({
+    $lookup: {
+      from: model.collection.name,
+      localField,
+      foreignField: "_id",
+      as,
+    },
+  });
+  const lookupDetails = (model, as) => ({
+    $lookup: {
+      from: model.collection.name,
+      localField: "_id",
+      foreignField: "serviceID",
+      as,
+    },
+  });
+
+  pipeline.push({
+    $facet: {
+      results: [
+        { $sort: buildSort(params.sort, Boolean(relevance)) },
+        { $skip: (params.page - 1) * params.limit },
+        { $limit: params.limit },
+        lookupDetails(Hotel, "hotel"),
+        lookupDetails(Restaurant, "restaurant"),
+        lookupDetails(Coffee, "coffee"),
+        lookup(PriceCategory, "priceCategories", "priceCategoryDocs"),
+        lookup(Suitability, "suitability", "suitabilityDocs"),
+        lookup(FacilityType, "facilities", "facilityDocs"),
+        {
+          $project: {
+            _id: 1,
+            serviceID: 1,
+            type: 1,
+            name: "$serviceName",
+            description: 1,
+            image: { $arrayElemAt: ["$images", 0] },
+            images: 1,
+            price: 1,
+            discountPrice: 1,
+            effectivePrice: 1,
+            details: {
+              $arrayElemAt: [
+                { $concatArrays: ["$hotel", "$restaurant", "$coffee"] },
+                0,
+              ],
+            },
+            location: {
+              _id: "$location._id",
+              locationName: "$location.locationName",
+              latitude: "$location.latitude",
+              longitude: "$location.longitude",
+            },
+            distanceKm: params.hasPoint
+              ? { $round: ["$distanceKm", 2] }
+              : { $literal: null },
+            rating: 1,
+            score: { $ifNull: ["$score", null] },
+            priceCategories: mapNames("priceCategoryDocs", "type"),
+            suitability: mapNames("suitabilityDocs", "name"),
+            facilities: mapNames("facilityDocs", "name"),
+          },
+        },
+        { $project: { "details.serviceID": 0, "details.__v": 0 } },
+      ],
+      total: [{ $count: "count" }],
+      types: [
+        { $group: { _id: "$type", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      priceCategories: countByReference(
+        "priceCategories",
+        PriceCategory,
+        "type"
+      ),
+      suitability: countByReference("suitability", Suitability, "name"),
+      facilities: countByReference("facilities", FacilityType, "name"),
+      rating: [
+        {
+          $group: {
+            _id: null,
+            ...Object.fromEntries(
+              RATING_THRESHOLDS.map((threshold, index) => [
+                `t${index}`,
+                {
+                  $sum: {
+                    $cond: [{ $gte: ["$rating.average", threshold] }, 1, 0],
+                  },
+                },
+              ])
+            ),
+          },
+        },
+      ],
+    },
+  });
+
+  const [result] = await Service.aggregate(pipeline);
+  const total = result.total.length ? result.total[0].count : 0;
+  const ratingCounts = result.rating[0] || {};
+
+  return {
+    results: result.results,
+    total,
+    page: params.page,
+    limit: params.limit,
+    totalPages: Math.ceil(total / params.limit),
+    sort: params.sort,
+    facets: {
+      types: result.types.map(({ _id, count }) => ({ type: _id, count })),
+      priceCategories: result.priceCategories,
+      suitability: result.suitability,
+      facilities: result.facilities,
+      rating: RATING_THRESHOLDS.map((minRating, index) => ({
+        minRating,
+        count: ratingCounts[`t${index}`] || 0,
+      })),
+    },
+  };
+};
+
+/**
+ * Tìm kiếm chung cho khách sạn, nhà hàng và quán cà phê.
+ * Từ khóa được bỏ dấu rồi tìm qua text index (tên > địa điểm > mô tả);
+ * nếu không có kết quả thì so khớp gần đúng theo trigram để chịu lỗi gõ sai.
+ * @param {Object} query - req.query
+ * @returns {Object} - { results, total, page, limit, totalPages, sort, fuzzy, facets }
+ */
+const search = async (query) => {
+  const params = parseSearchQuery(query);
+
+  // Khoảng cách tới các Location tính bằng $geoNear (index 2dsphere)
+  const nearby = params.hasPoint
+    ? await geoService.getLocationsWithin({
+        latitude: params.latitude,
+        longitude: params.longitude,
+        distance: params.radius,
+      })
+    : null;
+  const match = await buildMatch(params, nearby);
+
+  const text = foldVietnamese(params.q);
+  if (!text) {
+    return { ...(await runSearch(params, match, null, nearby)), fuzzy: false };
+  }
+
+  const exact = await runSearch(
+    params,
+    { ...match, $text: { $search: text } },
+    { expression: { $meta: "textScore" } },
+    nearby
+  );
+  if (exact.total > 0) return { ...exact, fuzzy: false };
+
+  const grams = trigrams(text);
+  const fuzzy = await runSearch(
+    params,
+    { ...match, searchTrigrams: { $in: grams } },
+    {
+      expression: {
+        $divide: [
+          { $size: { $setIntersection: ["$searchTrigrams", grams] } },
+          grams.length,
+        ],
+      },
+      minScore: MIN_SIMILARITY,
+    },
+    nearby
+  );
+  return { ...fuzzy, fuzzy: true };
+};
+
+/**
+ * Gợi ý khi đang gõ: Service và Location có tên (không dấu) bắt đầu bằng
+ * một từ của truy vấn, bổ sung bằng so khớp trigram nếu chưa đủ
+ * @param {Object} query - { q, limit }
+ * @returns {Object} - { query, services, locations }
+ */
+const suggest = async (query) => {
+  const text = foldVietnamese(query.q);
+  const limit =
+    toNumber(query.limit, "limit", {
+      min: 1,
+      max: MAX_SUGGESTIONS,
+      integer: true,
+    }) || DEFAULT_SUGGESTIONS;
+  if (text.length < 2) {
+    return { query: query.q || "", services: [], locations: [] };
+  }
+
+  const prefix = new RegExp(`(^| )${escapeRegExp(text)}`);
+  const grams = trigrams(text);
+
+  // Khớp tiền tố trước, sau đó bổ sung kết quả gần đúng theo trigram
+  const findMatches = async (model, filter, fields, nameField) => {
+    const matched = await model
+      .find({ ...filter, [nameField]: prefix })
+      .select(fields)
+      .limit(limit);
+    if (matched.length >= limit) return matched;
+
+    const candidates = await model
+      .find({
+        ...filter,
+        _id: { $nin: matched.map((doc) => doc._id) },
+        searchTrigrams: { $in: grams },
+      })
+      .select(`${fields} +searchTrigrams`)
+      .limit(limit * 10);
+    const similar = candidates
+      .map((doc) => ({
+        doc,
+        score: trigramSimilarity(grams, doc.searchTrigrams),
+      }))
+      .filter(({ score }) => score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit - matched.length)
+      .map(({ doc }) => doc);
+    return [...matched, ...similar];
+  };
+
+  const services = await findMatches(
+    Service,
+    { status: "Active" },
+    "serviceName type locationID",
+    "searchName"
+  );
+  const locations = await findMatches(
+    Location,
+    {},
+    "locationName",
+    "searchName"
+  );
+  await Service.populate(services, {
+    path: "locationID",
+    select: "locationName",
+  });
+
+  return {
+    query: query.q,
+    services: services.map((service) => ({
+      _id: service._id,
+      name: service.serviceName,
+      type: service.type,
+      locationName: service.locationID ? service.locationID.locationName : null,
+    })),
+    locations: locations.map((location) => ({
+      _id: location._id,
+      locationName: location.locationName,
+    })),
+  };
+};
+
+module.exports = {
+  SERVICE_TYPES,
+  SORTS,
+  parseSearchQuery,
+  search,
+  suggest,
+};
@@ -3,6 +3,10 @@ const FacilityType = require("../models/FacilityType");
 const PriceCategory = require("../models/PriceCategory");
 const Suitability = require("../models/Suitability");
 const Review = require("../models/Review");
+const Location = require("../models/Location");
+const ownershipService = require("./ownershipService");
+const searchIndexService = require("./searchIndexService");
+const createHttpError = require("../utils/httpError");
 
 /**
  * Tạo một Service mới
@@ -19,6 +23,7 @@ const createService = async (serviceData) => {
     discountPrice,
     description,
     status,
+    type,
     facilities,
     priceCategories,
     suitability,
@@ -77,6 +82,7 @@ const createService = async (serviceData) => {
     discountPrice,
     description,
     status,
+    type,
     facilities,
     priceCategories,
     suitability,
@@ -84,6 +90,13 @@ const createService = async (serviceData) => {
     images, // Lưu mảng hình ảnh
   });
 
+  // Trường tìm kiếm không dấu
+  const location = await Location.findById(locationID).select("locationName");
+  Object.assign(
+    newService,
+    searchIndexService.buildServiceSearchFields(newService, location)
+  );
+
   return await newService.save();
 };
 /**
@@ -95,10 +108,11 @@ const getAllServices = async () => {
     .populate("facilities", "facilityTypeID name")
     .populate("priceCategories", "priceCategoryID cheap midRange luxury")
     .populate("suitability", "suitabilityID name")
-    .populate(
-      "reviews",
-      "reviewID userID positiveComment negativeComment stars date"
-    );
+    .populate({
+      path: "reviews",
+      select: "reviewID userID positiveComment negativeComment stars date response pictures",
+      match: Review.visibleFilter(), // Bỏ đánh giá chờ duyệt hoặc đã ẩn
+    });
 };
 
 /**
@@ -113,7 +127,7 @@ const getServiceById = async (id) => {
     .populate("suitability", "suitabilityID name")
     .populate({
       path: "reviews",
-      
+      match: Review.visibleFilter(), // Bỏ đánh giá chờ duyệt hoặc đã ẩn
       populate: {
         path: "userID", // Populate user details in reviews
         // Omitting 'select' will include all fields from the User model
@@ -129,18 +143,10 @@ const getServiceById = async (id) => {
  * @returns {Boolean} - Kết quả xóa
  */
 const deleteServiceById = async (id, user) => {
-  const service = await Service.findById(id);
-
-  if (!service) {
-    throw new Error("Service not found");
-  }
-
   // Chỉ Admin hoặc Provider sở hữu Service được phép xóa
-  if (user.role !== "Admin" && user.id !== service.providerID.toString()) {
-    throw new Error("Access denied");
-  }
+  const service = await ownershipService.assertServiceOwner(user, id);
 
-  await service.remove();
+  await service.deleteOne();
   return true;
 };
 
@@ -199,7 +205,10 @@ const validateReviewIDs = async (reviewIDs) => {
   }
   return invalidIDs;
 };
-const updateServiceById = async (id, updateFields) => {
+const updateServiceById = async (id, updateFields, user) => {
+  // Chỉ Admin hoặc Provider sở hữu Service được phép cập nhật
+  await ownershipService.assertServiceOwner(user, id);
+
   // Tìm và cập nhật dịch vụ trong cơ sở dữ liệu
   const updatedService = await Service.findByIdAndUpdate(
     id, // ID của dịch vụ
@@ -208,9 +217,55 @@ const updateServiceById = async (id, updateFields) => {
   );
 
   console.log("UPDATE",updatedService)
+
+  // Tên, mô tả hoặc địa điểm thay đổi thì cập nhật lại trường tìm kiếm
+  if (
+    updatedService &&
+    ["serviceName", "description", "locationID"].some(
+      (field) => updateFields[field] !== undefined
+    )
+  ) {
+    await searchIndexService.refreshService(updatedService._id);
+  }
   return updatedService; // Trả về dịch vụ sau khi cập nhật
 };
 
+/**
+ * Cập nhật chính sách hủy của Service
+ * @param {String} id - ObjectId của Service
+ * @param {Object} policy - { refundable, freeCancellationDays, penalties, description }
+ * @param {Object} user - req.user
+ * @returns {Object} - Service sau khi cập nhật
+ */
+const updateCancellationPolicy = async (id, policy, user) => {
+  const service = await ownershipService.assertServiceOwner(user, id);
+
+  const penalties = (policy.penalties || []).map((item) => ({
+    daysBefore: Number(item.daysBefore),
+    penaltyPercent: Number(item.penaltyPercent),
+  }));
+  const daysList = penalties.map((item) => item.daysBefore);
+  if (new Set(daysList).size !== daysList.length) {
+    throw createHttpError(400, "Mỗi mốc daysBefore chỉ được khai báo một lần.");
+  }
+
+  const freeCancellationDays = Number(policy.freeCancellationDays ?? 0);
+  if (penalties.some((item) => item.daysBefore >= freeCancellationDays)) {
+    throw createHttpError(
+      400,
+      "Các mốc phạt phải nhỏ hơn số ngày hủy miễn phí."
+    );
+  }
+
+  service.cancellationPolicy = {
+    refundable: policy.refundable ?? true,
+    freeCancellationDays,
+    penalties: penalties.sort((a, b) => b.daysBefore - a.daysBefore),
+    description: policy.description || "",
+  };
+  return await service.save();
+};
+
 module.exports = {
   createService,
   getAllServices,
@@ -220,5 +275,6 @@ module.exports = {
   validatePriceCategoryIDs,
   validateSuitabilityIDs,
   validateReviewIDs,
-  updateServiceById
+  updateServiceById,
+  updateCancellationPolicy,
 };
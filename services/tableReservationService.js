@@ -0,0 +1,364 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const Table = require("../models/Table");
+const Restaurant = require("../models/Restaurant");
+const TableReservation = require("../models/TableReservation");
+const voucherService = require("./voucherService");
+const loyaltyService = require("./loyaltyService");
+const guestDetailsService = require("./guestDetailsService");
+const createHttpError = require("../utils/httpError");
+const {
+  startOfDay,
+  isValidDate,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  atVenueTime,
+} = require("../utils/dateUtils");
+
+/**
+ * Sinh mã hóa đơn duy nhất
+ * @returns {String} - Mã hóa đơn
+ */
+const generateInvoiceID = () =>
+  `INV-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * Giá đặt bàn (ưu tiên giá giảm nếu có)
+ * @param {Object} table - Table
+ * @returns {Number} - Đơn giá
+ */
+const getTablePrice = (table) =>
+  table.discountPrice > 0 && table.discountPrice < table.price
+    ? table.discountPrice
+    : table.price;
+
+/**
+ * Kiểm tra giờ mở cửa của bàn
+ * @param {Object} data - { openingTime, closingTime, slotMinutes }
+ */
+const validateOpeningHours = ({ openingTime, closingTime, slotMinutes }) => {
+  const opening = parseTimeOfDay(openingTime);
+  const closing = parseTimeOfDay(closingTime);
+  if (opening === null || closing === null) {
+    throw createHttpError(400, "Giờ mở cửa phải có dạng HH:mm.");
+  }
+  if (!Number.isInteger(Number(slotMinutes)) || Number(slotMinutes) < 15) {
+    throw createHttpError(400, "Thời lượng một lượt phải từ 15 phút.");
+  }
+  if (opening + Number(slotMinutes) > closing) {
+    throw createHttpError(
+      400,
+      "Giờ đóng cửa phải sau giờ mở cửa ít nhất một lượt đặt."
+    );
+  }
+};
+
+/**
+ * Danh sách khung giờ trong ngày của bàn, start/end là thời điểm thực theo giờ địa phương
+ * @param {Object} table - Table
+ * @param {Date} date - Ngày (00:00 UTC)
+ * @returns {Array} - [{ startTime, endTime, start, end }]
+ */
+const getTableSlots = (table, date) => {
+  const opening = parseTimeOfDay(table.openingTime);
+  const closing = parseTimeOfDay(table.closingTime);
+  const slots = [];
+
+  for (
+    let minute = opening;
+    minute + table.slotMinutes <= closing;
+    minute += table.slotMinutes
+  ) {
+    slots.push({
+      startTime: formatTimeOfDay(minute),
+      endTime: formatTimeOfDay(minute + table.slotMinutes),
+      start: atVenueTime(date, minute),
+      end: atVenueTime(date, minute + table.slotMinutes),
+    });
+  }
+  return slots;
+};
+
+/**
+ * Hai khoảng thời gian có giao nhau hay không
+ */
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Lấy các khung giờ còn trống của nhà hàng theo ngày và số khách
+ * @param {Object} query - { restaurantID, date, partySize }
+ * @returns {Object} - { restaurantID, date, partySize, slots }
+ */
+const getAvailability = async ({ restaurantID, date, partySize }) => {
+  const size = Number(partySize ?? 1);
+
+  if (!mongoose.Types.ObjectId.isValid(restaurantID)) {
+    throw createHttpError(400, "restaurantID không hợp lệ.");
+  }
+  if (!isValidDate(date)) {
+    throw createHttpError(400, "Ngày không hợp lệ.");
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    throw createHttpError(400, "Số khách phải là số nguyên >= 1.");
+  }
+
+  const restaurant = await Restaurant.findById(restaurantID);
+  if (!restaurant) {
+    throw createHttpError(404, "Restaurant not found");
+  }
+
+  const day = startOfDay(date);
+  const now = new Date();
+
+  const tables = await Table.find({
+    restaurantID,
+    active: true,
+    seats: { $gte: size },
+  }).sort({ seats: 1, price: 1 });
+
+  const reservations = await TableReservation.find({
+    tableID: { $in: tables.map((table) => table._id) },
+    date: day,
+    status: "booked",
+  }).select("tableID start end");
+
+  // Gom các bàn còn trống theo từng khung giờ
+  const slotMap = new Map();
+  for (const table of tables) {
+    const booked = reservations.filter(
+      (reservation) => reservation.tableID.toString() === table._id.toString()
+    );
+
+    for (const slot of getTableSlots(table, day)) {
+      if (slot.start < now) continue;
+      if (booked.some((reservation) => overlaps(reservation, slot))) continue;
+
+      const key = `${slot.startTime}-${slot.endTime}`;
+      if (!slotMap.has(key)) {
+        slotMap.set(key, {
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          tables: [],
+        });
+      }
+      slotMap.get(key).tables.push({
+        _id: table._id,
+        tableID: table.tableID,
+        tableType: table.tableType,
+        seats: table.seats,
+        price: getTablePrice(table),
+      });
+    }
+  }
+
+  const slots = [...slotMap.values()].sort((a, b) =>
+    a.startTime.localeCompare(b.startTime)
+  );
+
+  return { restaurantID, date: day, partySize: size, slots };
+};
+
+/**
+ * Đặt bàn bên trong một transaction có sẵn
+ * @param {String} tableID - ObjectId của Table
+ * @param {Object} reservationData - { date, arrivalTime, adults, children }
+ * @param {Object} user - req.user
+ * @param {Object} session - Mongo session
+ * @returns {Object} - Invoice vừa tạo
+ */
+const reserveTableInSession = async (tableID, reservationData, user, session) => {
+  const { date, arrivalTime } = reservationData;
+  const adults = Number(reservationData.adults ?? 1);
+  const children = Number(reservationData.children ?? 0);
+
+  if (!mongoose.Types.ObjectId.isValid(tableID)) {
+    throw createHttpError(400, "tableID không hợp lệ.");
+  }
+  if (!isValidDate(date)) {
+    throw createHttpError(400, "Ngày đặt bàn không hợp lệ.");
+  }
+  const arrival = parseTimeOfDay(arrivalTime);
+  if (arrival === null) {
+    throw createHttpError(400, "Giờ đến phải có dạng HH:mm.");
+  }
+  if (!Number.isInteger(adults) || adults < 1) {
+    throw createHttpError(400, "Số người lớn phải là số nguyên >= 1.");
+  }
+  if (!Number.isInteger(children) || children < 0) {
+    throw createHttpError(400, "Số trẻ em phải là số nguyên >= 0.");
+  }
+  const guestDetails = guestDetailsService.parseGuestDetails(
+    reservationData,
+    adults + children
+  );
+
+  // Tăng reservationSeq để các transaction đặt cùng bàn bị xung đột ghi
+  // và chạy tuần tự, tránh hai lượt cùng vượt qua bước kiểm tra trùng giờ
+  const table = await Table.findOneAndUpdate(
+    { _id: tableID },
+    { $inc: { reservationSeq: 1 } },
+    { new: true, session }
+  );
+  if (!table) {
+    throw createHttpError(404, "Table not found");
+  }
+  if (!table.active) {
+    throw createHttpError(409, "Bàn hiện không nhận đặt.");
+  }
+  if (adults + children > table.seats) {
+    throw createHttpError(400, "Số khách vượt quá số chỗ ngồi của bàn.");
+  }
+
+  const restaurant = await Restaurant.findById(table.restaurantID).session(
+    session
+  );
+  if (!restaurant) {
+    throw createHttpError(404, "Restaurant not found");
+  }
+
+  const opening = parseTimeOfDay(table.openingTime);
+  const closing = parseTimeOfDay(table.closingTime);
+  if (arrival < opening || arrival + table.slotMinutes > closing) {
+    throw createHttpError(
+      400,
+      `Giờ đến phải trong khoảng ${table.openingTime} - ${formatTimeOfDay(
+        closing - table.slotMinutes
+      )}.`
+    );
+  }
+
+  // Giờ đến là giờ địa phương của nhà hàng
+  const day = startOfDay(date);
+  const start = atVenueTime(day, arrival);
+  const end = atVenueTime(day, arrival + table.slotMinutes);
+  if (start < new Date()) {
+    throw createHttpError(400, "Không thể đặt bàn cho thời điểm đã qua.");
+  }
+
+  const conflict = await TableReservation.exists({
+    tableID: table._id,
+    status: "booked",
+    start: { $lt: end },
+    end: { $gt: start },
+  }).session(session);
+  if (conflict) {
+    throw createHttpError(
+      409,
+      `Bàn ${table.tableID} đã có người đặt trong khung giờ này.`
+    );
+  }
+
+  const userID =
+    user.role === "Admin" && reservationData.userID
+      ? reservationData.userID
+      : user.id;
+
+  const invoice = new Invoice({
+    invoiceID: generateInvoiceID(),
+    userID,
+    serviceID: restaurant.serviceID,
+    quantity: 1,
+    totalAmount: getTablePrice(table),
+    issueDate: new Date(),
+    paymentStatus: "unpaid",
+    status: "chờ xác nhận",
+    tableID: table._id,
+    checkInDate: start,
+    checkOutDate: end,
+    pictures: reservationData.pictures || table.pictures,
+    invoiceType: "restaurant",
+    arrivalDate: day,
+    arrivalTime,
+    adults,
+    children,
+    ...guestDetails,
+    statusHistory: [
+      { to: "chờ xác nhận", changedBy: user.id, role: user.role },
+    ],
+  });
+
+  if (reservationData.voucherCode) {
+    await voucherService.applyVoucherInSession(
+      reservationData.voucherCode,
+      invoice,
+      session
+    );
+  }
+  if (reservationData.redeemPoints) {
+    await loyaltyService.redeemPointsInSession(
+      reservationData.redeemPoints,
+      invoice,
+      session
+    );
+  }
+  await invoice.save({ session });
+
+  await TableReservation.create(
+    [
+      {
+        tableID: table._id,
+        restaurantID: restaurant._id,
+        invoiceID: invoice._id,
+        userID,
+        date: day,
+        arrivalTime,
+        start,
+        end,
+        adults,
+        children,
+      },
+    ],
+    { session }
+  );
+
+  return invoice;
+};
+
+/**
+ * Đặt bàn: kiểm tra giờ mở cửa, số chỗ, trùng khung giờ và tạo Invoice
+ * trong cùng một transaction
+ * @param {String} tableID - ObjectId của Table
+ * @param {Object} reservationData - { date, arrivalTime, adults, children }
+ * @param {Object} user - req.user
+ * @returns {Object} - Invoice vừa tạo
+ */
+const createTableReservation = async (tableID, reservationData, user) => {
+  const session = await mongoose.startSession();
+  try {
+    let invoice;
+    await session.withTransaction(async () => {
+      invoice = await reserveTableInSession(
+        tableID,
+        reservationData,
+        user,
+        session
+      );
+    });
+    return invoice;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Hủy lượt đặt bàn của hóa đơn, dùng trong transaction
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {Object} session - Mongo session
+ * @returns {Object|null} - TableReservation đã hủy hoặc null nếu không có
+ */
+const cancelReservationInSession = async (invoiceID, session) => {
+  return await TableReservation.findOneAndUpdate(
+    { invoiceID, status: "booked" },
+    { $set: { status: "cancelled", cancelledAt: new Date() } },
+    { new: true, session }
+  );
+};
+
+module.exports = {
+  getTablePrice,
+  validateOpeningHours,
+  getAvailability,
+  reserveTableInSession,
+  createTableReservation,
+  cancelReservationInSession,
+};
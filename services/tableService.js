@@ -1,6 +1,7 @@
 const Table = require("../models/Table");
-const Restaurant = require("../models/Restaurant");
 const Facility = require("../models/Facility");
+const ownershipService = require("./ownershipService");
+const tableReservationService = require("./tableReservationService");
 
 // Tạo Table mới
 const createTable = async (tableData, user, picturePaths) => {
@@ -13,16 +14,14 @@ const createTable = async (tableData, user, picturePaths) => {
     discountPrice,
     active,
     facilities,
+    seats,
+    openingTime,
+    closingTime,
+    slotMinutes,
   } = tableData;
 
-  // Kiểm tra Restaurant có tồn tại hay không
-  const restaurant = await Restaurant.findById(restaurantID);
-  if (!restaurant) throw new Error("Restaurant ID không tồn tại.");
-
-  // Kiểm tra quyền Provider (nếu người dùng không phải Admin)
-  if (user.role === "Provider" && user.id !== restaurant.serviceID.providerID) {
-    throw new Error("Bạn không có quyền tạo Table cho Restaurant này.");
-  }
+  // Kiểm tra Restaurant tồn tại và thuộc về Provider đang đăng nhập
+  await ownershipService.assertRestaurantOwner(user, restaurantID);
 
   // Kiểm tra giá
   if (price === undefined || price < 0) {
@@ -35,6 +34,13 @@ const createTable = async (tableData, user, picturePaths) => {
     throw new Error("Discount Price phải là số không âm và nhỏ hơn Price.");
   }
 
+  // Kiểm tra giờ mở cửa và thời lượng một lượt đặt
+  tableReservationService.validateOpeningHours({
+    openingTime: openingTime || "10:00",
+    closingTime: closingTime || "22:00",
+    slotMinutes: slotMinutes ?? 120,
+  });
+
   // Kiểm tra danh sách tiện ích
   if (facilities) {
     for (const facilityID of facilities) {
@@ -56,6 +62,10 @@ const createTable = async (tableData, user, picturePaths) => {
     active: active ?? true, // Nếu không cung cấp, mặc định là true
     pictures: picturePaths, // Lưu mảng đường dẫn ảnh
     facilities, // Lưu danh sách tiện ích
+    seats,
+    openingTime,
+    closingTime,
+    slotMinutes,
   });
 
   return await newTable.save();
@@ -71,20 +81,31 @@ const getTableById = async (id) => {
 };
 
 // Cập nhật Table
-const updateTableById = async (id, tableData) => {
-  const table = await Table.findById(id);
-  if (!table) throw new Error("Table not found");
+const updateTableById = async (id, tableData, user) => {
+  const table = await ownershipService.assertTableOwner(user, id);
+
+  // Không cho phép chuyển Table sang Restaurant của Provider khác
+  if (
+    tableData.restaurantID &&
+    tableData.restaurantID.toString() !== table.restaurantID.toString()
+  ) {
+    await ownershipService.assertRestaurantOwner(user, tableData.restaurantID);
+  }
+
+  // reservationSeq chỉ do luồng đặt bàn cập nhật
+  const { reservationSeq, ...fields } = tableData;
+  Object.assign(table, fields);
+
+  tableReservationService.validateOpeningHours(table);
 
-  Object.assign(table, tableData);
   return await table.save();
 };
 
 // Xóa Table
-const deleteTableById = async (id) => {
-  const table = await Table.findById(id);
-  if (!table) throw new Error("Table not found");
+const deleteTableById = async (id, user) => {
+  const table = await ownershipService.assertTableOwner(user, id);
 
-  return await table.remove();
+  return await table.deleteOne();
 };
 
 module.exports = {
@@ -0,0 +1,333 @@
+const Voucher = require("../models/Voucher");
+const VoucherRedemption = require("../models/VoucherRedemption");
+const Provider = require("../models/Provider");
+const Service = require("../models/Service");
+const ownershipService = require("./ownershipService");
+const createHttpError = require("../utils/httpError");
+
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "minSpend",
+  "startDate",
+  "endDate",
+  "usageLimit",
+  "perUserLimit",
+  "serviceTypes",
+  "active",
+];
+
+/**
+ * Kiểm tra giá trị giảm và thời hạn của mã
+ * @param {Object} voucher - Voucher (chưa lưu)
+ */
+const validateVoucherRules = (voucher) => {
+  if (voucher.discountType === "percentage" && voucher.discountValue > 100) {
+    throw createHttpError(400, "Mức giảm theo % không được vượt quá 100.");
+  }
+  if (new Date(voucher.startDate) > new Date(voucher.endDate)) {
+    throw createHttpError(400, "Ngày bắt đầu phải trước ngày kết thúc.");
+  }
+};
+
+/**
+ * Kiểm tra quyền trên Voucher: Admin mọi mã, Provider chỉ mã của mình
+ * @param {Object} user - req.user
+ * @param {String} id - ObjectId của Voucher
+ * @returns {Object} - Voucher
+ */
+const assertVoucherOwner = async (user, id) => {
+  const voucher = await Voucher.findById(id);
+  if (!voucher) {
+    throw createHttpError(404, "Voucher not found");
+  }
+  if (ownershipService.isAdmin(user)) return voucher;
+
+  // Mã toàn hệ thống chỉ Admin được sửa
+  if (!voucher.providerID) {
+    throw createHttpError(403, "Access denied");
+  }
+  await ownershipService.assertProviderOwner(user, voucher.providerID);
+  return voucher;
+};
+
+/**
+ * Tạo mã khuyến mãi
+ * @param {Object} voucherData - Dữ liệu từ request body
+ * @param {Object} user - req.user
+ * @returns {Object} - Voucher vừa tạo
+ */
+const createVoucher = async (voucherData, user) => {
+  let providerID = voucherData.providerID;
+
+  if (user.role === "Provider") {
+    // Provider chỉ tạo mã cho chính mình
+    if (!providerID) {
+      const provider = await Provider.findOne({ userID: user.id });
+      if (!provider) {
+        throw createHttpError(404, "Provider not found");
+      }
+      providerID = provider._id;
+    }
+    await ownershipService.assertProviderOwner(user, providerID);
+  } else if (providerID) {
+    await ownershipService.assertProviderOwner(user, providerID);
+  }
+
+  const existing = await Voucher.findOne({
+    code: String(voucherData.code).trim().toUpperCase(),
+  });
+  if (existing) {
+    throw createHttpError(409, "Mã khuyến mãi đã tồn tại.");
+  }
+
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (voucherData[field] !== undefined) fields[field] = voucherData[field];
+  }
+  const voucher = new Voucher({
+    ...fields,
+    code: voucherData.code,
+    providerID,
+    createdBy: user.id,
+  });
+  validateVoucherRules(voucher);
+
+  return await voucher.save();
+};
+
+/**
+ * Danh sách mã khuyến mãi: Admin thấy tất cả, Provider thấy mã của mình
+ * @param {Object} user - req.user
+ * @returns {Array} - Danh sách Voucher
+ */
+const getVouchers = async (user) => {
+  if (ownershipService.isAdmin(user)) {
+    return await Voucher.find().sort({ createdAt: -1 });
+  }
+
+  const providers = await Provider.find({ userID: user.id }).select("_id");
+  return await Voucher.find({
+    providerID: { $in: providers.map((provider) => provider._id) },
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Cập nhật mã khuyến mãi (không đổi code và Provider)
+ * @param {String} id - ObjectId của Voucher
+ * @param {Object} voucherData - Dữ liệu cập nhật
+ * @param {Object} user - req.user
+ * @returns {Object} - Voucher sau khi cập nhật
+ */
+const updateVoucher = async (id, voucherData, user) => {
+  const voucher = await assertVoucherOwner(user, id);
+
+  for (const field of EDITABLE_FIELDS) {
+    if (voucherData[field] !== undefined) voucher[field] = voucherData[field];
+  }
+  validateVoucherRules(voucher);
+
+  return await voucher.save();
+};
+
+/**
+ * Xóa mã khuyến mãi; mã đã có lượt dùng thì chỉ ngừng hoạt động
+ * @param {String} id - ObjectId của Voucher
+ * @param {Object} user - req.user
+ * @returns {Object} - Voucher
+ */
+const deleteVoucher = async (id, user) => {
+  const voucher = await assertVoucherOwner(user, id);
+
+  const redeemed = await VoucherRedemption.exists({ voucherID: voucher._id });
+  if (redeemed) {
+    voucher.active = false;
+    return await voucher.save();
+  }
+  return await voucher.deleteOne();
+};
+
+/**
+ * Tính số tiền giảm nếu mã hợp lệ cho đơn hàng, ngược lại throw lỗi
+ * @param {Object} voucher - Voucher
+ * @param {Object} order - { userID, service, amount }
+ * @param {Object} session - Mongo session (tùy chọn)
+ * @returns {Number} - Số tiền được giảm
+ */
+const calculateDiscount = async (voucher, { userID, service, amount }, session) => {
+  const now = new Date();
+
+  if (!voucher || !voucher.active) {
+    throw createHttpError(404, "Mã khuyến mãi không tồn tại hoặc đã ngừng.");
+  }
+  if (now < voucher.startDate || now > voucher.endDate) {
+    throw createHttpError(400, "Mã khuyến mãi chưa đến hoặc đã hết hạn.");
+  }
+  if (
+    voucher.serviceTypes.length &&
+    !voucher.serviceTypes.includes(service.type)
+  ) {
+    throw createHttpError(400, "Mã khuyến mãi không áp dụng cho loại dịch vụ này.");
+  }
+  if (
+    voucher.providerID &&
+    voucher.providerID.toString() !== service.providerID.toString()
+  ) {
+    throw createHttpError(400, "Mã khuyến mãi không áp dụng cho dịch vụ này.");
+  }
+  if (amount < voucher.minSpend) {
+    throw createHttpError(
+      400,
+      `Đơn hàng tối thiểu ${voucher.minSpend} để dùng mã này.`
+    );
+  }
+  if (voucher.usageLimit && voucher.usedCount >= voucher.usageLimit) {
+    throw createHttpError(409, "Mã khuyến mãi đã hết lượt sử dụng.");
+  }
+
+  const usedByUser = await VoucherRedemption.countDocuments({
+    voucherID: voucher._id,
+    userID,
+    status: "applied",
+  }).session(session || null);
+  if (usedByUser >= voucher.perUserLimit) {
+    throw createHttpError(409, "Bạn đã dùng hết lượt của mã khuyến mãi này.");
+  }
+
+  let discount =
+    voucher.discountType === "percentage"
+      ? Math.round((amount * voucher.discountValue) / 100)
+      : voucher.discountValue;
+  if (voucher.maxDiscount) discount = Math.min(discount, voucher.maxDiscount);
+  return Math.min(discount, amount);
+};
+
+/**
+ * Kiểm tra mã trước khi đặt (không ghi nhận lượt dùng)
+ * @param {Object} data - { code, serviceID, amount }
+ * @param {Object} user - req.user
+ * @returns {Object} - { code, discountAmount, finalAmount }
+ */
+const validateVoucher = async ({ code, serviceID, amount }, user) => {
+  const service = await Service.findById(serviceID);
+  if (!service) {
+    throw createHttpError(404, "Service not found");
+  }
+
+  const voucher = await Voucher.findOne({
+    code: String(code || "").trim().toUpperCase(),
+  });
+  const discountAmount = await calculateDiscount(voucher, {
+    userID: user.id,
+    service,
+    amount: Number(amount),
+  });
+
+  return {
+    code: voucher.code,
+    discountType: voucher.discountType,
+    discountValue: voucher.discountValue,
+    discountAmount,
+    finalAmount: Number(amount) - discountAmount,
+  };
+};
+
+/**
+ * Áp dụng mã cho hóa đơn chưa lưu, dùng trong transaction.
+ * Tăng usedCount có điều kiện để không vượt usageLimit khi đặt đồng thời;
+ * các transaction cùng ghi lên Voucher nên được tuần tự hóa, nhờ đó
+ * perUserLimit cũng được kiểm tra đúng.
+ * @param {String} code - Mã khuyến mãi
+ * @param {Object} invoice - Invoice (chưa lưu, totalAmount là tổng trước giảm)
+ * @param {Object} session - Mongo session
+ * @returns {Object} - VoucherRedemption
+ */
+const applyVoucherInSession = async (code, invoice, session) => {
+  const service = await Service.findById(invoice.serviceID).session(session);
+  if (!service) {
+    throw createHttpError(404, "Service not found");
+  }
+
+  const voucher = await Voucher.findOne({
+    code: String(code).trim().toUpperCase(),
+  }).session(session);
+  const discountAmount = await calculateDiscount(
+    voucher,
+    { userID: invoice.userID, service, amount: invoice.totalAmount },
+    session
+  );
+
+  const counted = await Voucher.findOneAndUpdate(
+    {
+      _id: voucher._id,
+      active: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!counted) {
+    throw createHttpError(409, "Mã khuyến mãi đã hết lượt sử dụng.");
+  }
+
+  const [redemption] = await VoucherRedemption.create(
+    [
+      {
+        voucherID: voucher._id,
+        code: voucher.code,
+        userID: invoice.userID,
+        invoiceID: invoice._id,
+        discountAmount,
+      },
+    ],
+    { session }
+  );
+
+  invoice.subtotalAmount = invoice.totalAmount;
+  invoice.totalAmount = invoice.totalAmount - discountAmount;
+  invoice.voucher = {
+    voucherID: voucher._id,
+    code: voucher.code,
+    discountAmount,
+  };
+
+  return redemption;
+};
+
+/**
+ * Trả lại lượt dùng mã khi hóa đơn bị hủy, dùng trong transaction
+ * @param {String} invoiceID - ObjectId của Invoice
+ * @param {Object} session - Mongo session
+ * @returns {Object|null} - VoucherRedemption đã trả hoặc null
+ */
+const releaseVoucherInSession = async (invoiceID, session) => {
+  const redemption = await VoucherRedemption.findOneAndUpdate(
+    { invoiceID, status: "applied" },
+    { $set: { status: "released", releasedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!redemption) return null;
+
+  await Voucher.updateOne(
+    { _id: redemption.voucherID, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  return redemption;
+};
+
+module.exports = {
+  assertVoucherOwner,
+  createVoucher,
+  getVouchers,
+  updateVoucher,
+  deleteVoucher,
+  validateVoucher,
+  applyVoucherInSession,
+  releaseVoucherInSession,
+};
@@ -0,0 +1,170 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const User = require("../../models/User");
+const authMiddleware = require("../../middlewares/authMiddleware");
+const roleMiddleware = require("../../middlewares/roleMiddleware");
+
+const JWT_SECRET = "test-secret";
+
+// App nhỏ chỉ gồm các guard, route trả về req.user khi qua được
+const buildApp = () => {
+  const app = express();
+  const ok = (req, res) => res.status(200).json(req.user);
+  app.get("/admin", authMiddleware, roleMiddleware(["Admin"]), ok);
+  app.get("/provider", authMiddleware, roleMiddleware(["Provider"]), ok);
+  return app;
+};
+
+const users = {
+  Admin: { _id: new mongoose.Types.ObjectId(), role: "Admin", active: true },
+  Provider: { _id: new mongoose.Types.ObjectId(), role: "Provider", active: true },
+  Customer: { _id: new mongoose.Types.ObjectId(), role: "Customer", active: true },
+};
+
+const tokenFor = (role) => jwt.sign({ id: users[role]._id.toString() }, JWT_SECRET);
+
+describe("authMiddleware + roleMiddleware", () => {
+  let app;
+  let previousSecret;
+
+  beforeAll(() => {
+    previousSecret = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = JWT_SECRET;
+    app = buildApp();
+  });
+
+  afterAll(() => {
+    if (previousSecret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = previousSecret;
+  });
+
+  beforeEach(() => {
+    // Không cần MongoDB: User.findById(...).select(...) trả về user theo id
+    jest.spyOn(User, "findById").mockImplementation((id) => ({
+      select: async () =>
+        Object.values(users).find((user) => user._id.toString() === String(id)) ||
+        null,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe.each([
+    ["/admin", "Admin", "Customer"],
+    ["/provider", "Provider", "Customer"],
+  ])("GET %s", (path, allowedRole, deniedRole) => {
+    it("trả về 401 khi thiếu token", async () => {
+      const res = await request(app).get(path);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Authentication token is required");
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it("trả về 401 khi header không đúng dạng Bearer", async () => {
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", tokenFor(allowedRole));
+
+      expect(res.status).toBe(401);
+    });
+
+    it("trả về 401 khi token sai chữ ký", async () => {
+      const token = jwt.sign({ id: users[allowedRole]._id.toString() }, "other");
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Invalid or expired token");
+    });
+
+    it("trả về 401 khi token hết hạn", async () => {
+      const token = jwt.sign(
+        { id: users[allowedRole]._id.toString() },
+        JWT_SECRET,
+        { expiresIn: -10 }
+      );
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Invalid or expired token");
+    });
+
+    it("trả về 401 khi người dùng không còn tồn tại", async () => {
+      const token = jwt.sign(
+        { id: new mongoose.Types.ObjectId().toString() },
+        JWT_SECRET
+      );
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("User not found");
+    });
+
+    it(`trả về 403 khi vai trò là ${deniedRole}`, async () => {
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", `Bearer ${tokenFor(deniedRole)}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe("Access denied. Insufficient permissions.");
+    });
+
+    it(`cho qua khi vai trò là ${allowedRole}`, async () => {
+      const res = await request(app)
+        .get(path)
+        .set("Authorization", `Bearer ${tokenFor(allowedRole)}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        id: users[allowedRole]._id.toString(),
+        role: allowedRole,
+      });
+    });
+  });
+
+  it("chấp nhận token đăng nhập mang claim userId", async () => {
+    const token = jwt.sign(
+      { userId: users.Admin._id, username: "Admin", role: "Admin" },
+      JWT_SECRET,
+      { expiresIn: "10h" }
+    );
+    const res = await request(app)
+      .get("/admin")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(users.Admin._id.toString());
+  });
+
+  it("Provider không vào được route của Admin", async () => {
+    const res = await request(app)
+      .get("/admin")
+      .set("Authorization", `Bearer ${tokenFor("Provider")}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("trả về 401 khi tài khoản bị khóa", async () => {
+    users.Admin.active = false;
+    try {
+      const res = await request(app)
+        .get("/admin")
+        .set("Authorization", `Bearer ${tokenFor("Admin")}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("User account is inactive");
+    } finally {
+      users.Admin.active = true;
+    }
+  });
+});
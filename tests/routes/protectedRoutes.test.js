@@ -0,0 +1,122 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const User = require("../../models/User");
+const reviewModerationService = require("../../services/reviewModerationService");
+const orderService = require("../../services/orderService");
+const reviewRoutes = require("../../routes/reviewRoutes");
+const orderRoutes = require("../../routes/orderRoutes");
+const serviceRoutes = require("../../routes/serviceRoutes");
+
+const JWT_SECRET = "test-secret";
+
+// Gắn router thật theo đúng đường dẫn trong server.js
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/reviews", reviewRoutes);
+  app.use("/api/orders", orderRoutes);
+  app.use("/api/services", serviceRoutes);
+  return app;
+};
+
+const users = {
+  Admin: { _id: new mongoose.Types.ObjectId(), role: "Admin", active: true },
+  Provider: { _id: new mongoose.Types.ObjectId(), role: "Provider", active: true },
+  Customer: { _id: new mongoose.Types.ObjectId(), role: "Customer", active: true },
+};
+
+// Token giống /api/auth/login phát hành (claim userId, không phải id)
+const loginTokenFor = (role, secret = JWT_SECRET) =>
+  jwt.sign(
+    { userId: users[role]._id, username: `${role} user`, role },
+    secret,
+    { expiresIn: "10h" }
+  );
+
+describe("Route chỉ dành cho Admin/Provider với token đăng nhập", () => {
+  let app;
+  let previousSecret;
+
+  beforeAll(() => {
+    previousSecret = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = JWT_SECRET;
+    app = buildApp();
+  });
+
+  afterAll(() => {
+    if (previousSecret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = previousSecret;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, "findById").mockImplementation((id) => ({
+      select: async () =>
+        Object.values(users).find((user) => user._id.toString() === String(id)) ||
+        null,
+    }));
+    jest
+      .spyOn(reviewModerationService, "getModerationQueue")
+      .mockResolvedValue({ reviews: [], total: 0 });
+    jest.spyOn(orderService, "getProviderOrders").mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe.each([
+    ["get", "/api/reviews/moderation/queue", "Admin", ["Provider", "Customer"]],
+    ["get", "/api/orders/provider", "Provider", ["Admin", "Customer"]],
+    ["post", "/api/services", null, ["Customer"]],
+  ])("%s %s", (method, path, allowedRole, deniedRoles) => {
+    it("trả về 401 khi thiếu token", async () => {
+      const res = await request(app)[method](path);
+
+      expect(res.status).toBe(401);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it("trả về 401 khi token sai chữ ký", async () => {
+      const res = await request(app)
+        [method](path)
+        .set("Authorization", `Bearer ${loginTokenFor("Admin", "other")}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Invalid or expired token");
+    });
+
+    it.each(deniedRoles)("trả về 403 khi vai trò là %s", async (role) => {
+      const res = await request(app)
+        [method](path)
+        .set("Authorization", `Bearer ${loginTokenFor(role)}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe("Access denied. Insufficient permissions.");
+    });
+
+    if (allowedRole) {
+      it(`cho qua khi vai trò là ${allowedRole}`, async () => {
+        const res = await request(app)
+          [method](path)
+          .set("Authorization", `Bearer ${loginTokenFor(allowedRole)}`);
+
+        expect(res.status).toBe(200);
+      });
+    }
+  });
+
+  it("Provider xem đơn hàng của mình theo đúng user trong token", async () => {
+    await request(app)
+      .get("/api/orders/provider")
+      .set("Authorization", `Bearer ${loginTokenFor("Provider")}`);
+
+    expect(orderService.getProviderOrders).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: users.Provider._id.toString(),
+        role: "Provider",
+      })
+    );
+  });
+});
@@ -0,0 +1,27 @@
+const { partyFits } = require("../../services/availabilityService");
+
+describe("availabilityService.partyFits", () => {
+  const capacity = { adults: 2, children: 1 };
+
+  it("cho trẻ em ở chỗ còn trống của người lớn", () => {
+    expect(partyFits(capacity, { rooms: 1, adults: 1, children: 2 })).toBe(true);
+  });
+
+  it("không cho người lớn vượt số chỗ người lớn", () => {
+    expect(partyFits(capacity, { rooms: 1, adults: 3, children: 0 })).toBe(false);
+  });
+
+  it("không cho tổng khách vượt tổng số chỗ", () => {
+    expect(partyFits(capacity, { rooms: 1, adults: 2, children: 2 })).toBe(false);
+  });
+
+  it("nhân sức chứa theo số phòng đặt", () => {
+    expect(partyFits(capacity, { rooms: 2, adults: 4, children: 2 })).toBe(true);
+    expect(partyFits(capacity, { rooms: 2, adults: 2, children: 5 })).toBe(false);
+  });
+
+  it("coi thiếu capacity.children là 0", () => {
+    expect(partyFits({ adults: 2 }, { rooms: 1, adults: 1, children: 1 })).toBe(true);
+    expect(partyFits({ adults: 2 }, { rooms: 1, adults: 2, children: 1 })).toBe(false);
+  });
+});
@@ -0,0 +1,15 @@
+const { atVenueTime } = require("../../utils/dateUtils");
+
+describe("dateUtils.atVenueTime", () => {
+  it("đổi giờ địa phương UTC+7 thành thời điểm UTC", () => {
+    expect(atVenueTime(new Date("2026-03-10T00:00:00Z"), 19 * 60).toISOString()).toBe(
+      "2026-03-10T12:00:00.000Z"
+    );
+  });
+
+  it("giờ sáng sớm rơi vào ngày hôm trước theo UTC", () => {
+    expect(atVenueTime("2026-03-10", 6 * 60 + 30).toISOString()).toBe(
+      "2026-03-09T23:30:00.000Z"
+    );
+  });
+});
@@ -0,0 +1,93 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Múi giờ của các cơ sở (giờ Việt Nam, UTC+7), tính bằng phút
+const VENUE_UTC_OFFSET_MINUTES = 7 * 60;
+
+/**
+ * Chuẩn hóa một ngày về 00:00 UTC
+ * @param {Date|String} value - Ngày cần chuẩn hóa
+ * @returns {Date} - Ngày lúc 00:00 UTC
+ */
+const startOfDay = (value) => {
+  const date = new Date(value);
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+};
+
+/**
+ * Cộng thêm số ngày
+ * @param {Date} date - Ngày gốc
+ * @param {Number} days - Số ngày cần cộng (có thể âm)
+ * @returns {Date} - Ngày mới
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Danh sách các đêm lưu trú từ ngày nhận phòng đến trước ngày trả phòng
+ * @param {Date|String} checkInDate - Ngày nhận phòng
+ * @param {Date|String} checkOutDate - Ngày trả phòng
+ * @returns {Array<Date>} - Mảng các ngày (00:00 UTC)
+ */
+const getStayNights = (checkInDate, checkOutDate) => {
+  const nights = [];
+  const end = startOfDay(checkOutDate);
+  for (let day = startOfDay(checkInDate); day < end; day = addDays(day, 1)) {
+    nights.push(day);
+  }
+  return nights;
+};
+
+/**
+ * Kiểm tra giá trị có phải ngày hợp lệ
+ * @param {*} value - Giá trị cần kiểm tra
+ * @returns {Boolean}
+ */
+const isValidDate = (value) =>
+  value !== undefined && value !== null && !isNaN(new Date(value).getTime());
+
+/**
+ * Chuyển giờ dạng "HH:mm" thành số phút tính từ 00:00
+ * @param {String} value - Giờ dạng "HH:mm"
+ * @returns {Number|null} - Số phút, null nếu không hợp lệ
+ */
+const parseTimeOfDay = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Chuyển số phút tính từ 00:00 thành giờ dạng "HH:mm"
+ * @param {Number} minutes - Số phút
+ * @returns {String} - Giờ dạng "HH:mm"
+ */
+const formatTimeOfDay = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")}`;
+
+/**
+ * Thời điểm thực của giờ địa phương tại cơ sở trong một ngày
+ * @param {Date|String} day - Ngày (lấy phần ngày theo UTC, như startOfDay)
+ * @param {Number} minutes - Số phút tính từ 00:00 giờ địa phương
+ * @returns {Date} - Thời điểm tương ứng
+ */
+const atVenueTime = (day, minutes) =>
+  new Date(
+    startOfDay(day).getTime() + (minutes - VENUE_UTC_OFFSET_MINUTES) * MINUTE_MS
+  );
+
+module.exports = {
+  DAY_MS,
+  MINUTE_MS,
+  VENUE_UTC_OFFSET_MINUTES,
+  startOfDay,
+  addDays,
+  getStayNights,
+  isValidDate,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  atVenueTime,
+};
@@ -0,0 +1,13 @@
+/**
+ * Tạo Error kèm mã HTTP để route trả về đúng status
+ * @param {Number} status - Mã HTTP (403, 404, 409, ...)
+ * @param {String} message - Thông báo lỗi
+ * @returns {Error} - Error có thuộc tính status
+ */
+const createHttpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = createHttpError;
@@ -0,0 +1,182 @@
+const { startOfDay, addDays, getStayNights } = require("./dateUtils");
+
+/**
+ * Gộp các dòng bị gấp (dòng tiếp theo bắt đầu bằng khoảng trắng hoặc tab)
+ * @param {String} text - Nội dung ICS
+ * @returns {Array<String>} - Các dòng logic
+ */
+const unfoldLines = (text) =>
+  String(text ?? "")
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+
+/**
+ * Tách một dòng ICS thành tên, tham số và giá trị,
+ * ví dụ "DTSTART;VALUE=DATE:20250101"
+ * @param {String} line - Dòng ICS
+ * @returns {Object} - { name, params, value }
+ */
+const parseLine = (line) => {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, value = ""] = param.split("=");
+    params[key.toUpperCase()] = value;
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Đọc giá trị ngày/giờ ICS (YYYYMMDD hoặc YYYYMMDDTHHMMSS[Z])
+ * @param {String} value - Giá trị
+ * @returns {Date|null} - Ngày, null nếu không hợp lệ
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    (value || "").trim()
+  );
+  if (!match) return null;
+  const [, y, m, d, hh = "0", mm = "0", ss = "0"] = match;
+  const date = new Date(
+    Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss))
+  );
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Bỏ escape trong giá trị văn bản ICS
+ * @param {String} value - Giá trị
+ * @returns {String}
+ */
+const unescapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\n/gi, "\n")
+    .replace(/\\([,;\\])/g, "$1");
+
+/**
+ * Escape giá trị văn bản để ghi vào ICS
+ * @param {String} value - Giá trị
+ * @returns {String}
+ */
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/([,;])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Đọc các sự kiện (VEVENT) trong ICS, bỏ qua sự kiện đã hủy
+ * @param {String} text - Nội dung ICS
+ * @returns {Array} - [{ uid, summary, start, end, nights }], nights là các đêm bị chiếm (00:00 UTC)
+ */
+const parseEvents = (text) => {
+  const lines = unfoldLines(text);
+  if (!lines.length || lines[0].trim().toUpperCase() !== "BEGIN:VCALENDAR") {
+    return null;
+  }
+
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    const parsed = parseLine(line.trim());
+    if (!parsed) continue;
+    const { name, value } = parsed;
+
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+      current = {};
+    } else if (name === "END" && value.toUpperCase() === "VEVENT") {
+      if (current && current.start && current.status !== "CANCELLED") {
+        // Không có DTEND: sự kiện chiếm một đêm
+        const end =
+          current.end && current.end > current.start
+            ? current.end
+            : addDays(startOfDay(current.start), 1);
+        const nights = getStayNights(current.start, end);
+        events.push({
+          uid: current.uid || "",
+          summary: current.summary || "",
+          start: startOfDay(current.start),
+          end: startOfDay(end),
+          nights: nights.length ? nights : [startOfDay(current.start)],
+        });
+      }
+      current = null;
+    } else if (current) {
+      if (name === "DTSTART") current.start = parseDateValue(value);
+      else if (name === "DTEND") current.end = parseDateValue(value);
+      else if (name === "UID") current.uid = value;
+      else if (name === "SUMMARY") current.summary = unescapeText(value);
+      else if (name === "STATUS") current.status = value.toUpperCase();
+    }
+  }
+  return events;
+};
+
+/**
+ * Định dạng ngày thành giá trị DATE của ICS (YYYYMMDD)
+ * @param {Date} date - Ngày
+ * @returns {String}
+ */
+const formatDateValue = (date) =>
+  startOfDay(date).toISOString().slice(0, 10).replace(/-/g, "");
+
+/**
+ * Định dạng thời điểm thành giá trị DATE-TIME UTC của ICS
+ * @param {Date} date - Thời điểm
+ * @returns {String}
+ */
+const formatDateTimeValue = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Gấp dòng dài hơn 75 ký tự theo chuẩn RFC 5545
+ * @param {String} line - Dòng ICS
+ * @returns {String}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push(line.slice(i, i + 74));
+  }
+  return parts.join("\r\n ");
+};
+
+/**
+ * Tạo nội dung ICS từ danh sách sự kiện cả ngày
+ * @param {Object} calendar - { name, events: [{ uid, summary, start, end }] }
+ * @returns {String} - Nội dung ICS
+ */
+const buildCalendar = ({ name, events }) => {
+  const stamp = formatDateTimeValue(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Dulich//Room Availability//VI",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDateValue(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDateValue(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      "TRANSP:OPAQUE",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  parseEvents,
+  buildCalendar,
+};
@@ -0,0 +1,88 @@
+/**
+ * Bỏ dấu tiếng Việt, chuyển về chữ thường và gom khoảng trắng,
+ * ví dụ "Đà Lạt" -> "da lat"
+ * @param {String} value - Chuỗi cần chuẩn hóa
+ * @returns {String} - Chuỗi đã chuẩn hóa
+ */
+const foldVietnamese = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[đĐ]/g, "d")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Tách chuỗi đã chuẩn hóa thành các từ
+ * @param {String} value - Chuỗi cần tách
+ * @returns {Array<String>}
+ */
+const tokenize = (value) => foldVietnamese(value).split(" ").filter(Boolean);
+
+/**
+ * Sinh tập trigram (3 ký tự liên tiếp) của các từ, dùng để so khớp gần đúng
+ * khi người dùng gõ sai chính tả
+ * @param {String} value - Chuỗi cần sinh trigram
+ * @returns {Array<String>} - Danh sách trigram không trùng lặp
+ */
+const trigrams = (value) => {
+  const grams = new Set();
+  for (const token of tokenize(value)) {
+    const padded = `  ${token} `;
+    for (let i = 0; i <= padded.length - 3; i += 1) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return [...grams];
+};
+
+/**
+ * Tỉ lệ trigram của truy vấn xuất hiện trong chuỗi đích (0..1)
+ * @param {Array<String>} queryGrams - Trigram của truy vấn
+ * @param {Array<String>} targetGrams - Trigram của chuỗi đích
+ * @returns {Number}
+ */
+const trigramSimilarity = (queryGrams, targetGrams) => {
+  if (!queryGrams.length) return 0;
+  const target = new Set(targetGrams);
+  const shared = queryGrams.filter((gram) => target.has(gram)).length;
+  return shared / queryGrams.length;
+};
+
+/**
+ * Escape ký tự đặc biệt để dùng chuỗi trong RegExp
+ * @param {String} value - Chuỗi gốc
+ * @returns {String}
+ */
+const escapeRegExp = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Tìm các từ bị chặn xuất hiện trong chuỗi (nguyên từ, không phân biệt hoa thường).
+ * Giữ nguyên dấu khi so khớp vì bỏ dấu tiếng Việt dễ trùng từ bình thường
+ * @param {String} value - Chuỗi cần kiểm tra
+ * @param {Array<String>} words - Danh sách từ bị chặn
+ * @returns {Array<String>} - Các từ bị chặn tìm thấy
+ */
+const findBlockedWords = (value, words) => {
+  const text = String(value ?? "").normalize("NFC").toLowerCase();
+  if (!text) return [];
+  return words.filter((word) =>
+    new RegExp(
+      `(?<![\\p{L}\\p{N}])${escapeRegExp(
+        word.normalize("NFC").toLowerCase()
+      )}(?![\\p{L}\\p{N}])`,
+      "u"
+    ).test(text)
+  );
+};
+
+module.exports = {
+  foldVietnamese,
+  tokenize,
+  trigrams,
+  trigramSimilarity,
+  escapeRegExp,
+  findBlockedWords,
+};